@@ -0,0 +1,258 @@
+/* @flow */
+import React, { Component } from 'react';
+import { findDOMNode } from 'react-dom';
+import { createStyledComponent } from '../styles';
+import { composeEventHandlers } from '../utils';
+import Dropdown, {
+  componentTheme as dropdownComponentTheme
+} from '../Dropdown/Dropdown';
+
+import type { Items, ItemGroups } from '../Menu/Menu';
+import type { RenderFn } from '../Dropdown/Dropdown';
+
+type Props = {
+  /** Content of the region in which the ContextMenu can be opened */
+  children: React$Node,
+  /**
+   * Data from which the [Menu](/components/menu#data) will be constructed
+   * (see [example](#data))
+   */
+  data?: Items | ItemGroups,
+  /** Disable the ContextMenu */
+  disabled?: boolean,
+  /**
+   * Provides custom rendering control for the items. See the
+   * [custom item example](/components/dropdown#custom-item) and
+   * [React docs](https://reactjs.org/docs/render-props.html).
+   */
+  item?: RenderFn,
+  /**
+   * Specifies a key in the item data that gives an item its unique identity.
+   * See the [React docs](https://reactjs.org/docs/lists-and-keys.html#keys).
+   */
+  itemKey?: string,
+  /**
+   * Keep the ContextMenu open after a `menuitemcheckbox` or `menuitemradio`
+   * item is toggled
+   */
+  keepOpenOnToggle?: boolean,
+  /**
+   * Provides custom rendering control for the menu. See the
+   * [custom menu example](/components/dropdown#custom-menu) and
+   * [React docs](https://reactjs.org/docs/render-props.html).
+   */
+  menu?: RenderFn,
+  /**
+   * Plugins that are used to alter behavior. See
+   * [PopperJS docs](https://popper.js.org/popper-documentation.html#modifiers)
+   * for options.
+   */
+  modifiers?: Object,
+  /** Called when ContextMenu is closed */
+  onClose?: (event: SyntheticEvent<>) => void,
+  /**
+   * Called when ContextMenu is opened, with the `contextmenu` or `keydown`
+   * event, from which the target of the menu can be determined
+   */
+  onOpen?: (event: SyntheticEvent<>) => void,
+  /** Placement of the menu, relative to the pointer */
+  placement?: 'bottom-end' | 'bottom-start' | 'top-end' | 'top-start',
+  /**
+   * Use a Portal to render the menu to the body rather than as a sibling to
+   * the region
+   */
+  usePortal?: boolean,
+  /** Display a wider menu */
+  wide?: boolean
+};
+
+type State = {
+  isOpen: boolean,
+  target?: Object
+};
+
+export const componentTheme = dropdownComponentTheme;
+
+const Root = createStyledComponent(
+  'div',
+  {},
+  {
+    displayName: 'ContextMenu'
+  }
+);
+
+// A virtual element, at a point within the node, for Popper to position the
+// menu beside. The point is kept relative to the node, so that the menu follows
+// it when scrolled.
+const createVirtualTarget = (node: HTMLElement, x: number, y: number) => {
+  const nodeRect = node.getBoundingClientRect();
+  const offsetX = x - nodeRect.left;
+  const offsetY = y - nodeRect.top;
+
+  return {
+    clientHeight: 0,
+    clientWidth: 0,
+    getBoundingClientRect: () => {
+      const { left, top } = node.getBoundingClientRect();
+
+      return {
+        bottom: top + offsetY,
+        height: 0,
+        left: left + offsetX,
+        right: left + offsetX,
+        top: top + offsetY,
+        width: 0
+      };
+    }
+  };
+};
+
+/**
+ * ContextMenu presents a [Menu](/components/menu) of actions at the pointer,
+ * when a user right-clicks within a region, or at the focused element, when
+ * they press Shift+F10 or the context menu key.
+ */
+export default class ContextMenu extends Component<Props, State> {
+  state: State = {
+    isOpen: false
+  };
+
+  region: ?HTMLElement;
+
+  returnFocusNode: ?HTMLElement;
+
+  componentDidUpdate(prevProps: Props, prevState: State) {
+    if (prevState.isOpen && !this.state.isOpen) {
+      this.restoreFocus();
+    }
+  }
+
+  render() {
+    const { children: ignoreChildren, ...restProps } = this.props;
+    const { isOpen, target } = this.state;
+
+    const rootProps = {
+      ...restProps,
+      isOpen,
+      onClose: this.close,
+      target
+    };
+
+    return <Dropdown {...rootProps}>{this.renderRegion}</Dropdown>;
+  }
+
+  // The region is the trigger of the underlying Dropdown, which would otherwise
+  // present it as a button
+  getRegionProps = (props: Object = {}) => {
+    const {
+      children: ignoreChildren,
+      disabled: ignoreDisabled,
+      onClick: ignoreOnClick,
+      role: ignoreRole,
+      ...restProps
+    } = props;
+    const { children, disabled } = this.props;
+
+    return {
+      ...restProps,
+      children,
+      innerRef: this.setRegion,
+      tabIndex: disabled ? undefined : 0,
+      onContextMenu: !disabled ? this.onContextMenu : undefined,
+      onKeyDown: composeEventHandlers(this.onKeyDown, restProps.onKeyDown)
+    };
+  };
+
+  renderRegion: RenderFn = ({ props } = {}) => {
+    return <Root {...this.getRegionProps(props)} />;
+  };
+
+  setRegion = (node: ?HTMLElement) => {
+    this.region = node;
+  };
+
+  onContextMenu = (event: SyntheticMouseEvent<>) => {
+    const { region } = this;
+
+    if (region) {
+      event.preventDefault();
+      this.open(
+        event,
+        createVirtualTarget(region, event.clientX, event.clientY)
+      );
+    }
+  };
+
+  onKeyDown = (event: SyntheticKeyboardEvent<>) => {
+    const { key, shiftKey } = event;
+    const { region } = this;
+
+    if (
+      !this.props.disabled &&
+      region &&
+      (key === 'ContextMenu' || (key === 'F10' && shiftKey))
+    ) {
+      event.preventDefault();
+      // $FlowFixMe
+      event.nativeEvent.preventMineralDefault = true;
+
+      // The menu is placed below the focused element, or at the start of the
+      // region, when it is focused itself
+      const node = event.target instanceof HTMLElement ? event.target : region;
+      const { bottom, left, right, top } = node.getBoundingClientRect();
+      const isRtl = window.getComputedStyle(node).direction === 'rtl';
+
+      this.open(
+        event,
+        createVirtualTarget(
+          region,
+          isRtl ? right : left,
+          node === region ? top : bottom
+        )
+      );
+    } else if (!this.state.isOpen) {
+      // Keys only navigate the menu while it's open
+      // $FlowFixMe
+      event.nativeEvent.preventMineralDefault = true;
+    }
+  };
+
+  open = (event: SyntheticEvent<>, target: Object) => {
+    if (!this.state.isOpen) {
+      const { activeElement } = global.document;
+      this.returnFocusNode =
+        activeElement instanceof HTMLElement ? activeElement : null;
+    }
+
+    this.setState({ isOpen: true, target }, () => {
+      this.region && this.region.focus();
+      this.props.onOpen && this.props.onOpen(event);
+    });
+  };
+
+  close = (event: SyntheticEvent<>) => {
+    this.setState({ isOpen: false }, () => {
+      this.props.onClose && this.props.onClose(event);
+    });
+  };
+
+  // Focus returns to where it was before the menu was opened, unless the menu
+  // was closed by moving focus elsewhere
+  restoreFocus = () => {
+    const { returnFocusNode } = this;
+    const node = findDOMNode(this); // eslint-disable-line react/no-find-dom-node
+    const { activeElement, body } = global.document;
+
+    this.returnFocusNode = null;
+
+    if (
+      returnFocusNode &&
+      body.contains(returnFocusNode) &&
+      (!activeElement ||
+        activeElement === body ||
+        (node && node.contains(activeElement)))
+    ) {
+      returnFocusNode.focus();
+    }
+  };
+}
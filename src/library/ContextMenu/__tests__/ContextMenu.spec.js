@@ -0,0 +1,210 @@
+/* @flow */
+import React from 'react';
+import { shallow } from 'enzyme';
+import { mountInThemeProvider } from '../../../../utils/enzymeUtils';
+import ContextMenu from '../ContextMenu';
+import { DropdownContent } from '../../Dropdown';
+import { MenuItem } from '../../Menu';
+import examples from '../../../website/app/demos/ContextMenu/examples';
+import testDemoExamples from '../../../../utils/testDemoExamples';
+
+import type { Items } from '../../Menu/Menu';
+
+const data: Items = [
+  {
+    text: 'item 1',
+    onClick: jest.fn()
+  },
+  {
+    text: 'item 2'
+  }
+];
+
+const defaultProps = {
+  children: <button>target</button>,
+  data
+};
+
+const shallowContextMenu = (props = {}) => {
+  const contextMenuProps = {
+    ...defaultProps,
+    ...props
+  };
+
+  return shallow(<ContextMenu {...contextMenuProps} />);
+};
+
+const mountContextMenu = (props = {}) => {
+  const contextMenuProps = {
+    ...defaultProps,
+    ...props
+  };
+
+  return mountInThemeProvider(<ContextMenu {...contextMenuProps} />, {
+    attachToDom: true
+  });
+};
+
+describe('ContextMenu', () => {
+  testDemoExamples(examples);
+
+  describe('renders', () => {
+    it('root', () => {
+      const contextMenu = shallowContextMenu();
+
+      expect(contextMenu.exists()).toEqual(true);
+    });
+  });
+
+  describe('interaction', () => {
+    let onClose, onOpen, themeProvider;
+
+    const findRegion = () => {
+      themeProvider.update();
+      return themeProvider.find('[tabIndex=0]').hostNodes();
+    };
+
+    const isOpen = () => {
+      themeProvider.update();
+      return themeProvider.find(DropdownContent).exists();
+    };
+
+    const keyDown = (key, options = {}) => {
+      themeProvider.find('button').simulate('keydown', { key, ...options });
+    };
+
+    beforeEach(() => {
+      onClose = jest.fn();
+      onOpen = jest.fn();
+      [themeProvider] = mountContextMenu({ onClose, onOpen });
+    });
+
+    afterEach(() => {
+      themeProvider.destroy();
+    });
+
+    it('renders a focusable region rather than a button', () => {
+      const region = findRegion();
+
+      expect(region.exists()).toEqual(true);
+      expect(region.prop('role')).toBeUndefined();
+    });
+
+    it('does not open when clicked', () => {
+      findRegion().simulate('click');
+
+      expect(isOpen()).toEqual(false);
+    });
+
+    describe('when right-clicked', () => {
+      let preventDefault;
+
+      beforeEach(() => {
+        preventDefault = jest.fn();
+        findRegion().simulate('contextmenu', {
+          clientX: 10,
+          clientY: 20,
+          preventDefault
+        });
+      });
+
+      it('opens', () => {
+        expect(isOpen()).toEqual(true);
+        expect(onOpen).toHaveBeenCalled();
+      });
+
+      it('prevents the browser context menu', () => {
+        expect(preventDefault).toHaveBeenCalled();
+      });
+
+      it('places the menu at the pointer', () => {
+        const { target } = themeProvider.find(DropdownContent).props();
+
+        expect(target.getBoundingClientRect()).toMatchObject({
+          left: 10,
+          top: 20,
+          height: 0,
+          width: 0
+        });
+      });
+
+      it('focuses the region', () => {
+        expect(document.activeElement).toBe(findRegion().getDOMNode());
+      });
+    });
+
+    it('opens when Shift+F10 is pressed', () => {
+      keyDown('F10', { shiftKey: true });
+
+      expect(isOpen()).toEqual(true);
+    });
+
+    it('opens when the context menu key is pressed', () => {
+      keyDown('ContextMenu');
+
+      expect(isOpen()).toEqual(true);
+    });
+
+    it('does not open when other keys are pressed', () => {
+      keyDown('ArrowDown');
+      keyDown('Enter');
+      keyDown(' ');
+
+      expect(isOpen()).toEqual(false);
+    });
+
+    it('navigates the menu with arrow keys when open', () => {
+      keyDown('ContextMenu');
+      findRegion().simulate('keydown', { key: 'ArrowDown' });
+
+      themeProvider.update();
+      expect(
+        themeProvider
+          .find(MenuItem)
+          .filterWhere((menuItem) => menuItem.props().id !== undefined)
+          .first()
+          .props().isHighlighted
+      ).toEqual(true);
+    });
+
+    describe('restores focus', () => {
+      let button;
+
+      beforeEach(() => {
+        button = themeProvider.find('button').getDOMNode();
+        button.focus();
+        keyDown('ContextMenu');
+      });
+
+      it('when Escape is pressed', () => {
+        document.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape' }));
+
+        expect(isOpen()).toEqual(false);
+        expect(onClose).toHaveBeenCalled();
+        expect(document.activeElement).toBe(button);
+      });
+
+      it('when an item is selected', () => {
+        themeProvider
+          .find('[role="menuitem"]')
+          .hostNodes()
+          .first()
+          .simulate('click');
+
+        expect(data[0].onClick).toHaveBeenCalled();
+        expect(isOpen()).toEqual(false);
+        expect(document.activeElement).toBe(button);
+      });
+    });
+
+    it('does not open when disabled', () => {
+      themeProvider.setProps({
+        children: <ContextMenu {...defaultProps} disabled />
+      });
+      themeProvider.find('button').simulate('contextmenu');
+      keyDown('ContextMenu');
+
+      expect(isOpen()).toEqual(false);
+    });
+  });
+});
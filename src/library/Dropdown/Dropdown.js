@@ -1,5 +1,5 @@
 /* @flow */
-import React, { Children, Component, cloneElement } from 'react';
+import React, { Children, Component, Fragment, cloneElement } from 'react';
 import { findDOMNode } from 'react-dom';
 import deepEqual from 'fast-deep-equal';
 import scrollIntoViewIfNeeded from 'scroll-into-view-if-needed';
@@ -10,11 +10,23 @@ import Root from '../Popover';
 import DropdownContent, {
   componentTheme as dropdownContentComponentTheme
 } from './DropdownContent';
+import DropdownStatus, {
+  componentTheme as dropdownStatusComponentTheme
+} from './DropdownStatus';
+import DropdownSubmenu from './DropdownSubmenu';
+import ItemLoader from './ItemLoader';
 import ItemMatcher from './ItemMatcher';
 
-import type { Items, ItemGroups } from '../Menu/Menu';
+import type { Item, Items, ItemGroups } from '../Menu/Menu';
+import type { LoadItems } from './ItemLoader';
+import type { Options as ItemMatcherOptions } from './ItemMatcher';
 
 type Props = {
+  /**
+   * Reuses the items loaded by `loadItems`, rather than loading them each time
+   * the Dropdown is opened
+   */
+  cacheItems?: boolean,
   /**
    * Trigger for the Dropdown. Optionally provides custom rendering control.
    * See the [custom trigger example](/components/dropdown#custom-trigger)
@@ -23,9 +35,10 @@ type Props = {
   children: React$Node | RenderFn,
   /**
    * Data from which the [Menu](/components/menu#data) will be constructed
-   * (see [example](#data))
+   * (see [example](#data)). Not needed when using `loadItems`. Items with
+   * their own `items` open them as a submenu ([see example](#submenus)).
    */
-  data: Items | ItemGroups,
+  data?: Items | ItemGroups,
   /**
    * Index of item to be highlighted upon initialization. Primarily for
    * use with uncontrolled components.
@@ -58,6 +71,22 @@ type Props = {
    * See the [React docs](https://reactjs.org/docs/lists-and-keys.html#keys).
    */
   itemKey?: string,
+  /**
+   * Keep the Dropdown open after a `menuitemcheckbox` or `menuitemradio` item
+   * is toggled ([see example](#checkable-items))
+   */
+  keepOpenOnToggle?: boolean,
+  /**
+   * Loads the data from which the menu will be constructed, each time the
+   * Dropdown is opened. Called with an empty query and an object containing
+   * an `AbortSignal`, where supported, and returns a Promise of the data
+   * ([see example](#async)).
+   */
+  loadItems?: LoadItems,
+  /** Rendered in place of the menu when `loadItems` fails */
+  loadErrorText?: React$Node,
+  /** Rendered in place of the menu while `loadItems` is pending */
+  loadingText?: React$Node,
   /**
    * Provides custom rendering control for the menu. See the
    * [custom menu example](/components/dropdown#custom-menu) and
@@ -84,18 +113,47 @@ type Props = {
     | 'right-start'
     | 'top-end'
     | 'top-start',
+  /**
+   * Element, or [virtual element](https://popper.js.org/popper-documentation.html#referenceObject),
+   * beside which to place the menu, rather than the trigger. Used by
+   * [ContextMenu](/components/context-menu) to place the menu at the pointer.
+   */
+  target?: Object,
+  /**
+   * Options for highlighting an item by typing its text while the menu is
+   * open: the `match` strategy ('prefix', 'substring', 'fuzzy', or a custom
+   * function), whether to `matchSecondaryText` and the `resetDelay` (in ms)
+   * before the typed keys are cleared ([see example](#type-ahead))
+   */
+  typeAhead?: ItemMatcherOptions,
   /**
    * Use a Portal to render the Dropdown menu to the body rather than as a
    * sibling to the trigger
    */
   usePortal?: boolean,
+  /**
+   * Render only the items visible in the menu, for improved performance with
+   * many items ([see example](#virtualized))
+   */
+  virtualized?: boolean,
   /** Display a wider Dropdown menu */
   wide?: boolean
 };
 
 type State = {
   highlightedIndex: ?number,
-  isOpen: boolean
+  isOpen: boolean,
+  loadError?: ?Error,
+  loadedData?: ?(Items | ItemGroups),
+  loading?: boolean,
+  submenus: Array<Submenu>
+};
+
+type Submenu = {
+  // Index of the highlighted item within the submenu
+  highlightedIndex: ?number,
+  // Index of the item which opened the submenu, within its parent menu
+  index: number
 };
 
 type Helpers = {
@@ -117,6 +175,7 @@ type RenderProps = {
 
 export const componentTheme = (baseTheme: Object) => ({
   ...dropdownContentComponentTheme(baseTheme),
+  ...dropdownStatusComponentTheme(baseTheme),
   ...baseTheme
 });
 
@@ -126,12 +185,15 @@ export const componentTheme = (baseTheme: Object) => ({
 export default class Dropdown extends Component<Props, State> {
   static defaultProps = {
     itemKey: 'text',
+    loadErrorText: 'Items could not be loaded',
+    loadingText: 'Loading...',
     placement: 'bottom-start'
   };
 
   state: State = {
     highlightedIndex: this.props.defaultHighlightedIndex,
-    isOpen: Boolean(this.props.defaultIsOpen)
+    isOpen: Boolean(this.props.defaultIsOpen),
+    submenus: []
   };
 
   dropdownTrigger: ?React$Component<*, *>;
@@ -140,22 +202,50 @@ export default class Dropdown extends Component<Props, State> {
 
   id: string = this.props.id || `dropdown-${generateId()}`;
 
+  itemLoader: any;
+
   itemMatcher: any;
 
-  items: Items = getItems(this.props.data);
+  items: Items = getItems(this.props.data || ([]: Items));
+
+  componentDidMount() {
+    if (this.getControllableValue('isOpen')) {
+      this.loadItems();
+    }
+  }
 
   componentWillReceiveProps(nextProps: Props) {
     if (!deepEqual(this.props.data, nextProps.data)) {
-      this.items = getItems(nextProps.data);
+      this.items = getItems(this.getData(nextProps));
+    }
+
+    if (this.isControlled('isOpen')) {
+      if (nextProps.isOpen && !this.props.isOpen) {
+        this.loadItems(nextProps);
+      } else if (!nextProps.isOpen && this.props.isOpen) {
+        this.cancelLoadItems();
+      }
     }
   }
 
+  componentWillUnmount() {
+    this.itemLoader && this.itemLoader.cancel();
+  }
+
   render() {
     const {
+      cacheItems: ignoreCacheItems,
       children,
       data: ignoreData,
       item: ignoreItem,
+      keepOpenOnToggle: ignoreKeepOpenOnToggle,
+      loadErrorText: ignoreLoadErrorText,
+      loadItems: ignoreLoadItems,
+      loadingText: ignoreLoadingText,
       menu: ignoreMenu,
+      target: ignoreTarget,
+      typeAhead: ignoreTypeAhead,
+      virtualized: ignoreVirtualized,
       ...restProps
     } = this.props;
     const isOpen = this.getControllableValue('isOpen');
@@ -164,7 +254,7 @@ export default class Dropdown extends Component<Props, State> {
       ...restProps,
       id: this.id,
       isOpen,
-      onClose: this.close,
+      onClose: this.onRootClose,
       onOpen: this.open,
       content: this.renderContent,
       triggerRef: this.setTriggerRef
@@ -181,7 +271,10 @@ export default class Dropdown extends Component<Props, State> {
     return {
       state: {
         highlightedIndex: this.getControllableValue('highlightedIndex'),
-        isOpen: this.getControllableValue('isOpen')
+        isOpen: this.getControllableValue('isOpen'),
+        loadError: this.state.loadError,
+        loading: this.state.loading,
+        submenus: this.state.submenus
       },
       helpers: {
         close: this.close,
@@ -202,7 +295,7 @@ export default class Dropdown extends Component<Props, State> {
       tabIndex: ignoreTabIndex,
       ...restProps
     } = props;
-    const { modifiers, placement, wide } = this.props;
+    const { modifiers, placement, target, wide } = this.props;
 
     return {
       ...restProps,
@@ -210,18 +303,66 @@ export default class Dropdown extends Component<Props, State> {
       id: this.getContentId(),
       modifiers,
       placement,
+      target,
       wide
     };
   };
 
   renderContent: RenderFn = ({ props } = {}) => {
-    return <DropdownContent {...this.getContentProps(props)} />;
+    return (
+      <Fragment>
+        <DropdownContent {...this.getContentProps(props)} />
+        {this.state.submenus.map((submenu, index) =>
+          this.renderSubmenu(index + 1)
+        )}
+      </Fragment>
+    );
+  };
+
+  // Submenus are rendered beside, rather than within, the content, so that
+  // they aren't clipped by its scrolling
+  renderSubmenu = (level: number) => {
+    const { itemKey, modifiers, wide } = this.props;
+    const { index } = this.state.submenus[level - 1];
+    const item = this.getItemsAtLevel(level - 1)[index];
+
+    if (!item || !item.items) {
+      return null;
+    }
+
+    const itemId = this.getMenuItemId(this.getItemPath(level - 1, index));
+
+    return (
+      <DropdownSubmenu
+        id={this.getSubmenuId(level)}
+        key={level}
+        modifiers={modifiers}
+        target={global.document.getElementById(itemId)}
+        wide={wide}>
+        <Menu
+          aria-labelledby={itemId}
+          data={item.items}
+          id={this.getSubmenuMenuId(level)}
+          item={(props) => this.renderItem(({ ...props, level }: Object))}
+          itemKey={itemKey}
+          role="menu"
+        />
+      </DropdownSubmenu>
+    );
   };
 
   getContentId = () => {
     return `${this.id}-content`;
   };
 
+  getSubmenuId = (level: number) => {
+    return `${this.id}-submenu-${level}`;
+  };
+
+  getSubmenuMenuId = (level: number) => {
+    return `${this.getSubmenuId(level)}-menu`;
+  };
+
   getMenuId = () => {
     return `${this.id}-menu`;
   };
@@ -267,20 +408,35 @@ export default class Dropdown extends Component<Props, State> {
   };
 
   getMenuProps: PropGetter = (props = {}) => {
-    const { data, itemKey } = this.props;
+    const { itemKey, virtualized } = this.props;
 
     return {
       ...props,
       id: this.getMenuId(),
       itemKey,
-      data,
+      data: this.getData(),
       item: this.renderItem,
-      role: 'menu'
+      role: 'menu',
+      ...(virtualized
+        ? {
+            highlightedIndex: this.getControllableValue('highlightedIndex'),
+            virtualized
+          }
+        : {})
     };
   };
 
   renderMenu: RenderFn = ({ props } = {}) => {
-    const { menu } = this.props;
+    const { loadErrorText, loadingText, menu } = this.props;
+    const { loadError, loading } = this.state;
+
+    if (loading || loadError) {
+      return (
+        <DropdownStatus error={Boolean(loadError)}>
+          {loading ? loadingText : loadErrorText}
+        </DropdownStatus>
+      );
+    }
 
     if (isRenderProp(menu)) {
       return menu({
@@ -293,20 +449,45 @@ export default class Dropdown extends Component<Props, State> {
   };
 
   getItemProps: PropGetter = (props = {}) => {
-    const highlightedIndex = this.getControllableValue('highlightedIndex');
-    const { props: itemProps } = props;
+    const { level = 0, props: itemProps } = props;
     const { index, item } = itemProps;
+    const submenu = this.state.submenus[level];
+    const isSubmenuOpen = Boolean(
+      item.items && submenu && submenu.index === index
+    );
+    const isToggle =
+      item.role === 'menuitemcheckbox' || item.role === 'menuitemradio';
+
+    let onSelect = this.onItemClick;
+    if (item.items) {
+      onSelect = () => this.openSubmenu(level, index);
+    } else if (isToggle && this.props.keepOpenOnToggle) {
+      onSelect = this.focusTrigger;
+    }
 
     return {
       ...itemProps,
       ...item,
       'aria-disabled': this.props.disabled || item.disabled,
+      ...(item.items
+        ? {
+            'aria-expanded': isSubmenuOpen,
+            'aria-haspopup': true,
+            'aria-owns': isSubmenuOpen
+              ? this.getSubmenuMenuId(level + 1)
+              : undefined
+          }
+        : {}),
       children: item.text,
-      id: this.getMenuItemId(index),
-      isHighlighted: highlightedIndex === index,
-      role: 'menuitem',
+      id: this.getMenuItemId(this.getItemPath(level, index)),
+      isHighlighted:
+        isSubmenuOpen || this.getHighlightedIndexAtLevel(level) === index,
+      role: item.role || 'menuitem',
       tabIndex: null, // Unset tabIndex because we use arrow keys to navigate instead
-      onClick: composeEventHandlers(item.onClick, this.onItemClick)
+      onClick: composeEventHandlers(item.onClick, onSelect),
+      onMouseEnter: () => {
+        this.onItemMouseEnter(level, index, item);
+      }
     };
   };
 
@@ -324,15 +505,107 @@ export default class Dropdown extends Component<Props, State> {
     return <MenuItem {...this.getItemProps(props)} />;
   };
 
+  // The loaded data, if any, replaces the data prop
+  getData = (props: Props = this.props) => {
+    return (
+      (props.loadItems && this.state.loadedData) || props.data || ([]: Items)
+    );
+  };
+
+  loadItems = (props: Props = this.props) => {
+    const { cacheItems, loadItems } = props;
+
+    if (loadItems) {
+      this.itemLoader = this.itemLoader || new ItemLoader();
+      this.itemLoader.load(
+        loadItems,
+        '',
+        { cache: cacheItems },
+        ({ data, error, loading }) => {
+          if (data) {
+            this.items = getItems(data);
+          }
+          this.setState({
+            loadError: error,
+            loadedData: data || this.state.loadedData,
+            loading
+          });
+        }
+      );
+    }
+  };
+
+  cancelLoadItems = () => {
+    if (this.itemLoader) {
+      this.itemLoader.cancel();
+      this.state.loading && this.setState({ loading: false });
+    }
+  };
+
+  // The level of the menu in which keys navigate: the innermost submenu, unless
+  // it was opened by hovering and has no highlighted item, otherwise its parent
+  getActiveLevel = () => {
+    const { submenus } = this.state;
+    const submenu = submenus[submenus.length - 1];
+
+    return submenu && typeof submenu.highlightedIndex !== 'number'
+      ? submenus.length - 1
+      : submenus.length;
+  };
+
+  getItemsAtLevel = (level: number): Items => {
+    return this.state.submenus.slice(0, level).reduce((items, { index }) => {
+      const item = items[index];
+      return item && item.items ? getItems(item.items) : ([]: Items);
+    }, this.items);
+  };
+
+  getHighlightedIndexAtLevel = (level: number) => {
+    const submenu = this.state.submenus[level - 1];
+
+    return level === 0
+      ? this.getControllableValue('highlightedIndex')
+      : submenu && submenu.highlightedIndex;
+  };
+
+  // Indexes of the items leading to the item at the index in the menu at the
+  // level, which uniquely identify it
+  getItemPath = (level: number, index: number) => {
+    return this.state.submenus
+      .slice(0, level)
+      .map((submenu) => submenu.index)
+      .concat(index)
+      .join('-');
+  };
+
+  getHighlightedItem = () => {
+    const level = this.getActiveLevel();
+    const highlightedIndex = this.getHighlightedIndexAtLevel(level);
+
+    return typeof highlightedIndex === 'number'
+      ? this.getItemsAtLevel(level)[highlightedIndex]
+      : undefined;
+  };
+
   getHighlightedItemId = () => {
-    const highlightedIndex = this.getControllableValue('highlightedIndex');
+    const level = this.getActiveLevel();
+    const highlightedIndex = this.getHighlightedIndexAtLevel(level);
     return highlightedIndex !== undefined && highlightedIndex !== null
-      ? this.getMenuItemId(highlightedIndex)
+      ? this.getMenuItemId(this.getItemPath(level, highlightedIndex))
       : undefined;
   };
 
   hasHighlightedIndex = () => {
-    return this.getControllableValue('highlightedIndex') != undefined;
+    return this.getHighlightedIndexAtLevel(this.getActiveLevel()) != undefined;
+  };
+
+  isRtl = () => {
+    const node = findDOMNode(this); // eslint-disable-line react/no-find-dom-node
+    return Boolean(
+      node &&
+        node instanceof HTMLElement &&
+        window.getComputedStyle(node).direction === 'rtl'
+    );
   };
 
   onTriggerKeyUp = (event: SyntheticKeyboardEvent<>) => {
@@ -359,12 +632,29 @@ export default class Dropdown extends Component<Props, State> {
       this.highlightItemAtIndex(0);
     } else if (key === 'End' && isOpen) {
       event.preventDefault();
-      this.highlightItemAtIndex(this.items.length - 1);
+      this.highlightItemAtIndex(
+        this.getItemsAtLevel(this.getActiveLevel()).length - 1
+      );
+    } else if ((key === 'ArrowLeft' || key === 'ArrowRight') && isOpen) {
+      const isForward = (key === 'ArrowRight') !== this.isRtl();
+      const item = this.getHighlightedItem();
+
+      if (isForward && item && item.items && !item.disabled) {
+        event.preventDefault();
+        this.openHighlightedSubmenu();
+      } else if (!isForward && this.state.submenus.length) {
+        event.preventDefault();
+        this.closeSubmenu();
+      }
     } else if (key === 'Enter' || key === ' ') {
+      const item = this.getHighlightedItem();
+
       event.preventDefault();
       isOpen
         ? this.hasHighlightedIndex()
-          ? this.clickHighlightedItem()
+          ? item && item.items
+            ? !item.disabled && this.openHighlightedSubmenu()
+            : this.clickHighlightedItem()
           : this.close(event)
         : this.open(event);
     } else if (isOpen) {
@@ -373,54 +663,127 @@ export default class Dropdown extends Component<Props, State> {
   };
 
   findItemMatchingKey = (key: string) => {
+    const level = this.getActiveLevel();
+
     this.itemMatcher = this.itemMatcher || new ItemMatcher();
     return this.itemMatcher.findMatchingItem(
-      this.items,
-      this.getControllableValue('highlightedIndex'),
-      key
+      this.getItemsAtLevel(level),
+      this.getHighlightedIndexAtLevel(level),
+      key,
+      this.props.typeAhead
     );
   };
 
   highlightItemMatchingKey = (key: string) => {
     const matchingItem = this.findItemMatchingKey(key);
-    matchingItem && this.highlightItemAtIndex(this.items.indexOf(matchingItem));
+    matchingItem &&
+      this.highlightItemAtIndex(
+        this.getItemsAtLevel(this.getActiveLevel()).indexOf(matchingItem)
+      );
   };
 
-  highlightItemAtIndex = (index: number) => {
-    if (!this.isControlled('highlightedIndex')) {
-      this.setState(
-        { highlightedIndex: index },
-        this.scrollHighlightedItemIntoViewIfNeeded
-      );
-    }
+  highlightItemAtIndex = (
+    index: number,
+    level: number = this.getActiveLevel()
+  ) => {
+    this.setHighlightedIndex(level, index);
   };
 
   highlightNextItem = () => {
-    if (!this.isControlled('highlightedIndex')) {
-      this.setState(
-        (prevState) => ({
-          highlightedIndex:
-            prevState.highlightedIndex === null ||
-            prevState.highlightedIndex === undefined ||
-            prevState.highlightedIndex === this.items.length - 1
-              ? 0
-              : prevState.highlightedIndex + 1
-        }),
-        this.scrollHighlightedItemIntoViewIfNeeded
-      );
-    }
+    const level = this.getActiveLevel();
+    const highlightedIndex = this.getHighlightedIndexAtLevel(level);
+
+    this.highlightItemAtIndex(
+      highlightedIndex === null ||
+      highlightedIndex === undefined ||
+      highlightedIndex === this.getItemsAtLevel(level).length - 1
+        ? 0
+        : highlightedIndex + 1,
+      level
+    );
   };
 
   highlightPreviousItem = () => {
-    if (!this.isControlled('highlightedIndex')) {
-      this.setState(
-        (prevState) => ({
-          highlightedIndex: !prevState.highlightedIndex
-            ? this.items.length - 1
-            : prevState.highlightedIndex - 1
-        }),
-        this.scrollHighlightedItemIntoViewIfNeeded
-      );
+    const level = this.getActiveLevel();
+    const highlightedIndex = this.getHighlightedIndexAtLevel(level);
+
+    this.highlightItemAtIndex(
+      !highlightedIndex
+        ? this.getItemsAtLevel(level).length - 1
+        : highlightedIndex - 1,
+      level
+    );
+  };
+
+  // Highlights the item at the index in the menu at the level, closing any
+  // submenus beneath that menu, or opening the given submenu in their place.
+  // The highlighted index of the top-level menu may be controlled; those of
+  // submenus are not.
+  setHighlightedIndex = (level: number, index: ?number, submenu?: Submenu) => {
+    if (level === 0 && this.isControlled('highlightedIndex') && !submenu) {
+      this.state.submenus.length && this.setState({ submenus: [] });
+      return;
+    }
+
+    this.setState((prevState) => {
+      const submenus = prevState.submenus.slice(0, level);
+
+      if (level > 0) {
+        submenus[level - 1] = {
+          ...submenus[level - 1],
+          highlightedIndex: index
+        };
+      }
+
+      return {
+        ...(level === 0 && !this.isControlled('highlightedIndex')
+          ? { highlightedIndex: index }
+          : {}),
+        submenus: submenu ? submenus.concat(submenu) : submenus
+      };
+    }, this.scrollHighlightedItemIntoViewIfNeeded);
+  };
+
+  openSubmenu = (
+    level: number,
+    index: number,
+    highlightedIndex: ?number = null
+  ) => {
+    const submenu = this.state.submenus[level];
+
+    if (!submenu || submenu.index !== index) {
+      this.setHighlightedIndex(level, index, { highlightedIndex, index });
+    } else if (typeof highlightedIndex === 'number') {
+      this.highlightItemAtIndex(highlightedIndex, level + 1);
+    }
+  };
+
+  // Opens the submenu of the highlighted item, highlighting its first item
+  openHighlightedSubmenu = () => {
+    const level = this.getActiveLevel();
+    const highlightedIndex = this.getHighlightedIndexAtLevel(level);
+
+    typeof highlightedIndex === 'number' &&
+      this.openSubmenu(level, highlightedIndex, 0);
+  };
+
+  // Closes the submenu containing the highlighted item, or the innermost
+  // submenu, if opened by hovering, returning the highlight to its parent item
+  closeSubmenu = () => {
+    const { submenus } = this.state;
+    const level = Math.max(this.getActiveLevel() - 1, 0);
+    const submenu = submenus[level];
+
+    submenu && this.setHighlightedIndex(level, submenu.index);
+  };
+
+  onItemMouseEnter = (level: number, index: number, item: Item) => {
+    if (item.items && !item.disabled) {
+      this.openSubmenu(level, index);
+    } else if (this.state.submenus.length > level) {
+      this.setState((prevState) => ({
+        submenus: prevState.submenus.slice(0, level)
+      }));
     }
   };
 
@@ -446,6 +809,7 @@ export default class Dropdown extends Component<Props, State> {
     if (this.isControlled('isOpen')) {
       this.openActions(event);
     } else {
+      this.loadItems();
       this.setState(
         () => ({ isOpen: true }),
         () => {
@@ -460,14 +824,40 @@ export default class Dropdown extends Component<Props, State> {
     this.props.onOpen && this.props.onOpen(event);
   };
 
+  // Escape closes only the innermost submenu, if any. Submenus are not within
+  // the content when rendered to a Portal, so clicks in them are disregarded.
+  onRootClose = (event: SyntheticEvent<>) => {
+    const { key, target } = (event: Object);
+
+    if (key === 'Escape' && this.state.submenus.length) {
+      this.closeSubmenu();
+    } else if (!this.isWithinSubmenu(target)) {
+      this.close(event);
+    }
+  };
+
+  isWithinSubmenu = (target: mixed) => {
+    return (
+      target instanceof Node &&
+      this.state.submenus.some((submenu, index) => {
+        const node = global.document.getElementById(
+          this.getSubmenuId(index + 1)
+        );
+        return node && node.contains(target);
+      })
+    );
+  };
+
   close = (event: SyntheticEvent<>) => {
     if (!this.isControlled('highlightedIndex')) {
       this.setState({ highlightedIndex: null });
     }
+    this.state.submenus.length && this.setState({ submenus: [] });
 
     if (this.isControlled('isOpen')) {
       this.closeActions(event);
     } else {
+      this.cancelLoadItems();
       this.setState(
         () => ({ isOpen: false }),
         () => {
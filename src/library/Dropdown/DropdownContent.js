@@ -20,6 +20,11 @@ type Props = {
     | 'right-start'
     | 'top-end'
     | 'top-start',
+  /**
+   * Element, or virtual element, beside which to position the content, if not
+   * the trigger
+   */
+  target?: ?Object,
   /** Display a wider dropdown menu */
   wide?: boolean
 };
@@ -84,9 +89,10 @@ export default class DropdownContent extends Component<Props> {
     return (
       <Root {...rootProps}>
         {({ popperProps, restProps }) => {
+          const { target: ignoreTarget, ...wrapperRestProps } = restProps;
           const wrapperProps = {
             ...popperProps,
-            ...restProps
+            ...wrapperRestProps
           };
 
           return <div {...wrapperProps}>{children}</div>;
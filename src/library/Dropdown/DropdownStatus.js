@@ -0,0 +1,59 @@
+/* @flow */
+import React, { Component } from 'react';
+import { createStyledComponent } from '../styles';
+
+type Props = {
+  /** Rendered content of the component */
+  children?: React$Node,
+  /** Announces the status immediately, rather than politely */
+  error?: boolean
+};
+
+export const componentTheme = (baseTheme: Object) => ({
+  DropdownStatus_color: baseTheme.color_mouse,
+  DropdownStatus_color_error: baseTheme.color_danger,
+  DropdownStatus_fontSize: baseTheme.fontSize_ui,
+  DropdownStatus_padding: `${baseTheme.space_inset_sm} ${
+    baseTheme.space_inset_md
+  }`,
+
+  ...baseTheme
+});
+
+const Root = createStyledComponent(
+  'div',
+  ({ error, theme: baseTheme }) => {
+    const theme = componentTheme(baseTheme);
+
+    return {
+      color: error
+        ? theme.DropdownStatus_color_error
+        : theme.DropdownStatus_color,
+      fontSize: theme.DropdownStatus_fontSize,
+      padding: theme.DropdownStatus_padding
+    };
+  },
+  {
+    displayName: 'DropdownStatus',
+    filterProps: ['error']
+  }
+);
+
+/**
+ * DropdownStatus is rendered in place of the menu of a Dropdown or Select while
+ * its items are loading, or when there are none to display
+ */
+export default class DropdownStatus extends Component<Props> {
+  render() {
+    const { error, ...restProps } = this.props;
+
+    return (
+      <Root
+        aria-live={error ? 'assertive' : 'polite'}
+        error={error}
+        role={error ? 'alert' : 'status'}
+        {...restProps}
+      />
+    );
+  }
+}
@@ -0,0 +1,34 @@
+/* @flow */
+import React from 'react';
+import { withTheme } from '../themes';
+import DropdownContent from './DropdownContent';
+
+type Props = {
+  /** Menu of the submenu */
+  children: React$Node,
+  /** Id of the submenu */
+  id: string,
+  /** Plugins that are used to alter behavior. See https://popper.js.org/popper-documentation.html#modifiers */
+  modifiers?: Object,
+  /** Item which opened the submenu */
+  target: ?HTMLElement,
+  /** Theme */
+  theme: Object,
+  /** Display a wider submenu */
+  wide?: boolean
+};
+
+/**
+ * DropdownSubmenu cascades from the item which opened it, toward the end of the
+ * line in either direction
+ */
+function DropdownSubmenu({ theme, ...restProps }: Props) {
+  const rootProps = {
+    placement: theme.direction === 'rtl' ? 'left-start' : 'right-start',
+    ...restProps
+  };
+
+  return <DropdownContent {...rootProps} />;
+}
+
+export default withTheme(DropdownSubmenu);
@@ -0,0 +1,109 @@
+/* @flow */
+import type { Items, ItemGroups } from '../Menu/Menu';
+
+export type LoadItems = (
+  query: string,
+  options: { signal?: Object }
+) => Promise<Items | ItemGroups>;
+
+type Result = {
+  data?: Items | ItemGroups,
+  error?: Error,
+  loading: boolean
+};
+
+type Options = {
+  /** Reuses the items loaded previously for the same query */
+  cache?: boolean,
+  /** Milliseconds to wait, without another load, before loading */
+  delay?: number
+};
+
+/**
+ * ItemLoader loads the items of a Dropdown or Select, for a query. Only the
+ * result of the latest load is reported; earlier loads are cancelled.
+ */
+export default class ItemLoader {
+  abortController: ?Object;
+
+  cache: { [query: string]: Items | ItemGroups } = {};
+
+  loadTimer: any;
+
+  requestId: number = 0;
+
+  load = (
+    loadItems: LoadItems,
+    query: string,
+    options: Options,
+    callback: (result: Result) => void
+  ) => {
+    const { cache, delay = 0 } = options;
+
+    this.cancel();
+
+    if (cache && this.cache.hasOwnProperty(query)) {
+      callback({ data: this.cache[query], loading: false });
+      return;
+    }
+
+    const requestId = this.requestId;
+    const isCurrent = () => requestId === this.requestId;
+
+    callback({ loading: true });
+
+    this.loadTimer = global.setTimeout(() => {
+      this.loadTimer = null;
+      this.abortController =
+        typeof global.AbortController === 'function'
+          ? new global.AbortController()
+          : null;
+
+      const signal = this.abortController
+        ? this.abortController.signal
+        : undefined;
+
+      // Also reports an error thrown by, or a value returned (rather than a
+      // Promise) from, loadItems
+      let request;
+      try {
+        request = Promise.resolve(loadItems(query, { signal }));
+      } catch (error) {
+        request = Promise.reject(error);
+      }
+
+      request.then(
+        (data) => {
+          if (isCurrent()) {
+            this.abortController = null;
+            if (cache) {
+              this.cache[query] = data;
+            }
+            callback({ data, loading: false });
+          }
+        },
+        (error) => {
+          if (isCurrent()) {
+            this.abortController = null;
+            callback({ error, loading: false });
+          }
+        }
+      );
+    }, delay);
+  };
+
+  // Results of pending loads are ignored, and they're aborted if supported
+  cancel = () => {
+    if (this.loadTimer) {
+      global.clearTimeout(this.loadTimer);
+      this.loadTimer = null;
+    }
+
+    if (this.abortController) {
+      this.abortController.abort();
+      this.abortController = null;
+    }
+
+    this.requestId += 1;
+  };
+}
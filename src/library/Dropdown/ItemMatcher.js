@@ -1,6 +1,63 @@
 /* @flow */
 import type { Item, Items } from '../Menu/Menu';
 
+/**
+ * Determines if the text of an item matches the typed keys. Both are
+ * normalized, i.e. lower-cased and stripped of diacritics.
+ */
+export type MatchFn = (text: string, keys: string) => boolean;
+
+export type Options = {
+  /**
+   * Strategy with which to match the typed keys to the text of an item:
+   * 'prefix' (default), 'substring', 'fuzzy' (keys appear in order, but not
+   * necessarily adjacent), or a custom function
+   */
+  match?: 'fuzzy' | 'prefix' | 'substring' | MatchFn,
+  /** Also match the typed keys to the `secondaryText` of items */
+  matchSecondaryText?: boolean,
+  /** Time (in ms) after the last key press before the typed keys are reset */
+  resetDelay?: number
+};
+
+const DEFAULT_RESET_DELAY = 500;
+
+const matchFns: { [strategy: string]: MatchFn } = {
+  fuzzy: (text, keys) => {
+    let position = -1;
+    for (let index = 0; index < keys.length; index++) {
+      position = text.indexOf(keys[index], position + 1);
+      if (position === -1) {
+        return false;
+      }
+    }
+    return true;
+  },
+  prefix: (text, keys) => text.indexOf(keys) === 0,
+  substring: (text, keys) => text.indexOf(keys) !== -1
+};
+
+// Decompose accented characters and drop the combining marks, so that e.g. "é"
+// matches "e"
+export const normalize = (text: string) =>
+  (typeof text.normalize === 'function'
+    ? text.normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    : text
+  ).toLowerCase();
+
+// An item's `matchText` takes precedence over its (possibly non-string) `text`
+const getMatchableTexts = (item: Item, options: Options): Array<string> => {
+  const { matchText, secondaryText, text } = item;
+  const texts =
+    matchText !== undefined
+      ? [matchText]
+      : [text, options.matchSecondaryText ? secondaryText : undefined];
+
+  return texts
+    .filter((text) => text && typeof text === 'string')
+    .map((text) => normalize((text: any)));
+};
+
 export default class ItemMatcher {
   keys: string = '';
 
@@ -8,20 +65,29 @@ export default class ItemMatcher {
 
   searchIndex: number;
 
-  findMatchingItem = (items: Items, highlightedIndex: ?number, key: string) => {
+  findMatchingItem = (
+    items: Items,
+    highlightedIndex: ?number,
+    key: string,
+    options?: Options = {}
+  ) => {
     if (!this.isMatchableCharacter(key)) {
       return;
     }
 
     this.searchIndex =
-      highlightedIndex === undefined ? 0 : highlightedIndex + 1;
+      typeof highlightedIndex === 'number' ? highlightedIndex + 1 : 0;
 
     this.keys += key;
-    this.resetKeysAfterDelay();
+    this.resetKeysAfterDelay(options.resetDelay);
 
     const match =
-      this.findMatchingItemInRange(items, this.searchIndex, items.length) ||
-      this.findMatchingItemInRange(items, 0, this.searchIndex);
+      this.findMatchingItemInRange(
+        items,
+        this.searchIndex,
+        items.length,
+        options
+      ) || this.findMatchingItemInRange(items, 0, this.searchIndex, options);
 
     return match;
   };
@@ -29,22 +95,23 @@ export default class ItemMatcher {
   findMatchingItemInRange = (
     items: Array<Item>,
     start: number,
-    end: number
+    end: number,
+    options?: Options = {}
   ) => {
-    const keys = this.keys.toLowerCase();
+    const keys = normalize(this.keys);
+    const { match } = options;
+    const matchFn =
+      typeof match === 'function' ? match : matchFns[match || 'prefix'];
+
     for (let index = start; index < end; index++) {
-      const { text } = items[index];
-      if (
-        text &&
-        typeof text === 'string' &&
-        text.toLowerCase().indexOf(keys) === 0
-      ) {
+      const texts = getMatchableTexts(items[index], options);
+      if (texts.some((text) => matchFn(text, keys))) {
         return items[index];
       }
     }
   };
 
-  resetKeysAfterDelay = () => {
+  resetKeysAfterDelay = (resetDelay?: number = DEFAULT_RESET_DELAY) => {
     if (this.keysTimer) {
       global.clearTimeout(this.keysTimer);
       this.keysTimer = null;
@@ -53,7 +120,7 @@ export default class ItemMatcher {
     this.keysTimer = global.setTimeout(() => {
       this.keys = '';
       this.keysTimer = null;
-    }, 500);
+    }, resetDelay);
   };
 
   // Exclude standalone modifier keys, but allow use as combinator
@@ -43,13 +43,13 @@ const shallowDropdown = (props = {}) => {
   return shallow(<Dropdown {...dropdownProps} />);
 };
 
-const mountDropdown = (props = {}) => {
+const mountDropdown = (props = {}, options) => {
   const dropdownProps = {
     ...defaultProps,
     ...props
   };
 
-  return mountInThemeProvider(<Dropdown {...dropdownProps} />);
+  return mountInThemeProvider(<Dropdown {...dropdownProps} />, options);
 };
 
 const findMenuItems = (wrapper) => {
@@ -83,7 +83,9 @@ const assertNoItemsHighlighted = (themeProvider) => {
 };
 
 describe('Dropdown', () => {
-  testDemoExamples(examples);
+  testDemoExamples(examples, {
+    exclude: ['virtualized']
+  });
 
   describe('renders', () => {
     it('root', () => {
@@ -494,6 +496,19 @@ describe('Dropdown', () => {
 
           assertItemAtIndexIsHighlighted(themeProvider, 0);
         });
+
+        it('highlights item matching with typeAhead options', () => {
+          [themeProvider, dropdown] = mountDropdown({
+            defaultIsOpen: true,
+            typeAhead: { match: 'substring' }
+          });
+          dropdown
+            .find(DropdownTrigger)
+            .find('button')
+            .simulate('keydown', { key: '2' });
+
+          assertItemAtIndexIsHighlighted(themeProvider, 1);
+        });
       });
     });
 
@@ -548,4 +563,329 @@ describe('Dropdown', () => {
       });
     });
   });
+
+  describe('checkable items', () => {
+    let checkableData: Items, dropdown, themeProvider;
+
+    const clickItem = () => {
+      findMenuItems(themeProvider)
+        .first()
+        .find('[role="menuitemcheckbox"]')
+        .hostNodes()
+        .simulate('click');
+    };
+
+    beforeEach(() => {
+      checkableData = [
+        {
+          checked: true,
+          onClick: jest.fn(),
+          role: 'menuitemcheckbox',
+          text: 'option 1'
+        },
+        { checked: false, role: 'menuitemradio', text: 'option 2' }
+      ];
+    });
+
+    it('renders the role and checked state of the items', () => {
+      [themeProvider] = mountDropdown({
+        data: checkableData,
+        defaultIsOpen: true
+      });
+      const items = themeProvider.find('[aria-checked]').hostNodes();
+
+      expect(
+        items.map((item) => [item.prop('role'), item.prop('aria-checked')])
+      ).toEqual([['menuitemcheckbox', true], ['menuitemradio', false]]);
+    });
+
+    it('closes when an item is toggled', () => {
+      [themeProvider, dropdown] = mountDropdown({
+        data: checkableData,
+        defaultIsOpen: true
+      });
+      clickItem();
+
+      expect(checkableData[0].onClick).toHaveBeenCalled();
+      expect(dropdown.instance().state.isOpen).toEqual(false);
+    });
+
+    it('stays open when an item is toggled, with keepOpenOnToggle', () => {
+      [themeProvider, dropdown] = mountDropdown(
+        {
+          data: checkableData,
+          defaultIsOpen: true,
+          keepOpenOnToggle: true
+        },
+        { attachToDom: true }
+      );
+      clickItem();
+
+      expect(checkableData[0].onClick).toHaveBeenCalled();
+      expect(dropdown.instance().state.isOpen).toEqual(true);
+      assertTriggerHasFocus(dropdown.find(DropdownTrigger));
+
+      themeProvider.destroy();
+    });
+  });
+
+  describe('submenus', () => {
+    let dropdown, themeProvider;
+
+    const submenuData: Items = [
+      { text: 'item 1' },
+      {
+        text: 'more',
+        items: [
+          { text: 'sub item 1', onClick: jest.fn() },
+          { text: 'sub item 2', items: [{ text: 'nested item' }] }
+        ]
+      }
+    ];
+
+    const pressKey = (key) => {
+      dropdown
+        .find(DropdownTrigger)
+        .find('button')
+        .simulate('keydown', { key });
+    };
+
+    const findItem = (text) => {
+      themeProvider.update();
+      return findMenuItems(themeProvider).filterWhere(
+        (menuItem) => menuItem.props().children === text
+      );
+    };
+
+    const getActiveDescendant = () => {
+      themeProvider.update();
+      return themeProvider
+        .find(DropdownTrigger)
+        .find('button')
+        .prop('aria-activedescendant');
+    };
+
+    const getSubmenuCount = () => {
+      themeProvider.update();
+      return themeProvider.find(DropdownContent).length - 1;
+    };
+
+    beforeEach(() => {
+      [themeProvider, dropdown] = mountDropdown(
+        { data: submenuData, defaultIsOpen: true },
+        { attachToDom: true }
+      );
+    });
+
+    afterEach(() => {
+      themeProvider.destroy();
+    });
+
+    it('marks items which have a submenu', () => {
+      const item = findItem('more');
+
+      expect(item.props()['aria-haspopup']).toEqual(true);
+      expect(item.props()['aria-expanded']).toEqual(false);
+    });
+
+    it('opens the submenu of the highlighted item when Right arrow is pressed', () => {
+      pressKey('End');
+      pressKey('ArrowRight');
+
+      expect(getSubmenuCount()).toEqual(1);
+      expect(findItem('more').props()['aria-expanded']).toEqual(true);
+      expect(findItem('sub item 1').props().isHighlighted).toEqual(true);
+      expect(getActiveDescendant()).toMatch(/^dropdown-\d+-item-1-0$/);
+    });
+
+    it('opens the submenu of the highlighted item when Enter is pressed', () => {
+      pressKey('End');
+      pressKey('Enter');
+
+      expect(getSubmenuCount()).toEqual(1);
+      expect(dropdown.instance().state.isOpen).toEqual(true);
+    });
+
+    it('opens nested submenus', () => {
+      pressKey('End');
+      pressKey('ArrowRight');
+      pressKey('End');
+      pressKey('ArrowRight');
+
+      expect(getSubmenuCount()).toEqual(2);
+      expect(getActiveDescendant()).toMatch(/^dropdown-\d+-item-1-1-0$/);
+    });
+
+    it('navigates the items of the submenu', () => {
+      pressKey('End');
+      pressKey('ArrowRight');
+      pressKey('ArrowDown');
+
+      expect(findItem('sub item 2').props().isHighlighted).toEqual(true);
+      expect(findItem('item 1').props().isHighlighted).toEqual(false);
+    });
+
+    it('closes the submenu when Left arrow is pressed', () => {
+      pressKey('End');
+      pressKey('ArrowRight');
+      pressKey('ArrowLeft');
+
+      expect(getSubmenuCount()).toEqual(0);
+      expect(getActiveDescendant()).toMatch(/^dropdown-\d+-item-1$/);
+    });
+
+    it('closes only the submenu when Escape is pressed', () => {
+      pressKey('End');
+      pressKey('ArrowRight');
+      document.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape' }));
+
+      expect(getSubmenuCount()).toEqual(0);
+      expect(dropdown.instance().state.isOpen).toEqual(true);
+    });
+
+    it('swaps the arrow keys in RTL', () => {
+      const getComputedStyle = jest
+        .spyOn(window, 'getComputedStyle')
+        .mockImplementation(() => ({ direction: 'rtl' }));
+
+      pressKey('End');
+      pressKey('ArrowRight');
+      expect(getSubmenuCount()).toEqual(0);
+
+      pressKey('ArrowLeft');
+      expect(getSubmenuCount()).toEqual(1);
+
+      getComputedStyle.mockRestore();
+    });
+
+    it('opens the submenu when its item is hovered', () => {
+      findItem('more')
+        .find('[role="menuitem"]')
+        .hostNodes()
+        .simulate('mouseenter');
+
+      expect(getSubmenuCount()).toEqual(1);
+      expect(findItem('sub item 1').props().isHighlighted).toEqual(false);
+    });
+
+    it('closes the submenu when another item is hovered', () => {
+      findItem('more')
+        .find('[role="menuitem"]')
+        .hostNodes()
+        .simulate('mouseenter');
+      findItem('item 1')
+        .find('[role="menuitem"]')
+        .hostNodes()
+        .simulate('mouseenter');
+
+      expect(getSubmenuCount()).toEqual(0);
+    });
+
+    it('selects an item of the submenu', () => {
+      pressKey('End');
+      pressKey('ArrowRight');
+      findItem('sub item 1')
+        .find('[role="menuitem"]')
+        .hostNodes()
+        .simulate('click');
+
+      expect(
+        submenuData[1].items && submenuData[1].items[0].onClick
+      ).toHaveBeenCalled();
+      expect(dropdown.instance().state.isOpen).toEqual(false);
+      expect(dropdown.instance().state.submenus).toEqual([]);
+    });
+  });
+
+  describe('async', () => {
+    let dropdown, loadItems, themeProvider;
+
+    const toggle = () => {
+      dropdown
+        .find(DropdownTrigger)
+        .find('button')
+        .simulate('click');
+    };
+
+    const getItemTexts = () =>
+      findMenuItems(themeProvider).map((item) => item.props().children);
+
+    const loadedData = async () => {
+      jest.runAllTimers();
+      await Promise.resolve();
+      themeProvider.update();
+    };
+
+    beforeEach(() => {
+      jest.useFakeTimers();
+      const loadedItems: Items = [{ text: 'loaded item' }];
+      loadItems = jest.fn(() => Promise.resolve(loadedItems));
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    it('loads the items each time it is opened', async () => {
+      [themeProvider, dropdown] = mountDropdown({ data: undefined, loadItems });
+      toggle();
+
+      expect(
+        themeProvider
+          .find('[role="status"]')
+          .hostNodes()
+          .text()
+      ).toEqual('Loading...');
+
+      await loadedData();
+      expect(getItemTexts()).toEqual(['loaded item']);
+
+      toggle();
+      toggle();
+      await loadedData();
+      expect(loadItems).toHaveBeenCalledTimes(2);
+    });
+
+    it('loads the items once when cacheItems', async () => {
+      [themeProvider, dropdown] = mountDropdown({
+        cacheItems: true,
+        data: undefined,
+        loadItems
+      });
+      toggle();
+      await loadedData();
+      toggle();
+      toggle();
+
+      expect(loadItems).toHaveBeenCalledTimes(1);
+      expect(getItemTexts()).toEqual(['loaded item']);
+    });
+
+    it('loads the items when opened by its controller', async () => {
+      [themeProvider, dropdown] = mountDropdown({ isOpen: false, loadItems });
+      themeProvider.setProps({
+        children: <Dropdown {...defaultProps} isOpen loadItems={loadItems} />
+      });
+
+      await loadedData();
+      expect(loadItems).toHaveBeenCalledTimes(1);
+      expect(getItemTexts()).toEqual(['loaded item']);
+    });
+
+    it('renders a message when loading fails', async () => {
+      loadItems = jest.fn(() => Promise.reject(new Error()));
+      [themeProvider, dropdown] = mountDropdown({
+        defaultIsOpen: true,
+        loadItems
+      });
+
+      await loadedData();
+      expect(
+        themeProvider
+          .find('[role="alert"]')
+          .hostNodes()
+          .text()
+      ).toEqual('Items could not be loaded');
+    });
+  });
 });
@@ -0,0 +1,113 @@
+/* @flow */
+import ItemLoader from '../ItemLoader';
+
+import type { Items } from '../../Menu/Menu';
+
+const items: Items = [{ text: 'item' }];
+
+describe('ItemLoader', () => {
+  let callback, itemLoader;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    callback = jest.fn();
+    itemLoader = new ItemLoader();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  describe('#load', () => {
+    it('reports loading, then the loaded items, after the delay', async () => {
+      const loadItems = jest.fn(() => Promise.resolve(items));
+      itemLoader.load(loadItems, 'query', { delay: 100 }, callback);
+
+      expect(callback).toHaveBeenLastCalledWith({ loading: true });
+      jest.runTimersToTime(99);
+      expect(loadItems).not.toHaveBeenCalled();
+
+      jest.runTimersToTime(1);
+      await Promise.resolve();
+      expect(loadItems).toHaveBeenCalledWith('query', expect.any(Object));
+      expect(callback).toHaveBeenLastCalledWith({
+        data: items,
+        loading: false
+      });
+    });
+
+    it('reports the error when loading fails', async () => {
+      const error = new Error();
+      itemLoader.load(() => Promise.reject(error), '', {}, callback);
+
+      jest.runAllTimers();
+      await Promise.resolve();
+      expect(callback).toHaveBeenLastCalledWith({ error, loading: false });
+    });
+
+    it('reports the error thrown by loadItems', async () => {
+      const error = new Error();
+      const loadItems: any = () => {
+        throw error;
+      };
+      itemLoader.load(loadItems, '', {}, callback);
+
+      jest.runAllTimers();
+      await Promise.resolve();
+      expect(callback).toHaveBeenLastCalledWith({ error, loading: false });
+    });
+
+    it('reports the items returned by loadItems, rather than a Promise', async () => {
+      const loadItems: any = () => items;
+      itemLoader.load(loadItems, '', {}, callback);
+
+      jest.runAllTimers();
+      await Promise.resolve();
+      expect(callback).toHaveBeenLastCalledWith({
+        data: items,
+        loading: false
+      });
+    });
+
+    it('reports only the result of the latest load', async () => {
+      itemLoader.load(() => Promise.resolve(([]: Items)), 'a', {}, callback);
+      jest.runAllTimers();
+      itemLoader.load(() => Promise.resolve(items), 'b', {}, callback);
+      jest.runAllTimers();
+
+      await Promise.resolve();
+      expect(callback).toHaveBeenCalledTimes(3);
+      expect(callback).toHaveBeenLastCalledWith({
+        data: items,
+        loading: false
+      });
+    });
+
+    it('reuses the loaded items for a query when caching', async () => {
+      const loadItems = jest.fn(() => Promise.resolve(items));
+      itemLoader.load(loadItems, 'query', { cache: true }, callback);
+      jest.runAllTimers();
+      await Promise.resolve();
+      itemLoader.load(loadItems, 'query', { cache: true }, callback);
+
+      expect(loadItems).toHaveBeenCalledTimes(1);
+      expect(callback).toHaveBeenLastCalledWith({
+        data: items,
+        loading: false
+      });
+    });
+  });
+
+  describe('#cancel', () => {
+    it('prevents a pending load from being reported', async () => {
+      const loadItems = jest.fn(() => Promise.resolve(items));
+      itemLoader.load(loadItems, '', {}, callback);
+      itemLoader.cancel();
+
+      jest.runAllTimers();
+      await Promise.resolve();
+      expect(loadItems).not.toHaveBeenCalled();
+      expect(callback).toHaveBeenCalledTimes(1);
+    });
+  });
+});
@@ -1,4 +1,5 @@
 /* @flow */
+import React from 'react';
 import ItemMatcher from '../ItemMatcher';
 import { statesData as items } from '../../../website/app/demos/Select/components/selectData';
 
@@ -66,5 +67,110 @@ describe('ItemMatcher', () => {
 
       expect(item).toBeUndefined();
     });
+
+    it('ignores accents', () => {
+      const itemMatcher = new ItemMatcher();
+      const accentedItems = [{ text: 'Ángel' }, { text: 'Émilie' }];
+      const item = itemMatcher.findMatchingItem(accentedItems, undefined, 'e');
+
+      expect(item && item.text).toEqual('Émilie');
+    });
+
+    it('ignores accents in the typed keys', () => {
+      const itemMatcher = new ItemMatcher();
+      const item = itemMatcher.findMatchingItem(items, undefined, 'ó');
+
+      expect(item && item.text).toEqual('Ohio');
+    });
+
+    it('matches matchText in place of text', () => {
+      const itemMatcher = new ItemMatcher();
+      const customItems = [
+        { text: 'Alpha', matchText: 'Zulu' },
+        { text: <strong>Alpha</strong>, matchText: 'Alpha' }
+      ];
+      const item = itemMatcher.findMatchingItem(customItems, undefined, 'a');
+
+      expect(item).toBe(customItems[1]);
+    });
+
+    describe('with options', () => {
+      const findMatchingItemForKeys = (keys, options) => {
+        const itemMatcher = new ItemMatcher();
+        let item;
+
+        jest.useFakeTimers();
+        keys.split('').forEach((key) => {
+          item = itemMatcher.findMatchingItem(items, undefined, key, options);
+        });
+        jest.runAllTimers();
+
+        return item;
+      };
+
+      it('matches by substring', () => {
+        const item = findMatchingItemForKeys('xas', { match: 'substring' });
+
+        expect(item && item.text).toEqual('Texas');
+      });
+
+      it('matches fuzzily', () => {
+        const item = findMatchingItemForKeys('nwmx', { match: 'fuzzy' });
+
+        expect(item && item.text).toEqual('New Mexico');
+      });
+
+      it('matches with a custom function', () => {
+        const match = jest.fn(
+          (text, keys) => text.slice(-keys.length) === keys
+        );
+        const item = findMatchingItemForKeys('ming', { match });
+
+        expect(item && item.text).toEqual('Wyoming');
+        expect(match).toHaveBeenCalledWith('alabama', 'm');
+      });
+
+      it('matches secondaryText', () => {
+        const secondaryItems = [
+          { text: 'Alpha', secondaryText: 'First' },
+          { text: 'Bravo', secondaryText: 'Second' }
+        ];
+        const itemMatcher = new ItemMatcher();
+        const withoutOption = itemMatcher.findMatchingItem(
+          secondaryItems,
+          undefined,
+          's'
+        );
+        itemMatcher.keys = '';
+        const withOption = itemMatcher.findMatchingItem(
+          secondaryItems,
+          undefined,
+          's',
+          { matchSecondaryText: true }
+        );
+
+        expect(withoutOption).toBeUndefined();
+        expect(withOption).toBe(secondaryItems[1]);
+      });
+
+      it('resets the typed keys after resetDelay', () => {
+        const itemMatcher = new ItemMatcher();
+        const options = { resetDelay: 1000 };
+        let item;
+
+        jest.useFakeTimers();
+        itemMatcher.findMatchingItem(items, undefined, 'n', options);
+        jest.runTimersToTime(500);
+        item = itemMatcher.findMatchingItem(items, undefined, 'e', options);
+
+        expect(item && item.text).toEqual('Nebraska');
+
+        jest.runTimersToTime(1000);
+        item = itemMatcher.findMatchingItem(items, undefined, 'o', options);
+        jest.runAllTimers();
+
+        expect(item && item.text).toEqual('Ohio');
+      });
+    });
   });
 });
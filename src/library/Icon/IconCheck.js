@@ -0,0 +1,29 @@
+/* @flow */
+import React from 'react';
+import Icon from 'mineral-ui/Icon';
+
+type Props = {
+  size?: string | 'small' | 'medium' | 'large',
+  color?: string,
+  rtl?: boolean,
+  title?: string
+};
+
+/* eslint-disable prettier/prettier */
+export default function IconCheck(props: Props) {
+  const iconProps = {
+    rtl: false,
+    ...props
+  };
+
+  return (
+    <Icon {...iconProps}>
+      <g>
+        <path d="M9 16.17L4.83 12l-1.42 1.41L9 19 21 7l-1.41-1.41z" />
+      </g>
+    </Icon>
+  );
+}
+
+IconCheck.displayName = 'IconCheck';
+IconCheck.category = 'navigation';
@@ -0,0 +1,29 @@
+/* @flow */
+import React from 'react';
+import Icon from 'mineral-ui/Icon';
+
+type Props = {
+  size?: string | 'small' | 'medium' | 'large',
+  color?: string,
+  rtl?: boolean,
+  title?: string
+};
+
+/* eslint-disable prettier/prettier */
+export default function IconChevronRight(props: Props) {
+  const iconProps = {
+    rtl: true,
+    ...props
+  };
+
+  return (
+    <Icon {...iconProps}>
+      <g>
+        <path d="M10 6L8.59 7.41 13.17 12l-4.58 4.59L10 18l6-6z"/>
+      </g>
+    </Icon>
+  );
+}
+
+IconChevronRight.displayName = 'IconChevronRight';
+IconChevronRight.category = 'navigation';
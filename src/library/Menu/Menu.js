@@ -1,7 +1,7 @@
 /* @flow */
 import React, { Component } from 'react';
 import { createStyledComponent } from '../styles';
-import { MenuDivider, MenuGroup, MenuItem } from './index';
+import { MenuDivider, MenuGroup, MenuGroupTitle, MenuItem } from './index';
 
 type Props = {
   /**
@@ -12,6 +12,13 @@ type Props = {
   children?: React$Node,
   /** Data used to contruct Menu. See [example](#data) */
   data?: Items | ItemGroups,
+  /** Maximum height of the Menu, in px, when `virtualized = true` */
+  height?: number,
+  /**
+   * Index of the highlighted item, which is scrolled into view when
+   * `virtualized = true`
+   */
+  highlightedIndex?: ?number,
   /**
    * Provides custom rendering control for the items. See the
    * [custom item example](/components/menu#custom-item) and
@@ -22,16 +29,37 @@ type Props = {
    * Specifies a key in the item data that gives an item its unique identity.
    * See the [React docs](https://reactjs.org/docs/lists-and-keys.html#keys).
    */
-  itemKey?: string
+  itemKey?: string,
+  /**
+   * Height of each row, i.e. item, divider or group title, in px, when
+   * `virtualized = true`. If not specified, it is measured from the rendered
+   * rows.
+   */
+  itemHeight?: number,
+  /**
+   * Render only the rows visible in Menu's scrollable container, for improved
+   * performance with many items. Rows should have a uniform height.
+   * ([see example](/components/select#virtualized))
+   */
+  virtualized?: boolean
+};
+
+type State = {
+  measuredRowHeight: number,
+  scrollTop: number
 };
 
 export type Item = {
+  checked?: boolean,
   iconEnd?: React$Element<*>,
   iconStart?: React$Element<*>,
   disabled?: boolean,
   divider?: boolean,
+  items?: Items,
+  matchText?: string,
   onClick?: (event: SyntheticEvent<>) => void,
   render?: RenderFn,
+  role?: 'menuitem' | 'menuitemcheckbox' | 'menuitemradio',
   secondaryText?: React$Node,
   text?: React$Node,
   value?: string,
@@ -47,23 +75,73 @@ type RenderProps = {
   props: Object
 };
 
+type Row =
+  | { type: 'item', index: number, item: Item }
+  | { type: 'title', groupIndex: number, title: React$Node };
+
+type Rows = {
+  // Index of the row of each item, by item index
+  itemRowIndexes: Array<number>,
+  rows: Array<Row>
+};
+
+const DEFAULT_ROW_HEIGHT = 40; // px
+const DEFAULT_VIRTUALIZED_HEIGHT = 320; // px
+const OVERSCAN_COUNT = 10;
+
 const Root = createStyledComponent(
   'div',
-  {},
+  ({ height, virtualized }) =>
+    virtualized
+      ? {
+          maxHeight: height,
+          overflowY: 'auto'
+        }
+      : {},
   {
     displayName: 'Menu',
+    filterProps: ['height', 'virtualized'],
     includeStyleReset: true
   }
 );
 
+// Groups are distinguished from items with a submenu by their lack of text
 const isGroupedData = (data: Items | ItemGroups) => {
-  return data[0].hasOwnProperty('items');
+  return (
+    Boolean(data[0]) &&
+    data[0].hasOwnProperty('items') &&
+    !data[0].hasOwnProperty('text')
+  );
 };
 
 const groupifyData = (data: Items | ItemGroups) => {
   return isGroupedData(data) ? data : [{ items: data }];
 };
 
+// Flattens the data into the group titles, dividers & items rendered as rows of
+// a virtualized Menu
+const getRows = (data: Items | ItemGroups): Rows => {
+  // $FlowFixMe https://github.com/facebook/flow/issues/5885
+  const itemGroups: ItemGroups = groupifyData(data);
+  const itemRowIndexes = [];
+  const rows = [];
+
+  itemGroups.forEach((group, groupIndex) => {
+    if (group.items && group.items.length) {
+      group.title &&
+        rows.push({ type: 'title', groupIndex, title: group.title });
+      group.items.forEach((item) => {
+        if (!item.divider) {
+          itemRowIndexes.push(rows.length);
+        }
+        rows.push({ type: 'item', index: itemRowIndexes.length - 1, item });
+      });
+    }
+  });
+
+  return { itemRowIndexes, rows };
+};
+
 export const getItems = (data: Items | ItemGroups) => {
   // $FlowFixMe https://github.com/facebook/flow/issues/5885
   const itemGroups: ItemGroups = groupifyData(data);
@@ -80,9 +158,54 @@ export const getItems = (data: Items | ItemGroups) => {
  *
  * Menus are great for collecting actions in one place so your users don't need to scan the entire document to find a feature.
  */
-export default class Menu extends Component<Props> {
+export default class Menu extends Component<Props, State> {
+  state = {
+    measuredRowHeight: DEFAULT_ROW_HEIGHT,
+    scrollTop: 0
+  };
+
+  rowsCache: ?{ data: Items | ItemGroups, rows: Rows };
+
+  rowsNode: ?HTMLElement;
+
+  scroller: ?HTMLElement;
+
+  componentDidMount() {
+    if (this.isVirtualized()) {
+      this.measureRowHeight();
+      this.scrollHighlightedItemIntoView();
+    }
+  }
+
+  componentDidUpdate(prevProps: Props) {
+    if (this.isVirtualized()) {
+      this.measureRowHeight();
+      prevProps.highlightedIndex !== this.props.highlightedIndex &&
+        this.scrollHighlightedItemIntoView();
+    }
+  }
+
   render() {
-    const { children, data, ...rootProps } = this.props;
+    const {
+      children,
+      data,
+      height,
+      highlightedIndex: ignoreHighlightedIndex,
+      itemHeight: ignoreItemHeight,
+      ...rootProps
+    } = this.props;
+
+    if (data && this.isVirtualized()) {
+      return (
+        <Root
+          {...rootProps}
+          height={height || DEFAULT_VIRTUALIZED_HEIGHT}
+          innerRef={this.setScroller}
+          onScroll={this.onScroll}>
+          {this.renderVirtualized(data)}
+        </Root>
+      );
+    }
 
     return (
       <Root {...rootProps}>{data ? this.renderFromData(data) : children}</Root>
@@ -92,10 +215,22 @@ export default class Menu extends Component<Props> {
   renderFromData = (data: Items | ItemGroups) => {
     // $FlowFixMe https://github.com/facebook/flow/issues/5885
     const itemGroups: ItemGroups = groupifyData(data);
-    return itemGroups.map(this.renderMenuGroup);
+
+    // Items are indexed across groups, as they are by getItems
+    return itemGroups.reduce(
+      ({ groups, index }, group, groupIndex) => ({
+        groups: groups.concat(this.renderMenuGroup(group, groupIndex, index)),
+        index: index + getItems(([group]: ItemGroups)).length
+      }),
+      { groups: [], index: 0 }
+    ).groups;
   };
 
-  renderMenuGroup = (group: ItemGroup, groupIndex: number) => {
+  renderMenuGroup = (
+    group: ItemGroup,
+    groupIndex: number,
+    startIndex: number
+  ) => {
     return group.items && group.items.length ? (
       <MenuGroup key={groupIndex} title={group.title}>
         {
@@ -111,13 +246,200 @@ export default class Menu extends Component<Props> {
               ),
               index: item.divider ? index : index + 1
             }),
-            { items: [], index: 0 }
+            { items: [], index: startIndex }
           ).items
         }
       </MenuGroup>
     ) : null;
   };
 
+  renderVirtualized = (data: Items | ItemGroups) => {
+    const {
+      height = DEFAULT_VIRTUALIZED_HEIGHT,
+      highlightedIndex
+    } = this.props;
+    const { itemRowIndexes, rows } = this.getRows(data);
+    const rowHeight = this.getRowHeight();
+    const { scrollTop } = this.state;
+
+    const start = Math.max(
+      0,
+      Math.floor(scrollTop / rowHeight) - OVERSCAN_COUNT
+    );
+    const end = Math.min(
+      rows.length,
+      Math.ceil((scrollTop + height) / rowHeight) + OVERSCAN_COUNT
+    );
+    const itemCount = itemRowIndexes.length;
+    const visibleRows = (
+      <div key="rows" ref={this.setRowsNode}>
+        {rows
+          .slice(start, end)
+          .map((row, offset) => this.renderRow(row, start + offset, itemCount))}
+      </div>
+    );
+
+    // The highlighted item is always rendered, so that it can be referred to,
+    // e.g. by aria-activedescendant, before it is scrolled into view
+    const highlightedRowIndex =
+      typeof highlightedIndex === 'number'
+        ? itemRowIndexes[highlightedIndex]
+        : undefined;
+
+    if (highlightedRowIndex !== undefined && highlightedRowIndex < start) {
+      return [
+        this.renderSpacer('before', highlightedRowIndex * rowHeight),
+        this.renderRow(
+          rows[highlightedRowIndex],
+          highlightedRowIndex,
+          itemCount
+        ),
+        this.renderSpacer(
+          'between',
+          (start - highlightedRowIndex - 1) * rowHeight
+        ),
+        visibleRows,
+        this.renderSpacer('after', (rows.length - end) * rowHeight)
+      ];
+    } else if (
+      highlightedRowIndex !== undefined &&
+      highlightedRowIndex >= end
+    ) {
+      return [
+        this.renderSpacer('before', start * rowHeight),
+        visibleRows,
+        this.renderSpacer('between', (highlightedRowIndex - end) * rowHeight),
+        this.renderRow(
+          rows[highlightedRowIndex],
+          highlightedRowIndex,
+          itemCount
+        ),
+        this.renderSpacer(
+          'after',
+          (rows.length - highlightedRowIndex - 1) * rowHeight
+        )
+      ];
+    }
+
+    return [
+      this.renderSpacer('before', start * rowHeight),
+      visibleRows,
+      this.renderSpacer('after', (rows.length - end) * rowHeight)
+    ];
+  };
+
+  renderRow = (row: Row, rowIndex: number, itemCount: number) => {
+    if (row.type === 'title') {
+      return (
+        <MenuGroupTitle key={`group-${row.groupIndex}`}>
+          {row.title}
+        </MenuGroupTitle>
+      );
+    }
+
+    const { index, item } = row;
+
+    return item.divider ? (
+      <MenuDivider key={`divider-${rowIndex}`} />
+    ) : (
+      this.renderItem({
+        props: {
+          'aria-posinset': index + 1,
+          'aria-setsize': itemCount,
+          index,
+          item
+        }
+      })
+    );
+  };
+
+  // Takes up the space of the rows which are not rendered
+  renderSpacer = (key: string, height: number) => {
+    return height > 0 ? (
+      <div aria-hidden="true" key={key} style={{ height }} />
+    ) : null;
+  };
+
+  getRows = (data: Items | ItemGroups) => {
+    if (!this.rowsCache || this.rowsCache.data !== data) {
+      this.rowsCache = { data, rows: getRows(data) };
+    }
+
+    return this.rowsCache.rows;
+  };
+
+  getRowHeight = () => this.props.itemHeight || this.state.measuredRowHeight;
+
+  isVirtualized = () => Boolean(this.props.virtualized);
+
+  onScroll = (event: SyntheticEvent<HTMLElement>) => {
+    const { scrollTop } = event.currentTarget;
+
+    if (scrollTop !== this.state.scrollTop) {
+      this.setState({ scrollTop });
+    }
+  };
+
+  measureRowHeight = () => {
+    const rowsNode = this.rowsNode;
+
+    if (this.props.itemHeight || !rowsNode || !rowsNode.children.length) {
+      return;
+    }
+
+    const measuredRowHeight = rowsNode.offsetHeight / rowsNode.children.length;
+
+    if (
+      measuredRowHeight > 0 &&
+      Math.abs(measuredRowHeight - this.state.measuredRowHeight) > 0.5
+    ) {
+      this.setState({ measuredRowHeight });
+    }
+  };
+
+  scrollHighlightedItemIntoView = () => {
+    const {
+      data,
+      height = DEFAULT_VIRTUALIZED_HEIGHT,
+      highlightedIndex
+    } = this.props;
+
+    if (!data || typeof highlightedIndex !== 'number') {
+      return;
+    }
+
+    const rowIndex = this.getRows(data).itemRowIndexes[highlightedIndex];
+    if (rowIndex === undefined) {
+      return;
+    }
+
+    const rowHeight = this.getRowHeight();
+    const rowTop = rowIndex * rowHeight;
+    const { scrollTop } = this.state;
+    let nextScrollTop = scrollTop;
+
+    if (rowTop < scrollTop) {
+      nextScrollTop = rowTop;
+    } else if (rowTop + rowHeight > scrollTop + height) {
+      nextScrollTop = rowTop + rowHeight - height;
+    }
+
+    if (nextScrollTop !== scrollTop) {
+      if (this.scroller) {
+        this.scroller.scrollTop = nextScrollTop;
+      }
+      this.setState({ scrollTop: nextScrollTop });
+    }
+  };
+
+  setRowsNode = (node: ?HTMLElement) => {
+    this.rowsNode = node;
+  };
+
+  setScroller = (node: ?HTMLElement) => {
+    this.scroller = node;
+  };
+
   getItemProps: PropGetter = (props = {}) => {
     const { props: itemProps } = props;
     const { index, item } = itemProps;
@@ -137,7 +459,7 @@ export default class Menu extends Component<Props> {
     const { index, item } = itemProps;
 
     if (item.divider) {
-      return <MenuDivider key={index} />;
+      return <MenuDivider key={`divider-${index}`} />;
     } else {
       return <MenuItem {...this.getItemProps(props)} />;
     }
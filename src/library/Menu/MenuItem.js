@@ -1,13 +1,20 @@
 /* @flow */
 import React, { Component, cloneElement } from 'react';
 import { createStyledComponent, getNormalizedValue, pxToEm } from '../styles';
+import IconCheck from '../Icon/IconCheck';
+import IconChevronRight from '../Icon/IconChevronRight';
 import IconDanger from '../Icon/IconDanger';
 import IconSuccess from '../Icon/IconSuccess';
 import IconWarning from '../Icon/IconWarning';
 
-import type { Item } from './Menu';
+import type { Item, Items } from './Menu';
 
 type Props = {
+  /**
+   * Whether the item is checked, when `role` is `menuitemcheckbox` or
+   * `menuitemradio`
+   */
+  checked?: boolean,
   /** Rendered content of the component */
   children?: React$Node,
   /** Disable the menu item */
@@ -22,14 +29,33 @@ type Props = {
   isHighlighted?: boolean,
   /** Item data - provided to render callback */
   item?: Item,
+  /**
+   * Items of the submenu opened by the item, indicated by a chevron. See the
+   * [submenus example](/components/dropdown#submenus).
+   */
+  items?: Items,
+  /**
+   * Text against which the keys typed in a Dropdown or Select are matched,
+   * in place of `text`. See the
+   * [type-ahead example](/components/dropdown#type-ahead).
+   */
+  matchText?: string,
   /** Called with the click event */
   onClick?: (event: SyntheticEvent<>) => void,
+  /** Occurrences of this text within the item's text are marked as matches */
+  query?: string,
   /**
    * Provides custom rendering control. See the
    * [custom item example](/components/menu#custom-item) and
    * [React docs](https://reactjs.org/docs/render-props.html).
    */
   render?: RenderFn,
+  /**
+   * Role of the item. Items with a role of `menuitemcheckbox` or
+   * `menuitemradio` display a checkmark, in place of `iconStart`, when checked
+   * ([see example](/components/dropdown#checkable-items)).
+   */
+  role?: string,
   /** Secondary text */
   secondaryText?: React$Node,
   /** Available variants */
@@ -63,6 +89,8 @@ export const componentTheme = (baseTheme: Object) => ({
   MenuItemIcon_color: baseTheme.icon_color_theme,
   MenuItemIcon_margin: baseTheme.space_inset_sm,
 
+  MenuItemMatch_fontWeight: baseTheme.fontWeight_extraBold,
+
   MenuItemSecondaryText_color: baseTheme.color_mouse,
   MenuItemSecondaryText_fontSize: baseTheme.fontSize_mouse,
 
@@ -155,6 +183,15 @@ const styles = {
       }
     };
   },
+  match: (props) => {
+    let theme = componentTheme(props.theme);
+
+    return {
+      backgroundColor: 'transparent',
+      color: 'inherit',
+      fontWeight: theme.MenuItemMatch_fontWeight
+    };
+  },
   secondaryText: (props) => {
     let theme = componentTheme(props.theme);
 
@@ -188,17 +225,55 @@ const Root = createStyledComponent('div', styles.menuItem, {
   displayName: 'MenuItem'
 });
 
+// Unchecked items keep the space of the checkmark, to stay aligned with those
+// which are checked
+const Checkmark = createStyledComponent(
+  IconCheck,
+  ({ checked }) => ({
+    visibility: checked ? null : 'hidden'
+  }),
+  {
+    filterProps: ['checked'],
+    withProps: { size: pxToEm(24) }
+  }
+);
+
 const Content = createStyledComponent('span', styles.content);
 const Inner = createStyledComponent('span', styles.inner);
+const Match = createStyledComponent('mark', styles.match);
 const SecondaryText = createStyledComponent('span', styles.secondaryText);
 const Text = createStyledComponent('span', styles.text);
 
+const isCheckable = (role?: string) =>
+  role === 'menuitemcheckbox' || role === 'menuitemradio';
+
 const variantIcons = {
   danger: <IconDanger size={pxToEm(24)} />,
   success: <IconSuccess size={pxToEm(24)} />,
   warning: <IconWarning size={pxToEm(24)} />
 };
 
+// Wraps each case-insensitive occurrence of the query within the text
+const markMatches = (text: string, query: string) => {
+  const lowerText = text.toLowerCase();
+  const lowerQuery = query.toLowerCase();
+  const content = [];
+  let start = 0;
+  let index = lowerText.indexOf(lowerQuery);
+
+  while (index !== -1) {
+    content.push(
+      text.slice(start, index),
+      <Match key={index}>{text.slice(index, index + query.length)}</Match>
+    );
+    start = index + query.length;
+    index = lowerText.indexOf(lowerQuery, start);
+  }
+  content.push(text.slice(start));
+
+  return content;
+};
+
 /**
  * A MenuItem represents an option in a [Menu](/components/menu). They can be
  * used to trigger actions or navigate to a new location. MenuItems provide
@@ -211,10 +286,14 @@ const variantIcons = {
 export default class MenuItem extends Component<Props> {
   render() {
     const {
+      checked,
       children,
       iconEnd,
       iconStart,
+      items,
+      query,
       render,
+      role,
       secondaryText,
       variant
     } = this.props;
@@ -234,6 +313,9 @@ export default class MenuItem extends Component<Props> {
         key: 'iconStart'
       });
     }
+    if (isCheckable(role)) {
+      startIcon = <Checkmark checked={checked} />;
+    }
     const endIcon =
       iconEnd && cloneElement(iconEnd, { size: pxToEm(24), key: 'iconEnd' });
 
@@ -243,21 +325,36 @@ export default class MenuItem extends Component<Props> {
           {startIcon}
           {(children || secondaryText) && (
             <Content>
-              <Text>{children}</Text>
+              <Text>
+                {query && typeof children === 'string'
+                  ? markMatches(children, query)
+                  : children}
+              </Text>
               {SecondaryText && <SecondaryText>{secondaryText}</SecondaryText>}
             </Content>
           )}
           {endIcon}
+          {items && <IconChevronRight size={pxToEm(24)} />}
         </Inner>
       </Root>
     );
   }
 
   getItemProps: PropGetter = (props = {}) => {
-    const { disabled, onClick, render, ...restProps } = props;
+    const {
+      checked,
+      disabled,
+      items: ignoreItems,
+      matchText: ignoreMatchText,
+      onClick,
+      query: ignoreQuery,
+      render,
+      ...restProps
+    } = props;
 
     return {
       ...(render ? restProps : {}),
+      ...(isCheckable(props.role) ? { 'aria-checked': Boolean(checked) } : {}),
       disabled,
       tabIndex: disabled ? '-1' : 0,
       ...(!render ? restProps : {}),
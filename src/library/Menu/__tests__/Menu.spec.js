@@ -3,6 +3,8 @@ import React from 'react';
 import { shallow } from 'enzyme';
 import { mountInThemeProvider } from '../../../../utils/enzymeUtils';
 import Menu from '../Menu';
+import MenuGroupTitle from '../MenuGroupTitle';
+import MenuItem from '../MenuItem';
 import examples from '../../../website/app/demos/Menu/examples/Menu';
 import testDemoExamples from '../../../../utils/testDemoExamples';
 
@@ -81,4 +83,97 @@ describe('Menu', () => {
       expect(menu).toMatchSnapshot();
     });
   });
+
+  describe('grouped data', () => {
+    it('indexes items across groups', () => {
+      const [, menu] = mountMenu({
+        data: [
+          { title: 'Group 1', items: data },
+          { title: 'Group 2', items: [{ divider: true }, ...data] }
+        ]
+      });
+
+      expect(menu.find(MenuItem).map((item) => item.props().index)).toEqual([
+        0,
+        1,
+        2,
+        3
+      ]);
+    });
+  });
+
+  describe('virtualized', () => {
+    const manyItems: Items = Array.from({ length: 1000 }, (value, index) => ({
+      text: `Item ${index}`
+    }));
+
+    const mountVirtualizedMenu = (props = {}) =>
+      mountMenu({
+        data: manyItems,
+        height: 400,
+        itemHeight: 40,
+        virtualized: true,
+        ...props
+      });
+
+    const getIndexes = (menu) =>
+      menu.find(MenuItem).map((item) => item.props().index);
+
+    it('renders only the visible items, and those just beyond', () => {
+      const [, menu] = mountVirtualizedMenu();
+
+      expect(getIndexes(menu)).toEqual(
+        Array.from({ length: 20 }, (value, index) => index)
+      );
+      expect(
+        menu
+          .find('[aria-hidden="true"]')
+          .last()
+          .prop('style')
+      ).toEqual({ height: 980 * 40 });
+    });
+
+    it('describes the position of each item within all of the items', () => {
+      const [, menu] = mountVirtualizedMenu();
+      const item = menu.find(MenuItem).at(3);
+
+      expect(item.prop('aria-posinset')).toEqual(4);
+      expect(item.prop('aria-setsize')).toEqual(1000);
+    });
+
+    it('scrolls the highlighted item into view', () => {
+      const [themeProvider] = mountVirtualizedMenu();
+      themeProvider.setProps({
+        children: (
+          <Menu
+            data={manyItems}
+            height={400}
+            highlightedIndex={500}
+            itemHeight={40}
+            virtualized
+          />
+        )
+      });
+      themeProvider.update();
+      const indexes = getIndexes(themeProvider.find(Menu));
+
+      expect(indexes).toContain(500);
+      expect(indexes).not.toContain(0);
+    });
+
+    it('renders group titles as rows', () => {
+      const [, menu] = mountVirtualizedMenu({
+        data: [
+          { title: 'Group 1', items: manyItems.slice(0, 3) },
+          { title: 'Group 2', items: manyItems.slice(3, 6) }
+        ]
+      });
+
+      expect(menu.find(MenuGroupTitle).map((title) => title.text())).toEqual([
+        'Group 1',
+        'Group 2'
+      ]);
+      expect(getIndexes(menu)).toEqual([0, 1, 2, 3, 4, 5]);
+    });
+  });
 });
@@ -3,6 +3,7 @@ import React from 'react';
 import { shallow } from 'enzyme';
 import { mountInThemeProvider } from '../../../../utils/enzymeUtils';
 import MenuItem from '../MenuItem';
+import IconCheck from '../../Icon/IconCheck';
 import examples from '../../../website/app/demos/Menu/examples/MenuItem';
 import testDemoExamples from '../../../../utils/testDemoExamples';
 
@@ -75,6 +76,60 @@ describe('MenuItem', () => {
     });
   });
 
+  describe('query', () => {
+    it('marks each occurrence of the query, ignoring case', () => {
+      const [, menuItem] = mountMenuItem({
+        children: 'Banana bread',
+        query: 'AN'
+      });
+
+      expect(
+        menuItem
+          .find('mark')
+          .hostNodes()
+          .map((mark) => mark.text())
+      ).toEqual(['an', 'an']);
+      expect(menuItem.text()).toEqual('Banana bread');
+    });
+  });
+
+  describe('checkable', () => {
+    const findItem = (menuItem) =>
+      menuItem.find('[role="menuitemcheckbox"]').hostNodes();
+
+    it('is checked', () => {
+      const [, menuItem] = mountMenuItem({
+        checked: true,
+        role: 'menuitemcheckbox'
+      });
+
+      expect(findItem(menuItem).prop('aria-checked')).toEqual(true);
+      expect(menuItem.find(IconCheck).exists()).toEqual(true);
+    });
+
+    it('is unchecked', () => {
+      const [, menuItem] = mountMenuItem({ role: 'menuitemcheckbox' });
+
+      expect(findItem(menuItem).prop('aria-checked')).toEqual(false);
+    });
+
+    it('does not pass checked to the DOM', () => {
+      const [, menuItem] = mountMenuItem({
+        checked: true,
+        role: 'menuitemcheckbox'
+      });
+
+      expect(findItem(menuItem).prop('checked')).toBeUndefined();
+    });
+
+    it('is not checkable without a checkable role', () => {
+      const [, menuItem] = mountMenuItem({ checked: true });
+
+      expect(menuItem.find('[aria-checked]').exists()).toEqual(false);
+      expect(menuItem.find(IconCheck).exists()).toEqual(false);
+    });
+  });
+
   describe('render prop', () => {
     let menuItem, render;
 
@@ -0,0 +1,417 @@
+/* @flow */
+import React, { Component } from 'react';
+import { createStyledComponent, pxToEm } from '../styles';
+import Button from '../Button';
+import ButtonGroup from '../ButtonGroup';
+import IconChevronLeft from '../Icon/IconChevronLeft';
+import IconChevronRight from '../Icon/IconChevronRight';
+import IconMoreHoriz from '../Icon/IconMoreHoriz';
+import Select, { SelectTrigger } from '../Select';
+import { generateId } from '../utils';
+
+import type { Item } from '../Menu/Menu';
+
+type Props = {
+  /**
+   * Current page, starting at 1; primarily for use with controlled
+   * components. If this prop is specified, an `onPageChange` handler must
+   * also be specified. See also: `defaultCurrentPage`
+   */
+  currentPage?: number,
+  /**
+   * Initial page, starting at 1; primarily for use with uncontrolled
+   * components
+   */
+  defaultCurrentPage: number,
+  /**
+   * Initial number of items per page; primarily for use with uncontrolled
+   * components
+   */
+  defaultPageSize: number,
+  /** @Private Id of the Pagination */
+  id?: string,
+  /** Various messages and labels used by Pagination */
+  messages?: Messages,
+  /** Called when the current page changes */
+  onPageChange?: (page: number) => void,
+  /** Called when the number of items per page changes */
+  onPageSizeChange?: (pageSize: number) => void,
+  /**
+   * Number of items per page; primarily for use with controlled components.
+   * If this prop is specified, an `onPageSizeChange` handler must also be
+   * specified. See also: `defaultPageSize`
+   */
+  pageSize?: number,
+  /**
+   * Available numbers of items per page. When provided, the user may choose
+   * the page size ([see example](#page-sizes)).
+   */
+  pageSizes?: Array<number>,
+  /** Available sizes */
+  size: 'small' | 'medium' | 'large' | 'jumbo',
+  /** Total number of items across all pages */
+  totalCount: number,
+  /**
+   * Number of pages displayed on either side of the current page, before
+   * the remaining pages are collapsed into an ellipsis
+   */
+  visibleRange: number
+};
+
+type State = {
+  currentPage: number,
+  pageSize: number
+};
+
+export type Messages = {
+  label: string,
+  next: string,
+  page: (page: number) => string,
+  pageSize: string,
+  pages: string,
+  previous: string,
+  status: (first: number, last: number, total: number) => string
+};
+
+type Page = number | 'ellipsisEnd' | 'ellipsisStart';
+
+export const componentTheme = (baseTheme: Object) => ({
+  Pagination_color: baseTheme.color_mouse,
+  Pagination_fontSize: baseTheme.fontSize_ui,
+  Pagination_gap: baseTheme.space_inline_md,
+
+  PaginationPageSize_gap: baseTheme.space_inline_sm,
+  PaginationPageSize_width: pxToEm(80),
+
+  ...baseTheme
+});
+
+const Root = createStyledComponent(
+  'nav',
+  ({ theme: baseTheme }) => {
+    const theme = componentTheme(baseTheme);
+    const rtl = theme.direction === 'rtl';
+
+    return {
+      alignItems: 'center',
+      color: theme.Pagination_color,
+      display: 'flex',
+      flexWrap: 'wrap',
+      fontSize: theme.Pagination_fontSize,
+      justifyContent: 'flex-end',
+
+      '& > *:not(:last-child)': {
+        marginLeft: rtl ? theme.Pagination_gap : null,
+        marginRight: rtl ? null : theme.Pagination_gap
+      }
+    };
+  },
+  {
+    displayName: 'Pagination',
+    includeStyleReset: true
+  }
+);
+
+const Status = createStyledComponent('span', {
+  whiteSpace: 'nowrap'
+});
+
+const PageSize = createStyledComponent('div', ({ theme: baseTheme }) => {
+  const theme = componentTheme(baseTheme);
+  const rtl = theme.direction === 'rtl';
+
+  return {
+    alignItems: 'center',
+    display: 'flex',
+    whiteSpace: 'nowrap',
+
+    '& > span': {
+      marginLeft: rtl ? theme.PaginationPageSize_gap : null,
+      marginRight: rtl ? null : theme.PaginationPageSize_gap
+    },
+
+    '& > div': {
+      width: theme.PaginationPageSize_width
+    }
+  };
+});
+
+const defaultMessages: Messages = {
+  label: 'Pagination',
+  next: 'Next page',
+  page: (page) => `Page ${page}`,
+  pageSize: 'Items per page',
+  pages: 'Pages',
+  previous: 'Previous page',
+  status: (first, last, total) => `Items ${first}–${last} of ${total}`
+};
+
+export const getPageCount = (totalCount: number, pageSize: number) =>
+  Math.max(1, Math.ceil(totalCount / pageSize));
+
+/*
+ * The first & last pages are always included. Pages within visibleRange of the
+ * current page are included, and the remainder are collapsed into an ellipsis,
+ * unless that ellipsis would stand in for only a single page.
+ */
+const getPages = (
+  currentPage: number,
+  pageCount: number,
+  visibleRange: number
+): Array<Page> => {
+  const start = Math.max(2, currentPage - visibleRange);
+  const end = Math.min(pageCount - 1, currentPage + visibleRange);
+  const pages = [1];
+
+  if (start > 3) {
+    pages.push('ellipsisStart');
+  } else {
+    for (let page = 2; page < start; page++) {
+      pages.push(page);
+    }
+  }
+
+  for (let page = start; page <= end; page++) {
+    pages.push(page);
+  }
+
+  if (end < pageCount - 2) {
+    pages.push('ellipsisEnd');
+  } else {
+    for (let page = end + 1; page < pageCount; page++) {
+      pages.push(page);
+    }
+  }
+
+  if (pageCount > 1) {
+    pages.push(pageCount);
+  }
+
+  return pages;
+};
+
+/**
+ * Pagination allows users to navigate through a large set of items, one page
+ * at a time.
+ */
+export default class Pagination extends Component<Props, State> {
+  static defaultProps = {
+    defaultCurrentPage: 1,
+    defaultPageSize: 10,
+    size: 'medium',
+    visibleRange: 1
+  };
+
+  state = {
+    currentPage: this.props.defaultCurrentPage,
+    pageSize: this.props.defaultPageSize
+  };
+
+  id: string = this.props.id || `pagination-${generateId()}`;
+
+  render() {
+    const {
+      currentPage: ignoreCurrentPage,
+      defaultCurrentPage: ignoreDefaultCurrentPage,
+      defaultPageSize: ignoreDefaultPageSize,
+      messages: ignoreMessages,
+      onPageChange: ignoreOnPageChange,
+      onPageSizeChange: ignoreOnPageSizeChange,
+      pageSize: ignorePageSize,
+      pageSizes,
+      size,
+      totalCount,
+      visibleRange,
+      ...restProps
+    } = this.props;
+    const messages = {
+      ...defaultMessages,
+      ...this.props.messages
+    };
+    const pageSize = this.getControllableValue('pageSize');
+    const pageCount = getPageCount(totalCount, pageSize);
+    const currentPage = this.getCurrentPage();
+    const first = totalCount > 0 ? (currentPage - 1) * pageSize + 1 : 0;
+    const last = Math.min(currentPage * pageSize, totalCount);
+
+    const rootProps = {
+      'aria-label': messages.label,
+      ...restProps,
+      id: this.id
+    };
+    const statusId = `${this.id}-status`;
+
+    return (
+      <Root {...rootProps}>
+        <Status aria-live="polite" id={statusId}>
+          {messages.status(first, last, totalCount)}
+        </Status>
+        {pageSizes && this.renderPageSize(pageSizes, pageSize, messages)}
+        <ButtonGroup
+          aria-describedby={statusId}
+          ariaLabel={messages.pages}
+          size={size}>
+          {this.renderButtons(currentPage, pageCount, visibleRange, messages)}
+        </ButtonGroup>
+      </Root>
+    );
+  }
+
+  renderPageSize = (
+    pageSizes: Array<number>,
+    pageSize: number,
+    messages: Messages
+  ) => {
+    const { size } = this.props;
+    const data = pageSizes.map((value) => ({
+      text: String(value),
+      value: String(value)
+    }));
+    const selectProps = {
+      data,
+      id: `${this.id}-pageSize`,
+      onChange: this.changePageSize,
+      selectedItem: data.find(({ value }) => value === String(pageSize)),
+      size,
+      trigger: this.renderPageSizeTrigger
+    };
+
+    return (
+      <PageSize>
+        <span id={this.getPageSizeLabelId()}>{messages.pageSize}</span>
+        <div>
+          <Select {...selectProps} />
+        </div>
+      </PageSize>
+    );
+  };
+
+  // The trigger is not a labelable element, so it refers to its label instead
+  renderPageSizeTrigger = ({ props }: Object = {}) => {
+    return (
+      <SelectTrigger {...props} aria-labelledby={this.getPageSizeLabelId()} />
+    );
+  };
+
+  getPageSizeLabelId = () => `${this.id}-pageSizeLabel`;
+
+  renderButtons = (
+    currentPage: number,
+    pageCount: number,
+    visibleRange: number,
+    messages: Messages
+  ) => {
+    const { size } = this.props;
+    const buttons = getPages(currentPage, pageCount, visibleRange).map(
+      (page) => {
+        if (typeof page !== 'number') {
+          return (
+            <Button
+              aria-hidden
+              disabled
+              iconStart={<IconMoreHoriz />}
+              key={page}
+              minimal
+              size={size}
+            />
+          );
+        }
+
+        const isCurrent = page === currentPage;
+
+        return (
+          <Button
+            aria-current={isCurrent ? 'page' : undefined}
+            aria-label={messages.page(page)}
+            key={page}
+            minimal={!isCurrent}
+            onClick={() => this.changePage(page)}
+            primary={isCurrent}
+            size={size}>
+            {page}
+          </Button>
+        );
+      }
+    );
+
+    return [
+      <Button
+        aria-label={messages.previous}
+        disabled={currentPage <= 1}
+        iconStart={<IconChevronLeft />}
+        key="previous"
+        minimal
+        onClick={() => this.changePage(currentPage - 1)}
+        size={size}
+      />,
+      ...buttons,
+      <Button
+        aria-label={messages.next}
+        disabled={currentPage >= pageCount}
+        iconStart={<IconChevronRight />}
+        key="next"
+        minimal
+        onClick={() => this.changePage(currentPage + 1)}
+        size={size}
+      />
+    ];
+  };
+
+  getCurrentPage = () => {
+    const pageCount = getPageCount(
+      this.props.totalCount,
+      this.getControllableValue('pageSize')
+    );
+
+    return Math.min(
+      Math.max(1, this.getControllableValue('currentPage')),
+      pageCount
+    );
+  };
+
+  changePage = (page: number) => {
+    if (this.isControlled('currentPage')) {
+      this.changePageActions(page);
+    } else {
+      this.setState({ currentPage: page }, () => {
+        this.changePageActions(page);
+      });
+    }
+  };
+
+  changePageActions = (page: number) => {
+    this.props.onPageChange && this.props.onPageChange(page);
+  };
+
+  changePageSize = (item: Item) => {
+    const pageSize = parseInt(item.value, 10);
+    const currentPage = this.getCurrentPage();
+    // Keep the first item of the current page visible
+    const firstItem = (currentPage - 1) * this.getControllableValue('pageSize');
+    const page = Math.floor(firstItem / pageSize) + 1;
+
+    if (this.isControlled('pageSize')) {
+      this.changePageSizeActions(pageSize);
+    } else {
+      this.setState({ pageSize }, () => {
+        this.changePageSizeActions(pageSize);
+      });
+    }
+
+    if (page !== currentPage) {
+      this.changePage(page);
+    }
+  };
+
+  changePageSizeActions = (pageSize: number) => {
+    this.props.onPageSizeChange && this.props.onPageSizeChange(pageSize);
+  };
+
+  isControlled = (prop: string) => {
+    return this.props.hasOwnProperty(prop);
+  };
+
+  getControllableValue = (key: string) => {
+    return this.isControlled(key) ? this.props[key] : this.state[key];
+  };
+}
@@ -0,0 +1,174 @@
+/* @flow */
+import React from 'react';
+import { shallow } from 'enzyme';
+import { mountInThemeProvider } from '../../../../utils/enzymeUtils';
+import Button from '../../Button';
+import Pagination from '../Pagination';
+import Select from '../../Select';
+import examples from '../../../website/app/demos/Pagination/examples';
+import testDemoExamples from '../../../../utils/testDemoExamples';
+
+const defaultProps = {
+  totalCount: 95
+};
+
+function shallowPagination(props = {}) {
+  const paginationProps = {
+    ...defaultProps,
+    ...props
+  };
+
+  return shallow(<Pagination {...paginationProps} />);
+}
+
+function mountPagination(props = {}) {
+  const paginationProps = {
+    ...defaultProps,
+    ...props
+  };
+
+  return mountInThemeProvider(<Pagination {...paginationProps} />);
+}
+
+const getPageLabels = (themeProvider) =>
+  themeProvider
+    .find(Button)
+    .map((button) => button.text() || (button.props().disabled ? '…' : ''))
+    .slice(1, -1);
+
+const getStatus = (themeProvider) =>
+  themeProvider
+    .find('span')
+    .first()
+    .text();
+
+const clickButton = (themeProvider, label) => {
+  themeProvider.find(`button[aria-label="${label}"]`).simulate('click');
+};
+
+describe('Pagination', () => {
+  testDemoExamples(examples);
+
+  it('renders', () => {
+    const pagination = shallowPagination();
+
+    expect(pagination.exists()).toEqual(true);
+  });
+
+  it('renders the range of items on the current page', () => {
+    const [themeProvider] = mountPagination({ defaultCurrentPage: 10 });
+
+    expect(getStatus(themeProvider)).toEqual('Items 91–95 of 95');
+  });
+
+  it('collapses distant pages into an ellipsis', () => {
+    const [themeProvider] = mountPagination({ defaultCurrentPage: 5 });
+
+    expect(getPageLabels(themeProvider)).toEqual([
+      '1',
+      '…',
+      '4',
+      '5',
+      '6',
+      '…',
+      '10'
+    ]);
+  });
+
+  it('does not collapse a single page into an ellipsis', () => {
+    const [themeProvider] = mountPagination({ defaultCurrentPage: 4 });
+
+    expect(getPageLabels(themeProvider)).toEqual([
+      '1',
+      '2',
+      '3',
+      '4',
+      '5',
+      '…',
+      '10'
+    ]);
+  });
+
+  it('sets aria-current on the current page', () => {
+    const [themeProvider] = mountPagination({ defaultCurrentPage: 2 });
+
+    expect(
+      themeProvider.find('button[aria-current="page"]').prop('aria-label')
+    ).toEqual('Page 2');
+  });
+
+  it('disables the previous button on the first page', () => {
+    const [themeProvider] = mountPagination();
+
+    expect(
+      themeProvider.find('button[aria-label="Previous page"]').prop('disabled')
+    ).toEqual(true);
+    expect(
+      themeProvider.find('button[aria-label="Next page"]').prop('disabled')
+    ).toEqual(false);
+  });
+
+  it('changes page', () => {
+    const onPageChange = jest.fn();
+    const [themeProvider] = mountPagination({ onPageChange });
+
+    clickButton(themeProvider, 'Next page');
+    expect(onPageChange).toHaveBeenLastCalledWith(2);
+    expect(getStatus(themeProvider)).toEqual('Items 11–20 of 95');
+
+    clickButton(themeProvider, 'Page 10');
+    expect(onPageChange).toHaveBeenLastCalledWith(10);
+    expect(getStatus(themeProvider)).toEqual('Items 91–95 of 95');
+  });
+
+  it('does not change page when controlled', () => {
+    const onPageChange = jest.fn();
+    const [themeProvider] = mountPagination({ currentPage: 1, onPageChange });
+
+    clickButton(themeProvider, 'Next page');
+    expect(onPageChange).toHaveBeenCalledWith(2);
+    expect(getStatus(themeProvider)).toEqual('Items 1–10 of 95');
+  });
+
+  it('applies size to the page buttons', () => {
+    const [themeProvider] = mountPagination({ size: 'small' });
+
+    themeProvider.find(Button).forEach((button) => {
+      expect(button.props().size).toEqual('small');
+    });
+  });
+
+  it('labels the page size control', () => {
+    const [themeProvider] = mountPagination({
+      id: 'pagination',
+      pageSizes: [10, 20]
+    });
+    const labelId = themeProvider
+      .find('[aria-haspopup="listbox"]')
+      .hostNodes()
+      .prop('aria-labelledby');
+
+    expect(themeProvider.find(`#${labelId}`).text()).toEqual('Items per page');
+  });
+
+  it('changes page size, keeping the first item visible', () => {
+    const onPageChange = jest.fn();
+    const onPageSizeChange = jest.fn();
+    const [themeProvider] = mountPagination({
+      defaultCurrentPage: 4,
+      onPageChange,
+      onPageSizeChange,
+      pageSizes: [10, 20]
+    });
+
+    themeProvider
+      .find(Select)
+      .props()
+      .onChange({ text: '20', value: '20' });
+    themeProvider.update();
+
+    expect(onPageSizeChange).toHaveBeenCalledWith(20);
+    expect(onPageChange).toHaveBeenCalledWith(2);
+    expect(getStatus(themeProvider)).toEqual('Items 21–40 of 95');
+  });
+});
@@ -0,0 +1,2 @@
+/* @flow */
+export { default } from './Pagination';
@@ -9,7 +9,10 @@ import { composeEventHandlers, generateId, isRenderProp } from '../utils';
 import Dropdown, {
   componentTheme as dropdownComponentTheme
 } from '../Dropdown/Dropdown';
+import DropdownStatus from '../Dropdown/DropdownStatus';
+import ItemLoader from '../Dropdown/ItemLoader';
 import ItemMatcher from '../Dropdown/ItemMatcher';
+import IconCheck from '../Icon/IconCheck';
 import Menu, { getItems } from '../Menu/Menu';
 import MenuItem from '../Menu/MenuItem';
 import SelectTrigger, {
@@ -17,13 +20,25 @@ import SelectTrigger, {
 } from './SelectTrigger';
 
 import type { Item, Items, ItemGroups } from '../Menu/Menu';
+import type { LoadItems } from '../Dropdown/ItemLoader';
+import type { Options as ItemMatcherOptions } from '../Dropdown/ItemMatcher';
 
 type Props = {
+  /**
+   * Reuses the items loaded by `loadItems` for a query, rather than loading
+   * them again when the query recurs
+   */
+  cacheItems?: boolean,
+  /**
+   * Text of the item with which to create an item from the search query, when
+   * using `onCreateItem`
+   */
+  createItemText?: (query: string) => React$Node,
   /**
    * Data from which the [Menu](/components/menu#data) will be constructed
-   * (see [example](#data))
+   * (see [example](#data)). Not needed when using `loadItems`.
    */
-  data: Items | ItemGroups,
+  data?: Items | ItemGroups,
   /**
    * Index of item to be highlighted upon initialization. Primarily for
    * use with uncontrolled components.
@@ -39,8 +54,18 @@ type Props = {
    * components.
    */
   defaultSelectedItem?: Item,
+  /**
+   * Items selected upon initialization, when `multiple`. Primarily for use with
+   * uncontrolled components.
+   */
+  defaultSelectedItems?: Items,
   /** Disables the control */
   disabled?: boolean,
+  /**
+   * Determines whether an item matches the search query, when `searchable`.
+   * By default, items whose text contains the query, ignoring case, match.
+   */
+  filter?: (item: Item, query: string) => boolean,
   /** Index of the highlighted item. For use with controlled components. */
   highlightedIndex?: number,
   /** Id of the Select */
@@ -60,6 +85,23 @@ type Props = {
    * the [React docs](https://reactjs.org/docs/lists-and-keys.html#keys).
    */
   itemKey?: string,
+  /**
+   * Loads the data from which the menu will be constructed, when the Select is
+   * opened and, when `searchable`, when the search query changes. Called with
+   * the query and an object containing an `AbortSignal`, where supported, and
+   * returns a Promise of the data, which is not filtered further
+   * ([see example](#async)).
+   */
+  loadItems?: LoadItems,
+  /**
+   * Milliseconds to wait after the search query last changed before calling
+   * `loadItems`
+   */
+  loadItemsDelay?: number,
+  /** Rendered in place of the menu when `loadItems` fails */
+  loadErrorText?: React$Node,
+  /** Rendered in place of the menu while `loadItems` is pending */
+  loadingText?: React$Node,
   /**
    * Provides custom rendering control for the menu. See the
    * [custom menu example](/components/select#custom-menu) and
@@ -72,18 +114,40 @@ type Props = {
    * for options.
    */
   modifiers?: Object,
-  /** Name of the field when submitted in a form */
+  /**
+   * Allows the selection of any number of items, which are displayed as
+   * removable tags ([see example](#multiple))
+   */
+  multiple?: boolean,
+  /**
+   * Rendered in place of the menu when no items match the search query, or
+   * `loadItems` finds none
+   */
+  noResultsText?: React$Node,
+  /**
+   * Name of the field when submitted in a form. When `multiple`, each selected
+   * item is submitted as a value of this name.
+   */
   name?: string,
   /**
    * Called when an item is selected and it is different than the previously
-   * selected item.
+   * selected item. When `multiple`, called with all of the selected items
+   * whenever an item is selected or deselected.
    */
-  onChange?: (item: Item, event: SyntheticEvent<>) => void,
+  onChange?: (item: any, event: SyntheticEvent<>) => void,
   /** Called when Select is closed */
   onClose?: (event: SyntheticEvent<>) => void,
+  /**
+   * Called with the search query when the user chooses to create an item from
+   * it, which they can do when `searchable` and no items match. Return the
+   * created item to select it ([see example](#creatable)).
+   */
+  onCreateItem?: (query: string, event: SyntheticEvent<>) => ?Item,
+  /** Called with the search query when it changes, when `searchable` */
+  onInputChange?: (query: string, event: SyntheticInputEvent<>) => void,
   /** Called when Select is opened */
   onOpen?: (event: SyntheticEvent<>) => void,
-  /** Called when an item is selected */
+  /** Called when an item is selected, or deselected when `multiple` */
   onSelect?: (item: Item, event: SyntheticEvent<>) => void,
   /** Text displayed when there is no item selected */
   placeholder?: string,
@@ -93,8 +157,17 @@ type Props = {
   readOnly?: boolean,
   /** Indicates that the user must select a value before submitting a form */
   required?: boolean,
+  /**
+   * Renders a text input in the trigger, with which to filter the items
+   * ([see example](#searchable))
+   */
+  searchable?: boolean,
   /** The selected item. For use with controlled components. */
   selectedItem?: Item,
+  /**
+   * The selected items, when `multiple`. For use with controlled components.
+   */
+  selectedItems?: Items,
   /** Available sizes */
   size?: 'small' | 'medium' | 'large' | 'jumbo',
   /**
@@ -105,19 +178,38 @@ type Props = {
   trigger?: RenderFn,
   /** Ref for the trigger */
   triggerRef?: (node: ?React$Component<*, *>) => void,
+  /**
+   * Options for highlighting an item by typing its text while the Select is
+   * focused: the `match` strategy ('prefix', 'substring', 'fuzzy', or a custom
+   * function), whether to `matchSecondaryText` and the `resetDelay` (in ms)
+   * before the typed keys are cleared (see
+   * [example](/components/dropdown#type-ahead))
+   */
+  typeAhead?: ItemMatcherOptions,
   /**
    * Use a Portal to render the Select menu to the body rather than as a sibling
    * to the trigger
    */
   usePortal?: boolean,
   /** Available variants */
-  variant?: 'danger' | 'success' | 'warning'
+  variant?: 'danger' | 'success' | 'warning',
+  /**
+   * Render only the items visible in the menu, for improved performance with
+   * many items ([see example](#virtualized))
+   */
+  virtualized?: boolean
 };
 
 type State = {
   highlightedIndex: ?number,
+  inputValue: string,
   isOpen: boolean,
-  selectedItem: ?Item
+  isSearching?: boolean,
+  loadError?: ?Error,
+  loadedData?: ?(Items | ItemGroups),
+  loading?: boolean,
+  selectedItem: ?Item,
+  selectedItems: Items
 };
 
 type Helpers = {
@@ -185,6 +277,37 @@ const Root = createStyledComponent(
   }
 );
 
+const defaultFilter = (item: Item, query: string) => {
+  const text = typeof item.text === 'string' ? item.text : item.value || '';
+  return text.toLowerCase().indexOf(query.toLowerCase()) !== -1;
+};
+
+const groupifyData = (data: Items | ItemGroups) =>
+  data.length &&
+  data[0].hasOwnProperty('items') &&
+  !data[0].hasOwnProperty('text')
+    ? data
+    : [{ items: data }];
+
+// Keeps the items, and any groups thereof, which match the query
+const filterData = (
+  data: Items | ItemGroups,
+  query: string,
+  filter: (item: Item, query: string) => boolean
+): ItemGroups => {
+  // $FlowFixMe https://github.com/facebook/flow/issues/5885
+  const itemGroups: ItemGroups = groupifyData(data);
+
+  return itemGroups
+    .map((group) => ({
+      ...group,
+      items: (group.items || []).filter(
+        (item) => !item.divider && filter(item, query)
+      )
+    }))
+    .filter(({ items }) => items.length);
+};
+
 const contentWidthModifier = {
   enabled: true,
   fn: (data) => {
@@ -202,7 +325,12 @@ const contentWidthModifier = {
  */
 export default class Select extends Component<Props, State> {
   static defaultProps = {
+    createItemText: (query: string) => `Create "${query}"`,
     itemKey: 'value',
+    loadErrorText: 'Items could not be loaded',
+    loadItemsDelay: 250,
+    loadingText: 'Loading...',
+    noResultsText: 'No results',
     placeholder: 'Select...',
     placement: 'bottom-start',
     size: 'large'
@@ -210,30 +338,85 @@ export default class Select extends Component<Props, State> {
 
   state: State = {
     highlightedIndex: this.props.defaultHighlightedIndex,
+    inputValue: '',
     isOpen: Boolean(this.props.defaultIsOpen),
-    selectedItem: this.props.defaultSelectedItem
+    isSearching: false,
+    selectedItem: this.props.defaultSelectedItem,
+    selectedItems: this.props.defaultSelectedItems || []
   };
 
   id: string = this.props.id || `select-${generateId()}`;
 
+  createItem: ?Item;
+
+  filteredData: ?(Items | ItemGroups);
+
+  filteredDataInputs: ?Array<any>;
+
+  itemLoader: any;
+
   itemMatcher: any;
 
-  items: Items = getItems(this.props.data);
+  items: Items = getItems(this.props.data || ([]: Items));
+
+  searchInput: ?HTMLInputElement;
 
   selectTrigger: ?React$Component<*, *>;
 
+  componentDidMount() {
+    if (this.getControllableValue('isOpen')) {
+      this.loadItems('');
+    }
+  }
+
   componentWillReceiveProps(nextProps: Props) {
     if (!deepEqual(this.props.data, nextProps.data)) {
-      this.items = getItems(nextProps.data);
+      this.items = getItems(
+        this.getMenuData(this.getData(nextProps), this.state.inputValue)
+      );
+    }
+
+    if (this.isControlled('isOpen')) {
+      if (nextProps.isOpen && !this.props.isOpen) {
+        this.loadItems(this.state.inputValue, 0, nextProps);
+      } else if (!nextProps.isOpen && this.props.isOpen) {
+        this.cancelLoadItems();
+      }
     }
   }
 
+  componentWillUnmount() {
+    this.itemLoader && this.itemLoader.cancel();
+  }
+
   render() {
-    const { disabled, modifiers, readOnly, trigger, ...restProps } = this.props;
+    const {
+      cacheItems: ignoreCacheItems,
+      createItemText: ignoreCreateItemText,
+      data: ignoreData,
+      disabled,
+      filter: ignoreFilter,
+      loadErrorText: ignoreLoadErrorText,
+      loadItems: ignoreLoadItems,
+      loadItemsDelay: ignoreLoadItemsDelay,
+      loadingText: ignoreLoadingText,
+      modifiers,
+      noResultsText: ignoreNoResultsText,
+      // Handled by Select, rather than by the change events of the search input
+      onChange: ignoreOnChange,
+      onCreateItem: ignoreOnCreateItem,
+      onInputChange: ignoreOnInputChange,
+      readOnly,
+      searchable: ignoreSearchable,
+      trigger,
+      typeAhead: ignoreTypeAhead,
+      ...restProps
+    } = this.props;
     const isOpen = this.getControllableValue('isOpen');
 
     const rootProps = {
       ...restProps,
+      data: this.getMenuData(this.getData(), this.state.inputValue),
       id: this.id,
       disabled: disabled || readOnly,
       highlightedIndex: this.getHighlightedOrSelectedIndex(),
@@ -254,12 +437,77 @@ export default class Select extends Component<Props, State> {
     );
   }
 
+  // The loaded data replaces the data prop, when using loadItems
+  getData = (props: Props = this.props) => {
+    return (
+      (props.loadItems ? this.state.loadedData : props.data) || ([]: Items)
+    );
+  };
+
+  getFilteredData = (data: Items | ItemGroups, query: string) => {
+    const { filter = defaultFilter, loadItems, searchable } = this.props;
+
+    // Loaded data has already been filtered by loadItems
+    if (!searchable || !query || loadItems) {
+      return data;
+    }
+
+    const inputs = [data, query, filter];
+    const cached =
+      this.filteredDataInputs &&
+      this.filteredDataInputs.every((input, index) => input === inputs[index]);
+
+    if (!cached || !this.filteredData) {
+      this.filteredData = filterData(data, query, filter);
+      this.filteredDataInputs = inputs;
+    }
+
+    return this.filteredData;
+  };
+
+  // The filtered data or, when nothing matches, the item with which to create
+  // an item from the query
+  getMenuData = (
+    data: Items | ItemGroups,
+    query: string
+  ): Items | ItemGroups => {
+    const filteredData = this.getFilteredData(data, query);
+
+    if (
+      this.props.onCreateItem &&
+      query.trim() &&
+      !getItems(filteredData).length
+    ) {
+      return ([this.getCreateItem(query)]: Items);
+    }
+
+    return filteredData;
+  };
+
+  getCreateItem = (query: string): Item => {
+    const { createItemText } = this.props;
+
+    // Reused, so that the item keeps its identity while the query is unchanged
+    if (!this.createItem || this.createItem.value !== query) {
+      this.createItem = {
+        text: createItemText ? createItemText(query) : query,
+        value: query
+      };
+    }
+
+    return this.createItem;
+  };
+
   getStateAndHelpers = (): StateAndHelpers => {
     return {
       state: {
         highlightedIndex: this.getControllableValue('highlightedIndex'),
+        inputValue: this.state.inputValue,
         isOpen: this.getControllableValue('isOpen'),
-        selectedItem: this.getControllableValue('selectedItem')
+        loadError: this.state.loadError,
+        loading: this.state.loading,
+        selectedItem: this.getControllableValue('selectedItem'),
+        selectedItems: this.getControllableValue('selectedItems')
       },
       helpers: {
         close: this.close,
@@ -286,9 +534,11 @@ export default class Select extends Component<Props, State> {
     const {
       disabled,
       invalid,
+      multiple,
       name,
       placeholder,
       readOnly,
+      searchable,
       trigger,
       required,
       size,
@@ -296,6 +546,8 @@ export default class Select extends Component<Props, State> {
     } = this.props;
 
     const refKey = trigger ? 'ref' : 'triggerRef';
+    const menuId = `${this.id}-menu`;
+    const highlightedIndex = this.getHighlightedOrSelectedIndex();
 
     return {
       ...(isRenderProp(trigger) ? props : {}),
@@ -313,6 +565,40 @@ export default class Select extends Component<Props, State> {
       tabIndex: !disabled ? 0 : undefined,
       [refKey]: this.setTriggerRef,
       variant,
+      ...(multiple
+        ? {
+            items: this.getControllableValue('selectedItems'),
+            multiple,
+            onRemoveItem: this.deselect
+          }
+        : {}),
+      // The ARIA 1.1 combobox pattern, in which the input, rather than the
+      // root, receives focus & refers to the highlighted item
+      ...(searchable
+        ? {
+            'aria-activedescendant': undefined,
+            'aria-describedby': undefined,
+            'aria-owns': menuId,
+            onClick: this.onSearchableTriggerClick,
+            role: 'combobox',
+            searchable,
+            searchInputProps: {
+              'aria-activedescendant':
+                isOpen &&
+                highlightedIndex !== undefined &&
+                highlightedIndex !== null &&
+                highlightedIndex !== -1
+                  ? this.getMenuItemId(highlightedIndex)
+                  : undefined,
+              'aria-autocomplete': 'list',
+              'aria-controls': menuId,
+              innerRef: this.setSearchInputRef,
+              onChange: this.onInputChange,
+              value: this.getSearchInputValue()
+            },
+            tabIndex: undefined
+          }
+        : {}),
       ...(!isRenderProp(trigger) ? props : {}),
       ...(!readOnly ? { onKeyDown: this.onTriggerKeyDown } : {})
     };
@@ -332,10 +618,11 @@ export default class Select extends Component<Props, State> {
   };
 
   getMenuProps: PropGetter = (props = {}) => {
-    const { itemKey } = this.props;
+    const { itemKey, multiple } = this.props;
 
     return {
       ...props,
+      'aria-multiselectable': multiple || undefined,
       itemKey,
       role: 'listbox',
       item: this.renderItem
@@ -343,7 +630,27 @@ export default class Select extends Component<Props, State> {
   };
 
   renderMenu: RenderFn = ({ props } = {}) => {
-    const { menu } = this.props;
+    const {
+      loadErrorText,
+      loadItems,
+      loadingText,
+      menu,
+      noResultsText,
+      searchable
+    } = this.props;
+    const { inputValue, loadError, loading } = this.state;
+
+    if (loading || loadError) {
+      return (
+        <DropdownStatus error={Boolean(loadError)}>
+          {loading ? loadingText : loadErrorText}
+        </DropdownStatus>
+      );
+    }
+
+    if (!this.items.length && ((searchable && inputValue) || loadItems)) {
+      return <DropdownStatus>{noResultsText}</DropdownStatus>;
+    }
 
     if (isRenderProp(menu)) {
       return menu({
@@ -357,14 +664,19 @@ export default class Select extends Component<Props, State> {
 
   getItemProps: PropGetter = (props = {}) => {
     const highlightedIndex = this.getControllableValue('highlightedIndex');
-    const selectedItem = this.getControllableValue('selectedItem');
+    const { multiple, searchable } = this.props;
     const { props: itemProps } = props;
     const { index, item } = itemProps;
+    const isSelected = item !== this.createItem && this.isSelected(item);
 
     return {
       ...itemProps,
       ...item,
-      'aria-selected': selectedItem ? selectedItem.value === item.value : false,
+      ...(multiple && isSelected ? { iconEnd: <IconCheck /> } : {}),
+      ...(searchable && !isRenderProp(this.props.item)
+        ? { query: this.state.inputValue }
+        : {}),
+      'aria-selected': isSelected,
       'aria-disabled': this.props.disabled || item.disabled,
       children: item.text,
       id: this.getMenuItemId(index),
@@ -420,8 +732,22 @@ export default class Select extends Component<Props, State> {
     event.nativeEvent.preventMineralDefault = true;
 
     const { key } = event;
+    const { multiple, searchable } = this.props;
     const isOpen = this.getControllableValue('isOpen');
 
+    // Typing replaces the selected item's text, in the search input
+    if (
+      searchable &&
+      !this.state.isSearching &&
+      (key.length === 1 || key === 'Backspace' || key === 'Delete') &&
+      !event.ctrlKey &&
+      !event.metaKey
+    ) {
+      this.setState({ isSearching: true });
+    }
+
+    // When searchable, the input handles keys which enter or edit its text,
+    // and those which move its caret
     if (key === 'ArrowUp') {
       event.preventDefault();
       this.highlightPreviousItem();
@@ -430,26 +756,132 @@ export default class Select extends Component<Props, State> {
       event.preventDefault();
       this.highlightNextItem();
       !isOpen && this.open(event);
-    } else if (key === 'Home' && isOpen) {
+    } else if (key === 'Home' && isOpen && !searchable) {
       event.preventDefault();
       this.highlightItemAtIndex(0);
-    } else if (key === 'End' && isOpen) {
+    } else if (key === 'End' && isOpen && !searchable) {
       event.preventDefault();
       this.highlightItemAtIndex(this.items.length - 1);
-    } else if (key === 'Enter' || key === ' ') {
+    } else if (key === 'Enter' || (key === ' ' && !searchable)) {
       event.preventDefault();
       isOpen ? this.clickHighlightedItem() : this.open(event);
-    } else if (isOpen) {
+    } else if (
+      key === 'Backspace' &&
+      multiple &&
+      !(searchable && this.state.inputValue)
+    ) {
+      event.preventDefault();
+      this.deselectLastItem(event);
+    } else if (isOpen && !searchable) {
       this.highlightItemMatchingKey(key);
     }
   };
 
+  onInputChange = (event: SyntheticInputEvent<>) => {
+    const { value } = event.target;
+    const isOpen = this.getControllableValue('isOpen');
+
+    this.setState({ isSearching: true });
+    this.setInputValue(value, () => {
+      // Highlight the first matching item
+      this.highlightFirstMatchingItem(value);
+      this.props.onInputChange && this.props.onInputChange(value, event);
+    });
+
+    !isOpen && value && this.open(event);
+
+    // Supersedes the load begun upon opening
+    this.loadItems(value, this.props.loadItemsDelay);
+  };
+
+  // The selected item's text is displayed in the search input, until the user
+  // starts typing
+  getSearchInputValue = () => {
+    const { inputValue, isSearching } = this.state;
+    const selectedItem = this.getControllableValue('selectedItem');
+
+    return !isSearching &&
+      !this.props.multiple &&
+      selectedItem &&
+      typeof selectedItem.text === 'string'
+      ? selectedItem.text
+      : inputValue;
+  };
+
+  setInputValue = (inputValue: string, callback?: () => void) => {
+    this.items = getItems(this.getMenuData(this.getData(), inputValue));
+    this.setState({ inputValue }, callback);
+  };
+
+  highlightFirstMatchingItem = (query: string) => {
+    if (!this.isControlled('highlightedIndex')) {
+      this.setState({
+        highlightedIndex: query && this.items.length ? 0 : null
+      });
+    }
+  };
+
+  loadItems = (query: string, delay: number = 0, props: Props = this.props) => {
+    const { cacheItems, loadItems } = props;
+
+    if (loadItems) {
+      this.itemLoader = this.itemLoader || new ItemLoader();
+      this.itemLoader.load(
+        loadItems,
+        query,
+        { cache: cacheItems, delay },
+        ({ data, error, loading }) => {
+          if (data) {
+            this.items = getItems(this.getMenuData(data, query));
+          }
+          this.setState(
+            {
+              loadError: error,
+              loadedData: data || this.state.loadedData,
+              loading
+            },
+            () => {
+              if (data) {
+                query
+                  ? this.highlightFirstMatchingItem(query)
+                  : this.highlightDefaultItem();
+              }
+            }
+          );
+        }
+      );
+    }
+  };
+
+  cancelLoadItems = () => {
+    if (this.itemLoader) {
+      this.itemLoader.cancel();
+      this.state.loading && this.setState({ loading: false });
+    }
+  };
+
+  setSearchInputRef = (node: ?HTMLInputElement) => {
+    this.searchInput = node;
+  };
+
+  // Prevents clicks within the input from closing the menu while searching
+  onSearchableTriggerClick = (event: SyntheticEvent<>) => {
+    if (
+      this.getControllableValue('isOpen') &&
+      event.target === this.searchInput
+    ) {
+      // $FlowFixMe
+      event.nativeEvent.preventMineralDefault = true;
+    }
+  };
+
   findItemMatchingKey = (key: string) => {
     this.itemMatcher = this.itemMatcher || new ItemMatcher();
     return this.itemMatcher.findMatchingItem(
       this.items,
       this.getControllableValue('highlightedIndex'),
-      key
+      key,
+      this.props.typeAhead
     );
   };
 
@@ -538,7 +970,30 @@ export default class Select extends Component<Props, State> {
     highlightedItemNode && highlightedItemNode.click();
   };
 
+  isSelected = (item: Item) => {
+    const { itemKey = 'value', multiple } = this.props;
+
+    if (multiple) {
+      return this.getControllableValue('selectedItems').some(
+        (selectedItem) => selectedItem[itemKey] === item[itemKey]
+      );
+    }
+
+    const selectedItem = this.getControllableValue('selectedItem');
+    return selectedItem ? selectedItem.value === item.value : false;
+  };
+
   onSelect = (item: Item, event: SyntheticEvent<>) => {
+    if (item === this.createItem) {
+      this.createItemFromQuery(event);
+      return;
+    }
+
+    if (this.props.multiple) {
+      this.toggleItem(item, event);
+      return;
+    }
+
     const prevSelectedItem = this.getControllableValue('selectedItem');
 
     let stateToSet;
@@ -578,12 +1033,97 @@ export default class Select extends Component<Props, State> {
     this.focusTrigger();
   };
 
-  onChange = (item: Item, event: SyntheticEvent<>) => {
+  // Selects the item created by onCreateItem, if any, as if it had been chosen
+  // from the menu
+  createItemFromQuery = (event: SyntheticEvent<>) => {
+    const { multiple, onCreateItem } = this.props;
+    const createdItem =
+      onCreateItem && onCreateItem(this.state.inputValue, event);
+
+    if (createdItem) {
+      this.onSelect(createdItem, event);
+    } else if (multiple) {
+      this.setInputValue('');
+      this.loadItems('');
+      this.focusTrigger();
+    } else {
+      this.close(event);
+      this.focusTrigger();
+    }
+  };
+
+  onChange = (item: Item | Items, event: SyntheticEvent<>) => {
     this.props.onChange && this.props.onChange(item, event);
   };
 
+  // Selects or deselects an item, when multiple, leaving the menu open so that
+  // more items can be selected
+  toggleItem = (item: Item, event: SyntheticEvent<>) => {
+    const { itemKey = 'value' } = this.props;
+    const selectedItems = this.getControllableValue('selectedItems');
+    const nextSelectedItems = this.isSelected(item)
+      ? selectedItems.filter(
+          (selectedItem) => selectedItem[itemKey] !== item[itemKey]
+        )
+      : selectedItems.concat(item);
+
+    // Clear the query, so that another search can be entered
+    if (this.props.searchable && this.state.inputValue) {
+      this.setInputValue('');
+      this.loadItems('');
+    }
+
+    if (!this.isControlled('highlightedIndex')) {
+      this.setState({ highlightedIndex: this.items.indexOf(item) });
+    }
+
+    this.setSelectedItems(nextSelectedItems, event, () => {
+      this.props.onSelect && this.props.onSelect(item, event);
+      this.focusTrigger();
+    });
+  };
+
+  deselect = (item: Item, event: SyntheticEvent<>) => {
+    const { itemKey = 'value' } = this.props;
+
+    this.setSelectedItems(
+      this.getControllableValue('selectedItems').filter(
+        (selectedItem) => selectedItem[itemKey] !== item[itemKey]
+      ),
+      event,
+      this.focusTrigger
+    );
+  };
+
+  deselectLastItem = (event: SyntheticEvent<>) => {
+    const selectedItems = this.getControllableValue('selectedItems');
+
+    if (selectedItems.length) {
+      this.deselect(selectedItems[selectedItems.length - 1], event);
+    }
+  };
+
+  setSelectedItems = (
+    selectedItems: Items,
+    event: SyntheticEvent<>,
+    callback: () => void
+  ) => {
+    const actions = () => {
+      callback();
+      this.onChange(selectedItems, event);
+    };
+
+    if (this.isControlled('selectedItems')) {
+      actions();
+    } else {
+      this.setState({ selectedItems }, actions);
+    }
+  };
+
   focusTrigger = () => {
-    const node = findDOMNode(this.selectTrigger); // eslint-disable-line react/no-find-dom-node
+    const node = this.props.searchable
+      ? this.searchInput
+      : findDOMNode(this.selectTrigger); // eslint-disable-line react/no-find-dom-node
     if (node instanceof HTMLElement) {
       node.focus();
     }
@@ -595,6 +1135,7 @@ export default class Select extends Component<Props, State> {
     if (this.isControlled('isOpen')) {
       this.openActions(event);
     } else {
+      this.loadItems(this.state.inputValue);
       this.setState(
         () => ({ isOpen: true }),
         () => {
@@ -613,9 +1154,18 @@ export default class Select extends Component<Props, State> {
       this.setState({ highlightedIndex: null });
     }
 
+    if (this.state.inputValue) {
+      this.setInputValue('');
+    }
+
+    if (this.state.isSearching) {
+      this.setState({ isSearching: false });
+    }
+
     if (this.isControlled('isOpen')) {
       this.closeActions(event);
     } else {
+      this.cancelLoadItems();
       this.setState(
         () => ({ isOpen: false }),
         () => {
@@ -0,0 +1,109 @@
+/* @flow */
+import React, { Component } from 'react';
+import { ellipsis } from 'polished';
+import { createStyledComponent, pxToEm } from '../styles';
+import IconClose from '../Icon/IconClose';
+
+type Props = {
+  /** Rendered content of the component */
+  children?: React$Node,
+  /** Disables removal of the tag */
+  disabled?: boolean,
+  /** Called when the tag's remove button is clicked */
+  onRemove?: (event: SyntheticEvent<>) => void
+};
+
+export const componentTheme = (baseTheme: Object) => ({
+  SelectTag_backgroundColor: baseTheme.color_gray_20,
+  SelectTag_borderRadius: baseTheme.borderRadius_1,
+  SelectTag_color: baseTheme.color,
+  SelectTag_fontSize: baseTheme.fontSize_mouse,
+  SelectTag_marginHorizontal: baseTheme.space_inline_xs,
+  SelectTag_paddingHorizontal: baseTheme.space_inset_sm,
+
+  SelectTagIcon_color: baseTheme.icon_color,
+
+  ...baseTheme
+});
+
+const styles = {
+  root: ({ theme: baseTheme }) => {
+    const theme = componentTheme(baseTheme);
+    const rtl = theme.direction === 'rtl';
+
+    return {
+      alignItems: 'center',
+      backgroundColor: theme.SelectTag_backgroundColor,
+      borderRadius: theme.SelectTag_borderRadius,
+      color: theme.SelectTag_color,
+      display: 'inline-flex',
+      fontSize: theme.SelectTag_fontSize,
+      lineHeight: 1.5,
+      margin: `${pxToEm(2)} 0`,
+      marginLeft: rtl ? theme.SelectTag_marginHorizontal : null,
+      marginRight: rtl ? null : theme.SelectTag_marginHorizontal,
+      maxWidth: '100%',
+      paddingLeft: theme.SelectTag_paddingHorizontal,
+      paddingRight: theme.SelectTag_paddingHorizontal
+    };
+  },
+  remove: ({ theme: baseTheme }) => {
+    const theme = componentTheme(baseTheme);
+    const rtl = theme.direction === 'rtl';
+
+    return {
+      cursor: 'pointer',
+      display: 'flex',
+      marginLeft: rtl ? null : pxToEm(4),
+      marginRight: rtl ? pxToEm(4) : null,
+
+      '& [role="img"]': {
+        color: theme.SelectTagIcon_color
+      }
+    };
+  },
+  text: ellipsis(null)
+};
+
+const Root = createStyledComponent('span', styles.root, {
+  displayName: 'SelectTag'
+});
+const Remove = createStyledComponent('span', styles.remove, {
+  displayName: 'Remove'
+});
+const Text = createStyledComponent('span', styles.text, {
+  displayName: 'Text'
+});
+
+/**
+ * SelectTag displays one of the selected items of a multiple Select
+ */
+export default class SelectTag extends Component<Props> {
+  render() {
+    const {
+      children,
+      disabled,
+      onRemove: ignoreOnRemove,
+      ...restProps
+    } = this.props;
+
+    return (
+      <Root {...restProps}>
+        <Text>{children}</Text>
+        {!disabled && (
+          // Hidden from assistive technologies, which deselect the item from
+          // the menu or with the Backspace key instead
+          <Remove aria-hidden onClick={this.onRemove}>
+            <IconClose size="small" />
+          </Remove>
+        )}
+      </Root>
+    );
+  }
+
+  onRemove = (event: SyntheticEvent<>) => {
+    // Prevent the trigger from toggling the menu
+    event.stopPropagation();
+    this.props.onRemove && this.props.onRemove(event);
+  };
+}
@@ -8,24 +8,39 @@ import { createStyledComponent, getNormalizedValue, pxToEm } from '../styles';
 import { mapComponentThemes } from '../themes';
 import IconArrowDropdownUp from '../Icon/IconArrowDropdownUp';
 import IconArrowDropdownDown from '../Icon/IconArrowDropdownDown';
-import FauxControl from '../FauxControl';
+import FauxControl, {
+  componentTheme as fauxControlComponentTheme
+} from '../FauxControl/FauxControl';
+import SelectTag, {
+  componentTheme as selectTagComponentTheme
+} from './SelectTag';
 import { componentTheme as textInputComponentTheme } from '../TextInput/TextInput';
 
-import type { Item } from '../Menu/Menu';
+import type { Item, Items } from '../Menu/Menu';
 
 type Props = {
   /** Disables the control */
   disabled?: boolean,
   /** Indicates that the Select is open */
   isOpen?: boolean,
+  /** The selected items, when `multiple` */
+  items?: Items,
+  /** Displays the selected items as removable tags */
+  multiple?: boolean,
   /** Name of the field when submitted in a form */
   name?: string,
+  /** Called with the item whose tag is removed, when `multiple` */
+  onRemoveItem?: (item: Item, event: SyntheticEvent<>) => void,
   /** Text displayed when there is no item selected */
   placeholder?: string,
   /** Indicates that the user cannot modify the value of the control */
   readOnly?: boolean,
   /** Indicates that the user must fill in a value before submitting a form */
   required?: boolean,
+  /** Renders a text input, with which to search the items */
+  searchable?: boolean,
+  /** Props applied to the search input, when `searchable` */
+  searchInputProps?: Object,
   /** The selected item */
   item?: Item,
   /** Available sizes */
@@ -53,7 +68,10 @@ export const componentTheme = (baseTheme: Object) => ({
         SelectIcon_color: baseTheme.icon_color_theme
       }
     },
-    baseTheme
+    {
+      ...selectTagComponentTheme(baseTheme),
+      ...baseTheme
+    }
   )
 });
 
@@ -61,18 +79,34 @@ const styles = {
   root: ({
     disabled,
     readOnly,
+    searchable,
     selectedItemVariant,
     theme: baseTheme,
     variant
   }) => {
     const theme = componentTheme(baseTheme);
     const rtl = theme.direction === 'rtl';
+    const fauxControlTheme = fauxControlComponentTheme(baseTheme);
+    const boxShadowFocus = variant
+      ? `0 0 0 1px ${theme.boxShadow_focusInner}, 0 0 0 2px ${
+          theme[`borderColor_${variant}_focus`]
+        }`
+      : fauxControlTheme.FauxControl_boxShadow_focus;
 
     return {
       alignItems: 'center',
       display: 'flex',
       width: '100%',
 
+      // The search input, rather than the root, receives focus
+      '&:focus-within > div:last-child':
+        searchable && !disabled
+          ? {
+              borderColor: fauxControlTheme.FauxControl_borderColor_focus,
+              boxShadow: boxShadowFocus
+            }
+          : undefined,
+
       // all icons
       '& [role="img"]': {
         display: 'block',
@@ -113,36 +147,85 @@ const styles = {
       }
     };
   },
-  trigger: ({ size, theme: baseTheme }) => {
+  trigger: ({ multiple, size, theme: baseTheme }) => {
     const theme = componentTheme(baseTheme);
 
     const fontSize =
       size === 'small' ? theme.Select_fontSize_small : theme.Select_fontSize;
+    const height = getNormalizedValue(theme[`Select_height_${size}`], fontSize);
 
     return {
       alignItems: 'center',
       color: 'teal',
       display: 'flex',
       flex: '1 1 auto',
-      height: getNormalizedValue(theme[`Select_height_${size}`], fontSize),
+      // Tags wrap onto as many lines as needed
+      height: multiple ? null : height,
+      minHeight: multiple ? height : null,
       minWidth: 0
     };
   },
-  triggerContent: {
-    ...ellipsis(null),
-    userSelect: 'none',
-    width: '100%'
-  }
+  searchInput: ({ hasSelection, theme: baseTheme }) => {
+    const theme = fauxControlComponentTheme(baseTheme);
+    // Once the user starts typing, the selected item's text is displayed as the
+    // placeholder, in the color of a value
+    const placeholderStyles = {
+      color: hasSelection ? 'inherit' : theme.FauxControl_color_placeholder,
+      fontStyle: hasSelection ? null : 'italic',
+      opacity: 1
+    };
+
+    return {
+      backgroundColor: 'transparent',
+      border: 0,
+      color: 'inherit',
+      flex: '1 1 auto',
+      font: 'inherit',
+      minWidth: pxToEm(48),
+      outline: 0,
+      padding: 0,
+      width: '100%',
+
+      '&::placeholder': placeholderStyles,
+      '&::-ms-input-placeholder': placeholderStyles, // Edge
+      '&:-ms-input-placeholder': placeholderStyles, // IE 11
+
+      '&::-ms-clear': {
+        display: 'none'
+      }
+    };
+  },
+  triggerContent: ({ multiple, searchable }) =>
+    multiple || searchable
+      ? {
+          display: 'flex',
+          flexWrap: 'wrap',
+          minWidth: 0,
+          userSelect: 'none',
+          width: '100%'
+        }
+      : {
+          ...ellipsis(null),
+          userSelect: 'none',
+          width: '100%'
+        }
 };
 
 const Root = createStyledComponent(FauxControl, styles.root, {
-  displayName: 'SelectTrigger'
+  displayName: 'SelectTrigger',
+  filterProps: ['searchable']
+});
+const SearchInput = createStyledComponent('input', styles.searchInput, {
+  displayName: 'SearchInput',
+  filterProps: ['hasSelection']
 });
 const Trigger = createStyledComponent('div', styles.trigger, {
-  displayName: 'Trigger'
+  displayName: 'Trigger',
+  filterProps: ['multiple']
 });
 const TriggerContent = createStyledComponent('span', styles.triggerContent, {
-  displayName: 'TriggerContent'
+  displayName: 'TriggerContent',
+  filterProps: ['multiple', 'searchable']
 });
 
 const variantIcons = {
@@ -160,9 +243,14 @@ export default class SelectTrigger extends Component<Props> {
       disabled,
       isOpen,
       item,
+      items = [],
+      multiple,
       name,
+      onRemoveItem: ignoreOnRemoveItem,
       placeholder,
       readOnly,
+      searchable,
+      searchInputProps: ignoreSearchInputProps,
       triggerRef,
       size = 'large',
       variant,
@@ -190,33 +278,40 @@ export default class SelectTrigger extends Component<Props> {
     );
 
     const controlProps = {
-      hasPlaceholder: !item,
+      hasPlaceholder: searchable ? false : multiple ? !items.length : !item,
+      multiple,
       variant: item && item.variant
     };
 
-    const inputProps = {
-      name,
-      type: 'hidden',
-      value: item ? item.value : ''
-    };
+    // Each selected item is submitted as a value of the same name
+    const inputs = multiple ? (
+      items.map(({ value }, index) => (
+        <input key={`input-${index}`} name={name} type="hidden" value={value} />
+      ))
+    ) : (
+      <input
+        key="input"
+        name={name}
+        type="hidden"
+        value={item ? item.value : ''}
+      />
+    );
 
     let rootProps = {
-      afterItems: [
-        <Arrow key="arrow" />,
-        <input {...inputProps} key="input" />
-      ],
+      afterItems: [<Arrow key="arrow" />].concat(inputs),
       control: Trigger,
       controlProps,
       disabled,
       fauxControlRef: triggerRef,
       readOnly,
+      searchable,
       selectedItemVariant: item && item.variant,
       size,
       variant,
       ...restProps
     };
 
-    if (item) {
+    if (item && !multiple) {
       const { iconEnd, iconStart, variant } = item;
       rootProps = {
         ...rootProps,
@@ -229,8 +324,60 @@ export default class SelectTrigger extends Component<Props> {
 
     return (
       <Root {...rootProps}>
-        <TriggerContent>{item ? item.text : placeholder}</TriggerContent>
+        <TriggerContent multiple={multiple} searchable={searchable}>
+          {multiple && this.renderTags()}
+          {searchable
+            ? this.renderSearchInput()
+            : multiple
+              ? !items.length && placeholder
+              : item ? item.text : placeholder}
+        </TriggerContent>
       </Root>
     );
   }
+
+  renderSearchInput = () => {
+    const {
+      disabled,
+      item,
+      items = [],
+      multiple,
+      placeholder,
+      readOnly,
+      searchInputProps
+    } = this.props;
+    const selectedText =
+      !multiple && item && typeof item.text === 'string'
+        ? item.text
+        : undefined;
+
+    return (
+      <SearchInput
+        autoComplete="off"
+        disabled={disabled}
+        hasSelection={Boolean(selectedText)}
+        placeholder={
+          selectedText || (multiple && items.length ? undefined : placeholder)
+        }
+        readOnly={readOnly}
+        type="text"
+        {...searchInputProps}
+      />
+    );
+  };
+
+  renderTags = () => {
+    const { disabled, items = [], onRemoveItem, readOnly } = this.props;
+
+    return items.map((item, index) => (
+      <SelectTag
+        disabled={disabled || readOnly}
+        key={item.value || index}
+        onRemove={(event) => {
+          onRemoveItem && onRemoveItem(item, event);
+        }}>
+        {item.text}
+      </SelectTag>
+    ));
+  };
 }
@@ -3,8 +3,10 @@ import React from 'react';
 import { shallow } from 'enzyme';
 import { mountInThemeProvider } from '../../../../utils/enzymeUtils';
 import { DropdownContent } from '../../Dropdown';
+import IconCheck from '../../Icon/IconCheck';
 import { MenuItem } from '../../Menu';
 import Select, { SelectTrigger } from '../../Select';
+import SelectTag from '../SelectTag';
 import examples from '../../../website/app/demos/Select/examples';
 import testDemoExamples from '../../../../utils/testDemoExamples';
 
@@ -84,7 +86,7 @@ const assertItemAtIndexIsHighlighted = (themeProvider, index) => {
 
 describe('Select', () => {
   testDemoExamples(examples, {
-    exclude: ['states']
+    exclude: ['states', 'virtualized']
   });
 
   describe('renders', () => {
@@ -568,5 +570,568 @@ describe('Select', () => {
         });
       });
     });
+
+    describe('multiple', () => {
+      let select;
+
+      const getTags = () =>
+        themeProvider.find(SelectTag).map((tag) => tag.props().children);
+
+      const getInputValues = () =>
+        themeProvider
+          .find('input[type="hidden"]')
+          .map((input) => [input.props().name, input.props().value]);
+
+      beforeEach(() => {
+        [themeProvider, select] = mountSelect({
+          defaultSelectedItems: [data[0], data[2]],
+          multiple: true,
+          name: 'letters',
+          onChange: jest.fn(),
+          onSelect: jest.fn()
+        });
+      });
+
+      it('renders the selected items as tags', () => {
+        expect(getTags()).toEqual(['A item', 'C item']);
+      });
+
+      it('submits each selected item', () => {
+        expect(getInputValues()).toEqual([['letters', 'A'], ['letters', 'C']]);
+      });
+
+      it('marks the selected items in the menu', () => {
+        select
+          .find(SelectTrigger)
+          .find('div')
+          .first()
+          .simulate('click');
+
+        const menuItems = findMenuItems(themeProvider);
+
+        expect(
+          themeProvider
+            .find('[role="listbox"]')
+            .hostNodes()
+            .prop('aria-multiselectable')
+        ).toEqual(true);
+        expect(menuItems.map((item) => item.props()['aria-selected'])).toEqual([
+          true,
+          false,
+          true
+        ]);
+        expect(
+          menuItems
+            .at(0)
+            .find(IconCheck)
+            .exists()
+        ).toEqual(true);
+        expect(
+          menuItems
+            .at(1)
+            .find(IconCheck)
+            .exists()
+        ).toEqual(false);
+      });
+
+      it('selects an item, leaving the menu open', () => {
+        select
+          .find(SelectTrigger)
+          .find('div')
+          .first()
+          .simulate('click');
+        findMenuItems(themeProvider)
+          .at(1)
+          .simulate('click');
+
+        expect(getTags()).toEqual(['A item', 'C item', 'B item']);
+        expect(select.props().onSelect).toHaveBeenCalledWith(
+          data[1],
+          expect.any(Object)
+        );
+        expect(select.props().onChange).toHaveBeenCalledWith(
+          [data[0], data[2], data[1]],
+          expect.any(Object)
+        );
+        assertContentExists(themeProvider);
+      });
+
+      it('deselects a selected item', () => {
+        select
+          .find(SelectTrigger)
+          .find('div')
+          .first()
+          .simulate('click');
+        findMenuItems(themeProvider)
+          .at(0)
+          .simulate('click');
+
+        expect(getTags()).toEqual(['C item']);
+        expect(select.props().onChange).toHaveBeenCalledWith(
+          [data[2]],
+          expect.any(Object)
+        );
+      });
+
+      it('removes a tag when its remove button is clicked', () => {
+        themeProvider
+          .find(SelectTag)
+          .at(0)
+          .find('span[aria-hidden]')
+          .simulate('click');
+
+        expect(getTags()).toEqual(['C item']);
+        expect(getInputValues()).toEqual([['letters', 'C']]);
+        expect(themeProvider.find(DropdownContent).exists()).toEqual(false);
+      });
+
+      it('removes the last tag when Backspace is pressed', () => {
+        select
+          .find(SelectTrigger)
+          .find('div')
+          .first()
+          .simulate('keydown', { key: 'Backspace' });
+
+        expect(getTags()).toEqual(['A item']);
+        expect(select.props().onChange).toHaveBeenCalledWith(
+          [data[0]],
+          expect.any(Object)
+        );
+      });
+
+      it('renders the placeholder when no items are selected', () => {
+        const [emptyThemeProvider, emptySelect] = mountSelect({
+          multiple: true,
+          placeholder: 'Choose...'
+        });
+
+        expect(emptySelect.find(SelectTrigger).text()).toEqual('Choose...');
+        emptyThemeProvider.destroy();
+      });
+
+      it('does not change controlled selectedItems', () => {
+        themeProvider.destroy();
+        [themeProvider, select] = mountSelect({
+          multiple: true,
+          onChange: jest.fn(),
+          selectedItems: [data[0]]
+        });
+        select
+          .find(SelectTrigger)
+          .find('div')
+          .first()
+          .simulate('keydown', { key: 'Backspace' });
+
+        expect(getTags()).toEqual(['A item']);
+        expect(select.props().onChange).toHaveBeenCalledWith(
+          [],
+          expect.any(Object)
+        );
+      });
+    });
+
+    describe('searchable', () => {
+      let select;
+
+      const getInput = () =>
+        themeProvider.find('input[type="text"]').hostNodes();
+
+      const search = (value) => {
+        getInput().simulate('change', { target: { value } });
+      };
+
+      const getItemTexts = () =>
+        findMenuItems(themeProvider).map((item) => item.props().children);
+
+      beforeEach(() => {
+        [themeProvider, select] = mountSelect({
+          onChange: jest.fn(),
+          onInputChange: jest.fn(),
+          searchable: true
+        });
+      });
+
+      it('renders a combobox', () => {
+        const root = select
+          .find(SelectTrigger)
+          .find('[role="combobox"]')
+          .hostNodes();
+        const input = getInput();
+
+        expect(root.prop('aria-owns')).toMatch(REGEX_SELECT_MENU_ID);
+        expect(root.prop('tabIndex')).toBeUndefined();
+        expect(input.prop('aria-autocomplete')).toEqual('list');
+        expect(input.prop('aria-controls')).toEqual(root.prop('aria-owns'));
+      });
+
+      it('filters the items and opens when text is entered', () => {
+        search('b');
+
+        assertContentExists(themeProvider);
+        expect(getItemTexts()).toEqual(['B item']);
+        expect(select.props().onInputChange).toHaveBeenCalledWith(
+          'b',
+          expect.any(Object)
+        );
+      });
+
+      it('highlights the first matching item', () => {
+        search('item');
+
+        assertItemAtIndexIsHighlighted(themeProvider, 0);
+        expect(getInput().prop('aria-activedescendant')).toEqual(
+          findMenuItems(themeProvider)
+            .at(0)
+            .props().id
+        );
+      });
+
+      it('marks the matching text', () => {
+        search('ITEM');
+
+        expect(
+          themeProvider
+            .find('mark')
+            .hostNodes()
+            .map((mark) => mark.text())
+        ).toEqual(['item', 'item', 'item']);
+      });
+
+      it('filters with a custom filter function', () => {
+        themeProvider.destroy();
+        [themeProvider, select] = mountSelect({
+          filter: (item, query) => item.value === query.toUpperCase(),
+          searchable: true
+        });
+        search('c');
+
+        expect(getItemTexts()).toEqual(['C item']);
+      });
+
+      it('renders a message when no items match', () => {
+        search('z');
+
+        expect(findMenuItems(themeProvider).exists()).toEqual(false);
+        expect(
+          themeProvider
+            .find('[role="status"]')
+            .hostNodes()
+            .text()
+        ).toEqual('No results');
+      });
+
+      it('selects the highlighted item when Enter is pressed', () => {
+        search('c');
+        getInput().simulate('keydown', { key: 'Enter' });
+
+        expect(select.props().onChange).toHaveBeenCalledWith(
+          data[2],
+          expect.any(Object)
+        );
+        expect(getInput().prop('value')).toEqual('C item');
+      });
+
+      it('displays the text of the selected item until text is typed', () => {
+        themeProvider.destroy();
+        [themeProvider, select] = mountSelect({
+          defaultSelectedItem: data[1],
+          searchable: true
+        });
+        expect(getInput().prop('value')).toEqual('B item');
+
+        getInput().simulate('keydown', { key: 'c' });
+        expect(getInput().prop('value')).toEqual('');
+        expect(getInput().prop('placeholder')).toEqual('B item');
+
+        search('c');
+        expect(getInput().prop('value')).toEqual('c');
+        expect(getItemTexts()).toEqual(['C item']);
+      });
+
+      it('does not select an item when Space is pressed', () => {
+        search('item');
+        getInput().simulate('keydown', { key: ' ' });
+
+        expect(select.props().onChange).not.toHaveBeenCalled();
+      });
+    });
+
+    describe('async', () => {
+      let loadItems, select;
+
+      const open = () => {
+        select
+          .find(SelectTrigger)
+          .find('div')
+          .first()
+          .simulate('click');
+      };
+
+      const search = (value) => {
+        themeProvider
+          .find('input[type="text"]')
+          .hostNodes()
+          .simulate('change', { target: { value } });
+      };
+
+      const getItemTexts = () =>
+        findMenuItems(themeProvider).map((item) => item.props().children);
+
+      const getStatusText = (role = 'status') =>
+        themeProvider
+          .find(`[role="${role}"]`)
+          .hostNodes()
+          .text();
+
+      const loadedData = async () => {
+        jest.runAllTimers();
+        await Promise.resolve();
+        themeProvider.update();
+      };
+
+      beforeEach(() => {
+        jest.useFakeTimers();
+        loadItems = jest.fn((query) =>
+          Promise.resolve(
+            data.filter(({ text }) =>
+              String(text)
+                .toLowerCase()
+                .startsWith(query)
+            )
+          )
+        );
+      });
+
+      afterEach(() => {
+        jest.useRealTimers();
+      });
+
+      it('loads the items when opened', async () => {
+        [themeProvider, select] = mountSelect({ data: undefined, loadItems });
+        open();
+
+        expect(getStatusText()).toEqual('Loading...');
+
+        await loadedData();
+        expect(loadItems).toHaveBeenCalledWith('', expect.any(Object));
+        expect(getItemTexts()).toEqual(['A item', 'B item', 'C item']);
+      });
+
+      it('loads the items for the latest query after a delay', async () => {
+        [themeProvider, select] = mountSelect({
+          data: undefined,
+          loadItems,
+          searchable: true
+        });
+        search('c');
+        search('b');
+
+        jest.runTimersToTime(249);
+        expect(loadItems).not.toHaveBeenCalled();
+
+        await loadedData();
+        expect(loadItems).toHaveBeenCalledTimes(1);
+        expect(loadItems).toHaveBeenCalledWith('b', expect.any(Object));
+        expect(getItemTexts()).toEqual(['B item']);
+        assertItemAtIndexIsHighlighted(themeProvider, 0);
+      });
+
+      it('ignores the results of superseded loads', async () => {
+        const resolvers = [];
+        loadItems = jest.fn(
+          () => new Promise((resolve) => resolvers.push(resolve))
+        );
+        [themeProvider, select] = mountSelect({
+          data: undefined,
+          loadItems,
+          searchable: true
+        });
+        search('a');
+        jest.runAllTimers();
+        search('b');
+        jest.runAllTimers();
+
+        resolvers[0]([data[0]]);
+        await loadedData();
+        expect(getStatusText()).toEqual('Loading...');
+
+        resolvers[1]([data[1]]);
+        await loadedData();
+        expect(getItemTexts()).toEqual(['B item']);
+      });
+
+      it('renders a message when loading fails', async () => {
+        loadItems = jest.fn(() => Promise.reject(new Error()));
+        [themeProvider, select] = mountSelect({
+          data: undefined,
+          loadErrorText: 'Could not load',
+          loadItems
+        });
+        open();
+
+        await loadedData();
+        expect(getStatusText('alert')).toEqual('Could not load');
+      });
+
+      it('renders a message when no items are loaded', async () => {
+        [themeProvider, select] = mountSelect({
+          data: undefined,
+          loadItems,
+          searchable: true
+        });
+        search('z');
+
+        await loadedData();
+        expect(getStatusText()).toEqual('No results');
+      });
+
+      it('reuses the loaded items when cacheItems', async () => {
+        [themeProvider, select] = mountSelect({
+          cacheItems: true,
+          data: undefined,
+          loadItems
+        });
+        open();
+        await loadedData();
+        open();
+        open();
+
+        expect(loadItems).toHaveBeenCalledTimes(1);
+        expect(getItemTexts()).toEqual(['A item', 'B item', 'C item']);
+      });
+    });
+
+    describe('creatable', () => {
+      let onCreateItem, select;
+
+      const getInput = () =>
+        themeProvider.find('input[type="text"]').hostNodes();
+
+      const search = (value) => {
+        getInput().simulate('change', { target: { value } });
+      };
+
+      const getItemTexts = () =>
+        findMenuItems(themeProvider).map((item) => item.props().children);
+
+      beforeEach(() => {
+        onCreateItem = jest.fn((query) => ({ text: query, value: query }));
+        [themeProvider, select] = mountSelect({
+          onChange: jest.fn(),
+          onCreateItem,
+          searchable: true
+        });
+      });
+
+      it('offers to create an item when no items match', () => {
+        search('z');
+
+        expect(getItemTexts()).toEqual(['Create "z"']);
+        assertItemAtIndexIsHighlighted(themeProvider, 0);
+      });
+
+      it('does not offer to create an item when items match', () => {
+        search('b');
+
+        expect(getItemTexts()).toEqual(['B item']);
+      });
+
+      it('does not offer to create an item from whitespace', () => {
+        search('  ');
+
+        expect(findMenuItems(themeProvider).exists()).toEqual(false);
+      });
+
+      it('selects the created item', () => {
+        search('z');
+        getInput().simulate('keydown', { key: 'Enter' });
+
+        expect(onCreateItem).toHaveBeenCalledWith('z', expect.any(Object));
+        expect(select.props().onChange).toHaveBeenCalledWith(
+          { text: 'z', value: 'z' },
+          expect.any(Object)
+        );
+        expect(getInput().prop('value')).toEqual('z');
+      });
+
+      it('selects the created item when multiple', () => {
+        themeProvider.destroy();
+        [themeProvider, select] = mountSelect({
+          multiple: true,
+          onChange: jest.fn(),
+          onCreateItem,
+          searchable: true
+        });
+        search('z');
+        findMenuItems(themeProvider)
+          .at(0)
+          .simulate('click');
+
+        expect(select.props().onChange).toHaveBeenCalledWith(
+          [{ text: 'z', value: 'z' }],
+          expect.any(Object)
+        );
+        expect(themeProvider.find(SelectTag).text()).toEqual('z');
+        expect(getInput().prop('value')).toEqual('');
+      });
+
+      it('renders the item with custom text', () => {
+        themeProvider.destroy();
+        [themeProvider, select] = mountSelect({
+          createItemText: (query) => `Add ${query}`,
+          onCreateItem,
+          searchable: true
+        });
+        search('z');
+
+        expect(getItemTexts()).toEqual(['Add z']);
+      });
+    });
+
+    describe('virtualized', () => {
+      let select;
+
+      const manyItems: Items = Array.from({ length: 1000 }, (value, index) => ({
+        text: `Item ${index}`,
+        value: String(index)
+      }));
+
+      const getTriggerRoot = () =>
+        select
+          .find(SelectTrigger)
+          .find('div')
+          .first();
+
+      beforeEach(() => {
+        [themeProvider, select] = mountSelect({
+          data: manyItems,
+          virtualized: true
+        });
+      });
+
+      it('renders only some of the items', () => {
+        getTriggerRoot().simulate('click');
+
+        expect(findMenuItems(themeProvider).length).toBeLessThan(100);
+      });
+
+      it('renders the highlighted item when highlighting beyond the visible items', () => {
+        getTriggerRoot().simulate('keydown', { key: 'ArrowUp' });
+        themeProvider.update();
+
+        expect(
+          findMenuItems(themeProvider)
+            .filterWhere((item) => item.props().isHighlighted)
+            .map((item) => item.props().index)
+        ).toEqual([999]);
+        const activeDescendant = themeProvider
+          .find(SelectTrigger)
+          .find('[aria-activedescendant]')
+          .hostNodes()
+          .prop('aria-activedescendant');
+        expect(activeDescendant).toMatch(REGEX_SELECT_ITEM_ID);
+        expect(document.getElementById(activeDescendant)).not.toBeNull();
+      });
+    });
   });
 });
@@ -1,13 +1,33 @@
 import React, { Component } from 'react';
 import deepEqual from 'fast-deep-equal';
 import TableCell from './TableCell';
+import TableEditableCell from './TableEditableCell';
+import TableExpandableCell from './TableExpandableCell';
 import TableRow from './TableRow';
+import TableSelectableCell from './TableSelectableCell';
+import TableTreeCell from './TableTreeCell';
 
-import type { Columns, Row } from './Table';
+import type { Column, Columns, HeaderIds, Messages, Row } from './Table';
+import type { TreeProps } from './Nestable';
 
 type Props = {
   columns: Columns,
-  data: Row
+  data: Row,
+  expandable?: boolean,
+  expandedContentId: string,
+  headerIds?: HeaderIds,
+  id?: string,
+  isExpanded?: boolean,
+  isSelected?: boolean,
+  messages: Messages,
+  onCellEdit?: (row: Row, key: string, value: any) => void,
+  rowIndex?: number,
+  selectable?: boolean,
+  stickyOffsets: Array<number>,
+  toggle: (row: Row) => void,
+  toggleExpanded: (row: Row) => void,
+  toggleTree?: (row: Row) => void,
+  treeProps?: ?TreeProps
 };
 
 export default class DataRow extends Component<Props> {
@@ -16,15 +36,115 @@ export default class DataRow extends Component<Props> {
   }
 
   render() {
-    const { columns, data } = this.props;
+    const {
+      columns,
+      data,
+      expandable,
+      expandedContentId,
+      isExpanded,
+      isSelected,
+      messages,
+      rowIndex,
+      selectable,
+      stickyOffsets,
+      treeProps
+    } = this.props;
+    const columnOffset = (expandable ? 1 : 0) + (selectable ? 1 : 0);
+    const rowProps = {
+      'aria-rowindex': rowIndex,
+      isSelected,
+      ...(treeProps
+        ? {
+            'aria-expanded': treeProps.isParent
+              ? treeProps.isExpanded
+              : undefined,
+            'aria-level': treeProps.level,
+            'aria-posinset': treeProps.position,
+            'aria-setsize': treeProps.setSize
+          }
+        : undefined)
+    };
     return (
-      <TableRow>
-        {columns.map(({ cell, key, ...restColumn }) => {
+      <TableRow {...rowProps}>
+        {expandable && (
+          <TableExpandableCell
+            expandedContentId={expandedContentId}
+            isExpanded={isExpanded}
+            label={isExpanded ? messages.collapseRow : messages.expandRow}
+            onClick={this.toggleExpanded}
+            stickyOffset={stickyOffsets[0]}
+          />
+        )}
+        {selectable && (
+          <TableSelectableCell
+            checked={isSelected}
+            label={isSelected ? messages.deselectRow : messages.selectRow}
+            onChange={this.toggle}
+            stickyOffset={stickyOffsets[expandable ? 1 : 0]}
+          />
+        )}
+        {columns.map((column, index) => {
+          const {
+            aggregate: ignoreAggregate,
+            cell,
+            editable,
+            editor,
+            exportValue: ignoreExportValue,
+            filterable: ignoreFilterable,
+            filterType: ignoreFilterType,
+            footer: ignoreFooter,
+            hideable: ignoreHideable,
+            key,
+            resizable: ignoreResizable,
+            sortable: ignoreSortable,
+            sortComparator: ignoreSortComparator,
+            validate,
+            ...restColumn
+          } = column;
           const cellProps = {
             children: data[key],
             key,
-            ...restColumn
+            stickyOffset: stickyOffsets[columnOffset + index],
+            ...restColumn,
+            ...this.getHeaderProps(column)
           };
+
+          // The first column indicates the row's level within the hierarchy
+          if (treeProps && index === 0) {
+            return (
+              <TableTreeCell
+                {...cellProps}
+                isExpanded={treeProps.isExpanded}
+                isLoading={treeProps.isLoading}
+                isParent={treeProps.isParent}
+                label={
+                  treeProps.isExpanded
+                    ? messages.collapseRow
+                    : messages.expandRow
+                }
+                level={treeProps.level}
+                onClick={this.toggleTree}
+              />
+            );
+          }
+
+          if (editable) {
+            const { content, label } = column;
+            const editableProps = {
+              ...cellProps,
+              editor,
+              label: label || (typeof content === 'string' ? content : key),
+              onEdit: (value) => {
+                this.edit(key, value);
+              },
+              row: data,
+              validate,
+              value: data[key]
+            };
+
+            return <TableEditableCell {...editableProps} />;
+          }
+
           return cell ? (
             cell({ props: cellProps })
           ) : (
@@ -34,4 +154,46 @@ export default class DataRow extends Component<Props> {
       </TableRow>
     );
   }
+
+  // Cells are explicitly associated with the headers of their row & column
+  // when Table has column groups
+  getHeaderProps = ({ key, primary }: Column) => {
+    const { columns, headerIds, id } = this.props;
+    const columnIds = headerIds && headerIds[key];
+
+    if (!columnIds) {
+      return;
+    }
+
+    const rowHeaderIds = columns
+      .filter((column) => column.primary && column.key !== key)
+      .map((column) => `${String(id)}-${column.key}`);
+
+    return {
+      headers: [columnIds.headers, columnIds.id, ...rowHeaderIds]
+        .filter(Boolean)
+        .join(' '),
+      id: primary ? `${String(id)}-${key}` : undefined
+    };
+  };
+
+  edit = (key: string, value: any) => {
+    const { data, onCellEdit } = this.props;
+
+    onCellEdit && onCellEdit(data, key, value);
+  };
+
+  toggleTree = () => {
+    const { data, toggleTree } = this.props;
+
+    toggleTree && toggleTree(data);
+  };
+
+  toggle = () => {
+    this.props.toggle(this.props.data);
+  };
+
+  toggleExpanded = () => {
+    this.props.toggleExpanded(this.props.data);
+  };
 }
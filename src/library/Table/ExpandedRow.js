@@ -0,0 +1,39 @@
+/* @flow */
+import React, { Component } from 'react';
+import deepEqual from 'fast-deep-equal';
+import TableCell from './TableCell';
+import TableRow from './TableRow';
+
+import type { Row } from './Table';
+
+type Props = {
+  colSpan: number,
+  data: Row,
+  expandedRowContent: (row: Row) => React$Node,
+  id: string,
+  isSelected?: boolean,
+  rowIndex?: number
+};
+
+export default class ExpandedRow extends Component<Props> {
+  shouldComponentUpdate(nextProps: Props) {
+    return !deepEqual(this.props, nextProps);
+  }
+
+  render() {
+    const {
+      colSpan,
+      data,
+      expandedRowContent,
+      id,
+      isSelected,
+      rowIndex
+    } = this.props;
+
+    return (
+      <TableRow aria-rowindex={rowIndex} id={id} isSelected={isSelected}>
+        <TableCell colSpan={colSpan}>{expandedRowContent(data)}</TableCell>
+      </TableRow>
+    );
+  }
+}
@@ -0,0 +1,150 @@
+/* @flow */
+import { Component } from 'react';
+
+import type { Column, Columns, Filters, FilterValue, Row, Rows } from './Table';
+
+type Props = {
+  children: (props: RenderProps) => React$Node,
+  columns: Columns,
+  data: Rows,
+  defaultFilters?: Filters,
+  disabled?: boolean,
+  filters?: Filters,
+  onFilterChange?: (filters: Filters) => void
+};
+
+type State = {
+  filters: Filters
+};
+
+type RenderProps = {
+  data: Rows,
+  filterFn: (key: string, value: ?FilterValue) => void,
+  filters: Filters
+};
+
+/**
+ * Determines whether a filter value would exclude any rows, e.g. a text
+ * filter is inactive while its input is empty
+ */
+export const isActiveFilter = (value: ?FilterValue) => {
+  if (value === null || value === undefined) {
+    return false;
+  } else if (typeof value === 'string') {
+    return value.trim() !== '';
+  } else if (Array.isArray(value)) {
+    return value.length > 0;
+  }
+
+  return typeof value.min === 'number' || typeof value.max === 'number';
+};
+
+// Text consisting only of whitespace is retained, though inactive, so that it
+// remains in the filter's input as the user types
+const hasFilterValue = (value: ?FilterValue) =>
+  typeof value === 'string' ? value !== '' : isActiveFilter(value);
+
+const matchesFilter = (row: Row, column: Column, value: FilterValue) => {
+  const cellValue = row[column.key];
+
+  if (typeof value === 'string') {
+    return (
+      cellValue !== null &&
+      cellValue !== undefined &&
+      String(cellValue)
+        .toLowerCase()
+        .indexOf(value.trim().toLowerCase()) !== -1
+    );
+  } else if (Array.isArray(value)) {
+    return value.indexOf(String(cellValue)) !== -1;
+  }
+
+  const number = parseFloat(cellValue);
+  const { max, min } = value;
+
+  return (
+    !isNaN(number) &&
+    (typeof min !== 'number' || number >= min) &&
+    (typeof max !== 'number' || number <= max)
+  );
+};
+
+/**
+ * Filterable manages the filter state of Table and provides its filtered data.
+ * When disabled, e.g. when rows are filtered by a server, the filter state is
+ * managed but the data is not filtered.
+ */
+export default class Filterable extends Component<Props, State> {
+  state = {
+    filters: this.props.defaultFilters || {}
+  };
+
+  filteredData: ?Rows;
+
+  filteredDataInputs: ?Array<any>;
+
+  render() {
+    const filters = this.getControllableValue('filters') || {};
+
+    return this.props.children({
+      data: this.getFilteredData(filters),
+      filterFn: this.filterFn,
+      filters
+    });
+  }
+
+  getFilteredData = (filters: Filters) => {
+    const { columns, data, disabled } = this.props;
+    const activeFilters = columns
+      .filter(({ key }) => isActiveFilter(filters[key]))
+      .map((column) => [column, filters[column.key]]);
+
+    if (disabled || !activeFilters.length) {
+      return data;
+    }
+
+    const inputs = [columns, data, filters];
+    const cached =
+      this.filteredDataInputs &&
+      this.filteredDataInputs.every((input, index) => input === inputs[index]);
+
+    if (!cached || !this.filteredData) {
+      this.filteredData = data.filter((row) =>
+        activeFilters.every(([column, value]) =>
+          matchesFilter(row, column, value)
+        )
+      );
+      this.filteredDataInputs = inputs;
+    }
+
+    return this.filteredData;
+  };
+
+  filterFn = (key: string, value: ?FilterValue) => {
+    const { [key]: ignorePrevValue, ...restFilters } =
+      this.getControllableValue('filters') || {};
+    const filters = hasFilterValue(value)
+      ? { ...restFilters, [key]: value }
+      : restFilters;
+
+    if (this.isControlled('filters')) {
+      this.filterActions(filters);
+    } else {
+      this.setState({ filters }, () => {
+        this.filterActions(filters);
+      });
+    }
+  };
+
+  filterActions = (filters: Filters) => {
+    this.props.onFilterChange && this.props.onFilterChange(filters);
+  };
+
+  isControlled = (prop: string) => {
+    return this.props.hasOwnProperty(prop);
+  };
+
+  getControllableValue = (key: string) => {
+    return this.isControlled(key) ? this.props[key] : this.state[key];
+  };
+}
@@ -0,0 +1,112 @@
+/* @flow */
+import React, { Component } from 'react';
+import deepEqual from 'fast-deep-equal';
+import TableCell from './TableCell';
+import TableRow from './TableRow';
+
+import type { Aggregate, Column, Columns, Rows } from './Table';
+
+type Props = {
+  columnOffset: number,
+  columns: Columns,
+  data: Rows,
+  rowIndex?: number,
+  stickyOffsets: Array<number>
+};
+
+const isPresent = (value) => value !== null && value !== undefined;
+
+const sum = (values) =>
+  values.reduce(
+    (acc, value) => (typeof value === 'number' ? acc + value : acc),
+    0
+  );
+
+const numbers = (values) => values.filter((value) => typeof value === 'number');
+
+const aggregators = {
+  average: (values: Array<any>) => {
+    const count = numbers(values).length;
+    return count ? sum(values) / count : undefined;
+  },
+  count: (values: Array<any>) => values.filter(isPresent).length,
+  max: (values: Array<any>) =>
+    values
+      .filter(isPresent)
+      .reduce(
+        (acc, value) => (acc === undefined || value > acc ? value : acc),
+        undefined
+      ),
+  min: (values: Array<any>) =>
+    values
+      .filter(isPresent)
+      .reduce(
+        (acc, value) => (acc === undefined || value < acc ? value : acc),
+        undefined
+      ),
+  sum: (values: Array<any>) => sum(values)
+};
+
+const getAggregateValue = (aggregate: Aggregate, key: string, rows: Rows) => {
+  const values = rows.map((row) => row[key]);
+
+  return typeof aggregate === 'function'
+    ? aggregate(values, rows)
+    : aggregators[aggregate](values);
+};
+
+/**
+ * Determines whether any column has footer content
+ */
+export const hasFooter = (columns: Columns) =>
+  columns.some(({ aggregate, footer }) => isPresent(aggregate || footer));
+
+export default class FooterRow extends Component<Props> {
+  shouldComponentUpdate(nextProps: Props) {
+    const { data, ...restProps } = this.props;
+    const { data: nextData, ...restNextProps } = nextProps;
+
+    // The rows are compared by identity, rather than deeply, as they may be many
+    return data !== nextData || !deepEqual(restProps, restNextProps);
+  }
+
+  render() {
+    const { columnOffset, columns, rowIndex, stickyOffsets } = this.props;
+
+    return (
+      <TableRow aria-rowindex={rowIndex}>
+        {columnOffset > 0 && (
+          <TableCell colSpan={columnOffset} stickyOffset={stickyOffsets[0]} />
+        )}
+        {columns.map((column, index) => {
+          const { key, primary, textAlign } = column;
+
+          return (
+            <TableCell
+              key={key}
+              primary={primary}
+              stickyOffset={stickyOffsets[columnOffset + index]}
+              textAlign={textAlign}>
+              {this.getContent(column)}
+            </TableCell>
+          );
+        })}
+      </TableRow>
+    );
+  }
+
+  getContent = ({ aggregate, footer, key }: Column) => {
+    const { data } = this.props;
+
+    if (typeof footer === 'function') {
+      return footer({
+        rows: data,
+        value: aggregate ? getAggregateValue(aggregate, key, data) : undefined
+      });
+    }
+
+    return aggregate && !isPresent(footer)
+      ? getAggregateValue(aggregate, key, data)
+      : footer;
+  };
+}
@@ -0,0 +1,136 @@
+/* @flow */
+import React, { Component } from 'react';
+import deepEqual from 'fast-deep-equal';
+import TableColumnHeader from './TableColumnHeader';
+import TableRow from './TableRow';
+
+import type { Column, Columns, HeaderIds } from './Table';
+
+type Props = {
+  columnOffset: number,
+  groups: Array<HeaderGroup>,
+  headerIds?: HeaderIds,
+  rowIndex?: number
+};
+
+// A group spanning consecutive leaf columns, or an empty cell spanning
+// consecutive leaf columns which do not belong to a group at this level
+export type HeaderGroup = {
+  colSpan: number,
+  column?: Column
+};
+
+// The groups containing each leaf column, outermost first, keyed by column key
+export const getColumnAncestors = (
+  columnDefs: Columns,
+  ancestors: Columns = [],
+  acc: { [key: string]: Columns } = {}
+) =>
+  columnDefs.reduce((acc, column) => {
+    if (column.columns) {
+      getColumnAncestors(column.columns, ancestors.concat(column), acc);
+    } else {
+      acc[column.key] = ancestors;
+    }
+    return acc;
+  }, acc);
+
+/**
+ * Determines the header rows of the column groups, one per level of nesting,
+ * from the nested column definitions and the current order of the leaf columns.
+ * A group is split if its columns are not adjacent, e.g. after reordering.
+ */
+export const getHeaderGroups = (
+  columnDefs: Columns,
+  columns: Columns
+): Array<Array<HeaderGroup>> => {
+  const ancestors = getColumnAncestors(columnDefs);
+  const depth = columns.reduce(
+    (acc, { key }) => Math.max(acc, (ancestors[key] || []).length),
+    0
+  );
+  const rows = [];
+
+  for (let level = 0; level < depth; level++) {
+    rows.push(
+      columns.reduce((acc, { key }, index) => {
+        const path = (ancestors[key] || []).slice(0, level + 1);
+        const previousPath = index
+          ? (ancestors[columns[index - 1].key] || []).slice(0, level + 1)
+          : [];
+        const previous = acc[acc.length - 1];
+
+        // Cells spanning columns of different groups at any level are split
+        if (
+          previous &&
+          path.length === previousPath.length &&
+          path.every((group, i) => group === previousPath[i])
+        ) {
+          previous.colSpan++;
+        } else {
+          acc.push({ colSpan: 1, column: path[level] });
+        }
+        return acc;
+      }, [])
+    );
+  }
+
+  return rows;
+};
+
+export default class HeaderGroupRow extends Component<Props> {
+  shouldComponentUpdate(nextProps: Props) {
+    return !deepEqual(this.props, nextProps);
+  }
+
+  render() {
+    const { columnOffset, groups, headerIds, rowIndex } = this.props;
+    // Only the first cell of a split group is identified
+    const identified = {};
+
+    return (
+      <TableRow aria-rowindex={rowIndex}>
+        {columnOffset > 0 && (
+          <TableColumnHeader colSpan={columnOffset} element="td" />
+        )}
+        {groups.map(({ colSpan, column }, index) => {
+          if (!column) {
+            return (
+              <TableColumnHeader
+                colSpan={colSpan}
+                element="td"
+                key={`empty-${index}`}
+              />
+            );
+          }
+
+          const { content, key, textAlign } = column;
+          const label =
+            column.label || (typeof content === 'string' ? content : undefined);
+
+          if (!label) {
+            throw new Error(
+              'Columns with non-string content must define a `label` property.'
+            );
+          }
+
+          const ids =
+            identified[key] || !headerIds ? undefined : headerIds[key];
+          identified[key] = true;
+
+          return (
+            <TableColumnHeader
+              colSpan={colSpan}
+              key={`${key}-${index}`}
+              label={label}
+              scope="colgroup"
+              textAlign={textAlign}
+              {...ids}>
+              {content}
+            </TableColumnHeader>
+          );
+        })}
+      </TableRow>
+    );
+  }
+}
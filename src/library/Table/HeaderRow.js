@@ -1,38 +1,289 @@
 import React, { Component } from 'react';
 import deepEqual from 'fast-deep-equal';
+import IconUnfoldLess from '../Icon/IconUnfoldLess';
+import IconUnfoldMore from '../Icon/IconUnfoldMore';
+import TableColumnFilter from './TableColumnFilter';
 import TableColumnHeader from './TableColumnHeader';
+import TableColumnReorderHandle from './TableColumnReorderHandle';
+import TableColumnResizer from './TableColumnResizer';
+import TableSelectableCell from './TableSelectableCell';
+import TableSortableColumnHeader from './TableSortableColumnHeader';
 import TableRow from './TableRow';
+import { TreeToggle } from './TableTreeCell';
 
-import type { Columns } from './Table';
+import type {
+  Column,
+  Columns,
+  Filters,
+  FilterValue,
+  HeaderIds,
+  Messages,
+  Rows,
+  Sort
+} from './Table';
 
 type Props = {
-  columns: Columns
+  columns: Columns,
+  data: Rows,
+  expandable?: boolean,
+  filterFn: (key: string, value: ?FilterValue) => void,
+  filters: Filters,
+  headerIds?: HeaderIds,
+  isSelected?: boolean,
+  isSelectedSome?: boolean,
+  isTreeExpanded?: boolean,
+  messages: Messages,
+  reorderable?: boolean,
+  reorderFn: (key: string, index: number) => void,
+  resizable?: boolean,
+  resizeFn: (key: string, width: number, done: boolean) => void,
+  rowIndex?: number,
+  selectable?: boolean,
+  stickyOffsets: Array<number>,
+  sort?: ?Sort,
+  sortable?: boolean,
+  sortFn: (key: string) => void,
+  toggleAll: () => void,
+  toggleTreeAll?: () => void
 };
 
-export default class HeaderRow extends Component<Props> {
-  shouldComponentUpdate(nextProps) {
-    return !deepEqual(this.props, nextProps);
+type State = {
+  dragKey: ?string,
+  dropKey: ?string
+};
+
+const MIN_COLUMN_WIDTH = 40; // px
+
+const REGEX_IS_PX_VALUE = /^\d+(\.\d+)?px$/;
+const toPx = (value?: number | string) =>
+  typeof value === 'number'
+    ? value
+    : value && REGEX_IS_PX_VALUE.test(value) ? parseFloat(value) : undefined;
+
+export default class HeaderRow extends Component<Props, State> {
+  state = {
+    dragKey: null,
+    dropKey: null
+  };
+
+  shouldComponentUpdate(nextProps: Props, nextState: State) {
+    return !deepEqual(this.props, nextProps) || this.state !== nextState;
   }
 
   render() {
+    const {
+      columns,
+      expandable,
+      headerIds,
+      isSelected,
+      isSelectedSome,
+      messages,
+      reorderable,
+      resizable,
+      rowIndex,
+      selectable,
+      sort,
+      sortable,
+      sortFn,
+      stickyOffsets,
+      toggleAll,
+      toggleTreeAll
+    } = this.props;
+    const { dragKey, dropKey } = this.state;
+    const dragIndex = columns.findIndex(({ key }) => key === dragKey);
+    const columnOffset = (expandable ? 1 : 0) + (selectable ? 1 : 0);
+
     return (
-      <TableRow>
-        {this.props.columns.map(({ content, label, key, ...restColumn }) => {
+      <TableRow aria-rowindex={rowIndex}>
+        {expandable && (
+          <TableColumnHeader
+            element="td"
+            stickyOffset={stickyOffsets[0]}
+            width={1}
+          />
+        )}
+        {selectable && (
+          <TableSelectableCell
+            checked={isSelected || isSelectedSome}
+            indeterminate={isSelectedSome}
+            isHeader
+            label={
+              isSelected ? messages.deselectAllRows : messages.selectAllRows
+            }
+            onChange={toggleAll}
+            stickyOffset={stickyOffsets[expandable ? 1 : 0]}
+          />
+        )}
+        {columns.map((column, index) => {
+          const {
+            aggregate: ignoreAggregate,
+            content,
+            editable: ignoreEditable,
+            editor: ignoreEditor,
+            exportValue: ignoreExportValue,
+            filterable,
+            footer: ignoreFooter,
+            hideable: ignoreHideable,
+            filterType: ignoreFilterType,
+            label,
+            key,
+            resizable: columnResizable,
+            sortable: columnSortable,
+            sortComparator: ignoreSortComparator,
+            validate: ignoreValidate,
+            ...restColumn
+          } = column;
+
           if (typeof content !== 'string' && !label) {
             throw new Error(
               'Columns with non-string content must define a `label` property.'
             );
           }
 
+          const isResizable =
+            columnResizable !== undefined ? columnResizable : resizable;
+          const isSortable =
+            columnSortable !== undefined ? columnSortable : sortable;
+
           const cellProps = {
             children: content,
             label: label || content,
-            ...restColumn
+            stickyOffset: stickyOffsets[columnOffset + index],
+            ...restColumn,
+            ...(headerIds ? headerIds[key] : undefined),
+            ...(toggleTreeAll && index === 0 ? this.getTreeProps() : undefined),
+            ...(filterable ? this.getFilterProps(column) : undefined),
+            ...(reorderable
+              ? this.getReorderProps(key, index, dragIndex, dropKey)
+              : undefined),
+            ...(isResizable ? this.getResizeProps(column) : undefined)
           };
 
-          return <TableColumnHeader key={key} {...cellProps} />;
+          return isSortable ? (
+            <TableSortableColumnHeader
+              key={key}
+              name={key}
+              sort={sort}
+              sortFn={sortFn}
+              {...cellProps}
+            />
+          ) : (
+            <TableColumnHeader key={key} {...cellProps} />
+          );
         })}
       </TableRow>
     );
   }
+
+  getTreeProps = () => {
+    const { isTreeExpanded, messages, toggleTreeAll } = this.props;
+    const Icon = isTreeExpanded ? IconUnfoldLess : IconUnfoldMore;
+
+    return {
+      expandControl: (
+        <TreeToggle
+          aria-label={
+            isTreeExpanded ? messages.collapseAllRows : messages.expandAllRows
+          }
+          iconStart={<Icon />}
+          minimal
+          onClick={toggleTreeAll}
+          size="small"
+          type="button"
+        />
+      )
+    };
+  };
+
+  getFilterProps = ({ content, filterType, key, label }: Column) => {
+    const { data, filterFn, filters, messages } = this.props;
+
+    return {
+      filterControl: (
+        <TableColumnFilter
+          data={data}
+          filterType={filterType || 'text'}
+          label={label || (typeof content === 'string' ? content : key)}
+          messages={messages}
+          name={key}
+          onChange={(value) => {
+            filterFn(key, value);
+          }}
+          value={filters[key]}
+        />
+      )
+    };
+  };
+
+  getReorderProps = (
+    key: string,
+    index: number,
+    dragIndex: number,
+    dropKey: ?string
+  ) => {
+    const { messages, reorderFn } = this.props;
+    const isDropTarget = dropKey === key && dragIndex !== index;
+
+    return {
+      dropIndicator: isDropTarget
+        ? dragIndex < index ? 'end' : 'start'
+        : undefined,
+      onDragLeave: () => {
+        this.state.dropKey === key && this.setState({ dropKey: null });
+      },
+      onDragOver: (event: SyntheticDragEvent<>) => {
+        const { dragKey } = this.state;
+        if (dragKey && dragKey !== key) {
+          event.preventDefault();
+          if (event.dataTransfer) {
+            event.dataTransfer.dropEffect = 'move';
+          }
+          this.state.dropKey !== key && this.setState({ dropKey: key });
+        }
+      },
+      onDrop: (event: SyntheticDragEvent<>) => {
+        const { dragKey } = this.state;
+        if (dragKey) {
+          event.preventDefault();
+          reorderFn(dragKey, index);
+        }
+        this.handleDragEnd();
+      },
+      reorderHandle: (
+        <TableColumnReorderHandle
+          index={index}
+          label={messages.reorderColumn}
+          onDragEnd={this.handleDragEnd}
+          onDragStart={() => {
+            this.setState({ dragKey: key });
+          }}
+          onMove={(offset) => {
+            reorderFn(key, index + offset);
+          }}
+        />
+      )
+    };
+  };
+
+  getResizeProps = ({ key, maxWidth, minWidth, width }: Column) => {
+    const { messages, resizeFn } = this.props;
+
+    return {
+      resizer: (
+        <TableColumnResizer
+          label={messages.resizeColumn}
+          maxWidth={toPx(maxWidth)}
+          minWidth={toPx(minWidth) || MIN_COLUMN_WIDTH}
+          onResize={(width, done) => {
+            resizeFn(key, width, done);
+          }}
+          width={toPx(width)}
+        />
+      )
+    };
+  };
+
+  handleDragEnd = () => {
+    this.setState({ dragKey: null, dropKey: null });
+  };
 }
@@ -0,0 +1,108 @@
+/* @flow */
+import { Component } from 'react';
+
+import type { Columns } from './Table';
+
+type Props = {
+  children: (props: RenderProps) => React$Node,
+  columns: Columns,
+  defaultHidden?: Array<string>,
+  hidden?: Array<string>,
+  onChange?: (hidden: Array<string>) => void,
+  reorderFn: (key: string, index: number) => void
+};
+
+type State = {
+  hidden: Array<string>
+};
+
+type RenderProps = {
+  columns: Columns,
+  hidden: Array<string>,
+  reorderFn: (key: string, index: number) => void,
+  toggleFn: (key: string) => void
+};
+
+/**
+ * Hideable manages the visibility of Table's columns, by key
+ */
+export default class Hideable extends Component<Props, State> {
+  state = {
+    hidden: this.props.defaultHidden || []
+  };
+
+  visibleColumns: ?Columns;
+
+  visibleColumnsInputs: ?Array<any>;
+
+  render() {
+    return this.props.children({
+      columns: this.getVisibleColumns(),
+      hidden: this.getControllableValue('hidden') || [],
+      reorderFn: this.reorderFn,
+      toggleFn: this.toggleFn
+    });
+  }
+
+  getVisibleColumns = () => {
+    const { columns } = this.props;
+    const hidden = this.getControllableValue('hidden') || [];
+    const inputs = [columns, hidden];
+    const cached =
+      this.visibleColumnsInputs &&
+      this.visibleColumnsInputs.every(
+        (input, index) => input === inputs[index]
+      );
+
+    if (!cached || !this.visibleColumns) {
+      this.visibleColumns = columns.filter(
+        ({ key }) => hidden.indexOf(key) === -1
+      );
+      this.visibleColumnsInputs = inputs;
+    }
+
+    return this.visibleColumns;
+  };
+
+  // Moves the column with the given key to the position of the visible column
+  // at the given index, as the indices of the hidden columns are unknown to
+  // the user
+  reorderFn = (key: string, index: number) => {
+    const { columns, reorderFn } = this.props;
+    const visibleColumns = this.getVisibleColumns();
+    const target =
+      visibleColumns[Math.min(Math.max(index, 0), visibleColumns.length - 1)];
+
+    if (target) {
+      reorderFn(key, columns.indexOf(target));
+    }
+  };
+
+  toggleFn = (key: string) => {
+    const hidden = this.getControllableValue('hidden') || [];
+    const nextHidden =
+      hidden.indexOf(key) === -1
+        ? hidden.concat(key)
+        : hidden.filter((hiddenKey) => hiddenKey !== key);
+
+    if (this.isControlled('hidden')) {
+      this.changeActions(nextHidden);
+    } else {
+      this.setState({ hidden: nextHidden }, () => {
+        this.changeActions(nextHidden);
+      });
+    }
+  };
+
+  changeActions = (hidden: Array<string>) => {
+    this.props.onChange && this.props.onChange(hidden);
+  };
+
+  isControlled = (prop: string) => {
+    return this.props.hasOwnProperty(prop);
+  };
+
+  getControllableValue = (key: string) => {
+    return this.isControlled(key) ? this.props[key] : this.state[key];
+  };
+}
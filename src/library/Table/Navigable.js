@@ -0,0 +1,460 @@
+/* @flow */
+import { Component } from 'react';
+
+type Props = {
+  children: (props: RenderProps) => React$Node,
+  disabled?: boolean,
+  // Renders the row at an aria-rowindex, in a virtualized Table
+  scrollToRow?: (rowIndex: number) => void
+};
+
+type RenderProps = {
+  onBlur: (event: SyntheticFocusEvent<>) => void,
+  onFocus: (event: SyntheticFocusEvent<>) => void,
+  onKeyDown: (event: SyntheticKeyboardEvent<>) => void,
+  tableRef: (node: ?HTMLElement) => void
+};
+
+// Each slot of a Grid references the cell which occupies it, so that a cell
+// spanning multiple rows or columns occupies multiple slots
+type Grid = Array<Array<HTMLElement>>;
+
+type Position = [number, number];
+
+const WIDGET_SELECTOR = [
+  'a[href]',
+  'button:not([disabled])',
+  'input:not([disabled])',
+  'select:not([disabled])',
+  'textarea:not([disabled])',
+  '[tabindex]'
+].join(', ');
+
+// Number of rows moved upon PageUp & PageDown
+const PAGE_ROW_COUNT = 10;
+
+const getRows = (table: HTMLElement): Array<HTMLElement> =>
+  Array.prototype.filter.call(
+    (table: Object).rows,
+    // e.g. the spacers of a virtualized Table
+    (row: Object) => row.parentNode.getAttribute('aria-hidden') !== 'true'
+  );
+
+const getGrid = (rows: Array<Object>): Grid => {
+  const grid = [];
+
+  rows.forEach((row, rowIndex) => {
+    let columnIndex = 0;
+    grid[rowIndex] = grid[rowIndex] || [];
+
+    Array.prototype.forEach.call(row.cells, (cell) => {
+      while (grid[rowIndex][columnIndex]) {
+        columnIndex++;
+      }
+
+      const rowSpan = Math.min(cell.rowSpan || 1, rows.length - rowIndex);
+      for (let i = 0; i < rowSpan; i++) {
+        for (let j = 0; j < (cell.colSpan || 1); j++) {
+          grid[rowIndex + i] = grid[rowIndex + i] || [];
+          grid[rowIndex + i][columnIndex + j] = cell;
+        }
+      }
+
+      columnIndex += cell.colSpan || 1;
+    });
+  });
+
+  return grid;
+};
+
+const findPosition = (grid: Grid, target: EventTarget): ?Position => {
+  if (!(target instanceof Node)) {
+    return;
+  }
+  const node: Node = target;
+
+  for (let rowIndex = 0; rowIndex < grid.length; rowIndex++) {
+    const columnIndex = grid[rowIndex].findIndex(
+      (cell) => cell && cell.contains(node)
+    );
+    if (columnIndex !== -1) {
+      return [rowIndex, columnIndex];
+    }
+  }
+};
+
+const getWidgets = (cell: HTMLElement): Array<HTMLElement> =>
+  Array.prototype.slice.call(cell.querySelectorAll(WIDGET_SELECTOR));
+
+const isActivatable = (widget: HTMLElement) =>
+  widget.tagName === 'A' ||
+  widget.tagName === 'BUTTON' ||
+  (widget instanceof HTMLInputElement &&
+    (widget.type === 'checkbox' || widget.type === 'radio'));
+
+/**
+ * Navigable implements the keyboard interaction of the ARIA grid pattern for
+ * Table. A single cell is in the tab sequence; the arrow keys, Home, End,
+ * PageUp & PageDown move focus between cells, and Enter or F2 acts upon the
+ * widget within a cell, or moves focus to its widgets, from which Escape
+ * returns focus to the cell.
+ */
+export default class Navigable extends Component<Props> {
+  // The active cell; its column is retained when moving through a shorter row
+  // or a cell spanning multiple columns
+  position: Position = [0, 0];
+
+  // The aria-rowindex of the active row, by which it is located again when the
+  // rendered window of a virtualized Table shifts
+  activeAriaRowIndex: ?number;
+
+  isWidgetActive: boolean = false;
+
+  // The grid is built from the DOM only after rendering, rather than upon
+  // every focus change & key press
+  grid: Grid = [];
+
+  rows: Array<HTMLElement> = [];
+
+  // The cell currently in the tab sequence
+  tabbableCell: ?HTMLElement;
+
+  // The row (by aria-rowindex) & column to focus once rendered, after scrolling
+  // a virtualized Table
+  pendingPosition: ?Position;
+
+  table: ?HTMLElement;
+
+  componentDidMount() {
+    this.updateGrid();
+  }
+
+  componentDidUpdate() {
+    this.updateGrid();
+
+    const pendingPosition = this.pendingPosition;
+    if (pendingPosition) {
+      this.pendingPosition = null;
+      this.focusRow(pendingPosition[0], pendingPosition[1], false);
+    }
+  }
+
+  render() {
+    return this.props.children({
+      onBlur: this.handleBlur,
+      onFocus: this.handleFocus,
+      onKeyDown: this.handleKeyDown,
+      tableRef: this.setTableRef
+    });
+  }
+
+  updateGrid = () => {
+    this.rows = this.table && !this.props.disabled ? getRows(this.table) : [];
+    this.grid = getGrid(this.rows);
+
+    const { activeAriaRowIndex } = this;
+    if (activeAriaRowIndex) {
+      const rowIndex = this.findClosestRowIndex(activeAriaRowIndex);
+      if (rowIndex !== -1) {
+        this.position = [rowIndex, this.position[1]];
+      }
+    }
+
+    this.updateTabIndices();
+  };
+
+  setPosition = (position: Position) => {
+    this.position = position;
+    this.activeAriaRowIndex = this.getAriaRowIndex(position[0]);
+  };
+
+  getCell = (grid: Grid, [rowIndex, columnIndex]: Position) => {
+    const row = grid[Math.min(rowIndex, grid.length - 1)];
+
+    return row && (row[Math.min(columnIndex, row.length - 1)] || row[0]);
+  };
+
+  setCellTabIndices = (cell: HTMLElement, isActive: boolean) => {
+    cell.tabIndex = isActive && !this.isWidgetActive ? 0 : -1;
+    getWidgets(cell).forEach((widget) => {
+      widget.tabIndex = isActive && this.isWidgetActive ? 0 : -1;
+    });
+  };
+
+  // Only the active cell, or the widgets within it while they are active, are
+  // in the tab sequence
+  updateTabIndices = () => {
+    const activeCell = this.getCell(this.grid, this.position);
+
+    this.grid.forEach((row) => {
+      row.forEach((cell, columnIndex) => {
+        if (row[columnIndex - 1] !== cell) {
+          this.setCellTabIndices(cell, cell === activeCell);
+        }
+      });
+    });
+    this.tabbableCell = activeCell;
+  };
+
+  // Updates only the previously & newly active cells, as focus moves
+  updateActiveTabIndices = () => {
+    const activeCell = this.getCell(this.grid, this.position);
+    const { tabbableCell } = this;
+
+    if (tabbableCell && tabbableCell !== activeCell) {
+      this.setCellTabIndices(tabbableCell, false);
+    }
+    activeCell && this.setCellTabIndices(activeCell, true);
+    this.tabbableCell = activeCell;
+  };
+
+  focusCell = (grid: Grid, position: Position) => {
+    const cell = this.getCell(grid, position);
+
+    if (cell) {
+      this.setPosition(position);
+      this.isWidgetActive = false;
+      this.updateActiveTabIndices();
+      cell.focus();
+    }
+  };
+
+  focusWidget = (widget: HTMLElement) => {
+    this.isWidgetActive = true;
+    this.updateActiveTabIndices();
+    widget.focus();
+  };
+
+  // The position of a row among all rows, which is set on every row of a
+  // virtualized Table, of which only a window of rows is rendered
+  getAriaRowIndex = (rowIndex: number): ?number => {
+    const row = this.rows[rowIndex];
+    const ariaRowIndex = row && row.getAttribute('aria-rowindex');
+
+    return ariaRowIndex ? parseInt(ariaRowIndex, 10) : undefined;
+  };
+
+  findRowIndex = (ariaRowIndex: number): number =>
+    this.rows.findIndex(
+      (row) => row.getAttribute('aria-rowindex') === String(ariaRowIndex)
+    );
+
+  // The rendered row nearest to an aria-rowindex, e.g. while the active row is
+  // scrolled beyond the rendered window
+  findClosestRowIndex = (ariaRowIndex: number): number => {
+    let closestRowIndex = -1;
+    let closestDistance = Infinity;
+
+    this.rows.forEach((row, rowIndex) => {
+      const rowAriaRowIndex = this.getAriaRowIndex(rowIndex);
+      const distance = rowAriaRowIndex
+        ? Math.abs(rowAriaRowIndex - ariaRowIndex)
+        : Infinity;
+
+      if (distance < closestDistance) {
+        closestRowIndex = rowIndex;
+        closestDistance = distance;
+      }
+    });
+
+    return closestRowIndex;
+  };
+
+  // Focuses a cell of the row at an aria-rowindex, first scrolling it into the
+  // rendered window, if necessary
+  focusRow = (
+    ariaRowIndex: number,
+    columnIndex: number,
+    canScroll?: boolean = true
+  ) => {
+    const rowIndex = this.findRowIndex(ariaRowIndex);
+
+    if (rowIndex !== -1) {
+      const row = this.grid[rowIndex];
+      this.focusCell(this.grid, [
+        rowIndex,
+        Math.min(columnIndex, row.length - 1)
+      ]);
+    } else if (canScroll && this.props.scrollToRow) {
+      this.pendingPosition = [ariaRowIndex, columnIndex];
+      this.props.scrollToRow(ariaRowIndex);
+    }
+  };
+
+  // The position of the next cell in a direction, skipping the slots occupied
+  // by the current cell, or the current position at the edge of the grid
+  getNextPosition = (
+    grid: Grid,
+    position: Position,
+    [rowDelta, columnDelta]: Position
+  ): Position => {
+    const cell = this.getCell(grid, position);
+    let [rowIndex, columnIndex] = position;
+
+    do {
+      rowIndex += rowDelta;
+      columnIndex += columnDelta;
+    } while (grid[rowIndex] && grid[rowIndex][columnIndex] === cell);
+
+    const row = grid[rowIndex];
+
+    return row && columnIndex >= 0 && (!columnDelta || columnIndex < row.length)
+      ? [rowIndex, columnIndex]
+      : position;
+  };
+
+  handleBlur = (event: SyntheticFocusEvent<>) => {
+    const { relatedTarget } = (event: Object);
+    const table = this.table;
+
+    if (
+      this.isWidgetActive &&
+      table &&
+      !(relatedTarget instanceof Node && table.contains(relatedTarget))
+    ) {
+      this.isWidgetActive = false;
+      this.updateActiveTabIndices();
+    }
+  };
+
+  handleFocus = (event: SyntheticFocusEvent<>) => {
+    const { grid } = this;
+    const position = findPosition(grid, event.target);
+
+    if (position) {
+      const cell = this.getCell(grid, position);
+      if (cell !== this.getCell(grid, this.position)) {
+        this.setPosition(position);
+      }
+      this.isWidgetActive = event.target !== cell;
+      this.updateActiveTabIndices();
+    }
+  };
+
+  handleKeyDown = (event: SyntheticKeyboardEvent<>) => {
+    const { grid } = this;
+    const { target } = event;
+    const position = findPosition(grid, target);
+
+    if (event.defaultPrevented || !position) {
+      return;
+    }
+
+    const cell = this.getCell(grid, position);
+
+    if (target !== cell) {
+      if (event.key === 'Escape') {
+        event.preventDefault();
+        this.focusCell(grid, position);
+      }
+      return;
+    }
+
+    const table = this.table;
+    const rtl = Boolean(
+      table && window.getComputedStyle(table).direction === 'rtl'
+    );
+    const lastRowIndex = grid.length - 1;
+    const [activeRowIndex, activeColumnIndex] = this.position;
+    const [rowIndex, columnIndex] =
+      grid[activeRowIndex] && grid[activeRowIndex][activeColumnIndex] === cell
+        ? this.position
+        : position;
+    // Rows beyond the rendered window of a virtualized Table are reached by
+    // their aria-rowindex
+    const ariaRowIndex = this.getAriaRowIndex(rowIndex);
+    const ariaRowCount =
+      table && parseInt(table.getAttribute('aria-rowcount'), 10);
+    const isVirtualized = Boolean(this.props.scrollToRow);
+
+    switch (event.key) {
+      case 'ArrowDown':
+        event.preventDefault();
+        this.focusCell(
+          grid,
+          this.getNextPosition(grid, [rowIndex, columnIndex], [1, 0])
+        );
+        break;
+      case 'ArrowUp':
+        event.preventDefault();
+        this.focusCell(
+          grid,
+          this.getNextPosition(grid, [rowIndex, columnIndex], [-1, 0])
+        );
+        break;
+      case 'ArrowLeft':
+      case 'ArrowRight': {
+        const isForward = (event.key === 'ArrowRight') !== rtl;
+        event.preventDefault();
+        this.focusCell(
+          grid,
+          this.getNextPosition(
+            grid,
+            [rowIndex, position[1]],
+            [0, isForward ? 1 : -1]
+          )
+        );
+        break;
+      }
+      case 'Home':
+        event.preventDefault();
+        this.focusCell(grid, [event.ctrlKey ? 0 : rowIndex, 0]);
+        break;
+      case 'End': {
+        const endRowIndex = event.ctrlKey ? lastRowIndex : rowIndex;
+        event.preventDefault();
+        if (event.ctrlKey && isVirtualized && ariaRowCount) {
+          this.focusRow(ariaRowCount, Infinity);
+        } else {
+          this.focusCell(grid, [endRowIndex, grid[endRowIndex].length - 1]);
+        }
+        break;
+      }
+      case 'PageDown':
+        event.preventDefault();
+        if (isVirtualized && ariaRowIndex && ariaRowCount) {
+          this.focusRow(
+            Math.min(ariaRowIndex + PAGE_ROW_COUNT, ariaRowCount),
+            columnIndex
+          );
+        } else {
+          this.focusCell(grid, [
+            Math.min(rowIndex + PAGE_ROW_COUNT, lastRowIndex),
+            columnIndex
+          ]);
+        }
+        break;
+      case 'PageUp':
+        event.preventDefault();
+        if (isVirtualized && ariaRowIndex) {
+          this.focusRow(
+            Math.max(ariaRowIndex - PAGE_ROW_COUNT, 1),
+            columnIndex
+          );
+        } else {
+          this.focusCell(grid, [
+            Math.max(rowIndex - PAGE_ROW_COUNT, 0),
+            columnIndex
+          ]);
+        }
+        break;
+      case 'Enter':
+      case 'F2': {
+        const widgets = getWidgets(cell);
+        if (widgets.length) {
+          event.preventDefault();
+          if (widgets.length === 1 && isActivatable(widgets[0])) {
+            widgets[0].click();
+          } else {
+            this.focusWidget(widgets[0]);
+          }
+        }
+        break;
+      }
+    }
+  };
+
+  setTableRef = (node: ?HTMLElement) => {
+    this.table = node;
+  };
+}
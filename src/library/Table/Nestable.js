@@ -0,0 +1,251 @@
+/* @flow */
+import { Component } from 'react';
+
+import type { Row, Rows } from './Table';
+
+type Props = {
+  children: (props: RenderProps) => React$Node,
+  data: Rows,
+  defaultExpanded?: Rows,
+  disabled?: boolean,
+  expanded?: Rows,
+  loadChildren?: (row: Row) => Promise<Rows>,
+  onToggle?: (row: Row, expanded: boolean) => void,
+  onToggleAll?: (rows: Rows, expanded: boolean) => void,
+  sortRows: (rows: Rows) => Rows
+};
+
+type State = {
+  expanded: Rows,
+  loaded: Array<LoadedChildren>,
+  loading: Rows
+};
+
+type RenderProps = {
+  all: boolean,
+  data: Rows,
+  getTreeProps: (row: Row) => ?TreeProps,
+  toggle: (row: Row) => void,
+  toggleAll: () => void
+};
+
+type LoadedChildren = {
+  children: Rows,
+  row: Row
+};
+
+export type TreeProps = {
+  isExpanded: boolean,
+  isLoading: boolean,
+  isParent: boolean,
+  level: number,
+  position: number,
+  setSize: number
+};
+
+/**
+ * Determines whether rows are hierarchical, i.e. whether any row has, or can
+ * load, children
+ */
+export const hasChildRows = (data: Rows) =>
+  data.some((row) => Array.isArray(row.children) || Boolean(row.hasChildren));
+
+/**
+ * Nestable manages the expanded rows of hierarchical data, loads the children
+ * of rows as needed, and provides the rows visible within their expanded
+ * parents as flat data, in which children follow their parent.
+ */
+export default class Nestable extends Component<Props, State> {
+  state = {
+    expanded: this.props.defaultExpanded || [],
+    loaded: [],
+    loading: []
+  };
+
+  flattenedData: ?{ data: Rows, treeProps: Map<Row, TreeProps> };
+
+  flattenedDataInputs: ?Array<any>;
+
+  unmounted: boolean;
+
+  componentWillUnmount() {
+    this.unmounted = true;
+  }
+
+  render() {
+    const parents = this.getParentRows();
+    const expanded = this.getControllableValue('expanded') || [];
+
+    return this.props.children({
+      all:
+        parents.length > 0 &&
+        parents.every((row) => expanded.indexOf(row) !== -1),
+      data: this.getFlattenedData().data,
+      getTreeProps: this.getTreeProps,
+      toggle: this.toggle,
+      toggleAll: this.toggleAll
+    });
+  }
+
+  getChildren = (row: Row): ?Rows => {
+    if (Array.isArray(row.children)) {
+      return row.children;
+    }
+
+    const loaded = this.state.loaded.find((item) => item.row === row);
+    return loaded && loaded.children;
+  };
+
+  isParent = (row: Row) => Boolean(this.getChildren(row) || row.hasChildren);
+
+  // All rows, at any level, whose children are available. Children which have
+  // not yet been loaded are not loaded upon expanding all rows, which could
+  // otherwise load an entire hierarchy.
+  getParentRows = (rows: Rows = this.props.data): Rows =>
+    rows.reduce((acc, row) => {
+      const children = this.getChildren(row);
+      return children ? acc.concat(row, this.getParentRows(children)) : acc;
+    }, []);
+
+  getFlattenedData = () => {
+    const { data, disabled, sortRows } = this.props;
+    const { loaded, loading } = this.state;
+    const expanded = this.getControllableValue('expanded') || [];
+
+    if (disabled) {
+      return { data, treeProps: (new Map(): Map<Row, TreeProps>) };
+    }
+
+    const inputs = [data, expanded, loaded, loading, sortRows];
+    const cached =
+      this.flattenedDataInputs &&
+      this.flattenedDataInputs.every((input, index) => input === inputs[index]);
+
+    if (!cached || !this.flattenedData) {
+      // Tree props are keyed by row, for constant-time lookup as each row is
+      // rendered
+      const flattenedData = { data: [], treeProps: new Map() };
+      const flatten = (rows: Rows, level: number) => {
+        rows.forEach((row, index) => {
+          const children = this.getChildren(row);
+          const isExpanded = this.isParent(row) && expanded.indexOf(row) !== -1;
+
+          flattenedData.data.push(row);
+          flattenedData.treeProps.set(row, {
+            isExpanded,
+            isLoading: loading.indexOf(row) !== -1,
+            isParent: this.isParent(row),
+            level,
+            position: index + 1,
+            setSize: rows.length
+          });
+
+          if (isExpanded && children) {
+            // The top level is sorted by Sortable
+            flatten(sortRows(children), level + 1);
+          }
+        });
+      };
+
+      flatten(data, 1);
+      this.flattenedData = flattenedData;
+      this.flattenedDataInputs = inputs;
+    }
+
+    return this.flattenedData;
+  };
+
+  getTreeProps = (row: Row) => {
+    return this.getFlattenedData().treeProps.get(row);
+  };
+
+  load = (row: Row) => {
+    const { loadChildren } = this.props;
+
+    if (
+      !loadChildren ||
+      this.getChildren(row) ||
+      this.state.loading.indexOf(row) !== -1
+    ) {
+      return;
+    }
+
+    this.setState(({ loading }) => ({ loading: loading.concat(row) }));
+
+    loadChildren(row).then(
+      (children) => {
+        if (!this.unmounted) {
+          this.setState(({ loaded, loading }) => ({
+            loaded: loaded.concat({ children, row }),
+            loading: loading.filter((item) => item !== row)
+          }));
+        }
+      },
+      () => {
+        // The row is collapsed, so that loading can be retried
+        if (!this.unmounted) {
+          this.setState(({ loading }) => ({
+            loading: loading.filter((item) => item !== row)
+          }));
+          this.isExpanded(row) && this.toggle(row);
+        }
+      }
+    );
+  };
+
+  isExpanded = (row: Row) => {
+    const expanded = this.getControllableValue('expanded') || [];
+    return expanded.indexOf(row) !== -1;
+  };
+
+  toggle = (row: Row) => {
+    const expanded = this.getControllableValue('expanded') || [];
+    const isExpanded = expanded.indexOf(row) === -1;
+    const nextExpanded = isExpanded
+      ? expanded.concat(row)
+      : expanded.filter((expandedRow) => expandedRow !== row);
+
+    isExpanded && this.load(row);
+
+    if (this.isControlled('expanded')) {
+      this.toggleActions(row, isExpanded);
+    } else {
+      this.setState({ expanded: nextExpanded }, () => {
+        this.toggleActions(row, isExpanded);
+      });
+    }
+  };
+
+  toggleActions = (row: Row, expanded: boolean) => {
+    this.props.onToggle && this.props.onToggle(row, expanded);
+  };
+
+  toggleAll = () => {
+    const parents = this.getParentRows();
+    const expanded = this.getControllableValue('expanded') || [];
+    const isExpanded = parents.some((row) => expanded.indexOf(row) === -1);
+    const nextExpanded = isExpanded
+      ? expanded.concat(parents.filter((row) => expanded.indexOf(row) === -1))
+      : expanded.filter((row) => parents.indexOf(row) === -1);
+
+    if (this.isControlled('expanded')) {
+      this.toggleAllActions(parents, isExpanded);
+    } else {
+      this.setState({ expanded: nextExpanded }, () => {
+        this.toggleAllActions(parents, isExpanded);
+      });
+    }
+  };
+
+  toggleAllActions = (rows: Rows, expanded: boolean) => {
+    this.props.onToggleAll && this.props.onToggleAll(rows, expanded);
+  };
+
+  isControlled = (prop: string) => {
+    return this.props.hasOwnProperty(prop);
+  };
+
+  getControllableValue = (key: string) => {
+    return this.isControlled(key) ? this.props[key] : this.state[key];
+  };
+}
@@ -1,38 +1,93 @@
 /* @flow */
 import React, { Component } from 'react';
-import { createStyledComponent } from '../styles';
+import { createStyledComponent, pxToEm } from '../styles';
+import EventListener from '../EventListener';
 
-type Props = {};
+type Props = {
+  /** Height of the container; enables vertical scrolling */
+  height?: number | string,
+  /** Called when the container is scrolled */
+  onScroll?: (event: SyntheticEvent<HTMLElement>) => void,
+  /** Ref for the scrolling element */
+  scrollerRef?: (node: ?HTMLElement) => void,
+  /**
+   * Width, in px, of the content pinned to the start of the container, at the
+   * edge of which the start shadow is drawn
+   */
+  stickyWidth?: number
+};
 
 type State = {
+  overflowEnd: boolean,
+  overflowStart: boolean,
   scrollable: boolean
 };
 
 // prettier-ignore
 export const componentTheme = (baseTheme: Object) => ({
   OverflowContainer_boxShadow_focus: `0 0 0 1px ${baseTheme.borderColor_theme_focus}`,
+  OverflowContainer_shadowColor: 'rgba(0, 0, 0, 0.15)',
+  OverflowContainer_shadowWidth: pxToEm(8),
 
   ...baseTheme
 });
 
-const Root = createStyledComponent('div', ({ theme: baseTheme }) => {
-  const theme = componentTheme(baseTheme);
+const Root = createStyledComponent('div', {
+  position: 'relative'
+});
 
-  return {
-    overflowX: 'auto',
+const Scroller = createStyledComponent(
+  'div',
+  ({ height, theme: baseTheme }) => {
+    const theme = componentTheme(baseTheme);
 
-    '&:focus': {
-      outline: 0,
-      boxShadow: theme.OverflowContainer_boxShadow_focus
-    }
-  };
-});
+    return {
+      height,
+      overflowX: 'auto',
+      overflowY: height !== undefined ? 'auto' : null,
+
+      '&:focus': {
+        outline: 0,
+        boxShadow: theme.OverflowContainer_boxShadow_focus
+      }
+    };
+  }
+);
+
+const Shadow = createStyledComponent(
+  'span',
+  ({ edge, offset, theme: baseTheme }) => {
+    const theme = componentTheme(baseTheme);
+    const rtl = theme.direction === 'rtl';
+    const isLeft = (edge === 'start') !== rtl;
+
+    return {
+      background: `linear-gradient(to ${isLeft ? 'right' : 'left'}, ${
+        theme.OverflowContainer_shadowColor
+      }, transparent)`,
+      bottom: 0,
+      left: isLeft ? offset : null,
+      pointerEvents: 'none',
+      position: 'absolute',
+      right: isLeft ? null : 0,
+      top: 0,
+      width: theme.OverflowContainer_shadowWidth,
+      zIndex: 4
+    };
+  },
+  {
+    filterProps: ['edge', 'offset']
+  }
+);
 
 /**
- * OverflowContainer
+ * OverflowContainer scrolls its content, and draws a shadow at each
+ * horizontal edge beyond which content is hidden
  */
 export default class OverflowContainer extends Component<Props, State> {
   state = {
+    overflowEnd: false,
+    overflowStart: false,
     scrollable: false
   };
 
@@ -47,25 +102,78 @@ export default class OverflowContainer extends Component<Props, State> {
   }
 
   setContainerRef = (node: HTMLElement) => {
+    const { scrollerRef } = this.props;
+
     this.container = node;
+    scrollerRef && scrollerRef(node);
+  };
+
+  handleScroll = (event: SyntheticEvent<HTMLElement>) => {
+    const { onScroll } = this.props;
+
+    this.updateScrollable();
+    onScroll && onScroll(event);
   };
 
   updateScrollable = () => {
     const node = this.container;
-    const scrollable = Boolean(node && node.scrollWidth > node.clientWidth);
-    if (this.state.scrollable !== scrollable) {
+    const scrollable = Boolean(
+      node &&
+        (node.scrollWidth > node.clientWidth ||
+          node.scrollHeight > node.clientHeight)
+    );
+    // scrollLeft is negative when scrolled away from the start in some RTL
+    // implementations
+    const scrollStart = node ? Math.abs(node.scrollLeft) : 0;
+    const overflowStart = scrollStart > 0;
+    const overflowEnd = Boolean(
+      node && scrollStart + node.clientWidth < node.scrollWidth - 1
+    );
+
+    if (
+      this.state.scrollable !== scrollable ||
+      this.state.overflowStart !== overflowStart ||
+      this.state.overflowEnd !== overflowEnd
+    ) {
       this.setState({
+        overflowEnd,
+        overflowStart,
         scrollable
       });
     }
   };
 
   render() {
-    const rootProps = {
+    const {
+      scrollerRef: ignoreScrollerRef,
+      stickyWidth,
+      ...restProps
+    } = this.props;
+    const { overflowEnd, overflowStart, scrollable } = this.state;
+    const scrollerProps = {
       innerRef: this.setContainerRef,
-      ...(this.state.scrollable ? { tabIndex: 0 } : undefined),
-      ...this.props
+      ...(scrollable ? { tabIndex: 0 } : undefined),
+      ...restProps,
+      onScroll: this.handleScroll
     };
-    return <Root {...rootProps} />;
+
+    return (
+      <Root>
+        <Scroller {...scrollerProps} />
+        {overflowStart && (
+          <Shadow aria-hidden edge="start" offset={stickyWidth || 0} />
+        )}
+        {overflowEnd && <Shadow aria-hidden edge="end" offset={0} />}
+        <EventListener
+          listeners={[
+            {
+              target: 'window',
+              event: 'resize',
+              handler: this.updateScrollable
+            }
+          ]}
+        />
+      </Root>
+    );
   }
 }
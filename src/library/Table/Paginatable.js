@@ -0,0 +1,122 @@
+/* @flow */
+import { Component } from 'react';
+import { getPageCount } from '../Pagination/Pagination';
+
+import type { Filters, Rows } from './Table';
+
+type Props = {
+  children: (props: RenderProps) => React$Node,
+  currentPage?: number,
+  data: Rows,
+  defaultCurrentPage: number,
+  defaultPageSize: number,
+  disabled?: boolean,
+  filters?: Filters,
+  onPageChange?: (page: number) => void,
+  onPageSizeChange?: (pageSize: number) => void,
+  pageSize?: number,
+  totalCount?: number
+};
+
+type State = {
+  currentPage: number,
+  pageSize: number
+};
+
+type RenderProps = {
+  currentPage: number,
+  data: Rows,
+  pageFn: (page: number) => void,
+  pageSize: number,
+  pageSizeFn: (pageSize: number) => void,
+  totalCount: number
+};
+
+/**
+ * Paginatable manages the current page of Table and provides its rows.
+ * When `totalCount` is provided, `data` is assumed to contain only the rows
+ * of the current page, e.g. when they are fetched from a server. The first page
+ * is shown whenever `filters` change.
+ */
+export default class Paginatable extends Component<Props, State> {
+  static defaultProps = {
+    defaultCurrentPage: 1,
+    defaultPageSize: 10
+  };
+
+  state = {
+    currentPage: this.props.defaultCurrentPage,
+    pageSize: this.props.defaultPageSize
+  };
+
+  componentDidUpdate(prevProps: Props) {
+    if (
+      !this.props.disabled &&
+      prevProps.filters !== this.props.filters &&
+      this.getControllableValue('currentPage') !== 1
+    ) {
+      this.pageFn(1);
+    }
+  }
+
+  render() {
+    const { data, disabled } = this.props;
+    const pageSize = this.getControllableValue('pageSize');
+    const isServerSide = typeof this.props.totalCount === 'number';
+    const totalCount =
+      typeof this.props.totalCount === 'number'
+        ? this.props.totalCount
+        : data.length;
+    const currentPage = Math.min(
+      Math.max(1, this.getControllableValue('currentPage')),
+      getPageCount(totalCount, pageSize)
+    );
+    const start = (currentPage - 1) * pageSize;
+
+    return this.props.children({
+      currentPage,
+      data:
+        disabled || isServerSide ? data : data.slice(start, start + pageSize),
+      pageFn: this.pageFn,
+      pageSize,
+      pageSizeFn: this.pageSizeFn,
+      totalCount
+    });
+  }
+
+  pageFn = (page: number) => {
+    if (this.isControlled('currentPage')) {
+      this.pageActions(page);
+    } else {
+      this.setState({ currentPage: page }, () => {
+        this.pageActions(page);
+      });
+    }
+  };
+
+  pageActions = (page: number) => {
+    this.props.onPageChange && this.props.onPageChange(page);
+  };
+
+  pageSizeFn = (pageSize: number) => {
+    if (this.isControlled('pageSize')) {
+      this.pageSizeActions(pageSize);
+    } else {
+      this.setState({ pageSize }, () => {
+        this.pageSizeActions(pageSize);
+      });
+    }
+  };
+
+  pageSizeActions = (pageSize: number) => {
+    this.props.onPageSizeChange && this.props.onPageSizeChange(pageSize);
+  };
+
+  isControlled = (prop: string) => {
+    return this.props.hasOwnProperty(prop);
+  };
+
+  getControllableValue = (key: string) => {
+    return this.isControlled(key) ? this.props[key] : this.state[key];
+  };
+}
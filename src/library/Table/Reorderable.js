@@ -0,0 +1,97 @@
+/* @flow */
+import { Component } from 'react';
+import deepEqual from 'fast-deep-equal';
+
+import type { Columns } from './Table';
+
+type Props = {
+  children: (props: RenderProps) => React$Node,
+  columns: Columns,
+  onColumnReorder?: (keys: Array<string>) => void
+};
+
+type State = {
+  order: ?Array<string>
+};
+
+type RenderProps = {
+  columns: Columns,
+  reorderFn: (key: string, index: number) => void
+};
+
+const getKeys = (columns: Columns) => columns.map(({ key }) => key);
+
+/**
+ * Reorderable manages the order of Table's columns. The order is discarded
+ * when the columns' defined order changes, so that an application that stores
+ * it (via `onColumnReorder`) may provide its columns in that order.
+ */
+export default class Reorderable extends Component<Props, State> {
+  state = {
+    order: null
+  };
+
+  orderedColumns: ?Columns;
+
+  orderedColumnsInputs: ?Array<any>;
+
+  componentWillReceiveProps(nextProps: Props) {
+    if (!deepEqual(getKeys(this.props.columns), getKeys(nextProps.columns))) {
+      this.setState({ order: null });
+    }
+  }
+
+  render() {
+    return this.props.children({
+      columns: this.getOrderedColumns(),
+      reorderFn: this.reorderFn
+    });
+  }
+
+  getOrderedColumns = () => {
+    const { columns } = this.props;
+    const { order } = this.state;
+
+    if (!order) {
+      return columns;
+    }
+
+    const inputs = [columns, order];
+    const cached =
+      this.orderedColumnsInputs &&
+      this.orderedColumnsInputs.every(
+        (input, index) => input === inputs[index]
+      );
+
+    if (!cached || !this.orderedColumns) {
+      this.orderedColumns = order
+        .map((key) => columns.find((column) => column.key === key))
+        .filter(Boolean);
+      this.orderedColumnsInputs = inputs;
+    }
+
+    return this.orderedColumns;
+  };
+
+  // Moves the column with the given key to the given index
+  reorderFn = (key: string, index: number) => {
+    const keys = getKeys(this.getOrderedColumns());
+    const fromIndex = keys.indexOf(key);
+    const toIndex = Math.min(Math.max(index, 0), keys.length - 1);
+
+    if (fromIndex === -1 || fromIndex === toIndex) {
+      return;
+    }
+
+    keys.splice(fromIndex, 1);
+    keys.splice(toIndex, 0, key);
+
+    this.setState({ order: keys }, () => {
+      this.reorderActions(keys);
+    });
+  };
+
+  reorderActions = (keys: Array<string>) => {
+    this.props.onColumnReorder && this.props.onColumnReorder(keys);
+  };
+}
@@ -0,0 +1,95 @@
+/* @flow */
+import { Component } from 'react';
+import deepEqual from 'fast-deep-equal';
+
+import type { Columns } from './Table';
+
+type Props = {
+  children: (props: RenderProps) => React$Node,
+  columns: Columns,
+  onColumnResize?: (key: string, width: number) => void
+};
+
+type State = {
+  widths: { [key: string]: number }
+};
+
+type RenderProps = {
+  columns: Columns,
+  resizeFn: (key: string, width: number, done: boolean) => void
+};
+
+const getDefinedWidths = (columns: Columns) =>
+  columns.reduce((acc, { key, width }) => {
+    acc[key] = width;
+    return acc;
+  }, {});
+
+/**
+ * Resizable manages the widths of Table's resized columns. Resized widths are
+ * discarded when the columns' defined widths change, so that an application
+ * that stores them (via `onColumnResize`) may provide them as column `width`s.
+ */
+export default class Resizable extends Component<Props, State> {
+  state = {
+    widths: {}
+  };
+
+  resizedColumns: ?Columns;
+
+  resizedColumnsInputs: ?Array<any>;
+
+  componentWillReceiveProps(nextProps: Props) {
+    if (
+      !deepEqual(
+        getDefinedWidths(this.props.columns),
+        getDefinedWidths(nextProps.columns)
+      )
+    ) {
+      this.setState({ widths: {} });
+    }
+  }
+
+  render() {
+    return this.props.children({
+      columns: this.getResizedColumns(),
+      resizeFn: this.resizeFn
+    });
+  }
+
+  getResizedColumns = () => {
+    const { columns } = this.props;
+    const { widths } = this.state;
+    const inputs = [columns, widths];
+    const cached =
+      this.resizedColumnsInputs &&
+      this.resizedColumnsInputs.every(
+        (input, index) => input === inputs[index]
+      );
+
+    if (!cached || !this.resizedColumns) {
+      this.resizedColumns = columns.map(
+        (column) =>
+          widths.hasOwnProperty(column.key)
+            ? { ...column, width: widths[column.key] }
+            : column
+      );
+      this.resizedColumnsInputs = inputs;
+    }
+
+    return this.resizedColumns;
+  };
+
+  resizeFn = (key: string, width: number, done: boolean) => {
+    this.setState(
+      (prevState) => ({ widths: { ...prevState.widths, [key]: width } }),
+      () => {
+        done && this.resizeActions(key, width);
+      }
+    );
+  };
+
+  resizeActions = (key: string, width: number) => {
+    this.props.onColumnResize && this.props.onColumnResize(key, width);
+  };
+}
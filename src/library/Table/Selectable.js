@@ -0,0 +1,104 @@
+/* @flow */
+import { Component } from 'react';
+
+import type { Row, Rows } from './Table';
+
+type Props = {
+  children: (props: RenderProps) => React$Node,
+  data: Rows,
+  defaultSelected?: Rows,
+  onToggle?: (row: Row, selected: boolean) => void,
+  onToggleAll?: (rows: Rows, selected: boolean) => void,
+  selected?: Rows
+};
+
+type State = {
+  selected: Rows
+};
+
+type RenderProps = {
+  all: boolean,
+  isSelected: (row: Row) => boolean,
+  some: boolean,
+  toggle: (row: Row) => void,
+  toggleAll: () => void
+};
+
+/**
+ * Selectable manages the selected rows of Table
+ */
+export default class Selectable extends Component<Props, State> {
+  state = {
+    selected: this.props.defaultSelected || []
+  };
+
+  render() {
+    const { data } = this.props;
+    const selected = this.getControllableValue('selected') || [];
+    const selectedCount = data.filter((row) => selected.indexOf(row) !== -1)
+      .length;
+    const all = data.length > 0 && selectedCount === data.length;
+
+    return this.props.children({
+      all,
+      isSelected: this.isSelected,
+      some: selectedCount > 0 && !all,
+      toggle: this.toggle,
+      toggleAll: this.toggleAll
+    });
+  }
+
+  isSelected = (row: Row) => {
+    const selected = this.getControllableValue('selected') || [];
+    return selected.indexOf(row) !== -1;
+  };
+
+  toggle = (row: Row) => {
+    const selected = this.getControllableValue('selected') || [];
+    const isSelected = selected.indexOf(row) === -1;
+    const nextSelected = isSelected
+      ? selected.concat(row)
+      : selected.filter((selectedRow) => selectedRow !== row);
+
+    if (this.isControlled('selected')) {
+      this.toggleActions(row, isSelected);
+    } else {
+      this.setState({ selected: nextSelected }, () => {
+        this.toggleActions(row, isSelected);
+      });
+    }
+  };
+
+  toggleActions = (row: Row, selected: boolean) => {
+    this.props.onToggle && this.props.onToggle(row, selected);
+  };
+
+  toggleAll = () => {
+    const { data } = this.props;
+    const selected = this.getControllableValue('selected') || [];
+    const isSelected = data.some((row) => selected.indexOf(row) === -1);
+    const nextSelected = isSelected
+      ? selected.concat(data.filter((row) => selected.indexOf(row) === -1))
+      : selected.filter((row) => data.indexOf(row) === -1);
+
+    if (this.isControlled('selected')) {
+      this.toggleAllActions(data, isSelected);
+    } else {
+      this.setState({ selected: nextSelected }, () => {
+        this.toggleAllActions(data, isSelected);
+      });
+    }
+  };
+
+  toggleAllActions = (rows: Rows, selected: boolean) => {
+    this.props.onToggleAll && this.props.onToggleAll(rows, selected);
+  };
+
+  isControlled = (prop: string) => {
+    return this.props.hasOwnProperty(prop);
+  };
+
+  getControllableValue = (key: string) => {
+    return this.isControlled(key) ? this.props[key] : this.state[key];
+  };
+}
@@ -0,0 +1,28 @@
+/* @flow */
+import React, { PureComponent } from 'react';
+import TableCell from './TableCell';
+import TableRow from './TableRow';
+import TableSkeletonCell from './TableSkeletonCell';
+
+import type { Columns } from './Table';
+
+type Props = {
+  columnOffset: number,
+  columns: Columns
+};
+
+// A placeholder for a row while Table's rows are loading
+export default class SkeletonRow extends PureComponent<Props> {
+  render() {
+    const { columnOffset, columns } = this.props;
+
+    return (
+      <TableRow>
+        {columnOffset > 0 && <TableCell colSpan={columnOffset} />}
+        {columns.map(({ key, textAlign }) => (
+          <TableSkeletonCell key={key} textAlign={textAlign} />
+        ))}
+      </TableRow>
+    );
+  }
+}
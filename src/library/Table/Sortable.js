@@ -0,0 +1,144 @@
+/* @flow */
+import { Component } from 'react';
+
+import type { Columns, Rows, Sort, SortComparator } from './Table';
+
+type Props = {
+  children: (props: RenderProps) => React$Node,
+  columns: Columns,
+  data: Rows,
+  defaultSort?: Sort,
+  onSort?: (sort: Sort) => void,
+  sort?: Sort,
+  sortComparator?: SortComparator
+};
+
+type State = {
+  sort: ?Sort
+};
+
+type RenderProps = {
+  data: Rows,
+  sort: ?Sort,
+  sortFn: (key: string) => void,
+  sortRows: (rows: Rows) => Rows
+};
+
+const normalizedValue = (value) =>
+  value === null || value === undefined
+    ? ''
+    : typeof value === 'string' ? value.toUpperCase() : value;
+
+export const defaultSortComparator: SortComparator = (a, b, key) => {
+  const valueA = normalizedValue(a[key]);
+  const valueB = normalizedValue(b[key]);
+
+  return valueA > valueB ? 1 : valueA < valueB ? -1 : 0;
+};
+
+/**
+ * Sortable manages the sort state of Table and provides its sorted data
+ */
+export default class Sortable extends Component<Props, State> {
+  static defaultProps = {
+    sortComparator: defaultSortComparator
+  };
+
+  state = {
+    sort: this.props.defaultSort
+  };
+
+  sortedData: ?Rows;
+
+  sortedDataInputs: ?Array<any>;
+
+  render() {
+    const sort = this.getControllableValue('sort');
+
+    return this.props.children({
+      data: this.getSortedData(sort),
+      sort,
+      sortFn: this.sortFn,
+      sortRows: this.sortRows
+    });
+  }
+
+  getSortedData = (sort: ?Sort) => {
+    const { columns, data, sortComparator } = this.props;
+
+    if (!sort) {
+      return data;
+    }
+
+    const { descending, key } = sort;
+    const inputs = [columns, data, key, descending, sortComparator];
+    const cached =
+      this.sortedDataInputs &&
+      this.sortedDataInputs.every((input, index) => input === inputs[index]);
+
+    if (!cached || !this.sortedData) {
+      this.sortedData = this.sortRows(data);
+      this.sortedDataInputs = inputs;
+    }
+
+    return this.sortedData;
+  };
+
+  // Sorts any rows, e.g. the children of hierarchical rows, by the current sort
+  sortRows = (rows: Rows) => {
+    const { columns, sortComparator } = this.props;
+    const sort = this.getControllableValue('sort');
+
+    if (!sort) {
+      return rows;
+    }
+
+    const { descending, key } = sort;
+    const column = columns.find(({ key: columnKey }) => columnKey === key);
+    const comparator =
+      (column && column.sortComparator) ||
+      sortComparator ||
+      defaultSortComparator;
+    const direction = descending ? -1 : 1;
+
+    // Sorting on [row, index] pairs keeps rows with equal values in their
+    // original order, regardless of the browser's sort implementation
+    return rows
+      .map((row, index) => [row, index])
+      .sort(
+        ([rowA, indexA], [rowB, indexB]) =>
+          direction * comparator(rowA, rowB, key) || indexA - indexB
+      )
+      .map(([row]) => row);
+  };
+
+  sortFn = (key: string) => {
+    const prevSort = this.getControllableValue('sort');
+    const sort = {
+      key,
+      descending: Boolean(
+        prevSort && prevSort.key === key && !prevSort.descending
+      )
+    };
+
+    if (this.isControlled('sort')) {
+      this.sortActions(sort);
+    } else {
+      this.setState({ sort }, () => {
+        this.sortActions(sort);
+      });
+    }
+  };
+
+  sortActions = (sort: Sort) => {
+    this.props.onSort && this.props.onSort(sort);
+  };
+
+  isControlled = (prop: string) => {
+    return this.props.hasOwnProperty(prop);
+  };
+
+  getControllableValue = (key: string) => {
+    return this.isControlled(key) ? this.props[key] : this.state[key];
+  };
+}
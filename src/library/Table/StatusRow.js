@@ -0,0 +1,25 @@
+/* @flow */
+import React, { PureComponent } from 'react';
+import TableCell from './TableCell';
+import TableRow from './TableRow';
+
+type Props = {
+  children: React$Node,
+  colSpan: number
+};
+
+// A single cell, spanning all columns, in place of rows, e.g. when there are
+// none or they could not be loaded
+export default class StatusRow extends PureComponent<Props> {
+  render() {
+    const { children, colSpan } = this.props;
+
+    return (
+      <TableRow>
+        <TableCell colSpan={colSpan} textAlign="center">
+          {children}
+        </TableCell>
+      </TableRow>
+    );
+  }
+}
@@ -0,0 +1,105 @@
+/* @flow */
+import { Component } from 'react';
+
+type Props = {
+  children: (props: RenderProps) => React$Node,
+  count: number
+};
+
+type State = {
+  heights: Array<number>,
+  widths: Array<number>
+};
+
+type RenderProps = {
+  headerRef: (node: ?HTMLElement) => void,
+  offsets: Array<number>,
+  rowOffsets: Array<number>,
+  width: number
+};
+
+const hasChanged = (values: Array<number>, prevValues: Array<number>) =>
+  values.length !== prevValues.length ||
+  values.some((value, index) => Math.abs(value - prevValues[index]) > 0.5);
+
+/**
+ * Stickable measures the leading cells of Table's header row, which are
+ * pinned to the start of its scrollable container, and provides the offset
+ * at which each of them sticks. It also provides the offset from the top of
+ * the container at which each header row sticks, when there are several.
+ */
+export default class Stickable extends Component<Props, State> {
+  state = {
+    heights: [],
+    widths: []
+  };
+
+  header: ?HTMLElement;
+
+  componentDidMount() {
+    this.measureWidths();
+  }
+
+  componentDidUpdate() {
+    this.measureWidths();
+  }
+
+  render() {
+    const { children, count } = this.props;
+    const { heights, widths } = this.state;
+    const offsets = [];
+    const rowOffsets = [];
+    let width = 0;
+    let height = 0;
+
+    for (let index = 0; index < count; index++) {
+      offsets.push(width);
+      width += widths[index] || 0;
+    }
+
+    heights.forEach((rowHeight) => {
+      rowOffsets.push(height);
+      height += rowHeight;
+    });
+
+    return children({
+      headerRef: this.setHeaderRef,
+      offsets,
+      rowOffsets,
+      width
+    });
+  }
+
+  measureWidths = () => {
+    const header = this.header;
+    const row = header && header.querySelector('tr:last-child');
+
+    if (!header || !row) {
+      return;
+    }
+
+    const widths = Array.prototype.slice
+      .call(row.children, 0, this.props.count)
+      .map((cell) => cell.getBoundingClientRect().width);
+    // Only stacked header rows, i.e. of column groups, need to be measured
+    const rows = header.children;
+    const heights =
+      rows.length > 1
+        ? Array.prototype.map.call(
+            rows,
+            (row) => row.getBoundingClientRect().height
+          )
+        : [];
+
+    if (
+      hasChanged(widths, this.state.widths) ||
+      hasChanged(heights, this.state.heights)
+    ) {
+      this.setState({ heights, widths });
+    }
+  };
+
+  setHeaderRef = (node: ?HTMLElement) => {
+    this.header = node;
+  };
+}
@@ -4,22 +4,158 @@ import createReactContext, { type Context } from 'create-react-context';
 import { createStyledComponent } from '../styles';
 import { createThemedComponent, mapComponentThemes } from '../themes';
 import { generateId } from '../utils';
+import Pagination from '../Pagination';
 import DataRow from './DataRow';
+import ExpandedRow from './ExpandedRow';
+import Filterable from './Filterable';
+import Hideable from './Hideable';
+import FooterRow, { hasFooter } from './FooterRow';
+import HeaderGroupRow, {
+  getColumnAncestors,
+  getHeaderGroups
+} from './HeaderGroupRow';
 import HeaderRow from './HeaderRow';
+import Navigable from './Navigable';
+import Nestable, { hasChildRows } from './Nestable';
+import Paginatable from './Paginatable';
+import Reorderable from './Reorderable';
+import Resizable from './Resizable';
+import Selectable from './Selectable';
+import SkeletonRow from './SkeletonRow';
+import Sortable from './Sortable';
+import StatusRow from './StatusRow';
+import Stickable from './Stickable';
 import _OverflowContainer, {
   componentTheme as overflowContainerComponentTheme
 } from './OverflowContainer';
 import TableBody from './TableBody';
+import TableColumnChooser from './TableColumnChooser';
+import TableExportMenu from './TableExportMenu';
+import TableFooter from './TableFooter';
 import TableHeader from './TableHeader';
 import TableTitle from './TableTitle';
+import TableToolbar from './TableToolbar';
+import Virtualized, { Spacer } from './Virtualized';
+
+import type { Messages as PaginationMessages } from '../Pagination/Pagination';
 
 type Props = {
   /** Column definitions ([see Column type for details](#Column-type)) */
   columns?: Columns,
-  /** Row data ([see example for more details](#basic)) */
+  /**
+   * Current page when `paginated = true`; primarily for use with controlled
+   * components. If this prop is specified, an `onPageChange` handler must
+   * also be specified. See also: `defaultCurrentPage`
+   */
+  currentPage?: number,
+  /**
+   * Row data ([see example for more details](#basic)). Rows with a `children`
+   * array, or `hasChildren = true`, are displayed as hierarchical data
+   * ([see example](#tree-data)).
+   */
   data: Array<Object>,
+  /**
+   * Initial page when `paginated = true`; primarily for use with uncontrolled
+   * components
+   */
+  defaultCurrentPage?: number,
+  /**
+   * Initially expanded rows when `expandedRowContent` is provided; primarily
+   * for use with uncontrolled components
+   */
+  defaultExpandedRows?: Rows,
+  /**
+   * Initially expanded rows of hierarchical data; primarily for use with
+   * uncontrolled components
+   */
+  defaultExpandedTreeRows?: Rows,
+  /**
+   * Initial filters of filterable columns; primarily for use with
+   * uncontrolled components
+   */
+  defaultFilters?: Filters,
+  /**
+   * Initially hidden columns, by key; primarily for use with uncontrolled
+   * components
+   */
+  defaultHiddenColumns?: Array<string>,
+  /**
+   * Initial number of rows per page when `paginated = true`; primarily for
+   * use with uncontrolled components
+   */
+  defaultPageSize?: number,
+  /**
+   * Initially selected rows when `selectable = true`; primarily for use with
+   * uncontrolled components
+   */
+  defaultSelectedRows?: Rows,
+  /**
+   * Initially sorted column & direction; primarily for use with uncontrolled
+   * components
+   */
+  defaultSort?: Sort,
   /** Amount of vertical space in Table's cells */
   density: 'default' | 'spacious',
+  /**
+   * Rendered in place of rows when there are none, e.g. when no rows match
+   * the filters ([see example](#states))
+   */
+  emptyContent?: React$Node,
+  /**
+   * Rendered in place of rows, e.g. when they could not be loaded. If `true`,
+   * a default message is rendered ([see example](#states)).
+   */
+  error?: React$Node,
+  /**
+   * Renders the content of a row's expanded detail region. When provided,
+   * each row can be expanded via a button at its start
+   * ([see example](#expandable)).
+   */
+  expandedRowContent?: (row: Row) => React$Node,
+  /**
+   * Expanded rows when `expandedRowContent` is provided; primarily for use
+   * with controlled components. If this prop is specified, an
+   * `onToggleRowExpansion` handler must also be specified. See also:
+   * `defaultExpandedRows`
+   */
+  expandedRows?: Rows,
+  /**
+   * Expanded rows of hierarchical data; primarily for use with controlled
+   * components. If this prop is specified, `onToggleTreeRow` &
+   * `onToggleAllTreeRows` handlers must also be specified. See also:
+   * `defaultExpandedTreeRows`
+   */
+  expandedTreeRows?: Rows,
+  /**
+   * Enables the user to download the visible columns & rows, after sorting &
+   * filtering, as CSV or TSV, and to copy the selected rows, via a menu above
+   * Table ([see example](#export))
+   */
+  exportable?: boolean,
+  /**
+   * Filters of filterable columns, mapped by column key; primarily for use
+   * with controlled components. If this prop is specified, an
+   * `onFilterChange` handler must also be specified. See also:
+   * `defaultFilters`
+   */
+  filters?: Filters,
+  /**
+   * Height of Table's scrollable container, in px. Table will scroll
+   * vertically when its content is taller.
+   */
+  height?: number,
+  /**
+   * Hidden columns, by key; primarily for use with controlled components. If
+   * this prop is specified, an `onColumnVisibilityChange` handler must also
+   * be specified. See also: `defaultHiddenColumns`
+   */
+  hiddenColumns?: Array<string>,
+  /**
+   * Enables the user to show or hide columns, via a control above Table.
+   * Columns may override this with their own `hideable` property
+   * ([see example](#column-visibility)).
+   */
+  hideableColumns?: boolean,
   /** Visually hide Table's header, but keep available for [assistive technologies](https://webaccess.berkeley.edu/resources/assistive-technology) */
   hideHeader?: boolean,
   /** Visually hide Table's title, but keep available for [assistive technologies](https://webaccess.berkeley.edu/resources/assistive-technology) */
@@ -28,6 +164,97 @@ type Props = {
   highContrast?: boolean,
   /** @Private Id of the Table */
   id?: string,
+  /**
+   * Enable keyboard navigation between cells, following the
+   * [ARIA grid pattern](https://www.w3.org/TR/wai-aria-practices-1.1/#grid)
+   * ([see example](#interactive)). Always enabled for hierarchical data.
+   */
+  interactive?: boolean,
+  /**
+   * Called with a row of hierarchical data, which has `hasChildren = true`
+   * but no `children`, when it is first expanded. Returns a Promise which
+   * resolves to the row's children ([see example](#tree-data)).
+   */
+  loadChildren?: (row: Row) => Promise<Rows>,
+  /**
+   * Indicates that rows are loading. Placeholder rows are rendered while
+   * there are none, otherwise the current rows are dimmed
+   * ([see example](#states)).
+   */
+  loading?: boolean,
+  /** Various messages and labels used by Table */
+  messages?: Messages,
+  /**
+   * Called with the row, column key & new value when an edit to a cell of an
+   * `editable` column is committed
+   */
+  onCellEdit?: (row: Row, key: string, value: any) => void,
+  /** Called with the new order of column keys when a column is moved */
+  onColumnReorder?: (keys: Array<string>) => void,
+  /** Called with the column key & its new width, in px, when it is resized */
+  onColumnResize?: (key: string, width: number) => void,
+  /** Called with the keys of the hidden columns when a column is shown or hidden */
+  onColumnVisibilityChange?: (hiddenColumns: Array<string>) => void,
+  /**
+   * Called with the serialized data & its format when the user exports
+   * Table's data, in place of downloading it
+   */
+  onExport?: (content: string, format: ExportFormat) => void,
+  /** Called with the new filters when a column's filter changes */
+  onFilterChange?: (filters: Filters) => void,
+  /** Called when the current page changes */
+  onPageChange?: (page: number) => void,
+  /** Called when the number of rows per page changes */
+  onPageSizeChange?: (pageSize: number) => void,
+  /** Called when data is sorted */
+  onSort?: (sort: Sort) => void,
+  /** Called when all rows are selected/deselected */
+  onToggleAllRows?: (rows: Rows, selected: boolean) => void,
+  /**
+   * Called with the affected rows when all rows of hierarchical data are
+   * expanded/collapsed
+   */
+  onToggleAllTreeRows?: (rows: Rows, expanded: boolean) => void,
+  /** Called when a single row is selected/deselected */
+  onToggleRow?: (row: Row, selected: boolean) => void,
+  /** Called when a row is expanded/collapsed */
+  onToggleRowExpansion?: (row: Row, expanded: boolean) => void,
+  /** Called when a row of hierarchical data is expanded/collapsed */
+  onToggleTreeRow?: (row: Row, expanded: boolean) => void,
+  /**
+   * Number of rows per page when `paginated = true`; primarily for use with
+   * controlled components. If this prop is specified, an `onPageSizeChange`
+   * handler must also be specified. See also: `defaultPageSize`
+   */
+  pageSize?: number,
+  /**
+   * Available numbers of rows per page when `paginated = true`. When
+   * provided, the user may choose the page size.
+   */
+  pageSizes?: Array<number>,
+  /**
+   * Display rows one page at a time, with a [Pagination](/components/pagination)
+   * below Table ([see example](#paginated))
+   */
+  paginated?: boolean,
+  /**
+   * Enables the user to reorder columns, by dragging a handle in each column
+   * header or pressing the left & right arrow keys while it has focus
+   * ([see example](#resizable-reorderable))
+   */
+  reorderable?: boolean,
+  /**
+   * Enables the user to resize all columns, within their `minWidth` &
+   * `maxWidth`, by dragging the end edge of each column header or pressing the
+   * left & right arrow keys while it has focus. Columns may override this with
+   * their own `resizable` property ([see example](#resizable-reorderable)).
+   */
+  resizable?: boolean,
+  /**
+   * Height of each row, in px, when `virtualized = true`. If not specified, it
+   * is measured from the rendered rows.
+   */
+  rowHeight?: number,
   /**
    * Specifies a key in the row data that gives a row its unique identity.
    * See the [React docs](https://reactjs.org/docs/lists-and-keys.html#keys).
@@ -38,6 +265,46 @@ type Props = {
    * container
    */
   scrollable?: boolean,
+  /**
+   * Enables the user to select rows, via a checkbox at the start of each row
+   * ([see example](#selectable))
+   */
+  selectable?: boolean,
+  /**
+   * Selected rows when `selectable = true`; primarily for use with controlled
+   * components. If this prop is specified, `onToggleRow` & `onToggleAllRows`
+   * handlers must also be specified. See also: `defaultSelectedRows`
+   */
+  selectedRows?: Rows,
+  /**
+   * Sorted column & direction; primarily for use with controlled components.
+   * If this prop is specified, an `onSort` handler must also be specified.
+   * See also: `defaultSort`
+   */
+  sort?: Sort,
+  /**
+   * Enables sorting for all columns. Columns may override this with their own
+   * `sortable` property ([see example](#sortable)).
+   */
+  sortable?: boolean,
+  /**
+   * Comparator function used when sorting columns that do not define their own
+   * `sortComparator` ([see example](#sort-comparator))
+   */
+  sortComparator?: SortComparator,
+  /**
+   * Pins the leading columns marked as `primary` (or, if there are none, the
+   * first column), along with any expansion & selection cells, to the start
+   * of Table's scrollable container as it scrolls horizontally
+   * ([see example](#sticky))
+   */
+  stickyColumns?: boolean,
+  /**
+   * Pins Table's header to the top, and its footer to the bottom, of its
+   * scrollable container as it scrolls vertically; use with `height`
+   * ([see example](#sticky))
+   */
+  stickyHeader?: boolean,
   /** Renders Table with alternating row stripes */
   striped?: boolean,
   /** Title for Table */
@@ -45,7 +312,20 @@ type Props = {
   /** Available title styles (see [Text](/components/text)) */
   titleAppearance?: 'h1' | 'h2' | 'h3' | 'h4' | 'h5' | 'h6',
   /** Available title elements (see [Text](/components/text)) */
-  titleElement?: 'h1' | 'h2' | 'h3' | 'h4' | 'h5' | 'h6'
+  titleElement?: 'h1' | 'h2' | 'h3' | 'h4' | 'h5' | 'h6',
+  /**
+   * Total number of rows when `paginated = true` and `data` contains only the
+   * rows of the current page, e.g. when they are fetched from a server. The
+   * rows are then assumed to be filtered by the server, according to
+   * `filters` ([see example](#paginated-server-side)).
+   */
+  totalCount?: number,
+  /**
+   * Render only the rows visible in Table's scrollable container, for
+   * improved performance with large data sets. Rows should have a uniform
+   * height. ([see example](#virtualized))
+   */
+  virtualized?: boolean
 };
 
 type State = {
@@ -55,25 +335,111 @@ type State = {
 type Appearance = {
   density?: 'default' | 'spacious',
   highContrast?: boolean,
+  interactive?: boolean,
+  stickyColumns?: boolean,
   striped?: boolean
 };
 
 export type Columns = Array<Column>;
 // See columnDef example for descriptions
-type Column = {
+export type Aggregate =
+  | 'average'
+  | 'count'
+  | 'max'
+  | 'min'
+  | 'sum'
+  | ((values: Array<any>, rows: Rows) => any);
+
+export type Column = {
+  aggregate?: Aggregate,
+  columns?: Columns,
   content: React$Node,
+  editable?: boolean,
+  editor?: Editor,
+  exportValue?: (value: any, row: Row) => string,
+  filterable?: boolean,
+  filterType?: FilterType,
+  footer?: Footer,
+  hideable?: boolean,
   key: string,
   label?: string,
   maxWidth?: number | string,
   minWidth?: number | string,
   primary?: boolean,
+  resizable?: boolean,
+  sortable?: boolean,
+  sortComparator?: SortComparator,
   textAlign?: 'start' | 'end' | 'center' | 'justify',
+  validate?: Validate,
   width?: number | string
 };
 
+export type Editor = (args: {
+  helpers: {
+    cancel: () => void,
+    change: (value: any) => void,
+    commit: (value?: any) => void
+  },
+  props: Object,
+  state: { error: ?string, value: any }
+}) => React$Node;
+
+export type FilterType = 'text' | 'select' | 'range';
+export type FilterValue =
+  | string
+  | Array<string>
+  | { min?: number, max?: number };
+export type Filters = { [key: string]: FilterValue };
+
+export type ExportFormat = 'csv' | 'tsv';
+
+export type Footer =
+  | React$Node
+  | ((args: { rows: Rows, value: any }) => React$Node);
+
+// Ids of the header of each column, and of the column groups containing it
+export type HeaderIds = { [key: string]: { headers?: string, id: string } };
+
 export type Row = Object;
 export type Rows = Array<Row>;
 
+export type Messages = {
+  chooseColumns: string,
+  clearFilter: string,
+  collapseAllRows: string,
+  collapseRow: string,
+  copySelectedRows: string,
+  deselectAllRows: string,
+  deselectRow: string,
+  error: string,
+  expandAllRows: string,
+  expandRow: string,
+  exportCSV: string,
+  exportData: string,
+  exportTSV: string,
+  filterColumn: (label: string) => string,
+  filterContains: string,
+  filterMaximum: string,
+  filterMinimum: string,
+  filterValues: string,
+  loading: string,
+  noData: string,
+  pagination?: PaginationMessages,
+  reorderColumn: string,
+  resizeColumn: string,
+  selectAllRows: string,
+  selectRow: string,
+  visibleColumns: string
+};
+
+export type Sort = {
+  key: string,
+  descending?: boolean
+};
+export type SortComparator = (a: Row, b: Row, key: string) => number;
+
+export type Validate = (value: any, row: Row) => ?string;
+
 export const componentTheme = (baseTheme: Object) =>
   mapComponentThemes(
     {
@@ -117,17 +483,70 @@ const Root = createStyledComponent(
   }
 );
 
+// The keys which describe the hierarchy of rows are not columns
+const TREE_KEYS = ['children', 'hasChildren'];
+
 const generateColumns = (data: Rows) =>
-  Object.keys(data[0]).reduce((acc, cell) => {
-    acc.push({ content: cell, key: cell });
+  Object.keys(data[0] || {}).reduce((acc, cell) => {
+    if (!(hasChildRows(data) && TREE_KEYS.indexOf(cell) !== -1)) {
+      acc.push({ content: cell, key: cell });
+    }
     return acc;
   }, []);
 
 const getColumnDefs = ({ columns, data }: Props) =>
   columns || generateColumns(data);
 
+// Whitespace separates the ids of the `headers` attribute
+const toId = (value: string | number) => String(value).replace(/\s/g, '-');
+
+// The leaf columns of nested column definitions, i.e. excluding column groups
+const getLeafColumns = (columnDefs: Columns): Columns =>
+  columnDefs.reduce(
+    (acc, column) =>
+      acc.concat(column.columns ? getLeafColumns(column.columns) : column),
+    []
+  );
+
+const DEFAULT_VIRTUALIZED_HEIGHT = 400; // px
+
+// Number of placeholder rows rendered while rows are loading
+const SKELETON_ROW_COUNT = 3;
+
+const TablePagination = createStyledComponent(Pagination, ({ theme }) => ({
+  marginTop: theme.space_stack_sm
+}));
+
 export const TableContext: Context<Appearance> = createReactContext({});
 
+const defaultMessages: Messages = {
+  chooseColumns: 'Columns',
+  clearFilter: 'Clear filter',
+  collapseAllRows: 'Collapse all rows',
+  collapseRow: 'Collapse row',
+  copySelectedRows: 'Copy selected rows',
+  deselectAllRows: 'Deselect all rows',
+  deselectRow: 'Deselect row',
+  error: 'Data could not be loaded',
+  expandAllRows: 'Expand all rows',
+  expandRow: 'Expand row',
+  exportCSV: 'Download CSV',
+  exportData: 'Export',
+  exportTSV: 'Download TSV',
+  filterColumn: (label) => `Filter ${label}`,
+  filterContains: 'Contains',
+  filterMaximum: 'Maximum',
+  filterMinimum: 'Minimum',
+  filterValues: 'Values',
+  loading: 'Loading',
+  noData: 'No data',
+  reorderColumn: 'Reorder column',
+  resizeColumn: 'Resize column',
+  selectAllRows: 'Select all rows',
+  selectRow: 'Select row',
+  visibleColumns: 'Visible columns'
+};
+
 /**
  * Table displays structured data with columns and rows.
  */
@@ -138,7 +557,9 @@ export default class Table extends Component<Props, State> {
     scrollable: true
   };
 
-  columns: Columns = getColumnDefs(this.props);
+  columnDefs: Columns = getColumnDefs(this.props);
+
+  columns: Columns = getLeafColumns(this.columnDefs);
 
   id: string = this.props.id || `table-${generateId()}`;
 
@@ -149,30 +570,481 @@ export default class Table extends Component<Props, State> {
       this.props.columns !== nextProps.columns ||
       (!this.props.columns && this.props.data !== nextProps.data)
     ) {
-      this.columns = getColumnDefs(nextProps);
+      this.columnDefs = getColumnDefs(nextProps);
+      this.columns = getLeafColumns(this.columnDefs);
     }
   }
 
   render() {
     const {
+      currentPage,
+      data,
+      defaultCurrentPage,
+      defaultExpandedRows,
+      defaultExpandedTreeRows,
+      defaultFilters,
+      defaultHiddenColumns,
+      defaultPageSize,
+      defaultSelectedRows,
+      defaultSort,
+      height,
+      interactive,
+      loadChildren,
+      onColumnReorder,
+      onColumnResize,
+      onColumnVisibilityChange,
+      onFilterChange,
+      onPageChange,
+      onPageSizeChange,
+      onSort,
+      onToggleAllRows,
+      onToggleRow,
+      onToggleRowExpansion,
+      onToggleAllTreeRows,
+      onToggleTreeRow,
+      pageSize,
+      paginated,
+      rowHeight,
+      totalCount,
+      virtualized
+    } = this.props;
+    // Expanded rows are managed in the same way as selected rows
+    const expandableProps = {
+      data,
+      defaultSelected: defaultExpandedRows,
+      onToggle: onToggleRowExpansion,
+      ...(this.props.hasOwnProperty('expandedRows')
+        ? { selected: this.props.expandedRows }
+        : undefined)
+    };
+    const selectableProps = {
+      defaultSelected: defaultSelectedRows,
+      onToggle: onToggleRow,
+      onToggleAll: onToggleAllRows,
+      ...(this.props.hasOwnProperty('selectedRows')
+        ? { selected: this.props.selectedRows }
+        : undefined)
+    };
+    const hideableProps = {
+      defaultHidden: defaultHiddenColumns,
+      onChange: onColumnVisibilityChange,
+      ...(this.props.hasOwnProperty('hiddenColumns')
+        ? { hidden: this.props.hiddenColumns }
+        : undefined)
+    };
+    const isTree = hasChildRows(data);
+    const nestableProps = {
+      defaultExpanded: defaultExpandedTreeRows,
+      disabled: !isTree,
+      loadChildren,
+      onToggle: onToggleTreeRow,
+      onToggleAll: onToggleAllTreeRows,
+      ...(this.props.hasOwnProperty('expandedTreeRows')
+        ? { expanded: this.props.expandedTreeRows }
+        : undefined)
+    };
+    const filterableProps = {
+      columns: this.columns,
+      data,
+      defaultFilters,
+      // Rows are assumed to be filtered by the server
+      disabled: paginated && typeof totalCount === 'number',
+      onFilterChange,
+      ...(this.props.hasOwnProperty('filters')
+        ? { filters: this.props.filters }
+        : undefined)
+    };
+    const sortableProps = {
+      columns: this.columns,
+      defaultSort,
+      onSort,
+      ...(this.props.hasOwnProperty('sort')
+        ? { sort: this.props.sort }
+        : undefined),
+      sortComparator: this.props.sortComparator
+    };
+    const paginatableProps = {
+      defaultCurrentPage,
+      defaultPageSize,
+      disabled: !paginated,
+      onPageChange,
+      onPageSizeChange,
+      ...(this.props.hasOwnProperty('currentPage')
+        ? { currentPage }
+        : undefined),
+      ...(this.props.hasOwnProperty('pageSize') ? { pageSize } : undefined),
+      ...(this.props.hasOwnProperty('totalCount') ? { totalCount } : undefined)
+    };
+
+    return (
+      <Resizable columns={this.columns} onColumnResize={onColumnResize}>
+        {(resizing) => (
+          <Reorderable
+            columns={resizing.columns}
+            onColumnReorder={onColumnReorder}>
+            {(reordering) => (
+              <Hideable
+                {...hideableProps}
+                columns={reordering.columns}
+                reorderFn={reordering.reorderFn}>
+                {(hiding) => (
+                  <Selectable {...expandableProps}>
+                    {(expansion) => (
+                      <Filterable {...filterableProps}>
+                        {(filtering) => (
+                          // Only the filtered rows can be (de)selected at once
+                          <Selectable
+                            {...selectableProps}
+                            data={filtering.data}>
+                            {(selection) => (
+                              <Sortable
+                                {...sortableProps}
+                                data={filtering.data}>
+                                {(sorting) => (
+                                  <Nestable
+                                    {...nestableProps}
+                                    data={sorting.data}
+                                    sortRows={sorting.sortRows}>
+                                    {(nesting) => (
+                                      <Paginatable
+                                        {...paginatableProps}
+                                        data={nesting.data}
+                                        filters={filtering.filters}>
+                                        {(paging) => (
+                                          <Virtualized
+                                            count={paging.data.length}
+                                            disabled={!virtualized}
+                                            height={
+                                              height ||
+                                              DEFAULT_VIRTUALIZED_HEIGHT
+                                            }
+                                            rowHeight={rowHeight}>
+                                            {(windowing) => (
+                                              <Stickable
+                                                count={this.getStickyCount(
+                                                  hiding.columns
+                                                )}>
+                                                {(sticking) => (
+                                                  <Navigable
+                                                    disabled={
+                                                      !(interactive || isTree)
+                                                    }
+                                                    scrollToRow={
+                                                      virtualized
+                                                        ? this.getScrollToRow(
+                                                            windowing,
+                                                            hiding.columns,
+                                                            paging.data,
+                                                            expansion.isSelected
+                                                          )
+                                                        : undefined
+                                                    }>
+                                                    {(navigation) =>
+                                                      this.renderTable({
+                                                        expansion,
+                                                        filtering,
+                                                        hiding,
+                                                        navigation,
+                                                        nesting,
+                                                        paging,
+                                                        reordering,
+                                                        resizing,
+                                                        selection,
+                                                        sorting,
+                                                        sticking,
+                                                        windowing
+                                                      })
+                                                    }
+                                                  </Navigable>
+                                                )}
+                                              </Stickable>
+                                            )}
+                                          </Virtualized>
+                                        )}
+                                      </Paginatable>
+                                    )}
+                                  </Nestable>
+                                )}
+                              </Sortable>
+                            )}
+                          </Selectable>
+                        )}
+                      </Filterable>
+                    )}
+                  </Selectable>
+                )}
+              </Hideable>
+            )}
+          </Reorderable>
+        )}
+      </Resizable>
+    );
+  }
+
+  // Number of leading cells pinned when `stickyColumns = true`: the expansion
+  // & selection cells, followed by the leading primary columns, or the first
+  // column if it is not primary
+  getStickyCount = (columns: Columns) => {
+    const { expandedRowContent, selectable, stickyColumns } = this.props;
+
+    if (!stickyColumns) {
+      return 0;
+    }
+
+    const index = columns.findIndex(({ primary }) => !primary);
+    const columnCount = index === -1 ? columns.length : Math.max(1, index);
+
+    return columnCount + (expandedRowContent ? 1 : 0) + (selectable ? 1 : 0);
+  };
+
+  // Column groups require explicit associations between cells & the headers
+  // of their columns & column groups
+  getHeaderIds = (): HeaderIds => {
+    const ancestors = getColumnAncestors(this.columnDefs);
+    const getId = (key: string) => `${this.id}-column-${toId(key)}`;
+
+    return Object.keys(ancestors).reduce((acc, key) => {
+      const groupIds = ancestors[key].map((group) => getId(group.key));
+
+      ancestors[key].forEach((group, level) => {
+        acc[group.key] = {
+          headers: groupIds.slice(0, level).join(' ') || undefined,
+          id: groupIds[level]
+        };
+      });
+      acc[key] = {
+        headers: groupIds.join(' ') || undefined,
+        id: getId(key)
+      };
+
+      return acc;
+    }, {});
+  };
+
+  // Announced to assistive technologies when it changes
+  getStatus = (rows: Rows, messages: Messages): ?string => {
+    const { emptyContent, error, loading } = this.props;
+
+    if (error) {
+      return typeof error === 'string' ? error : messages.error;
+    } else if (loading) {
+      return messages.loading;
+    } else if (!rows.length) {
+      return typeof emptyContent === 'string' ? emptyContent : messages.noData;
+    }
+    return null;
+  };
+
+  // Rendered in place of rows when there are none or they could not be loaded
+  renderStatus = ({
+    columnCount,
+    columns,
+    messages
+  }: {
+    columnCount: number,
+    columns: Columns,
+    messages: Messages
+  }) => {
+    const { emptyContent, error, loading } = this.props;
+
+    if (error) {
+      return (
+        <TableBody>
+          <StatusRow colSpan={columnCount}>
+            {error === true ? messages.error : error}
+          </StatusRow>
+        </TableBody>
+      );
+    } else if (loading) {
+      const skeletonRows = [];
+      for (let i = 0; i < SKELETON_ROW_COUNT; i++) {
+        skeletonRows.push(
+          <SkeletonRow
+            columnOffset={columnCount - columns.length}
+            columns={columns}
+            key={i}
+          />
+        );
+      }
+      // Hidden from assistive technologies, which are informed by the status
+      return <TableBody aria-hidden>{skeletonRows}</TableBody>;
+    }
+
+    return (
+      <TableBody>
+        <StatusRow colSpan={columnCount}>
+          {emptyContent || messages.noData}
+        </StatusRow>
+      </TableBody>
+    );
+  };
+
+  // Scrolls the body row at an aria-rowindex, which counts the header &
+  // expanded rows, into the rendered window of a virtualized Table
+  getScrollToRow = (
+    windowing: Object,
+    columns: Columns,
+    rows: Rows,
+    isExpanded: (row: Row) => boolean
+  ) => (rowIndex: number) => {
+    const headerRowCount = getHeaderGroups(this.columnDefs, columns).length + 1;
+    const bodyRowIndex = rowIndex - headerRowCount - 1;
+    let index = bodyRowIndex;
+
+    if (this.props.expandedRowContent) {
+      // Virtualized counts a data row & its expanded row as a single row
+      let bodyRowCount = 0;
+      index = 0;
+      while (index < rows.length - 1) {
+        const nextBodyRowCount =
+          bodyRowCount + (isExpanded(rows[index]) ? 2 : 1);
+        if (nextBodyRowCount > bodyRowIndex) {
+          break;
+        }
+        bodyRowCount = nextBodyRowCount;
+        index++;
+      }
+    }
+
+    windowing.scrollToIndex(index);
+  };
+
+  renderTable = ({
+    expansion: { isSelected: isExpanded, toggle: toggleExpanded },
+    filtering: { data: filteredData, filterFn, filters },
+    hiding: { columns, hidden, reorderFn, toggleFn },
+    navigation: { tableRef, ...navigationHandlers },
+    nesting: {
+      all: isTreeExpanded,
+      data: nestedData,
+      getTreeProps,
+      toggle: toggleTree,
+      toggleAll: toggleTreeAll
+    },
+    paging,
+    reordering: { columns: allColumns },
+    resizing: { resizeFn },
+    selection: { all, isSelected, some, toggle, toggleAll },
+    sorting: { sort, sortFn },
+    sticking: {
+      headerRef,
+      offsets: stickyOffsets,
+      rowOffsets: stickyRowOffsets,
+      width: stickyWidth
+    },
+    windowing: { end, onScroll, scrollerRef, spacerAfter, spacerBefore, start }
+  }: Object) => {
+    const {
+      currentPage: ignoreCurrentPage,
       data,
+      defaultCurrentPage: ignoreDefaultCurrentPage,
+      defaultExpandedRows: ignoreDefaultExpandedRows,
+      defaultExpandedTreeRows: ignoreDefaultExpandedTreeRows,
+      defaultFilters: ignoreDefaultFilters,
+      defaultHiddenColumns: ignoreDefaultHiddenColumns,
+      defaultPageSize: ignoreDefaultPageSize,
+      defaultSelectedRows: ignoreDefaultSelectedRows,
+      defaultSort: ignoreDefaultSort,
       density,
+      emptyContent: ignoreEmptyContent,
+      error,
+      expandedRowContent,
+      expandedRows: ignoreExpandedRows,
+      expandedTreeRows: ignoreExpandedTreeRows,
+      exportable,
+      filters: ignoreFilters,
+      height,
+      hiddenColumns: ignoreHiddenColumns,
+      hideableColumns,
       hideHeader,
       hideTitle,
       highContrast,
+      interactive: ignoreInteractive,
+      loadChildren: ignoreLoadChildren,
+      loading,
+      messages: ignoreMessages,
+      onCellEdit,
+      onColumnReorder: ignoreOnColumnReorder,
+      onColumnResize: ignoreOnColumnResize,
+      onColumnVisibilityChange: ignoreOnColumnVisibilityChange,
+      onExport,
+      onFilterChange: ignoreOnFilterChange,
+      onPageChange: ignoreOnPageChange,
+      onPageSizeChange: ignoreOnPageSizeChange,
+      onSort: ignoreOnSort,
+      onToggleAllRows: ignoreOnToggleAllRows,
+      onToggleRow: ignoreOnToggleRow,
+      onToggleRowExpansion: ignoreOnToggleRowExpansion,
+      onToggleAllTreeRows: ignoreOnToggleAllTreeRows,
+      onToggleTreeRow: ignoreOnToggleTreeRow,
+      pageSize: ignorePageSize,
+      pageSizes,
+      paginated,
+      reorderable,
+      resizable,
+      rowHeight: ignoreRowHeight,
       rowKey,
       scrollable,
+      selectable,
+      selectedRows: ignoreSelectedRows,
+      sort: ignoreSort,
+      sortable,
+      sortComparator: ignoreSortComparator,
+      stickyColumns: ignoreStickyColumns,
+      stickyHeader,
       striped,
       title,
       titleAppearance,
       titleElement,
-      ...rootProps
+      totalCount: ignoreTotalCount,
+      virtualized,
+      ...restProps
     } = this.props;
+    const { data: rows } = paging;
+    const headerGroups = getHeaderGroups(this.columnDefs, columns);
+    const headerIds = headerGroups.length ? this.getHeaderIds() : undefined;
+    const headerRowCount = headerGroups.length + 1;
+    const footer = hasFooter(columns);
+    const isTree = hasChildRows(data);
+    // The treegrid pattern includes the keyboard interaction of the grid
+    const interactive = this.props.interactive || isTree;
     const appearanceProps = {
       density,
       highContrast,
+      interactive,
+      stickyColumns: stickyOffsets.length > 0,
       striped
     };
+    const messages = {
+      ...defaultMessages,
+      ...this.props.messages
+    };
+    const status = this.getStatus(rows, messages);
+    const expandable = Boolean(expandedRowContent);
+    // Each expanded row is counted by the aria-rowcount & aria-rowindex of a
+    // virtualized Table
+    const countExpandedRows = (someRows: Rows) =>
+      virtualized && expandable ? someRows.filter(isExpanded).length : 0;
+    const bodyRowCount = rows.length + countExpandedRows(rows);
+    let expandedRowCount = countExpandedRows(rows.slice(0, start));
+    const rootProps = {
+      'aria-busy': loading || undefined,
+      // Excludes the status from Table's name
+      'aria-labelledby': this.titleId,
+      ...(virtualized
+        ? { 'aria-rowcount': bodyRowCount + headerRowCount + (footer ? 1 : 0) }
+        : undefined),
+      ...(interactive
+        ? {
+            innerRef: tableRef,
+            role: isTree ? 'treegrid' : 'grid',
+            ...navigationHandlers
+          }
+        : undefined),
+      ...restProps
+    };
+    const columnCount =
+      columns.length + (expandable ? 1 : 0) + (selectable ? 1 : 0);
 
     let table = (
       <TableContext.Provider value={appearanceProps}>
@@ -181,35 +1053,195 @@ export default class Table extends Component<Props, State> {
             appearance={titleAppearance}
             element={titleElement}
             hide={hideTitle}
-            id={this.titleId}>
+            id={this.titleId}
+            status={status}>
             {title}
           </TableTitle>
-          <TableHeader hide={hideHeader}>
-            <HeaderRow columns={this.columns} />
-          </TableHeader>
-          <TableBody>
-            {data.map((rowData, index) => (
-              <DataRow
-                columns={this.columns}
-                data={rowData}
-                key={rowData[rowKey] || index}
+          <TableHeader
+            hide={hideHeader}
+            innerRef={headerRef}
+            sticky={stickyHeader || virtualized}
+            stickyCount={stickyOffsets.length}
+            stickyRowOffsets={stickyRowOffsets}>
+            {headerGroups.map((groups, index) => (
+              <HeaderGroupRow
+                columnOffset={columnCount - columns.length}
+                groups={groups}
+                headerIds={headerIds}
+                key={index}
+                rowIndex={virtualized ? index + 1 : undefined}
               />
             ))}
-          </TableBody>
+            <HeaderRow
+              columns={columns}
+              data={data}
+              expandable={expandable}
+              filterFn={filterFn}
+              filters={filters}
+              headerIds={headerIds}
+              isSelected={all}
+              isSelectedSome={some}
+              messages={messages}
+              reorderable={reorderable}
+              reorderFn={reorderFn}
+              resizable={resizable}
+              resizeFn={resizeFn}
+              rowIndex={virtualized ? headerRowCount : undefined}
+              selectable={selectable}
+              sort={sort}
+              stickyOffsets={stickyOffsets}
+              sortable={sortable}
+              sortFn={sortFn}
+              toggleAll={toggleAll}
+              {...(isTree ? { isTreeExpanded, toggleTreeAll } : undefined)}
+            />
+          </TableHeader>
+          <Spacer colSpan={columnCount} height={spacerBefore} />
+          {rows.length && !error ? (
+            <TableBody loading={loading}>
+              {rows.slice(start, end).reduce((acc, rowData, index) => {
+                const key = rowData[rowKey] || start + index;
+                const expandedContentId = `${this.id}-row-${toId(
+                  key
+                )}-expanded`;
+                const isRowExpanded = expandable && isExpanded(rowData);
+                const isRowSelected = selectable && isSelected(rowData);
+                const rowIndex = virtualized
+                  ? start + index + expandedRowCount + headerRowCount + 1
+                  : undefined;
+
+                acc.push(
+                  <DataRow
+                    columns={columns}
+                    data={rowData}
+                    expandable={expandable}
+                    expandedContentId={expandedContentId}
+                    headerIds={headerIds}
+                    id={headerIds ? `${this.id}-row-${toId(key)}` : undefined}
+                    isExpanded={isRowExpanded}
+                    isSelected={isRowSelected}
+                    key={key}
+                    messages={messages}
+                    onCellEdit={onCellEdit}
+                    rowIndex={rowIndex}
+                    selectable={selectable}
+                    stickyOffsets={stickyOffsets}
+                    toggle={toggle}
+                    toggleExpanded={toggleExpanded}
+                    toggleTree={toggleTree}
+                    treeProps={isTree ? getTreeProps(rowData) : undefined}
+                  />
+                );
+
+                if (isRowExpanded && expandedRowContent) {
+                  acc.push(
+                    <ExpandedRow
+                      colSpan={columnCount}
+                      data={rowData}
+                      expandedRowContent={expandedRowContent}
+                      id={expandedContentId}
+                      isSelected={isRowSelected}
+                      key={expandedContentId}
+                      rowIndex={
+                        rowIndex !== undefined ? rowIndex + 1 : undefined
+                      }
+                    />
+                  );
+                  expandedRowCount++;
+                }
+
+                return acc;
+              }, [])}
+            </TableBody>
+          ) : (
+            this.renderStatus({ columnCount, columns, messages })
+          )}
+          <Spacer colSpan={columnCount} height={spacerAfter} />
+          {footer && (
+            <TableFooter
+              sticky={stickyHeader || virtualized}
+              stickyCount={stickyOffsets.length}>
+              <FooterRow
+                columnOffset={columnCount - columns.length}
+                columns={columns}
+                data={filteredData}
+                rowIndex={
+                  virtualized ? bodyRowCount + headerRowCount + 1 : undefined
+                }
+                stickyOffsets={stickyOffsets}
+              />
+            </TableFooter>
+          )}
         </Root>
       </TableContext.Provider>
     );
 
-    if (scrollable) {
+    if (scrollable || virtualized) {
       const containerProps = {
         'aria-labelledby': this.titleId,
-        role: 'group'
+        height: virtualized ? height || DEFAULT_VIRTUALIZED_HEIGHT : height,
+        onScroll,
+        role: 'group',
+        scrollerRef,
+        stickyWidth
       };
       table = (
         <OverflowContainer {...containerProps}>{table}</OverflowContainer>
       );
     }
 
+    const chooser =
+      hideableColumns || allColumns.some(({ hideable }) => hideable);
+
+    if (chooser || exportable) {
+      table = (
+        <div>
+          <TableToolbar>
+            {chooser && (
+              <TableColumnChooser
+                columns={allColumns}
+                hidden={hidden}
+                hideable={hideableColumns}
+                messages={messages}
+                onToggle={toggleFn}
+              />
+            )}
+            {exportable && (
+              <TableExportMenu
+                columns={columns}
+                fileName={typeof title === 'string' ? title : 'table'}
+                messages={messages}
+                onExport={onExport}
+                rows={nestedData}
+                selectedRows={
+                  selectable ? nestedData.filter(isSelected) : undefined
+                }
+              />
+            )}
+          </TableToolbar>
+          {table}
+        </div>
+      );
+    }
+
+    if (paginated) {
+      const paginationProps = {
+        currentPage: paging.currentPage,
+        messages: messages.pagination,
+        onPageChange: paging.pageFn,
+        onPageSizeChange: paging.pageSizeFn,
+        pageSize: paging.pageSize,
+        pageSizes,
+        totalCount: paging.totalCount
+      };
+      table = (
+        <div>
+          {table}
+          <TablePagination {...paginationProps} />
+        </div>
+      );
+    }
+
     return table;
-  }
+  };
 }
@@ -4,14 +4,32 @@ import { createStyledComponent } from '../styles';
 
 type Props = {
   /** Rendered content must be TableRow */
-  children: React$Node
+  children: React$Node,
+  /** Renders rows with loading styles, e.g. while new rows are loading */
+  loading?: boolean
 };
 
+export const componentTheme = (baseTheme: Object) => ({
+  TableBody_opacity_loading: 0.5,
+
+  ...baseTheme
+});
+
 const Root = createStyledComponent(
   'tbody',
-  {},
+  ({ loading, theme: baseTheme }) => {
+    const theme = componentTheme(baseTheme);
+
+    return loading
+      ? {
+          opacity: theme.TableBody_opacity_loading,
+          pointerEvents: 'none'
+        }
+      : {};
+  },
   {
     displayName: 'TableBody',
+    filterProps: ['loading'],
     rootEl: 'tbody'
   }
 );
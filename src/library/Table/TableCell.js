@@ -13,6 +13,11 @@ type Props = {
   noPadding?: boolean,
   /** See Table's Column type */
   primary?: boolean,
+  /**
+   * @Private Offset, in px, from the start of Table's scrollable container at
+   * which the cell is pinned
+   */
+  stickyOffset?: number,
   /** See Table's Column type */
   textAlign?: 'start' | 'end' | 'center' | 'justify'
 };
@@ -27,8 +32,15 @@ export const componentTheme = (baseTheme: Object) => ({
   ...baseTheme
 });
 
-const styles = ({ noPadding, textAlign, theme: baseTheme, density }) => {
+const styles = ({
+  noPadding,
+  stickyOffset,
+  textAlign,
+  theme: baseTheme,
+  density
+}) => {
   const theme = componentTheme(baseTheme);
+  const rtl = theme.direction === 'rtl';
   const fontSize = theme.TableCell_fontSize;
   const paddingHorizontal = getNormalizedValue(
     theme.TableCell_paddingHorizontal,
@@ -46,7 +58,18 @@ const styles = ({ noPadding, textAlign, theme: baseTheme, density }) => {
     fontWeight: 'inherit',
     padding: noPadding ? 0 : `${paddingVertical} ${paddingHorizontal}`,
     textAlign: rtlTextAlign(textAlign || 'start', theme.direction),
-    verticalAlign: theme.TableCell_verticalAlign
+    verticalAlign: theme.TableCell_verticalAlign,
+
+    ...(stickyOffset !== undefined
+      ? {
+          // Cover the content scrolled beneath, with the row's background
+          backgroundColor: 'inherit',
+          left: rtl ? null : stickyOffset,
+          position: 'sticky',
+          right: rtl ? stickyOffset : null,
+          zIndex: 1
+        }
+      : undefined)
   };
 };
 
@@ -0,0 +1,117 @@
+/* @flow */
+import React, { Component } from 'react';
+import { createStyledComponent, pxToEm } from '../styles';
+import Button from '../Button';
+import { CheckboxGroup } from '../Checkbox';
+import { FormField } from '../Form';
+import IconViewColumn from '../Icon/IconViewColumn';
+import Popover from '../Popover';
+import { generateId } from '../utils';
+
+import type { Columns, Messages } from './Table';
+
+type Props = {
+  /** All columns, visible or hidden, in their current order */
+  columns: Columns,
+  /** Keys of the hidden columns */
+  hidden: Array<string>,
+  /**
+   * Whether columns may be hidden, unless overridden by their own `hideable`
+   * property
+   */
+  hideable?: boolean,
+  /** Various messages and labels used by Table */
+  messages: Messages,
+  /** Called with the key of the column whose visibility is toggled */
+  onToggle: (key: string) => void
+};
+
+export const componentTheme = (baseTheme: Object) => ({
+  TableColumnChooser_maxHeight: pxToEm(280),
+  TableColumnChooser_width: pxToEm(224),
+
+  ...baseTheme
+});
+
+const Choices = createStyledComponent(
+  'div',
+  ({ theme: baseTheme }) => {
+    const theme = componentTheme(baseTheme);
+
+    return {
+      maxHeight: theme.TableColumnChooser_maxHeight,
+      overflowY: 'auto',
+      width: theme.TableColumnChooser_width
+    };
+  },
+  {
+    displayName: 'TableColumnChooser'
+  }
+);
+
+const getLabel = ({ content, key, label }) =>
+  label || (typeof content === 'string' ? content : key);
+
+/**
+ * TableColumnChooser is the button, in Table's toolbar, which opens a Popover in
+ * which the user shows or hides columns
+ */
+export default class TableColumnChooser extends Component<Props> {
+  id: string = `tableColumnChooser-${generateId()}`;
+
+  render() {
+    const { messages } = this.props;
+
+    return (
+      <Popover
+        content={this.renderChoices()}
+        id={this.id}
+        placement="bottom-end"
+        usePortal>
+        <Button
+          iconStart={<IconViewColumn />}
+          minimal
+          size="small"
+          type="button">
+          {messages.chooseColumns}
+        </Button>
+      </Popover>
+    );
+  }
+
+  renderChoices = () => {
+    const { columns, hidden, hideable, messages, onToggle } = this.props;
+    const visibleCount = columns.filter(({ key }) => hidden.indexOf(key) === -1)
+      .length;
+    const data = columns.map((column) => {
+      const isVisible = hidden.indexOf(column.key) === -1;
+      const isHideable =
+        column.hideable === undefined ? hideable : column.hideable;
+
+      return {
+        // At least one column remains visible
+        disabled: !isHideable || (isVisible && visibleCount === 1),
+        label: getLabel(column),
+        value: column.key
+      };
+    });
+
+    return (
+      <Choices>
+        <FormField
+          checked={columns
+            .map(({ key }) => key)
+            .filter((key) => hidden.indexOf(key) === -1)}
+          data={data}
+          input={CheckboxGroup}
+          label={messages.visibleColumns}
+          name={`${this.id}-columns`}
+          onChange={(event: SyntheticInputEvent<>) => {
+            onToggle(event.target.value);
+          }}
+          size="small"
+        />
+      </Choices>
+    );
+  };
+}
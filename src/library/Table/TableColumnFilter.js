@@ -0,0 +1,224 @@
+/* @flow */
+import React, { Component } from 'react';
+import { createStyledComponent, pxToEm } from '../styles';
+import Button from '../Button';
+import { CheckboxGroup } from '../Checkbox';
+import { FormField } from '../Form';
+import IconFilterList from '../Icon/IconFilterList';
+import Popover from '../Popover';
+import TextInput from '../TextInput';
+import { generateId } from '../utils';
+import { isActiveFilter } from './Filterable';
+
+import type { FilterType, FilterValue, Messages, Rows } from './Table';
+
+type Props = {
+  /** Rows from which the values of a `select` filter are gathered */
+  data: Rows,
+  /** Type of filter */
+  filterType: FilterType,
+  /** Label of the column, used as the title of the filter */
+  label: string,
+  /** Various messages and labels used by Table */
+  messages: Messages,
+  /** Column key */
+  name: string,
+  /** Called with the new filter value, or `undefined` when it is cleared */
+  onChange: (value: ?FilterValue) => void,
+  /** Current filter value */
+  value?: ?FilterValue
+};
+
+type ControlsProps = Props & {
+  id: string
+};
+
+// prettier-ignore
+export const componentTheme = (baseTheme: Object) => ({
+  TableColumnFilter_gap: baseTheme.space_stack_sm,
+  TableColumnFilter_maxHeight_values: pxToEm(200),
+  TableColumnFilter_width: pxToEm(224),
+
+  ...baseTheme
+});
+
+const Trigger = createStyledComponent(Button, ({ theme }) => {
+  const rtl = theme.direction === 'rtl';
+
+  return {
+    marginLeft: rtl ? null : theme.space_inline_xs,
+    marginRight: rtl ? theme.space_inline_xs : null,
+    verticalAlign: 'bottom'
+  };
+});
+
+const Root = createStyledComponent(
+  'div',
+  ({ theme: baseTheme }) => {
+    const theme = componentTheme(baseTheme);
+
+    return {
+      width: theme.TableColumnFilter_width,
+
+      '& > *:not(:last-child)': {
+        marginBottom: theme.TableColumnFilter_gap
+      }
+    };
+  },
+  {
+    displayName: 'TableColumnFilter'
+  }
+);
+
+const Values = createStyledComponent('div', ({ theme: baseTheme }) => {
+  const theme = componentTheme(baseTheme);
+
+  return {
+    maxHeight: theme.TableColumnFilter_maxHeight_values,
+    overflowY: 'auto'
+  };
+});
+
+const toNumber = (value: string) => {
+  const number = parseFloat(value);
+
+  return isNaN(number) ? undefined : number;
+};
+
+// The distinct, non-empty values of a column, in ascending order
+const getValues = (data: Rows, key: string) => {
+  const values = data.reduce((acc, row) => {
+    const value = row[key];
+    if (value !== null && value !== undefined && value !== '') {
+      acc[String(value)] = true;
+    }
+    return acc;
+  }, {});
+
+  return Object.keys(values).sort();
+};
+
+/**
+ * FilterControls are rendered within the Popover, only while it is open
+ */
+class FilterControls extends Component<ControlsProps> {
+  render() {
+    const { filterType, messages, onChange, value } = this.props;
+
+    return (
+      <Root>
+        {filterType === 'select'
+          ? this.renderValues()
+          : filterType === 'range' ? this.renderRange() : this.renderText()}
+        <Button
+          disabled={!isActiveFilter(value)}
+          minimal
+          onClick={() => {
+            onChange(undefined);
+          }}
+          size="small"
+          type="button">
+          {messages.clearFilter}
+        </Button>
+      </Root>
+    );
+  }
+
+  renderText = () => {
+    const { messages, onChange, value } = this.props;
+
+    return (
+      <FormField
+        input={TextInput}
+        label={messages.filterContains}
+        onChange={(event: SyntheticInputEvent<>) => {
+          onChange(event.target.value);
+        }}
+        size="small"
+        value={typeof value === 'string' ? value : ''}
+      />
+    );
+  };
+
+  renderValues = () => {
+    const { data, id, messages, name, onChange, value } = this.props;
+    const checked = Array.isArray(value) ? value : [];
+    const values = getValues(data, name);
+
+    return (
+      <Values>
+        <FormField
+          checked={checked}
+          data={values.map((item) => ({ label: item, value: item }))}
+          input={CheckboxGroup}
+          label={messages.filterValues}
+          name={`${id}-values`}
+          onChange={(event: SyntheticInputEvent<>) => {
+            const { checked: isChecked, value: changedValue } = event.target;
+            onChange(
+              isChecked
+                ? checked.concat(changedValue)
+                : checked.filter((item) => item !== changedValue)
+            );
+          }}
+        />
+      </Values>
+    );
+  };
+
+  renderRange = () => {
+    const { messages, onChange, value } = this.props;
+    const range =
+      value && typeof value === 'object' && !Array.isArray(value) ? value : {};
+    const inputs = [
+      ['min', messages.filterMinimum],
+      ['max', messages.filterMaximum]
+    ];
+
+    return inputs.map(([bound, label]) => (
+      <FormField
+        input={TextInput}
+        key={bound}
+        label={label}
+        onChange={(event: SyntheticInputEvent<>) => {
+          onChange({ ...range, [bound]: toNumber(event.target.value) });
+        }}
+        size="small"
+        type="number"
+        value={typeof range[bound] === 'number' ? String(range[bound]) : ''}
+      />
+    ));
+  };
+}
+
+/**
+ * TableColumnFilter is the button, within a column header, which opens a
+ * Popover in which the column is filtered
+ */
+export default class TableColumnFilter extends Component<Props> {
+  id: string = `tableColumnFilter-${generateId()}`;
+
+  render() {
+    const { label, messages, value } = this.props;
+    const isActive = isActiveFilter(value);
+    const triggerProps = {
+      'aria-label': messages.filterColumn(label),
+      iconStart: <IconFilterList />,
+      minimal: !isActive,
+      primary: isActive,
+      size: 'small',
+      type: 'button'
+    };
+
+    return (
+      <Popover
+        content={<FilterControls {...this.props} id={this.id} />}
+        id={this.id}
+        placement="bottom-start"
+        title={label}
+        usePortal>
+        <Trigger {...triggerProps} />
+      </Popover>
+    );
+  }
+}
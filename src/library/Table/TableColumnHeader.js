@@ -10,14 +10,32 @@ import { TableContext } from './Table';
 type Props = {
   /** Rendered content */
   children?: React$Node,
+  /**
+   * @Private Edge at which a dragged column will be dropped, when dragged over
+   * this column header
+   */
+  dropIndicator?: 'start' | 'end',
   /** Rendered element */
   element?: string,
+  /**
+   * @Private Control used to expand or collapse all rows of hierarchical data,
+   * rendered before children
+   */
+  expandControl?: React$Node,
+  /** @Private Control used to filter the column, rendered after children */
+  filterControl?: React$Node,
   /** See Table's Column type */
   label?: string,
   /** See Table's Column type */
   minWidth?: number | string,
   /** See Table's Column type */
   maxWidth?: number | string,
+  /** @Private Handle used to reorder the column, rendered before children */
+  reorderHandle?: React$Node,
+  /** @Private Handle used to resize the column, rendered after children */
+  resizer?: React$Node,
+  /** @Private See TableCell */
+  stickyOffset?: number,
   /** See Table's Column type */
   textAlign?: 'start' | 'end' | 'center' | 'justify',
   /** See Table's Column type */
@@ -36,6 +54,7 @@ export const componentTheme = (baseTheme: Object) =>
       theme: {
         TableColumnHeader_borderVertical: `1px dotted ${baseTheme.borderColor}`,
         TableColumnHeader_borderVertical_highContrast: `1px dotted ${baseTheme.color_gray_80}`,
+        TableColumnHeader_borderColor_dropIndicator: baseTheme.borderColor_theme_focus,
         TableColumnHeader_fontWeight: baseTheme.fontWeight_bold,
         TableColumnHeader_paddingHorizontal: baseTheme.space_inline_md,
         TableColumnHeader_paddingVertical: pxToEm(12),
@@ -67,9 +86,12 @@ const getWidth = (value, fontSize) =>
   REGEX_IS_EM_VALUE.test(value) ? getNormalizedValue(value, fontSize) : value;
 
 const styles = ({
+  dropIndicator,
   highContrast,
+  isResizable,
   maxWidth,
   minWidth,
+  stickyOffset,
   theme: baseTheme,
   width
 }) => {
@@ -79,11 +101,20 @@ const styles = ({
   const borderVertical = highContrast
     ? theme.TableColumnHeader_borderVertical_highContrast
     : theme.TableColumnHeader_borderVertical;
+  const dropIndicatorOffset =
+    dropIndicator && (dropIndicator === 'start') !== rtl ? '2px' : '-2px';
 
   return {
+    boxShadow: dropIndicator
+      ? `inset ${dropIndicatorOffset} 0 0 ${
+          theme.TableColumnHeader_borderColor_dropIndicator
+        }`
+      : null,
     fontWeight: theme.TableColumnHeader_fontWeight,
     maxWidth: getWidth(maxWidth, fontSize),
     minWidth: getWidth(minWidth, fontSize),
+    // A sticky column header is already positioned
+    position: isResizable && stickyOffset === undefined ? 'relative' : null,
     width: getWidth(width, fontSize),
 
     '&:not(:first-child)': {
@@ -101,8 +132,8 @@ function createRootNode(props: Props) {
 
   return createStyledComponent(ThemedTD, styles, {
     displayName: 'TableColumnHeader',
-    filterProps: ['width'],
-    forwardProps: ['element', 'noPadding', 'textAlign'],
+    filterProps: ['dropIndicator', 'isResizable', 'width'],
+    forwardProps: ['element', 'noPadding', 'stickyOffset', 'textAlign'],
     rootEl: element,
     withProps: { element }
   });
@@ -126,7 +157,15 @@ export default class TableColumnHeader extends PureComponent<Props> {
   rootNode: React$ComponentType<*> = createRootNode(this.props);
 
   render() {
-    const { children, label, ...restProps } = this.props;
+    const {
+      children,
+      expandControl,
+      filterControl,
+      label,
+      reorderHandle,
+      resizer,
+      ...restProps
+    } = this.props;
 
     const Root = this.rootNode;
 
@@ -137,9 +176,18 @@ export default class TableColumnHeader extends PureComponent<Props> {
             'aria-label': label,
             highContrast,
             density,
+            isResizable: Boolean(resizer),
             ...restProps
           };
-          return <Root {...rootProps}>{children}</Root>;
+          return (
+            <Root {...rootProps}>
+              {reorderHandle}
+              {expandControl}
+              {children}
+              {filterControl}
+              {resizer}
+            </Root>
+          );
         }}
       </TableContext.Consumer>
     );
@@ -0,0 +1,100 @@
+/* @flow */
+import React, { Component } from 'react';
+import { findDOMNode } from 'react-dom';
+import { createStyledComponent } from '../styles';
+import { withTheme } from '../themes';
+import Button from '../Button';
+import IconDragHandle from '../Icon/IconDragHandle';
+
+type Props = {
+  /** Index of the column, used to restore focus after it is moved */
+  index: number,
+  /** Accessible label of the handle */
+  label: string,
+  /** Called when the column is no longer being dragged */
+  onDragEnd: () => void,
+  /** Called when the column begins to be dragged */
+  onDragStart: () => void,
+  /**
+   * Called when the column is moved with the keyboard, with `-1` to move it
+   * toward the start or `1` to move it toward the end
+   */
+  onMove: (offset: number) => void,
+  /** @Private Theme, used to determine direction */
+  theme: Object
+};
+
+const Root = createStyledComponent(Button, ({ theme }) => {
+  const rtl = theme.direction === 'rtl';
+
+  return {
+    cursor: 'move',
+    marginLeft: rtl ? theme.space_inline_xs : null,
+    marginRight: rtl ? null : theme.space_inline_xs,
+    verticalAlign: 'bottom'
+  };
+});
+
+/**
+ * TableColumnReorderHandle is dragged to reorder its column, or moves the
+ * column with the left & right arrow keys
+ */
+class TableColumnReorderHandle extends Component<Props> {
+  shouldRestoreFocus: boolean;
+
+  componentDidUpdate(prevProps: Props) {
+    // Moving a column can move its DOM node, which loses focus
+    if (this.shouldRestoreFocus && prevProps.index !== this.props.index) {
+      this.shouldRestoreFocus = false;
+      const node = findDOMNode(this); // eslint-disable-line react/no-find-dom-node
+      if (
+        node instanceof HTMLElement &&
+        node !== global.document.activeElement
+      ) {
+        node.focus();
+      }
+    }
+  }
+
+  render() {
+    const { label, onDragEnd } = this.props;
+    const rootProps = {
+      'aria-label': label,
+      draggable: true,
+      iconStart: <IconDragHandle />,
+      minimal: true,
+      onDragEnd,
+      onDragStart: this.handleDragStart,
+      onKeyDown: this.handleKeyDown,
+      size: 'small',
+      type: 'button'
+    };
+
+    return <Root {...rootProps} />;
+  }
+
+  handleDragStart = (event: SyntheticDragEvent<>) => {
+    const { dataTransfer } = event;
+
+    if (dataTransfer) {
+      dataTransfer.effectAllowed = 'move';
+      // Firefox requires data to be set in order to start dragging
+      dataTransfer.setData('text/plain', this.props.label);
+    }
+    this.props.onDragStart();
+  };
+
+  handleKeyDown = (event: SyntheticKeyboardEvent<>) => {
+    const { key } = event;
+
+    if (key === 'ArrowLeft' || key === 'ArrowRight') {
+      event.preventDefault();
+      const rtl = this.props.theme.direction === 'rtl';
+      const towardEnd = (key === 'ArrowRight') !== rtl;
+      this.shouldRestoreFocus = true;
+      this.props.onMove(towardEnd ? 1 : -1);
+    }
+  };
+}
+
+export default withTheme(TableColumnReorderHandle);
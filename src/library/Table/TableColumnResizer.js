@@ -0,0 +1,201 @@
+/* @flow */
+import React, { Component } from 'react';
+import { createStyledComponent, pxToEm } from '../styles';
+import { withTheme } from '../themes';
+import EventListener from '../EventListener';
+
+type Props = {
+  /** Accessible label of the resizer */
+  label: string,
+  /** Maximum width of the column, in px */
+  maxWidth?: number,
+  /** Minimum width of the column, in px */
+  minWidth: number,
+  /** Called with the new width of the column, and whether resizing is done */
+  onResize: (width: number, done: boolean) => void,
+  /** @Private Theme, used to determine direction */
+  theme: Object,
+  /** Current width of the column, in px, if known */
+  width?: number
+};
+
+type State = {
+  isResizing: boolean
+};
+
+// Amount, in px, by which the column width changes with each arrow key press
+const KEYBOARD_STEP = 10;
+
+// prettier-ignore
+export const componentTheme = (baseTheme: Object) => ({
+  TableColumnResizer_backgroundColor_active: baseTheme.borderColor_theme_focus,
+  TableColumnResizer_width: pxToEm(8),
+
+  ...baseTheme
+});
+
+const Root = createStyledComponent(
+  'span',
+  ({ isResizing, theme: baseTheme }) => {
+    const theme = componentTheme(baseTheme);
+    const rtl = theme.direction === 'rtl';
+    const activeStyles = {
+      backgroundColor: theme.TableColumnResizer_backgroundColor_active,
+      backgroundClip: 'content-box',
+      outline: 0
+    };
+
+    return {
+      bottom: 0,
+      cursor: 'col-resize',
+      left: rtl ? 0 : null,
+      paddingLeft: pxToEm(3),
+      paddingRight: pxToEm(3),
+      position: 'absolute',
+      right: rtl ? null : 0,
+      top: 0,
+      width: theme.TableColumnResizer_width,
+      zIndex: 1,
+
+      '&:hover, &:focus': activeStyles,
+      ...(isResizing ? activeStyles : undefined)
+    };
+  },
+  {
+    displayName: 'TableColumnResizer',
+    filterProps: ['isResizing']
+  }
+);
+
+/**
+ * TableColumnResizer is the handle, at the end edge of a column header, used
+ * to resize the column
+ */
+class TableColumnResizer extends Component<Props, State> {
+  state = {
+    isResizing: false
+  };
+
+  node: ?HTMLElement;
+
+  startWidth: number;
+
+  startX: number;
+
+  width: number;
+
+  render() {
+    const { label, maxWidth, minWidth, width } = this.props;
+    const { isResizing } = this.state;
+    const rootProps = {
+      'aria-label': label,
+      'aria-orientation': 'vertical',
+      'aria-valuemax': maxWidth,
+      'aria-valuemin': minWidth,
+      'aria-valuenow': width !== undefined ? Math.round(width) : undefined,
+      innerRef: this.setNode,
+      isResizing,
+      onClick: this.handleClick,
+      onKeyDown: this.handleKeyDown,
+      onMouseDown: this.handleMouseDown,
+      role: 'separator',
+      tabIndex: 0
+    };
+
+    return (
+      <Root {...rootProps}>
+        {isResizing && (
+          <EventListener
+            listeners={[
+              {
+                target: 'document',
+                event: 'mousemove',
+                handler: this.handleDocumentMouseMove
+              },
+              {
+                target: 'document',
+                event: 'mouseup',
+                handler: this.handleDocumentMouseUp
+              }
+            ]}
+          />
+        )}
+      </Root>
+    );
+  }
+
+  setNode = (node: ?HTMLElement) => {
+    this.node = node;
+  };
+
+  isRtl = () => this.props.theme.direction === 'rtl';
+
+  getColumnWidth = () => {
+    const { width } = this.props;
+    const columnHeader = this.node && this.node.parentElement;
+
+    return columnHeader
+      ? columnHeader.getBoundingClientRect().width
+      : width || 0;
+  };
+
+  clampWidth = (width: number) => {
+    const { maxWidth, minWidth } = this.props;
+
+    return Math.round(
+      Math.min(Math.max(width, minWidth), maxWidth || Infinity)
+    );
+  };
+
+  // Prevent sorting when the resizer is within a sortable column header
+  handleClick = (event: SyntheticMouseEvent<>) => {
+    event.stopPropagation();
+  };
+
+  handleKeyDown = (event: SyntheticKeyboardEvent<>) => {
+    const { key } = event;
+
+    if (key === 'ArrowLeft' || key === 'ArrowRight') {
+      event.preventDefault();
+      const grow = (key === 'ArrowRight') !== this.isRtl();
+      const width = this.clampWidth(
+        this.getColumnWidth() + (grow ? KEYBOARD_STEP : -KEYBOARD_STEP)
+      );
+      this.props.onResize(width, true);
+    }
+  };
+
+  handleMouseDown = (event: SyntheticMouseEvent<>) => {
+    if (event.button !== 0) {
+      return;
+    }
+
+    event.preventDefault();
+    event.stopPropagation();
+    this.startX = event.clientX;
+    this.startWidth = this.getColumnWidth();
+    this.width = this.startWidth;
+    this.setState({ isResizing: true });
+  };
+
+  handleDocumentMouseMove = (event: MouseEvent) => {
+    const delta = event.clientX - this.startX;
+    const width = this.clampWidth(
+      this.startWidth + (this.isRtl() ? -delta : delta)
+    );
+
+    if (width !== this.width) {
+      this.width = width;
+      this.props.onResize(width, false);
+    }
+  };
+
+  handleDocumentMouseUp = () => {
+    this.setState({ isResizing: false });
+    if (this.width !== this.startWidth) {
+      this.props.onResize(this.width, true);
+    }
+  };
+}
+
+export default withTheme(TableColumnResizer);
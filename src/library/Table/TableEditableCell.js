@@ -0,0 +1,286 @@
+/* @flow */
+import React, { Component } from 'react';
+import { findDOMNode } from 'react-dom';
+import { createStyledComponent } from '../styles';
+import TextInput from '../TextInput';
+import { generateId } from '../utils';
+import { TableContext } from './Table';
+import TableCell from './TableCell';
+
+import type { Editor, Row, Validate } from './Table';
+
+type Props = {
+  /** Rendered content, when not editing */
+  children?: React$Node,
+  /** See Table's Column type */
+  editor?: Editor,
+  /** Label of the column, used as the accessible label of the editor */
+  label: string,
+  /** Called with the new value when an edit is committed */
+  onEdit: (value: any) => void,
+  /** Row data of the cell, passed to `validate` */
+  row: Row,
+  /** See Table's Column type */
+  validate?: Validate,
+  /** Value of the cell */
+  value: any
+};
+
+type State = {
+  error: ?string,
+  isEditing: boolean,
+  value: any
+};
+
+// prettier-ignore
+export const componentTheme = (baseTheme: Object) => ({
+  TableEditableCell_boxShadow_focus: `inset 0 0 0 1px ${baseTheme.borderColor_theme_focus}`,
+  TableEditableCell_boxShadow_invalid: `inset 0 0 0 1px ${baseTheme.borderColor_danger}`,
+  TableEditableCellError_color: baseTheme.color_danger,
+  TableEditableCellError_fontSize: baseTheme.fontSize_mouse,
+  TableEditableCellError_marginTop: baseTheme.space_stack_xxs,
+
+  ...baseTheme
+});
+
+const Cell = createStyledComponent(
+  TableCell,
+  ({ isEditing, isInvalid, theme: baseTheme }) => {
+    const theme = componentTheme(baseTheme);
+
+    return {
+      boxShadow: isInvalid ? theme.TableEditableCell_boxShadow_invalid : null,
+      cursor: isEditing ? null : 'text',
+
+      '&:focus': {
+        boxShadow: theme.TableEditableCell_boxShadow_focus,
+        outline: 0
+      }
+    };
+  },
+  {
+    filterProps: ['isEditing', 'isInvalid']
+  }
+);
+
+const ErrorMessage = createStyledComponent('div', ({ theme: baseTheme }) => {
+  const theme = componentTheme(baseTheme);
+
+  return {
+    color: theme.TableEditableCellError_color,
+    fontSize: theme.TableEditableCellError_fontSize,
+    marginTop: theme.TableEditableCellError_marginTop
+  };
+});
+
+const FOCUSABLE_SELECTOR = 'input, select, textarea, button, [tabindex]';
+
+const toInputValue = (value: any) =>
+  value === null || value === undefined ? '' : String(value);
+
+// The default editor provides a string, which is converted back to a number
+// when the cell's value is a number
+const fromInputValue = (inputValue: any, value: any) =>
+  typeof value === 'number' &&
+  typeof inputValue === 'string' &&
+  inputValue.trim() !== '' &&
+  !isNaN(Number(inputValue))
+    ? Number(inputValue)
+    : inputValue;
+
+/**
+ * TableEditableCell displays its value until it is edited, upon Enter or
+ * double-click, with a TextInput or the column's `editor`. Edits are committed
+ * upon Enter or blur, and cancelled upon Escape.
+ */
+export default class TableEditableCell extends Component<Props, State> {
+  state = {
+    error: null,
+    isEditing: false,
+    value: this.props.value
+  };
+
+  id: string = `tableEditableCell-${generateId()}`;
+
+  shouldFocusCell: boolean;
+
+  componentDidUpdate(prevProps: Props, prevState: State) {
+    const node = this.getNode();
+
+    if (!node) {
+      return;
+    }
+
+    if (this.state.isEditing && !prevState.isEditing) {
+      const control = node.querySelector(FOCUSABLE_SELECTOR);
+      control && control.focus();
+    } else if (this.shouldFocusCell && !this.state.isEditing) {
+      this.shouldFocusCell = false;
+      node.focus();
+    }
+  }
+
+  render() {
+    const {
+      children,
+      editor: ignoreEditor,
+      label: ignoreLabel,
+      onEdit: ignoreOnEdit,
+      row: ignoreRow,
+      validate: ignoreValidate,
+      value: ignoreValue,
+      ...restProps
+    } = this.props;
+    const { error, isEditing } = this.state;
+
+    return (
+      <TableContext.Consumer>
+        {({ interactive }) => {
+          const rootProps = {
+            isEditing,
+            isInvalid: Boolean(error),
+            onKeyDown: this.handleKeyDown,
+            ...(isEditing
+              ? { onBlur: this.handleBlur }
+              : {
+                  onDoubleClick: this.edit,
+                  // The tab sequence of an interactive Table is managed by it
+                  ...(interactive ? undefined : { tabIndex: 0 })
+                }),
+            ...restProps
+          };
+
+          return (
+            <Cell {...rootProps}>
+              {isEditing ? this.renderEditor() : children}
+              {isEditing &&
+                error && (
+                  <ErrorMessage id={this.getErrorId()}>{error}</ErrorMessage>
+                )}
+            </Cell>
+          );
+        }}
+      </TableContext.Consumer>
+    );
+  }
+
+  renderEditor = () => {
+    const { editor, label } = this.props;
+    const { error, value } = this.state;
+    const props = {
+      'aria-describedby': error ? this.getErrorId() : undefined,
+      'aria-label': label,
+      invalid: Boolean(error),
+      onChange: (event: SyntheticEvent<>) => {
+        this.change((event.target: Object).value);
+      },
+      size: 'small',
+      value: toInputValue(value),
+      variant: error ? 'danger' : undefined
+    };
+
+    return editor ? (
+      editor({
+        helpers: {
+          cancel: this.cancel,
+          change: this.change,
+          commit: this.commit
+        },
+        props,
+        state: { error, value }
+      })
+    ) : (
+      <TextInput {...props} />
+    );
+  };
+
+  getErrorId = () => `${this.id}-error`;
+
+  getNode = (): ?HTMLElement => {
+    const node = findDOMNode(this); // eslint-disable-line react/no-find-dom-node
+
+    return node instanceof HTMLElement ? node : null;
+  };
+
+  getError = (value: any) => {
+    const { row, validate } = this.props;
+
+    return (validate && validate(value, row)) || null;
+  };
+
+  edit = () => {
+    if (!this.state.isEditing) {
+      this.setState({ error: null, isEditing: true, value: this.props.value });
+    }
+  };
+
+  change = (value: any) => {
+    // Once an invalid value is reported, revalidate as the value changes
+    this.setState(({ error }) => ({
+      error: error ? this.getError(value) : null,
+      value
+    }));
+  };
+
+  commit = (value?: any = this.state.value) => {
+    const { editor } = this.props;
+    const nextValue = editor ? value : fromInputValue(value, this.props.value);
+    const error = this.getError(nextValue);
+
+    if (error) {
+      this.shouldFocusCell = false;
+      this.setState({ error, value });
+    } else {
+      // An empty string is unchanged from an empty value, in the default editor
+      const isChanged =
+        nextValue !== this.props.value &&
+        (editor || nextValue !== toInputValue(this.props.value));
+
+      this.setState({ error: null, isEditing: false }, () => {
+        isChanged && this.props.onEdit(nextValue);
+      });
+    }
+  };
+
+  cancel = () => {
+    this.setState({ error: null, isEditing: false });
+  };
+
+  handleBlur = (event: SyntheticFocusEvent<>) => {
+    const node = this.getNode();
+    const { relatedTarget } = (event: Object);
+
+    // Focus may move between elements of the editor
+    if (
+      !this.state.isEditing ||
+      (node && relatedTarget instanceof Node && node.contains(relatedTarget))
+    ) {
+      return;
+    }
+
+    this.commit();
+  };
+
+  handleKeyDown = (event: SyntheticKeyboardEvent<>) => {
+    const { isEditing } = this.state;
+
+    if (event.defaultPrevented) {
+      return;
+    }
+
+    if (!isEditing) {
+      if (event.key === 'Enter' && event.target === this.getNode()) {
+        event.preventDefault();
+        this.edit();
+      }
+    } else if (event.key === 'Enter') {
+      event.preventDefault();
+      this.shouldFocusCell = true;
+      this.commit();
+    } else if (event.key === 'Escape') {
+      event.preventDefault();
+      this.shouldFocusCell = true;
+      this.cancel();
+    }
+  };
+}
@@ -0,0 +1,56 @@
+/* @flow */
+import React, { PureComponent } from 'react';
+import { createStyledComponent } from '../styles';
+import Button from '../Button';
+import IconExpandLess from '../Icon/IconExpandLess';
+import IconExpandMore from '../Icon/IconExpandMore';
+import TableCell from './TableCell';
+
+type Props = {
+  /** Id of the element containing the expanded content */
+  expandedContentId: string,
+  /** Expanded state of the row */
+  isExpanded?: boolean,
+  /** Accessible label of the button */
+  label: string,
+  /** Called when the button is clicked */
+  onClick: () => void
+};
+
+const Cell = createStyledComponent(TableCell, {
+  paddingBottom: 0,
+  paddingTop: 0,
+  verticalAlign: 'middle',
+  width: 1
+});
+
+/**
+ * TableExpandableCell
+ */
+export default class TableExpandableCell extends PureComponent<Props> {
+  render() {
+    const {
+      expandedContentId,
+      isExpanded,
+      label,
+      onClick,
+      ...restProps
+    } = this.props;
+    const Icon = isExpanded ? IconExpandLess : IconExpandMore;
+    const buttonProps = {
+      'aria-controls': isExpanded ? expandedContentId : undefined,
+      'aria-expanded': Boolean(isExpanded),
+      'aria-label': label,
+      iconStart: <Icon />,
+      minimal: true,
+      onClick,
+      size: 'small'
+    };
+
+    return (
+      <Cell {...restProps}>
+        <Button {...buttonProps} />
+      </Cell>
+    );
+  }
+}
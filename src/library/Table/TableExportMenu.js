@@ -0,0 +1,129 @@
+/* @flow */
+import React, { Component } from 'react';
+import Button from '../Button';
+import Dropdown from '../Dropdown';
+import IconFileDownload from '../Icon/IconFileDownload';
+import serializeTable from './serializeTable';
+
+import type { Items } from '../Menu/Menu';
+import type { Columns, ExportFormat, Messages, Rows } from './Table';
+
+type Props = {
+  /** Visible columns, in their current order */
+  columns: Columns,
+  /** Name, without extension, of downloaded files */
+  fileName: string,
+  /** Various messages and labels used by Table */
+  messages: Messages,
+  /** Called with the serialized data, in place of downloading it */
+  onExport?: (content: string, format: ExportFormat) => void,
+  /** Visible rows, after sorting & filtering */
+  rows: Rows,
+  /** Selected rows, in their current order, when Table is selectable */
+  selectedRows?: Rows
+};
+
+const MIME_TYPES = {
+  csv: 'text/csv',
+  tsv: 'text/tab-separated-values'
+};
+
+const download = (content: string, fileName: string, format: ExportFormat) => {
+  const url = window.URL.createObjectURL(
+    new window.Blob([content], { type: `${MIME_TYPES[format]};charset=utf-8` })
+  );
+  const link = document.createElement('a');
+
+  link.href = url;
+  link.download = `${fileName}.${format}`;
+  link.style.display = 'none';
+  document.body && document.body.appendChild(link);
+  link.click();
+  document.body && document.body.removeChild(link);
+  window.URL.revokeObjectURL(url);
+};
+
+// Copies the selected text of an offscreen textarea
+const copyWithExecCommand = (text: string) => {
+  const textarea = document.createElement('textarea');
+  const activeElement = document.activeElement;
+
+  textarea.value = text;
+  textarea.setAttribute('readonly', '');
+  textarea.style.position = 'fixed';
+  textarea.style.top = '-9999px';
+  document.body && document.body.appendChild(textarea);
+  textarea.select();
+  document.execCommand('copy');
+  document.body && document.body.removeChild(textarea);
+  activeElement && activeElement.focus();
+};
+
+// Falls back to execCommand in browsers without the asynchronous Clipboard API,
+// or when it is denied, e.g. for lack of permission or of document focus
+const copyToClipboard = (text: string) => {
+  const { clipboard } = (window.navigator: Object);
+
+  if (clipboard && clipboard.writeText) {
+    return clipboard.writeText(text).catch(() => {
+      copyWithExecCommand(text);
+    });
+  }
+
+  copyWithExecCommand(text);
+};
+
+/**
+ * TableExportMenu is the Dropdown, in Table's toolbar, from which the user
+ * exports the visible data or copies the selected rows
+ */
+export default class TableExportMenu extends Component<Props> {
+  render() {
+    const { messages, selectedRows } = this.props;
+    const data: Items = [
+      { onClick: () => this.export('csv'), text: messages.exportCSV },
+      { onClick: () => this.export('tsv'), text: messages.exportTSV },
+      ...(selectedRows
+        ? [
+            {
+              disabled: selectedRows.length === 0,
+              onClick: this.copySelection,
+              text: messages.copySelectedRows
+            }
+          ]
+        : [])
+    ];
+
+    return (
+      <Dropdown data={data} placement="bottom-end">
+        <Button
+          iconStart={<IconFileDownload />}
+          minimal
+          size="small"
+          type="button">
+          {messages.exportData}
+        </Button>
+      </Dropdown>
+    );
+  }
+
+  export = (format: ExportFormat) => {
+    const { columns, fileName, onExport, rows } = this.props;
+    const content = serializeTable(columns, rows, format);
+
+    if (onExport) {
+      onExport(content, format);
+    } else {
+      download(content, fileName, format);
+    }
+  };
+
+  // TSV pastes into spreadsheets, as well as reading well as plain text
+  copySelection = () => {
+    const { columns, selectedRows } = this.props;
+
+    if (selectedRows && selectedRows.length) {
+      copyToClipboard(serializeTable(columns, selectedRows, 'tsv'));
+    }
+  };
+}
@@ -0,0 +1,84 @@
+/* @flow */
+import React, { PureComponent } from 'react';
+import { createStyledComponent } from '../styles';
+import { TableContext } from './Table';
+
+type Props = {
+  /** Rendered content must be TR */
+  children: React$Node,
+  /** Keep footer fixed to the bottom of a vertically scrolling container */
+  sticky?: boolean,
+  /** Number of leading cells pinned to the start of a scrolling container */
+  stickyCount?: number
+};
+
+export const componentTheme = (baseTheme: Object) => ({
+  TableFooter_backgroundColor_sticky: baseTheme.color_white,
+  TableFooter_borderTop: `2px solid ${baseTheme.borderColor}`,
+  TableFooter_borderTop_highContrast: `2px solid ${baseTheme.color_gray_80}`,
+  TableFooter_boxShadow_sticky: `0 -2px 0 ${baseTheme.borderColor}`,
+  TableFooter_boxShadow_sticky_highContrast: `0 -2px 0 ${
+    baseTheme.color_gray_80
+  }`,
+  TableFooter_fontWeight: baseTheme.fontWeight_bold,
+  ...baseTheme
+});
+
+const Root = createStyledComponent(
+  'tfoot',
+  ({ highContrast, sticky, stickyCount, theme: baseTheme }) => {
+    const theme = componentTheme(baseTheme);
+
+    return {
+      borderTop: highContrast
+        ? theme.TableFooter_borderTop_highContrast
+        : theme.TableFooter_borderTop,
+      fontWeight: theme.TableFooter_fontWeight,
+
+      ...(sticky
+        ? {
+            '& th, & td': {
+              backgroundColor: theme.TableFooter_backgroundColor_sticky,
+              bottom: 0,
+              boxShadow: highContrast
+                ? theme.TableFooter_boxShadow_sticky_highContrast
+                : theme.TableFooter_boxShadow_sticky,
+              position: 'sticky',
+              // Above the sticky cells of the body
+              zIndex: 2
+            },
+
+            ...(stickyCount
+              ? {
+                  [`& > tr > :nth-child(-n+${stickyCount})`]: {
+                    zIndex: 3
+                  }
+                }
+              : undefined)
+          }
+        : undefined)
+    };
+  },
+  {
+    displayName: 'TableFooter',
+    filterProps: ['stickyCount'],
+    rootEl: 'tfoot'
+  }
+);
+
+/**
+ * TableFooter
+ */
+export default class TableFooter extends PureComponent<Props> {
+  render() {
+    const { children, ...restProps } = this.props;
+    return (
+      <TableContext.Consumer>
+        {({ highContrast }) => {
+          const rootProps = { highContrast, ...restProps };
+          return <Root {...rootProps}>{children}</Root>;
+        }}
+      </TableContext.Consumer>
+    );
+  }
+}
@@ -8,20 +8,38 @@ type Props = {
   /** Rendered content must be TR */
   children: React$Node,
   /** Hide visually */
-  hide?: boolean
+  hide?: boolean,
+  /** Keep header fixed to the top of a vertically scrolling container */
+  sticky?: boolean,
+  /** Number of leading cells pinned to the start of a scrolling container */
+  stickyCount?: number,
+  /** Offset, in px, from the top of a scrolling container of each row */
+  stickyRowOffsets?: Array<number>
 };
 
 export const componentTheme = (baseTheme: Object) => ({
+  TableHeader_backgroundColor_sticky: baseTheme.color_white,
   TableHeader_borderBottom: `2px solid ${baseTheme.borderColor}`,
   TableHeader_borderBottom_highContrast: `2px solid ${baseTheme.color_gray_80}`,
   TableHeader_borderTop: `1px solid ${baseTheme.borderColor}`,
   TableHeader_borderTop_highContrast: `1px solid ${baseTheme.color_gray_80}`,
+  TableHeader_boxShadow_sticky: `0 2px 0 ${baseTheme.borderColor}`,
+  TableHeader_boxShadow_sticky_highContrast: `0 2px 0 ${
+    baseTheme.color_gray_80
+  }`,
   ...baseTheme
 });
 
 const Root = createStyledComponent(
   'thead',
-  ({ hide, highContrast, theme: baseTheme }) => {
+  ({
+    hide,
+    highContrast,
+    sticky,
+    stickyCount,
+    stickyRowOffsets,
+    theme: baseTheme
+  }) => {
     const theme = componentTheme(baseTheme);
 
     return hide
@@ -32,11 +50,45 @@ const Root = createStyledComponent(
             : theme.TableHeader_borderBottom,
           borderTop: highContrast
             ? theme.TableHeader_borderTop_highContrast
-            : theme.TableHeader_borderTop
+            : theme.TableHeader_borderTop,
+
+          ...(sticky
+            ? {
+                '& th, & td': {
+                  backgroundColor: theme.TableHeader_backgroundColor_sticky,
+                  boxShadow: highContrast
+                    ? theme.TableHeader_boxShadow_sticky_highContrast
+                    : theme.TableHeader_boxShadow_sticky,
+                  position: 'sticky',
+                  top: 0,
+                  // Above the sticky cells of the body
+                  zIndex: 2
+                },
+
+                // Stacked rows, e.g. of column groups
+                ...(stickyRowOffsets || []).reduce((acc, offset, index) => {
+                  if (index > 0) {
+                    acc[`& > tr:nth-child(${index + 1}) > *`] = {
+                      top: offset
+                    };
+                  }
+                  return acc;
+                }, {}),
+
+                ...(stickyCount
+                  ? {
+                      [`& > tr > :nth-child(-n+${stickyCount})`]: {
+                        zIndex: 3
+                      }
+                    }
+                  : undefined)
+              }
+            : undefined)
         };
   },
   {
     displayName: 'TableHeader',
+    filterProps: ['stickyCount', 'stickyRowOffsets'],
     rootEl: 'thead'
   }
 );
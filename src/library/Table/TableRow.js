@@ -12,7 +12,12 @@ type Props = {
 
 // prettier-ignore
 export const componentTheme = (baseTheme: Object) => ({
+  TableRow_backgroundColor: baseTheme.color_white,
+  TableRow_backgroundColor_highContrast_selected: baseTheme.color_theme_20,
+  TableRow_backgroundColor_highContrast_selectedHover: baseTheme.color_theme_30,
   TableRow_backgroundColor_hover: baseTheme.color_gray_20,
+  TableRow_backgroundColor_selected: baseTheme.color_theme_10,
+  TableRow_backgroundColor_selectedHover: baseTheme.color_theme_20,
   TableRow_backgroundColor_striped: baseTheme.color_gray_10,
   TableRow_borderHorizontal: `1px solid ${baseTheme.color_white}`,
   TableRow_borderHorizontal_highContrast: `1px solid ${baseTheme.color_gray_60}`,
@@ -22,7 +27,7 @@ export const componentTheme = (baseTheme: Object) => ({
 
 const Root = createStyledComponent(
   'tr',
-  ({ highContrast, isSelected, theme: baseTheme, striped }) => {
+  ({ highContrast, isSelected, stickyColumns, theme: baseTheme, striped }) => {
     const theme = componentTheme(baseTheme);
 
     return {
@@ -33,6 +38,10 @@ const Root = createStyledComponent(
           }
           return theme.TableRow_backgroundColor_selected;
         }
+        // Sticky cells inherit the row's background, so it must be opaque
+        if (stickyColumns) {
+          return theme.TableRow_backgroundColor;
+        }
       })(),
 
       ...(highContrast
@@ -45,7 +54,7 @@ const Root = createStyledComponent(
             }
           }),
 
-      '*:not(thead) > &:hover': {
+      '*:not(thead):not(tfoot) > &:hover': {
         backgroundColor: (() => {
           if (isSelected) {
             if (highContrast) {
@@ -65,7 +74,8 @@ const Root = createStyledComponent(
       ...(isSelected
         ? {
             '& > td:first-child, & > th:first-child': {
-              position: 'relative',
+              // The first cell is already positioned when it is sticky
+              position: stickyColumns ? null : 'relative',
 
               '&::before': {
                 backgroundColor: theme.color_theme_60,
@@ -96,8 +106,13 @@ export default class TableRow extends PureComponent<Props> {
     const { children, ...restProps } = this.props;
     return (
       <TableContext.Consumer>
-        {({ highContrast, striped }) => {
-          const rootProps = { highContrast, striped, ...restProps };
+        {({ highContrast, stickyColumns, striped }) => {
+          const rootProps = {
+            highContrast,
+            stickyColumns,
+            striped,
+            ...restProps
+          };
           return <Root {...rootProps}>{children}</Root>;
         }}
       </TableContext.Consumer>
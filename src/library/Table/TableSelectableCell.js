@@ -0,0 +1,57 @@
+/* @flow */
+import React, { PureComponent } from 'react';
+import { createStyledComponent } from '../styles';
+import Checkbox from '../Checkbox';
+import TableCell from './TableCell';
+import TableColumnHeader from './TableColumnHeader';
+
+type Props = {
+  /** Checked state of the checkbox */
+  checked?: boolean,
+  /** Indicates that only some of the rows are selected */
+  indeterminate?: boolean,
+  /** Renders a column header rather than a data cell */
+  isHeader?: boolean,
+  /** Accessible label of the checkbox */
+  label: string,
+  /** Called when the checkbox is toggled */
+  onChange: () => void
+};
+
+const styles = {
+  width: 1
+};
+
+const Cell = createStyledComponent(TableCell, styles);
+
+const ColumnHeader = createStyledComponent(TableColumnHeader, styles);
+
+/**
+ * TableSelectableCell
+ */
+export default class TableSelectableCell extends PureComponent<Props> {
+  render() {
+    const {
+      checked,
+      indeterminate,
+      isHeader,
+      label,
+      onChange,
+      ...restProps
+    } = this.props;
+    const Root = isHeader ? ColumnHeader : Cell;
+    const checkboxProps = {
+      checked,
+      hideLabel: true,
+      indeterminate,
+      label,
+      onChange
+    };
+
+    return (
+      <Root {...restProps}>
+        <Checkbox {...checkboxProps} />
+      </Root>
+    );
+  }
+}
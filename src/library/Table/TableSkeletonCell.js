@@ -0,0 +1,51 @@
+/* @flow */
+import React, { PureComponent } from 'react';
+import { createStyledComponent } from '../styles';
+import TableCell from './TableCell';
+
+type Props = {
+  /** See Table's Column type */
+  textAlign?: 'start' | 'end' | 'center' | 'justify'
+};
+
+export const componentTheme = (baseTheme: Object) => ({
+  TableSkeletonCell_backgroundColor: baseTheme.color_gray_20,
+  TableSkeletonCell_borderRadius: baseTheme.borderRadius_1,
+  TableSkeletonCell_height: '1em',
+  TableSkeletonCell_width: '60%',
+
+  ...baseTheme
+});
+
+const Placeholder = createStyledComponent(
+  'span',
+  ({ theme: baseTheme }) => {
+    const theme = componentTheme(baseTheme);
+
+    return {
+      backgroundColor: theme.TableSkeletonCell_backgroundColor,
+      borderRadius: theme.TableSkeletonCell_borderRadius,
+      display: 'inline-block',
+      height: theme.TableSkeletonCell_height,
+      verticalAlign: 'middle',
+      width: theme.TableSkeletonCell_width
+    };
+  },
+  {
+    displayName: 'TableSkeletonCell'
+  }
+);
+
+/**
+ * TableSkeletonCell is a placeholder for the content of a cell while Table's
+ * rows are loading
+ */
+export default class TableSkeletonCell extends PureComponent<Props> {
+  render() {
+    return (
+      <TableCell {...this.props}>
+        <Placeholder />
+      </TableCell>
+    );
+  }
+}
@@ -0,0 +1,118 @@
+/* @flow */
+import React, { PureComponent } from 'react';
+import { createStyledComponent, pxToEm } from '../styles';
+import IconArrowDropdownDown from '../Icon/IconArrowDropdownDown';
+import IconArrowDropdownUp from '../Icon/IconArrowDropdownUp';
+import TableColumnHeader from './TableColumnHeader';
+
+import type { Sort } from './Table';
+
+type Props = {
+  /** Rendered content */
+  children: React$Node,
+  /** See Table's Column type */
+  label?: string,
+  /** Column key, passed to `sortFn` */
+  name: string,
+  /** Current sort state of Table */
+  sort?: ?Sort,
+  /** Called with the column key when the column header is clicked */
+  sortFn: (key: string) => void,
+  /** See Table's Column type */
+  textAlign?: 'start' | 'end' | 'center' | 'justify'
+};
+
+// prettier-ignore
+export const componentTheme = (baseTheme: Object) => ({
+  TableSortableColumnHeader_boxShadow_focus: `0 0 0 1px ${baseTheme.borderColor_theme_focus}`,
+  TableSortableColumnHeader_color_focus: baseTheme.color_theme,
+  TableSortableColumnHeaderIcon_color: baseTheme.icon_color,
+
+  ...baseTheme
+});
+
+const Button = createStyledComponent(
+  'button',
+  ({ textAlign, theme: baseTheme }) => {
+    const theme = componentTheme(baseTheme);
+    const rtl = theme.direction === 'rtl';
+
+    return {
+      alignItems: 'flex-end',
+      background: 'none',
+      border: 0,
+      color: 'inherit',
+      cursor: 'pointer',
+      display: 'inline-flex',
+      flexDirection: textAlign === 'end' ? 'row-reverse' : null,
+      font: 'inherit',
+      margin: 0,
+      padding: 0,
+      textAlign: 'inherit',
+
+      '&:focus': {
+        boxShadow: theme.TableSortableColumnHeader_boxShadow_focus,
+        color: theme.TableSortableColumnHeader_color_focus,
+        outline: 0
+      },
+
+      '&::-moz-focus-inner': { border: 0 },
+
+      '& > [role="img"]': {
+        flex: '0 0 auto',
+        fill: theme.TableSortableColumnHeaderIcon_color,
+        marginLeft: rtl ? null : pxToEm(2),
+        marginRight: rtl ? pxToEm(2) : null
+      },
+
+      '& > [data-sorted="false"]': {
+        opacity: 0
+      },
+
+      '&:hover > [data-sorted="false"], &:focus > [data-sorted="false"]': {
+        opacity: 0.5
+      }
+    };
+  },
+  {
+    displayName: 'TableSortableColumnHeaderButton',
+    filterProps: ['textAlign'],
+    rootEl: 'button'
+  }
+);
+
+/**
+ * TableSortableColumnHeader
+ */
+export default class TableSortableColumnHeader extends PureComponent<Props> {
+  render() {
+    const { children, name, sort, sortFn, ...restProps } = this.props;
+    const isSorted = Boolean(sort && sort.key === name);
+    const isDescending = Boolean(isSorted && sort && sort.descending);
+    const ariaSort = isSorted
+      ? isDescending ? 'descending' : 'ascending'
+      : 'none';
+    const Icon = isDescending ? IconArrowDropdownDown : IconArrowDropdownUp;
+
+    const rootProps = {
+      'aria-sort': ariaSort,
+      ...restProps
+    };
+    const buttonProps = {
+      onClick: () => {
+        sortFn(name);
+      },
+      textAlign: restProps.textAlign,
+      type: 'button'
+    };
+
+    return (
+      <TableColumnHeader {...rootProps}>
+        <Button {...buttonProps}>
+          {children}
+          <Icon data-sorted={isSorted} size="medium" />
+        </Button>
+      </TableColumnHeader>
+    );
+  }
+}
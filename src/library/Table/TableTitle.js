@@ -11,6 +11,8 @@ type Props = {
   element?: TitleAppearance,
   hide?: boolean,
   id: string,
+  /** Status of Table's rows, announced to assistive technologies */
+  status?: ?string,
   theme: Object
 };
 export type TitleAppearance = 'h1' | 'h2' | 'h3' | 'h4' | 'h5' | 'h6';
@@ -40,6 +42,9 @@ const Root = createStyledComponent(
   }
 );
 
+// A live region, so that changes in status are announced
+const Status = createStyledComponent('span', hideVisually());
+
 /**
  * TableTitle
  */
@@ -49,6 +54,7 @@ const TableTitle = ({
   element,
   hide,
   id,
+  status,
   theme,
   ...restProps
 }: Props) => {
@@ -87,7 +93,14 @@ const TableTitle = ({
     title = <ThemeProvider theme={textTheme}>{title}</ThemeProvider>;
   }
 
-  return <Root {...rootProps}>{title}</Root>;
+  return (
+    <Root {...rootProps}>
+      {title}
+      <Status aria-live="polite" role="status">
+        {status}
+      </Status>
+    </Root>
+  );
 };
 
 export default withTheme(TableTitle);
@@ -0,0 +1,44 @@
+/* @flow */
+import React from 'react';
+import { createStyledComponent } from '../styles';
+
+type Props = {
+  /** Rendered content */
+  children: React$Node
+};
+
+export const componentTheme = (baseTheme: Object) => ({
+  TableToolbar_gap: baseTheme.space_inline_sm,
+  TableToolbar_marginBottom: baseTheme.space_stack_sm,
+
+  ...baseTheme
+});
+
+const Root = createStyledComponent(
+  'div',
+  ({ theme: baseTheme }) => {
+    const theme = componentTheme(baseTheme);
+    const rtl = theme.direction === 'rtl';
+
+    return {
+      display: 'flex',
+      justifyContent: 'flex-end',
+      marginBottom: theme.TableToolbar_marginBottom,
+
+      '& > :not(:last-child)': {
+        marginLeft: rtl ? theme.TableToolbar_gap : null,
+        marginRight: rtl ? null : theme.TableToolbar_gap
+      }
+    };
+  },
+  {
+    displayName: 'TableToolbar'
+  }
+);
+
+/**
+ * TableToolbar contains the controls above Table
+ */
+export default function TableToolbar(props: Props) {
+  return <Root {...props} />;
+}
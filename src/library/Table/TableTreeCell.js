@@ -0,0 +1,109 @@
+/* @flow */
+import React, { PureComponent } from 'react';
+import { createStyledComponent, pxToEm } from '../styles';
+import Button from '../Button';
+import IconChevronRight from '../Icon/IconChevronRight';
+import IconExpandMore from '../Icon/IconExpandMore';
+import TableCell from './TableCell';
+
+type Props = {
+  /** Rendered content */
+  children?: React$Node,
+  /** Expanded state of the row */
+  isExpanded?: boolean,
+  /** Whether the children of the row are loading */
+  isLoading?: boolean,
+  /** Whether the row has children */
+  isParent?: boolean,
+  /** Accessible label of the button */
+  label: string,
+  /** Level of the row within the hierarchy, starting at 1 */
+  level: number,
+  /** Called when the button is clicked */
+  onClick: () => void
+};
+
+export const componentTheme = (baseTheme: Object) => ({
+  TableTreeCell_gap: baseTheme.space_inline_xs,
+  TableTreeCell_indent: pxToEm(24),
+
+  ...baseTheme
+});
+
+const Indent = createStyledComponent(
+  'span',
+  ({ level, theme: baseTheme }) => {
+    const theme = componentTheme(baseTheme);
+
+    return {
+      display: 'inline-block',
+      width: `calc(${level - 1} * ${theme.TableTreeCell_indent})`
+    };
+  },
+  {
+    filterProps: ['level']
+  }
+);
+
+const toggleStyles = ({ theme: baseTheme }) => {
+  const theme = componentTheme(baseTheme);
+  const rtl = theme.direction === 'rtl';
+
+  return {
+    marginLeft: rtl ? theme.TableTreeCell_gap : null,
+    marginRight: rtl ? null : theme.TableTreeCell_gap,
+    verticalAlign: 'middle'
+  };
+};
+
+export const TreeToggle = createStyledComponent(Button, toggleStyles);
+
+// Aligns the content of rows without children with that of their siblings
+const Placeholder = createStyledComponent('span', (props) => ({
+  ...toggleStyles(props),
+  display: 'inline-block',
+  width: props.theme.size_small
+}));
+
+/**
+ * TableTreeCell renders the first cell of a row of hierarchical data, indented
+ * by its level, with a button which expands or collapses its children
+ */
+export default class TableTreeCell extends PureComponent<Props> {
+  render() {
+    const {
+      children,
+      isExpanded,
+      isLoading,
+      isParent,
+      label,
+      level,
+      onClick,
+      ...restProps
+    } = this.props;
+    const Icon = isExpanded ? IconExpandMore : IconChevronRight;
+    const toggleProps = {
+      'aria-busy': isLoading || undefined,
+      'aria-expanded': Boolean(isExpanded),
+      'aria-label': label,
+      disabled: isLoading,
+      iconStart: <Icon />,
+      minimal: true,
+      onClick,
+      size: 'small',
+      type: 'button'
+    };
+
+    return (
+      <TableCell {...restProps}>
+        {level > 1 && <Indent aria-hidden level={level} />}
+        {isParent ? (
+          <TreeToggle {...toggleProps} />
+        ) : (
+          <Placeholder aria-hidden />
+        )}
+        {children}
+      </TableCell>
+    );
+  }
+}
@@ -0,0 +1,162 @@
+/* @flow */
+import React, { Component } from 'react';
+
+type Props = {
+  children: (props: RenderProps) => React$Node,
+  count: number,
+  disabled?: boolean,
+  height: number,
+  overscanCount: number,
+  rowHeight?: number
+};
+
+type State = {
+  measuredRowHeight: number,
+  scrollTop: number
+};
+
+type RenderProps = {
+  end: number,
+  onScroll?: (event: SyntheticEvent<HTMLElement>) => void,
+  scrollerRef?: (node: ?HTMLElement) => void,
+  scrollToIndex?: (index: number) => void,
+  spacerAfter: number,
+  spacerBefore: number,
+  start: number
+};
+
+type SpacerProps = {
+  colSpan: number,
+  height: number
+};
+
+const DEFAULT_ROW_HEIGHT = 37; // px
+
+/**
+ * Spacer takes up the space of the rows which are not rendered
+ */
+export const Spacer = ({ colSpan, height }: SpacerProps) =>
+  height > 0 ? (
+    <tbody aria-hidden="true">
+      <tr>
+        <td colSpan={colSpan} style={{ height, padding: 0 }} />
+      </tr>
+    </tbody>
+  ) : null;
+
+/**
+ * Virtualized determines the range of Table's rows that are visible in its
+ * scrollable container
+ */
+export default class Virtualized extends Component<Props, State> {
+  static defaultProps = {
+    overscanCount: 10
+  };
+
+  state = {
+    measuredRowHeight: DEFAULT_ROW_HEIGHT,
+    scrollTop: 0
+  };
+
+  scroller: ?HTMLElement;
+
+  componentDidMount() {
+    this.measureRowHeight();
+  }
+
+  componentDidUpdate() {
+    this.measureRowHeight();
+  }
+
+  render() {
+    const { children, count, disabled, height, overscanCount } = this.props;
+
+    if (disabled) {
+      return children({
+        end: count,
+        spacerAfter: 0,
+        spacerBefore: 0,
+        start: 0
+      });
+    }
+
+    const rowHeight = this.getRowHeight();
+    const { scrollTop } = this.state;
+    const firstVisible = Math.floor(scrollTop / rowHeight);
+    const lastVisible = Math.ceil((scrollTop + height) / rowHeight);
+
+    // Start on an even row, so that the parity of each rendered row, and
+    // therefore its stripe, does not change while scrolling
+    let start = Math.max(0, firstVisible - overscanCount);
+    start -= start % 2;
+    const end = Math.min(count, lastVisible + overscanCount);
+
+    return children({
+      end,
+      onScroll: this.handleScroll,
+      scrollerRef: this.setScrollerRef,
+      scrollToIndex: this.scrollToIndex,
+      spacerAfter: Math.max(0, count - end) * rowHeight,
+      spacerBefore: start * rowHeight,
+      start
+    });
+  }
+
+  getRowHeight = () => this.props.rowHeight || this.state.measuredRowHeight;
+
+  handleScroll = (event: SyntheticEvent<HTMLElement>) => {
+    const { scrollTop } = event.currentTarget;
+
+    if (scrollTop !== this.state.scrollTop) {
+      this.setState({ scrollTop });
+    }
+  };
+
+  // Scrolls the row at an index to the middle of the container, so that it is
+  // rendered, e.g. before it's focused
+  scrollToIndex = (index: number) => {
+    const scroller = this.scroller;
+
+    if (this.props.disabled || !scroller) {
+      return;
+    }
+
+    const rowHeight = this.getRowHeight();
+    const scrollTop = Math.max(
+      0,
+      index * rowHeight - (this.props.height - rowHeight) / 2
+    );
+
+    scroller.scrollTop = scrollTop;
+    this.setState({ scrollTop });
+  };
+
+  measureRowHeight = () => {
+    const scroller = this.scroller;
+
+    if (this.props.disabled || this.props.rowHeight || !scroller) {
+      return;
+    }
+
+    const rows = scroller.querySelectorAll('tbody > tr[aria-rowindex]');
+    const firstRow = rows[0];
+    const lastRow = rows[rows.length - 1];
+
+    if (firstRow && lastRow) {
+      const measuredRowHeight =
+        (lastRow.offsetTop + lastRow.offsetHeight - firstRow.offsetTop) /
+        rows.length;
+
+      if (
+        measuredRowHeight > 0 &&
+        Math.abs(measuredRowHeight - this.state.measuredRowHeight) > 0.5
+      ) {
+        this.setState({ measuredRowHeight });
+      }
+    }
+  };
+
+  setScrollerRef = (node: ?HTMLElement) => {
+    this.scroller = node;
+  };
+}
@@ -1,23 +1,93 @@
 /* @flow */
 import React from 'react';
 import { shallow } from 'enzyme';
+import { mountInThemeProvider } from '../../../../utils/enzymeUtils';
 import Table from '../Table';
+import Checkbox from '../../Checkbox';
+import DataRow from '../DataRow';
+import Dropdown from '../../Dropdown';
+import ExpandedRow from '../ExpandedRow';
+import FooterRow from '../FooterRow';
+import HeaderRow from '../HeaderRow';
+import OverflowContainer from '../OverflowContainer';
+import Pagination from '../../Pagination';
+import Popover from '../../Popover';
+import TableCell from '../TableCell';
+import TableColumnChooser from '../TableColumnChooser';
+import TableColumnFilter from '../TableColumnFilter';
+import TableBody from '../TableBody';
+import TableColumnHeader from '../TableColumnHeader';
+import TableEditableCell from '../TableEditableCell';
+import TableExportMenu from '../TableExportMenu';
+import TableFooter from '../TableFooter';
+import TableHeader from '../TableHeader';
+import TableSortableColumnHeader from '../TableSortableColumnHeader';
+import TableTreeCell from '../TableTreeCell';
 import examples from '../../../website/app/demos/Table/examples';
 import testDemoExamples from '../../../../utils/testDemoExamples';
 
+const defaultProps = {
+  data: [{ a: 'a1', b: 'b1' }, { a: 'a2', b: 'b2' }],
+  title: 'test'
+};
+
 function shallowTable(props = {}) {
   const tableProps = {
-    data: [{ a: 'a1', b: 'b1' }, { a: 'a2', b: 'b2' }],
-    title: 'test',
+    ...defaultProps,
     ...props
   };
 
   return shallow(<Table {...tableProps} />);
 }
 
+function mountTable(props = {}) {
+  const tableProps = {
+    ...defaultProps,
+    ...props
+  };
+
+  return mountInThemeProvider(<Table {...tableProps} />);
+}
+
+const getRenderedColumn = (themeProvider, key) =>
+  themeProvider.find(DataRow).map((row) => row.props().data[key]);
+
+const clickSortableHeader = (themeProvider, index = 0) => {
+  themeProvider
+    .find(TableSortableColumnHeader)
+    .at(index)
+    .find('button')
+    .simulate('click');
+};
+
+const getCheckbox = (themeProvider, index) =>
+  themeProvider
+    .find(Checkbox)
+    .at(index)
+    .find('input');
+
+const toggleCheckbox = (themeProvider, index) => {
+  getCheckbox(themeProvider, index).simulate('change');
+};
+
+const clickPaginationButton = (themeProvider, label) => {
+  themeProvider
+    .find(Pagination)
+    .find(`button[aria-label="${label}"]`)
+    .simulate('click');
+};
+
+const toggleExpansion = (themeProvider, index) => {
+  themeProvider
+    .find(DataRow)
+    .at(index)
+    .find('button')
+    .simulate('click');
+};
+
 describe('Table', () => {
   testDemoExamples(examples, {
-    exclude: ['large-data-sets'],
+    exclude: ['large-data-sets', 'virtualized'],
     contextPolyfill: true
   });
 
@@ -26,4 +96,2002 @@ describe('Table', () => {
 
     expect(table.exists()).toEqual(true);
   });
+
+  describe('sortable', () => {
+    // Unsorted by either column
+    const data = [{ a: 'a1', b: 'b2' }, { a: 'a2', b: 'b1' }];
+
+    const mountSortableTable = (props = {}) =>
+      mountTable({ data, sortable: true, ...props });
+
+    it('renders sortable column headers', () => {
+      const [themeProvider] = mountSortableTable();
+
+      expect(themeProvider.find(TableSortableColumnHeader).length).toEqual(2);
+    });
+
+    it('column definition overrides sortable prop', () => {
+      const [themeProvider] = mountSortableTable({
+        columns: [
+          { content: 'A', key: 'a', sortable: false },
+          { content: 'B', key: 'b' }
+        ]
+      });
+
+      expect(
+        themeProvider.find(TableSortableColumnHeader).props().name
+      ).toEqual('b');
+    });
+
+    it('sorts by defaultSort', () => {
+      const [themeProvider] = mountSortableTable({
+        defaultSort: { key: 'b' }
+      });
+
+      expect(getRenderedColumn(themeProvider, 'b')).toEqual(['b1', 'b2']);
+    });
+
+    it('toggles sort direction when clicked', () => {
+      const onSort = jest.fn();
+      const [themeProvider] = mountSortableTable({ onSort });
+
+      clickSortableHeader(themeProvider);
+      expect(onSort).toHaveBeenLastCalledWith({ key: 'a', descending: false });
+      expect(getRenderedColumn(themeProvider, 'a')).toEqual(['a1', 'a2']);
+
+      clickSortableHeader(themeProvider);
+      expect(onSort).toHaveBeenLastCalledWith({ key: 'a', descending: true });
+      expect(getRenderedColumn(themeProvider, 'a')).toEqual(['a2', 'a1']);
+    });
+
+    it('sets aria-sort on column headers', () => {
+      const [themeProvider] = mountSortableTable({
+        defaultSort: { key: 'a', descending: true }
+      });
+      const headers = themeProvider.find('th');
+
+      expect(headers.at(0).prop('aria-sort')).toEqual('descending');
+      expect(headers.at(1).prop('aria-sort')).toEqual('none');
+    });
+
+    it('uses column sortComparator', () => {
+      const sortComparator = jest.fn(() => 0);
+      const [themeProvider] = mountSortableTable({
+        columns: [{ content: 'A', key: 'a', sortComparator }],
+        defaultSort: { key: 'a' }
+      });
+
+      expect(sortComparator).toHaveBeenCalled();
+      expect(getRenderedColumn(themeProvider, 'a')).toEqual(['a1', 'a2']);
+    });
+
+    it('does not change sort when controlled', () => {
+      const onSort = jest.fn();
+      const [themeProvider] = mountSortableTable({
+        onSort,
+        sort: { key: 'a', descending: false }
+      });
+
+      clickSortableHeader(themeProvider);
+      themeProvider.update();
+      expect(onSort).toHaveBeenCalledWith({ key: 'a', descending: true });
+      expect(getRenderedColumn(themeProvider, 'a')).toEqual(['a1', 'a2']);
+    });
+  });
+
+  describe('selectable', () => {
+    it('renders a checkbox for the header and each row', () => {
+      const [themeProvider] = mountTable({ selectable: true });
+
+      expect(themeProvider.find(Checkbox).length).toEqual(3);
+    });
+
+    it('selects defaultSelectedRows', () => {
+      const [themeProvider] = mountTable({
+        defaultSelectedRows: [defaultProps.data[1]],
+        selectable: true
+      });
+
+      expect(getCheckbox(themeProvider, 0).props().checked).toEqual(true);
+      expect(getCheckbox(themeProvider, 1).props().checked).toEqual(false);
+      expect(getCheckbox(themeProvider, 2).props().checked).toEqual(true);
+    });
+
+    it('toggles a row', () => {
+      const onToggleRow = jest.fn();
+      const [themeProvider] = mountTable({ onToggleRow, selectable: true });
+
+      toggleCheckbox(themeProvider, 1);
+      expect(onToggleRow).toHaveBeenCalledWith(defaultProps.data[0], true);
+      expect(getCheckbox(themeProvider, 1).props().checked).toEqual(true);
+    });
+
+    it('toggles all rows', () => {
+      const onToggleAllRows = jest.fn();
+      const [themeProvider] = mountTable({
+        defaultSelectedRows: [defaultProps.data[1]],
+        onToggleAllRows,
+        selectable: true
+      });
+
+      toggleCheckbox(themeProvider, 0);
+      expect(onToggleAllRows).toHaveBeenLastCalledWith(defaultProps.data, true);
+      expect(getCheckbox(themeProvider, 1).props().checked).toEqual(true);
+
+      toggleCheckbox(themeProvider, 0);
+      expect(onToggleAllRows).toHaveBeenLastCalledWith(
+        defaultProps.data,
+        false
+      );
+      expect(getCheckbox(themeProvider, 2).props().checked).toEqual(false);
+    });
+
+    it('does not change selection when controlled', () => {
+      const onToggleRow = jest.fn();
+      const [themeProvider] = mountTable({
+        onToggleRow,
+        selectable: true,
+        selectedRows: []
+      });
+
+      toggleCheckbox(themeProvider, 1);
+      expect(onToggleRow).toHaveBeenCalledWith(defaultProps.data[0], true);
+      expect(getCheckbox(themeProvider, 1).props().checked).toEqual(false);
+    });
+  });
+
+  describe('virtualized', () => {
+    const data = Array.from({ length: 1000 }, (value, index) => ({
+      a: `a${index}`
+    }));
+    const virtualizedProps = {
+      data,
+      height: 200,
+      rowHeight: 20,
+      virtualized: true
+    };
+
+    it('renders only the visible rows', () => {
+      const [themeProvider] = mountTable(virtualizedProps);
+
+      expect(themeProvider.find(DataRow).length).toEqual(20);
+    });
+
+    it('sets aria-rowcount and aria-rowindex', () => {
+      const [themeProvider] = mountTable(virtualizedProps);
+
+      expect(themeProvider.find('table').prop('aria-rowcount')).toEqual(1001);
+      expect(
+        themeProvider
+          .find('tr')
+          .first()
+          .prop('aria-rowindex')
+      ).toEqual(1);
+      expect(
+        themeProvider
+          .find(DataRow)
+          .first()
+          .find('tr')
+          .prop('aria-rowindex')
+      ).toEqual(2);
+    });
+
+    it('renders the visible rows when scrolled', () => {
+      const [themeProvider] = mountTable(virtualizedProps);
+
+      const container = themeProvider
+        .find(OverflowContainer)
+        .find('div[role="group"]')
+        .hostNodes();
+      Object.defineProperty(container.getDOMNode(), 'scrollTop', {
+        value: 10000
+      });
+      container.simulate('scroll');
+      themeProvider.update();
+
+      const rows = themeProvider.find(DataRow);
+      expect(rows.first().props().data).toEqual(data[490]);
+      expect(rows.last().props().data).toEqual(data[519]);
+    });
+
+    it('counts expanded rows in aria-rowcount and aria-rowindex', () => {
+      const [themeProvider] = mountTable({
+        ...virtualizedProps,
+        defaultExpandedRows: [data[0], data[2]],
+        expandedRowContent: (row) => `Details of ${row.a}`
+      });
+      const getRowIndices = () =>
+        themeProvider
+          .find('tbody tr[aria-rowindex]')
+          .map((row) => row.prop('aria-rowindex'))
+          .slice(0, 6);
+
+      expect(themeProvider.find('table').prop('aria-rowcount')).toEqual(1003);
+      expect(getRowIndices()).toEqual([2, 3, 4, 5, 6, 7]);
+      expect(
+        themeProvider
+          .find(ExpandedRow)
+          .map((row) => row.find('tr').prop('aria-rowindex'))
+      ).toEqual([3, 6]);
+
+      const container = themeProvider
+        .find(OverflowContainer)
+        .find('div[role="group"]')
+        .hostNodes();
+      Object.defineProperty(container.getDOMNode(), 'scrollTop', {
+        value: 10000
+      });
+      container.simulate('scroll');
+      themeProvider.update();
+
+      expect(
+        themeProvider
+          .find(DataRow)
+          .first()
+          .find('tr')
+          .prop('aria-rowindex')
+      ).toEqual(494);
+    });
+  });
+
+  describe('expandable', () => {
+    const expandedRowContent = (row) => `Details of ${row.a}`;
+
+    it('renders expanded content for defaultExpandedRows', () => {
+      const [themeProvider] = mountTable({
+        defaultExpandedRows: [defaultProps.data[1]],
+        expandedRowContent
+      });
+      const expandedRow = themeProvider.find(ExpandedRow);
+
+      expect(expandedRow.length).toEqual(1);
+      expect(expandedRow.text()).toEqual('Details of a2');
+    });
+
+    it('toggles expansion', () => {
+      const onToggleRowExpansion = jest.fn();
+      const [themeProvider] = mountTable({
+        expandedRowContent,
+        onToggleRowExpansion
+      });
+
+      toggleExpansion(themeProvider, 0);
+      expect(onToggleRowExpansion).toHaveBeenLastCalledWith(
+        defaultProps.data[0],
+        true
+      );
+      expect(themeProvider.find(ExpandedRow).text()).toEqual('Details of a1');
+
+      toggleExpansion(themeProvider, 0);
+      expect(onToggleRowExpansion).toHaveBeenLastCalledWith(
+        defaultProps.data[0],
+        false
+      );
+      expect(themeProvider.find(ExpandedRow).exists()).toEqual(false);
+    });
+
+    it('sets aria-expanded and aria-controls', () => {
+      const [themeProvider] = mountTable({
+        defaultExpandedRows: [defaultProps.data[0]],
+        expandedRowContent
+      });
+      const buttons = themeProvider.find(DataRow).find('button');
+      const expandedRowId = themeProvider
+        .find(ExpandedRow)
+        .find('tr')
+        .prop('id');
+
+      expect(buttons.at(0).prop('aria-expanded')).toEqual(true);
+      expect(buttons.at(0).prop('aria-controls')).toEqual(expandedRowId);
+      expect(buttons.at(1).prop('aria-expanded')).toEqual(false);
+    });
+
+    it('derives a valid id for expanded content from the row key', () => {
+      const data = [{ a: 'a 1', b: 'b1' }];
+      const [themeProvider] = mountTable({
+        data,
+        defaultExpandedRows: data,
+        expandedRowContent,
+        rowKey: 'a'
+      });
+      const expandedRowId = themeProvider
+        .find(ExpandedRow)
+        .find('tr')
+        .prop('id');
+
+      expect(expandedRowId).not.toMatch(/\s/);
+      expect(
+        themeProvider
+          .find(DataRow)
+          .find('button')
+          .prop('aria-controls')
+      ).toEqual(expandedRowId);
+    });
+
+    it('does not change expansion when controlled', () => {
+      const onToggleRowExpansion = jest.fn();
+      const [themeProvider] = mountTable({
+        expandedRowContent,
+        expandedRows: [],
+        onToggleRowExpansion
+      });
+
+      toggleExpansion(themeProvider, 0);
+      expect(onToggleRowExpansion).toHaveBeenCalledWith(
+        defaultProps.data[0],
+        true
+      );
+      expect(themeProvider.find(ExpandedRow).exists()).toEqual(false);
+    });
+  });
+
+  describe('tree data', () => {
+    const treeData = [
+      {
+        a: 'a1',
+        b: 'b1',
+        children: [
+          { a: 'a1.2', b: 'b1.2' },
+          { a: 'a1.1', b: 'b1.1', children: [{ a: 'a1.1.1', b: 'b1.1.1' }] }
+        ]
+      },
+      { a: 'a2', b: 'b2', hasChildren: true },
+      { a: 'a3', b: 'b3' }
+    ];
+
+    const mountTreeTable = (props = {}) =>
+      mountTable({ data: treeData, ...props });
+
+    const toggleTreeRow = (themeProvider, index) => {
+      themeProvider
+        .find(TableTreeCell)
+        .at(index)
+        .find('button')
+        .simulate('click');
+    };
+
+    const clickToggleAll = (themeProvider) => {
+      themeProvider
+        .find(HeaderRow)
+        .find('button[aria-label="Expand all rows"]')
+        .simulate('click');
+    };
+
+    const getRowLevels = (themeProvider) =>
+      themeProvider
+        .find(DataRow)
+        .map((row) => row.find('tr').prop('aria-level'));
+
+    it('renders a treegrid of the top-level rows', () => {
+      const [themeProvider] = mountTreeTable();
+      const rows = themeProvider.find(DataRow).find('tr');
+
+      expect(themeProvider.find('table').prop('role')).toEqual('treegrid');
+      expect(getRenderedColumn(themeProvider, 'a')).toEqual(['a1', 'a2', 'a3']);
+      expect(rows.map((row) => row.prop('aria-expanded'))).toEqual([
+        false,
+        false,
+        undefined
+      ]);
+      expect(rows.map((row) => row.prop('aria-posinset'))).toEqual([1, 2, 3]);
+      expect(rows.map((row) => row.prop('aria-setsize'))).toEqual([3, 3, 3]);
+    });
+
+    it('does not generate columns for the hierarchy', () => {
+      const [themeProvider] = mountTreeTable();
+
+      expect(
+        themeProvider
+          .find(HeaderRow)
+          .prop('columns')
+          .map(({ key }) => key)
+      ).toEqual(['a', 'b']);
+    });
+
+    it('renders the children of defaultExpandedTreeRows', () => {
+      const [themeProvider] = mountTreeTable({
+        defaultExpandedTreeRows: [treeData[0], treeData[0].children[1]]
+      });
+
+      expect(getRenderedColumn(themeProvider, 'a')).toEqual([
+        'a1',
+        'a1.2',
+        'a1.1',
+        'a1.1.1',
+        'a2',
+        'a3'
+      ]);
+      expect(getRowLevels(themeProvider)).toEqual([1, 2, 2, 3, 1, 1]);
+      expect(
+        themeProvider
+          .find(TableTreeCell)
+          .map((cell) => cell.find('button').length)
+      ).toEqual([1, 0, 1, 0, 1, 0]);
+    });
+
+    it('toggles a row', () => {
+      const onToggleTreeRow = jest.fn();
+      const [themeProvider] = mountTreeTable({ onToggleTreeRow });
+
+      toggleTreeRow(themeProvider, 0);
+      expect(onToggleTreeRow).toHaveBeenLastCalledWith(treeData[0], true);
+      expect(getRenderedColumn(themeProvider, 'a')).toEqual([
+        'a1',
+        'a1.2',
+        'a1.1',
+        'a2',
+        'a3'
+      ]);
+
+      toggleTreeRow(themeProvider, 0);
+      expect(onToggleTreeRow).toHaveBeenLastCalledWith(treeData[0], false);
+      expect(getRenderedColumn(themeProvider, 'a')).toEqual(['a1', 'a2', 'a3']);
+    });
+
+    it('does not change expansion when controlled', () => {
+      const onToggleTreeRow = jest.fn();
+      const [themeProvider] = mountTreeTable({
+        expandedTreeRows: [],
+        onToggleTreeRow
+      });
+
+      toggleTreeRow(themeProvider, 0);
+      expect(onToggleTreeRow).toHaveBeenCalledWith(treeData[0], true);
+      expect(getRenderedColumn(themeProvider, 'a')).toEqual(['a1', 'a2', 'a3']);
+    });
+
+    it('expands & collapses all rows whose children are available', () => {
+      const onToggleAllTreeRows = jest.fn();
+      const [themeProvider] = mountTreeTable({ onToggleAllTreeRows });
+
+      clickToggleAll(themeProvider);
+      expect(onToggleAllTreeRows).toHaveBeenLastCalledWith(
+        [treeData[0], treeData[0].children[1]],
+        true
+      );
+      expect(getRowLevels(themeProvider)).toEqual([1, 2, 2, 3, 1, 1]);
+
+      themeProvider
+        .find(HeaderRow)
+        .find('button[aria-label="Collapse all rows"]')
+        .simulate('click');
+      expect(onToggleAllTreeRows).toHaveBeenLastCalledWith(
+        [treeData[0], treeData[0].children[1]],
+        false
+      );
+      expect(getRowLevels(themeProvider)).toEqual([1, 1, 1]);
+    });
+
+    it('sorts children within their parent', () => {
+      const [themeProvider] = mountTreeTable({
+        defaultExpandedTreeRows: [treeData[0]],
+        sortable: true
+      });
+      // The first column header also contains the expand all button
+      const clickSortableHeader = () => {
+        themeProvider
+          .find(TableSortableColumnHeader)
+          .at(0)
+          .find('button')
+          .last()
+          .simulate('click');
+      };
+
+      clickSortableHeader();
+      expect(getRenderedColumn(themeProvider, 'a')).toEqual([
+        'a1',
+        'a1.1',
+        'a1.2',
+        'a2',
+        'a3'
+      ]);
+
+      clickSortableHeader();
+      expect(getRenderedColumn(themeProvider, 'a')).toEqual([
+        'a3',
+        'a2',
+        'a1',
+        'a1.2',
+        'a1.1'
+      ]);
+    });
+
+    it('loads children when a row is first expanded', async () => {
+      const children = [{ a: 'a2.1', b: 'b2.1' }];
+      const loadChildren = jest.fn(() => Promise.resolve(children));
+      const [themeProvider] = mountTreeTable({ loadChildren });
+
+      toggleTreeRow(themeProvider, 1);
+      expect(loadChildren).toHaveBeenCalledWith(treeData[1]);
+      expect(
+        themeProvider
+          .find(TableTreeCell)
+          .at(1)
+          .find('button')
+          .prop('aria-busy')
+      ).toEqual(true);
+
+      await Promise.resolve();
+      themeProvider.update();
+      expect(getRenderedColumn(themeProvider, 'a')).toEqual([
+        'a1',
+        'a2',
+        'a2.1',
+        'a3'
+      ]);
+
+      toggleTreeRow(themeProvider, 1);
+      toggleTreeRow(themeProvider, 1);
+      expect(loadChildren).toHaveBeenCalledTimes(1);
+    });
+
+    it('collapses a row whose children fail to load', async () => {
+      const loadChildren = jest.fn(() => Promise.reject(new Error()));
+      const [themeProvider] = mountTreeTable({ loadChildren });
+
+      toggleTreeRow(themeProvider, 1);
+
+      await Promise.resolve();
+      themeProvider.update();
+      expect(
+        themeProvider
+          .find(DataRow)
+          .at(1)
+          .find('tr')
+          .prop('aria-expanded')
+      ).toEqual(false);
+    });
+  });
+
+  describe('interactive', () => {
+    let themeProvider;
+
+    const mountInteractiveTable = (props = {}) => {
+      [themeProvider] = mountInThemeProvider(
+        <Table {...defaultProps} interactive {...props} />,
+        { attachToDom: true }
+      );
+    };
+
+    const getCells = () =>
+      themeProvider
+        .find('table')
+        .getDOMNode()
+        .querySelectorAll('th, td');
+
+    const pressKey = (key, options = {}) => {
+      global.document.activeElement.dispatchEvent(
+        new global.window.KeyboardEvent('keydown', {
+          bubbles: true,
+          key,
+          ...options
+        })
+      );
+    };
+
+    const focusCell = (index) => {
+      getCells()[index].focus();
+    };
+
+    afterEach(() => {
+      themeProvider.destroy();
+    });
+
+    it('renders a grid with a single cell in the tab sequence', () => {
+      mountInteractiveTable();
+      const tabIndices = Array.prototype.map.call(
+        getCells(),
+        (cell) => cell.tabIndex
+      );
+
+      expect(themeProvider.find('table').prop('role')).toEqual('grid');
+      expect(tabIndices).toEqual([0, -1, -1, -1, -1, -1]);
+    });
+
+    it('removes the widgets within cells from the tab sequence', () => {
+      mountInteractiveTable({ selectable: true });
+      const tabIndices = Array.prototype.map.call(
+        themeProvider
+          .find('table')
+          .getDOMNode()
+          .querySelectorAll('input'),
+        (input) => input.tabIndex
+      );
+
+      expect(tabIndices).toEqual([-1, -1, -1]);
+    });
+
+    it('moves focus with the arrow keys', () => {
+      mountInteractiveTable();
+      const cells = getCells();
+
+      focusCell(0);
+      pressKey('ArrowDown');
+      expect(global.document.activeElement).toEqual(cells[2]);
+      pressKey('ArrowRight');
+      expect(global.document.activeElement).toEqual(cells[3]);
+      pressKey('ArrowRight');
+      expect(global.document.activeElement).toEqual(cells[3]);
+      pressKey('ArrowDown');
+      expect(global.document.activeElement).toEqual(cells[5]);
+      pressKey('ArrowLeft');
+      expect(global.document.activeElement).toEqual(cells[4]);
+      pressKey('ArrowUp');
+      expect(global.document.activeElement).toEqual(cells[2]);
+      expect(cells[2].tabIndex).toEqual(0);
+      expect(cells[0].tabIndex).toEqual(-1);
+    });
+
+    it('moves focus with Home, End, PageUp & PageDown', () => {
+      mountInteractiveTable();
+      const cells = getCells();
+
+      focusCell(2);
+      pressKey('End');
+      expect(global.document.activeElement).toEqual(cells[3]);
+      pressKey('Home');
+      expect(global.document.activeElement).toEqual(cells[2]);
+      pressKey('End', { ctrlKey: true });
+      expect(global.document.activeElement).toEqual(cells[5]);
+      pressKey('Home', { ctrlKey: true });
+      expect(global.document.activeElement).toEqual(cells[0]);
+      pressKey('PageDown');
+      expect(global.document.activeElement).toEqual(cells[4]);
+      pressKey('PageUp');
+      expect(global.document.activeElement).toEqual(cells[0]);
+    });
+
+    it('moves focus beyond the rendered rows of a virtualized Table', () => {
+      const data = Array.from({ length: 1000 }, (value, index) => ({
+        a: `a${index}`,
+        b: `b${index}`
+      }));
+      const getFocusedRowIndex = () =>
+        global.document.activeElement.parentNode.getAttribute('aria-rowindex');
+      mountInteractiveTable({
+        data,
+        height: 200,
+        rowHeight: 20,
+        virtualized: true
+      });
+
+      focusCell(2);
+      pressKey('PageDown');
+      expect(getFocusedRowIndex()).toEqual('12');
+      pressKey('PageDown');
+      expect(getFocusedRowIndex()).toEqual('22');
+      pressKey('End', { ctrlKey: true });
+      expect(getFocusedRowIndex()).toEqual('1001');
+      expect(global.document.activeElement.textContent).toEqual('b999');
+      pressKey('PageUp');
+      expect(getFocusedRowIndex()).toEqual('991');
+    });
+
+    it('retains the active row as the rendered rows of a virtualized Table shift', () => {
+      const data = Array.from({ length: 1000 }, (value, index) => ({
+        a: `a${index}`,
+        b: `b${index}`
+      }));
+      const getTabbableRowIndex = () =>
+        Array.prototype.filter
+          .call(getCells(), (cell) => cell.tabIndex === 0)[0]
+          .parentNode.getAttribute('aria-rowindex');
+      const scrollTo = (scrollTop) => {
+        const scroller = themeProvider
+          .find(OverflowContainer)
+          .find('[onScroll]')
+          .hostNodes();
+        Object.defineProperty(scroller.getDOMNode(), 'scrollTop', {
+          configurable: true,
+          value: scrollTop
+        });
+        scroller.simulate('scroll');
+      };
+      mountInteractiveTable({
+        data,
+        height: 200,
+        rowHeight: 20,
+        virtualized: true
+      });
+
+      focusCell(2);
+      pressKey('ArrowDown');
+      pressKey('ArrowDown');
+      expect(getTabbableRowIndex()).toEqual('4');
+
+      // Renders the rows from the third onward
+      scrollTo(240);
+      expect(getTabbableRowIndex()).toEqual('4');
+
+      // Renders the rows from the fifth onward
+      scrollTo(300);
+      expect(getTabbableRowIndex()).toEqual('6');
+
+      scrollTo(0);
+      expect(getTabbableRowIndex()).toEqual('4');
+    });
+
+    it('acts upon the widget within a cell upon Enter', () => {
+      const onToggleRow = jest.fn();
+      mountInteractiveTable({ onToggleRow, selectable: true });
+
+      focusCell(3);
+      pressKey('Enter');
+      expect(onToggleRow).toHaveBeenCalledWith(defaultProps.data[0], true);
+    });
+
+    it('moves focus to the widgets within a cell upon Enter', () => {
+      mountInteractiveTable({ columns: [{ content: 'A', key: 'a' }] });
+      const cell = getCells()[1];
+      const button = global.document.createElement('button');
+      const input = global.document.createElement('input');
+      cell.appendChild(button);
+      cell.appendChild(input);
+
+      focusCell(1);
+      pressKey('Enter');
+      expect(global.document.activeElement).toEqual(button);
+      expect(input.tabIndex).toEqual(0);
+      expect(cell.tabIndex).toEqual(-1);
+
+      pressKey('Escape');
+      expect(global.document.activeElement).toEqual(cell);
+      expect(input.tabIndex).toEqual(-1);
+      expect(cell.tabIndex).toEqual(0);
+
+      cell.removeChild(button);
+      cell.removeChild(input);
+    });
+  });
+
+  describe('paginated', () => {
+    const data = Array.from({ length: 25 }, (value, index) => ({
+      a: `a${index + 1}`
+    }));
+    const paginatedProps = {
+      data,
+      paginated: true
+    };
+
+    it('renders the rows of the first page', () => {
+      const [themeProvider] = mountTable(paginatedProps);
+
+      expect(themeProvider.find(DataRow).length).toEqual(10);
+      expect(themeProvider.find(Pagination).props().totalCount).toEqual(25);
+    });
+
+    it('renders the rows of defaultCurrentPage', () => {
+      const [themeProvider] = mountTable({
+        ...paginatedProps,
+        defaultCurrentPage: 3,
+        defaultPageSize: 5
+      });
+
+      expect(getRenderedColumn(themeProvider, 'a')).toEqual([
+        'a11',
+        'a12',
+        'a13',
+        'a14',
+        'a15'
+      ]);
+    });
+
+    it('changes page', () => {
+      const onPageChange = jest.fn();
+      const [themeProvider] = mountTable({ ...paginatedProps, onPageChange });
+
+      clickPaginationButton(themeProvider, 'Page 3');
+      expect(onPageChange).toHaveBeenCalledWith(3);
+      expect(getRenderedColumn(themeProvider, 'a')).toEqual([
+        'a21',
+        'a22',
+        'a23',
+        'a24',
+        'a25'
+      ]);
+    });
+
+    it('paginates sorted data', () => {
+      const [themeProvider] = mountTable({
+        ...paginatedProps,
+        defaultPageSize: 2,
+        defaultSort: { key: 'a', descending: true },
+        sortable: true
+      });
+
+      expect(getRenderedColumn(themeProvider, 'a')).toEqual(['a9', 'a8']);
+    });
+
+    it('does not change page when controlled', () => {
+      const onPageChange = jest.fn();
+      const [themeProvider] = mountTable({
+        ...paginatedProps,
+        currentPage: 1,
+        onPageChange
+      });
+
+      clickPaginationButton(themeProvider, 'Next page');
+      expect(onPageChange).toHaveBeenCalledWith(2);
+      expect(getRenderedColumn(themeProvider, 'a')[0]).toEqual('a1');
+    });
+
+    it('does not paginate data when totalCount is provided', () => {
+      const [themeProvider] = mountTable({
+        ...paginatedProps,
+        currentPage: 2,
+        onPageChange: jest.fn(),
+        totalCount: 100
+      });
+
+      expect(themeProvider.find(DataRow).length).toEqual(25);
+      expect(themeProvider.find(Pagination).props().currentPage).toEqual(2);
+      expect(themeProvider.find(Pagination).props().totalCount).toEqual(100);
+    });
+  });
+
+  describe('column groups', () => {
+    const data = [{ name: 'a', p50: 1, p95: 2, p99: 3, count: 4 }];
+    const columns = [
+      { content: 'Name', key: 'name', primary: true },
+      {
+        content: 'Latency',
+        key: 'latency',
+        columns: [
+          { content: 'p50', key: 'p50' },
+          {
+            content: 'Tail',
+            key: 'tail',
+            columns: [
+              { content: 'p95', key: 'p95' },
+              { content: 'p99', key: 'p99' }
+            ]
+          }
+        ]
+      },
+      { content: 'Count', key: 'count' }
+    ];
+    const groupedProps = { columns, data, id: 'grouped' };
+
+    const getHeaderRows = (themeProvider) =>
+      themeProvider
+        .find('thead tr')
+        .map((row) =>
+          Array.prototype.map.call(row.getDOMNode().children, (cell) => [
+            cell.textContent,
+            cell.colSpan
+          ])
+        );
+
+    const getDataCells = (themeProvider) =>
+      Array.prototype.slice.call(
+        themeProvider
+          .find(DataRow)
+          .find('tr')
+          .getDOMNode().children
+      );
+
+    it('renders a header row for each level of groups', () => {
+      const [themeProvider] = mountTable(groupedProps);
+
+      expect(getHeaderRows(themeProvider)).toEqual([
+        [['', 1], ['Latency', 3], ['', 1]],
+        [['', 1], ['', 1], ['Tail', 2], ['', 1]],
+        [['Name', 1], ['p50', 1], ['p95', 1], ['p99', 1], ['Count', 1]]
+      ]);
+    });
+
+    it('renders data for the leaf columns', () => {
+      const [themeProvider] = mountTable(groupedProps);
+
+      expect(
+        getDataCells(themeProvider).map((cell) => cell.textContent)
+      ).toEqual(['a', '1', '2', '3', '4']);
+    });
+
+    it('renders group headers with colgroup scope', () => {
+      const [themeProvider] = mountTable(groupedProps);
+      const groupHeaders = themeProvider.find('th[scope="colgroup"]');
+
+      expect(groupHeaders.map((header) => header.text())).toEqual([
+        'Latency',
+        'Tail'
+      ]);
+      expect(groupHeaders.at(1).prop('headers')).toEqual(
+        'grouped-column-latency'
+      );
+    });
+
+    it('associates cells with the headers of their column & groups', () => {
+      const [themeProvider] = mountTable(groupedProps);
+      const cells = getDataCells(themeProvider);
+
+      expect(cells[0].id).toEqual('grouped-row-0-name');
+      expect(cells[0].getAttribute('headers')).toEqual('grouped-column-name');
+      expect(cells[3].getAttribute('headers')).toEqual(
+        'grouped-column-latency grouped-column-tail grouped-column-p99 grouped-row-0-name'
+      );
+      expect(
+        themeProvider
+          .find('thead th#grouped-column-p99')
+          .hostNodes()
+          .prop('headers')
+      ).toEqual('grouped-column-latency grouped-column-tail');
+    });
+
+    it('includes the leading cells of selectable & expandable rows', () => {
+      const [themeProvider] = mountTable({
+        ...groupedProps,
+        expandedRowContent: () => 'expanded',
+        selectable: true
+      });
+
+      expect(getHeaderRows(themeProvider)[0]).toEqual([
+        ['', 2],
+        ['', 1],
+        ['Latency', 3],
+        ['', 1]
+      ]);
+    });
+
+    it('splits a group when its columns are not adjacent', () => {
+      const [themeProvider] = mountTable(groupedProps);
+
+      themeProvider
+        .find(HeaderRow)
+        .props()
+        .reorderFn('count', 2);
+      themeProvider.update();
+
+      expect(getHeaderRows(themeProvider)[0]).toEqual([
+        ['', 1],
+        ['Latency', 1],
+        ['', 1],
+        ['Latency', 2]
+      ]);
+      expect(themeProvider.find('th#grouped-column-latency').length).toEqual(1);
+    });
+  });
+
+  describe('editable', () => {
+    const columns = [
+      { content: 'A', key: 'a', editable: true },
+      { content: 'B', key: 'b' }
+    ];
+
+    const getEditableCell = (themeProvider, index = 0) =>
+      themeProvider.find(TableEditableCell).at(index);
+
+    const editCell = (themeProvider, index) => {
+      getEditableCell(themeProvider, index)
+        .find('td')
+        .simulate('doubleclick');
+    };
+
+    const getInput = (themeProvider, index) =>
+      getEditableCell(themeProvider, index).find('input');
+
+    const changeInput = (themeProvider, value, index) => {
+      getInput(themeProvider, index).simulate('change', {
+        target: { value }
+      });
+    };
+
+    const pressKey = (themeProvider, key, index) => {
+      getInput(themeProvider, index).simulate('keydown', { key });
+    };
+
+    it('renders editable cells for editable columns', () => {
+      const [themeProvider] = mountTable({ columns });
+
+      expect(themeProvider.find(TableEditableCell).length).toEqual(2);
+    });
+
+    it('edits a cell upon double-click', () => {
+      const [themeProvider] = mountTable({ columns });
+
+      editCell(themeProvider, 0);
+      expect(getInput(themeProvider, 0).props().value).toEqual('a1');
+    });
+
+    it('edits a cell upon Enter', () => {
+      const [themeProvider] = mountTable({ columns });
+
+      getEditableCell(themeProvider, 1)
+        .find('td')
+        .simulate('keydown', { key: 'Enter' });
+      expect(getInput(themeProvider, 1).props().value).toEqual('a2');
+    });
+
+    it('commits an edit upon Enter', () => {
+      const onCellEdit = jest.fn();
+      const [themeProvider] = mountTable({ columns, onCellEdit });
+
+      editCell(themeProvider, 0);
+      changeInput(themeProvider, 'new', 0);
+      pressKey(themeProvider, 'Enter', 0);
+
+      expect(onCellEdit).toHaveBeenCalledWith(defaultProps.data[0], 'a', 'new');
+      expect(getInput(themeProvider, 0).exists()).toEqual(false);
+    });
+
+    it('commits an edit upon blur', () => {
+      const onCellEdit = jest.fn();
+      const [themeProvider] = mountTable({ columns, onCellEdit });
+
+      editCell(themeProvider, 0);
+      changeInput(themeProvider, 'new', 0);
+      getInput(themeProvider, 0).simulate('blur');
+
+      expect(onCellEdit).toHaveBeenCalledWith(defaultProps.data[0], 'a', 'new');
+    });
+
+    it('does not commit an unchanged value', () => {
+      const onCellEdit = jest.fn();
+      const [themeProvider] = mountTable({ columns, onCellEdit });
+
+      editCell(themeProvider, 0);
+      pressKey(themeProvider, 'Enter', 0);
+
+      expect(onCellEdit).not.toHaveBeenCalled();
+    });
+
+    it('commits a number when editing a numeric value', () => {
+      const onCellEdit = jest.fn();
+      const validate = jest.fn();
+      const data = [{ a: 1.5, b: 'b1' }];
+      const [themeProvider] = mountTable({
+        columns: [{ ...columns[0], validate }, columns[1]],
+        data,
+        onCellEdit
+      });
+
+      editCell(themeProvider, 0);
+      pressKey(themeProvider, 'Enter', 0);
+      expect(onCellEdit).not.toHaveBeenCalled();
+
+      editCell(themeProvider, 0);
+      changeInput(themeProvider, ' 2.25 ', 0);
+      pressKey(themeProvider, 'Enter', 0);
+      expect(validate).toHaveBeenLastCalledWith(2.25, data[0]);
+      expect(onCellEdit).toHaveBeenLastCalledWith(data[0], 'a', 2.25);
+
+      editCell(themeProvider, 0);
+      changeInput(themeProvider, 'abc', 0);
+      pressKey(themeProvider, 'Enter', 0);
+      expect(onCellEdit).toHaveBeenLastCalledWith(data[0], 'a', 'abc');
+    });
+
+    it('cancels an edit upon Escape', () => {
+      const onCellEdit = jest.fn();
+      const [themeProvider] = mountTable({ columns, onCellEdit });
+
+      editCell(themeProvider, 0);
+      changeInput(themeProvider, 'new', 0);
+      pressKey(themeProvider, 'Escape', 0);
+
+      expect(onCellEdit).not.toHaveBeenCalled();
+      expect(getInput(themeProvider, 0).exists()).toEqual(false);
+      expect(getEditableCell(themeProvider, 0).text()).toEqual('a1');
+    });
+
+    it('does not commit an invalid value', () => {
+      const onCellEdit = jest.fn();
+      const validate = jest.fn(
+        (value) => (value ? undefined : 'Value is required')
+      );
+      const [themeProvider] = mountTable({
+        columns: [{ ...columns[0], validate }, columns[1]],
+        onCellEdit
+      });
+
+      editCell(themeProvider, 0);
+      changeInput(themeProvider, '', 0);
+      pressKey(themeProvider, 'Enter', 0);
+
+      expect(validate).toHaveBeenCalledWith('', defaultProps.data[0]);
+      expect(onCellEdit).not.toHaveBeenCalled();
+      expect(getInput(themeProvider, 0).props()['aria-invalid']).toEqual(true);
+      expect(getEditableCell(themeProvider, 0).text()).toContain(
+        'Value is required'
+      );
+
+      changeInput(themeProvider, 'valid', 0);
+      expect(getEditableCell(themeProvider, 0).text()).not.toContain(
+        'Value is required'
+      );
+    });
+
+    it('renders a custom editor', () => {
+      const onCellEdit = jest.fn();
+      const editor = jest.fn(({ helpers, props }) =>
+        React.createElement('button', {
+          'aria-label': props['aria-label'],
+          onClick: () => {
+            helpers.commit(42);
+          }
+        })
+      );
+      const [themeProvider] = mountTable({
+        columns: [{ ...columns[0], editor }, columns[1]],
+        onCellEdit
+      });
+
+      editCell(themeProvider, 0);
+      getEditableCell(themeProvider, 0)
+        .find('button[aria-label="A"]')
+        .simulate('click');
+
+      expect(onCellEdit).toHaveBeenCalledWith(defaultProps.data[0], 'a', 42);
+    });
+  });
+
+  describe('filterable', () => {
+    const data = [
+      { name: 'Pomello', family: 'Rutaceae', price: 3.5 },
+      { name: 'Starfruit', family: 'Oxalidaceae', price: 1.25 },
+      { name: 'Durian', family: 'Malvaceae', price: 12 },
+      { name: 'Kumquat', family: 'Rutaceae', price: 0.5 }
+    ];
+    const columns = [
+      { content: 'Name', key: 'name', filterable: true },
+      {
+        content: 'Family',
+        key: 'family',
+        filterable: true,
+        filterType: 'select'
+      },
+      { content: 'Price', key: 'price', filterable: true, filterType: 'range' }
+    ];
+    const filterableProps = { columns, data };
+
+    const changeFilter = (themeProvider, index, value) => {
+      themeProvider
+        .find(TableColumnFilter)
+        .at(index)
+        .props()
+        .onChange(value);
+      themeProvider.update();
+    };
+
+    it('renders a filter for filterable columns', () => {
+      const [themeProvider] = mountTable({
+        ...filterableProps,
+        columns: [columns[0], { content: 'Family', key: 'family' }]
+      });
+
+      expect(themeProvider.find(TableColumnFilter).length).toEqual(1);
+    });
+
+    it('filters by text', () => {
+      const onFilterChange = jest.fn();
+      const [themeProvider] = mountTable({
+        ...filterableProps,
+        onFilterChange
+      });
+
+      changeFilter(themeProvider, 0, 'UR');
+      expect(onFilterChange).toHaveBeenCalledWith({ name: 'UR' });
+      expect(getRenderedColumn(themeProvider, 'name')).toEqual(['Durian']);
+
+      changeFilter(themeProvider, 0, '');
+      expect(onFilterChange).toHaveBeenLastCalledWith({});
+      expect(getRenderedColumn(themeProvider, 'name').length).toEqual(4);
+    });
+
+    it('retains whitespace in the text filter, while matching it trimmed', () => {
+      const onFilterChange = jest.fn();
+      const [themeProvider] = mountTable({
+        ...filterableProps,
+        onFilterChange
+      });
+
+      changeFilter(themeProvider, 0, ' ');
+      expect(onFilterChange).toHaveBeenLastCalledWith({ name: ' ' });
+      expect(
+        themeProvider
+          .find(TableColumnFilter)
+          .at(0)
+          .props().value
+      ).toEqual(' ');
+      expect(getRenderedColumn(themeProvider, 'name').length).toEqual(4);
+
+      changeFilter(themeProvider, 0, ' ur ');
+      expect(getRenderedColumn(themeProvider, 'name')).toEqual(['Durian']);
+    });
+
+    it('labels each filter with its column', () => {
+      const [themeProvider] = mountTable(filterableProps);
+
+      expect(
+        themeProvider
+          .find(TableColumnFilter)
+          .map((filter) => filter.find('button').prop('aria-label'))
+      ).toEqual(['Filter Name', 'Filter Family', 'Filter Price']);
+    });
+
+    it('filters by selected values', () => {
+      const [themeProvider] = mountTable(filterableProps);
+
+      changeFilter(themeProvider, 1, ['Rutaceae', 'Malvaceae']);
+      expect(getRenderedColumn(themeProvider, 'name')).toEqual([
+        'Pomello',
+        'Durian',
+        'Kumquat'
+      ]);
+    });
+
+    it('filters by range', () => {
+      const [themeProvider] = mountTable(filterableProps);
+
+      changeFilter(themeProvider, 2, { min: 1, max: 4 });
+      expect(getRenderedColumn(themeProvider, 'name')).toEqual([
+        'Pomello',
+        'Starfruit'
+      ]);
+    });
+
+    it('combines filters', () => {
+      const [themeProvider] = mountTable({
+        ...filterableProps,
+        defaultFilters: { family: ['Rutaceae'], price: { max: 1 } }
+      });
+
+      expect(getRenderedColumn(themeProvider, 'name')).toEqual(['Kumquat']);
+    });
+
+    it('does not change filters when controlled', () => {
+      const onFilterChange = jest.fn();
+      const [themeProvider] = mountTable({
+        ...filterableProps,
+        filters: { name: 'an' },
+        onFilterChange
+      });
+
+      changeFilter(themeProvider, 0, 'o');
+      expect(onFilterChange).toHaveBeenCalledWith({ name: 'o' });
+      expect(getRenderedColumn(themeProvider, 'name')).toEqual(['Durian']);
+    });
+
+    it('filters before sorting & pagination, showing the first page', () => {
+      const onPageChange = jest.fn();
+      const [themeProvider] = mountTable({
+        ...filterableProps,
+        defaultCurrentPage: 2,
+        defaultPageSize: 1,
+        defaultSort: { key: 'price' },
+        onPageChange,
+        paginated: true
+      });
+
+      changeFilter(themeProvider, 1, ['Rutaceae']);
+      expect(onPageChange).toHaveBeenCalledWith(1);
+      expect(getRenderedColumn(themeProvider, 'name')).toEqual(['Kumquat']);
+      expect(themeProvider.find(Pagination).props().totalCount).toEqual(2);
+    });
+
+    it('toggles only the filtered rows when toggling all rows', () => {
+      const onToggleAllRows = jest.fn();
+      const [themeProvider] = mountTable({
+        ...filterableProps,
+        onToggleAllRows,
+        selectable: true
+      });
+
+      changeFilter(themeProvider, 1, ['Rutaceae']);
+      toggleCheckbox(themeProvider, 0);
+      expect(onToggleAllRows).toHaveBeenLastCalledWith(
+        [data[0], data[3]],
+        true
+      );
+      expect(getCheckbox(themeProvider, 0).props().checked).toEqual(true);
+
+      changeFilter(themeProvider, 1, []);
+      expect(
+        themeProvider
+          .find(Checkbox)
+          .at(0)
+          .props().indeterminate
+      ).toEqual(true);
+      expect(
+        [1, 2, 3, 4].map(
+          (index) => getCheckbox(themeProvider, index).props().checked
+        )
+      ).toEqual([true, false, false, true]);
+    });
+
+    it('renders the filter controls in a Popover', () => {
+      const onChange = jest.fn();
+      const [themeProvider] = mountTable(filterableProps);
+      const filter = themeProvider.find(TableColumnFilter).at(1);
+      const [controls] = mountInThemeProvider(
+        React.cloneElement(filter.find(Popover).props().content, { onChange })
+      );
+
+      const checkboxes = controls.find('input[type="checkbox"]');
+      expect(checkboxes.map((checkbox) => checkbox.props().value)).toEqual([
+        'Malvaceae',
+        'Oxalidaceae',
+        'Rutaceae'
+      ]);
+
+      checkboxes.at(2).simulate('change', {
+        target: { checked: true, value: 'Rutaceae' }
+      });
+      expect(onChange).toHaveBeenCalledWith(['Rutaceae']);
+    });
+  });
+
+  describe('exportable', () => {
+    const columns = [
+      { content: 'A', key: 'a', filterable: true },
+      { content: 'B', key: 'b' }
+    ];
+
+    const getExportMenu = (themeProvider) =>
+      themeProvider.find(TableExportMenu);
+
+    it('does not render the export menu unless exportable', () => {
+      const [themeProvider] = mountTable();
+
+      expect(getExportMenu(themeProvider).exists()).toEqual(false);
+    });
+
+    it('exports the visible columns & rows, after sorting & filtering', () => {
+      const onExport = jest.fn();
+      const [themeProvider] = mountTable({
+        columns,
+        data: [{ a: 'a1', b: 'b1' }, { a: 'x', b: 'b2' }, { a: 'a3', b: 'b3' }],
+        defaultFilters: { a: 'a' },
+        defaultHiddenColumns: ['b'],
+        defaultSort: { key: 'a', descending: true },
+        exportable: true,
+        onExport
+      });
+
+      getExportMenu(themeProvider)
+        .instance()
+        .export('csv');
+      expect(onExport).toHaveBeenCalledWith('A\r\na3\r\na1', 'csv');
+    });
+
+    it('copies the selected rows, in their current order', () => {
+      const writeText = jest.fn(() => Promise.resolve());
+      global.window.navigator.clipboard = { writeText };
+      const [themeProvider] = mountTable({
+        columns,
+        defaultSelectedRows: [defaultProps.data[1], defaultProps.data[0]],
+        exportable: true,
+        selectable: true
+      });
+
+      getExportMenu(themeProvider)
+        .instance()
+        .copySelection();
+      expect(writeText).toHaveBeenCalledWith('A\tB\na1\tb1\na2\tb2');
+      delete global.window.navigator.clipboard;
+    });
+
+    it('falls back to execCommand when the Clipboard API is denied', async () => {
+      const writeText = jest.fn(() => Promise.reject(new Error('Denied')));
+      const execCommand = jest.fn();
+      global.window.navigator.clipboard = { writeText };
+      (document: Object).execCommand = execCommand;
+      const [themeProvider] = mountTable({
+        columns,
+        defaultSelectedRows: [defaultProps.data[0]],
+        exportable: true,
+        selectable: true
+      });
+
+      getExportMenu(themeProvider)
+        .instance()
+        .copySelection();
+      await Promise.resolve();
+
+      expect(execCommand).toHaveBeenCalledWith('copy');
+      delete global.window.navigator.clipboard;
+      delete (document: Object).execCommand;
+    });
+
+    it('disables copying without selected rows', () => {
+      const [themeProvider] = mountTable({
+        exportable: true,
+        selectable: true
+      });
+      const menuData = getExportMenu(themeProvider)
+        .find(Dropdown)
+        .prop('data');
+
+      expect(menuData.map(({ text }) => text)).toEqual([
+        'Download CSV',
+        'Download TSV',
+        'Copy selected rows'
+      ]);
+      expect(menuData[2].disabled).toEqual(true);
+    });
+  });
+
+  describe('footer', () => {
+    const data = [
+      { a: 'a1', b: 2 },
+      { a: 'a2', b: 4 },
+      { a: 'a3', b: null },
+      { a: 'a4', b: 9 }
+    ];
+
+    const getFooterCells = (themeProvider) =>
+      themeProvider.find(FooterRow).find(TableCell);
+
+    const getFooterText = (themeProvider) =>
+      getFooterCells(themeProvider).map((cell) => cell.text());
+
+    it('does not render a footer without footer columns', () => {
+      const [themeProvider] = mountTable();
+
+      expect(themeProvider.find(TableFooter).exists()).toEqual(false);
+    });
+
+    it('renders footer content & aggregate values', () => {
+      const aggregates = ['average', 'count', 'max', 'min', 'sum'];
+      // Each aggregate is applied to a copy of the values of column B
+      const [themeProvider] = mountTable({
+        columns: [
+          { content: 'A', key: 'a', footer: 'Total' },
+          ...aggregates.map((aggregate) => ({
+            aggregate,
+            content: aggregate,
+            key: aggregate
+          }))
+        ],
+        data: data.map((row) =>
+          aggregates.reduce(
+            (acc, aggregate) => ({ ...acc, [aggregate]: row.b }),
+            { a: row.a }
+          )
+        )
+      });
+
+      expect(themeProvider.find('tfoot').exists()).toEqual(true);
+      expect(getFooterText(themeProvider)).toEqual([
+        'Total',
+        '5',
+        '3',
+        '9',
+        '2',
+        '15'
+      ]);
+    });
+
+    it('calls footer render props & aggregate functions', () => {
+      const aggregate = jest.fn((values) => values.length);
+      const footer = jest.fn(({ value }) => `Rows: ${value}`);
+      const [themeProvider] = mountTable({
+        columns: [
+          { content: 'A', key: 'a' },
+          { aggregate, content: 'B', footer, key: 'b' }
+        ],
+        data
+      });
+
+      expect(aggregate).toHaveBeenCalledWith([2, 4, null, 9], data);
+      expect(footer).toHaveBeenCalledWith({ rows: data, value: 4 });
+      expect(getFooterText(themeProvider)).toEqual(['', 'Rows: 4']);
+    });
+
+    it('aggregates the filtered rows of all pages', () => {
+      const [themeProvider] = mountTable({
+        columns: [
+          { content: 'A', key: 'a' },
+          { aggregate: 'sum', content: 'B', key: 'b' }
+        ],
+        data,
+        defaultFilters: { a: '1' },
+        pageSize: 1,
+        paginated: true
+      });
+
+      expect(getFooterText(themeProvider)).toEqual(['', '2']);
+    });
+
+    it('aligns footer cells with their column', () => {
+      const [themeProvider] = mountTable({
+        columns: [
+          { content: 'A', key: 'a', primary: true, footer: 'Total' },
+          { aggregate: 'sum', content: 'B', key: 'b', textAlign: 'end' }
+        ],
+        data,
+        selectable: true
+      });
+      const cells = getFooterCells(themeProvider);
+
+      expect(cells.length).toEqual(3);
+      expect(cells.at(0).prop('colSpan')).toEqual(1);
+      expect(cells.at(1).prop('primary')).toEqual(true);
+      expect(cells.at(2).prop('textAlign')).toEqual('end');
+    });
+  });
+
+  describe('states', () => {
+    const getStatus = (themeProvider) =>
+      themeProvider
+        .find('[role="status"]')
+        .hostNodes()
+        .text();
+    const getBodyText = (themeProvider) =>
+      themeProvider
+        .find('tbody')
+        .hostNodes()
+        .text();
+
+    it('renders placeholder rows while loading without rows', () => {
+      const [themeProvider] = mountTable({ data: [], loading: true });
+      const tbody = themeProvider.find('tbody').hostNodes();
+
+      expect(tbody.prop('aria-hidden')).toEqual(true);
+      expect(tbody.find('tr').length).toEqual(3);
+      expect(
+        themeProvider
+          .find('table')
+          .hostNodes()
+          .prop('aria-busy')
+      ).toEqual(true);
+      expect(getStatus(themeProvider)).toEqual('Loading');
+    });
+
+    it('dims present rows while loading', () => {
+      const [themeProvider] = mountTable({ loading: true });
+
+      expect(themeProvider.find(DataRow).length).toEqual(2);
+      expect(themeProvider.find(TableBody).props().loading).toEqual(true);
+    });
+
+    it('renders the default empty content', () => {
+      const [themeProvider] = mountTable({
+        columns: [{ content: 'A', key: 'a' }],
+        data: []
+      });
+
+      expect(getBodyText(themeProvider)).toEqual('No data');
+      expect(getStatus(themeProvider)).toEqual('No data');
+    });
+
+    it('renders emptyContent', () => {
+      const [themeProvider] = mountTable({
+        columns: [{ content: 'A', key: 'a' }],
+        data: [],
+        emptyContent: 'Nothing here'
+      });
+
+      expect(getBodyText(themeProvider)).toEqual('Nothing here');
+      expect(getStatus(themeProvider)).toEqual('Nothing here');
+    });
+
+    it('renders error content in place of rows', () => {
+      const [themeProvider] = mountTable({ error: 'Request failed' });
+
+      expect(themeProvider.find(DataRow).length).toEqual(0);
+      expect(getBodyText(themeProvider)).toEqual('Request failed');
+      expect(getStatus(themeProvider)).toEqual('Request failed');
+    });
+
+    it('renders the default error message', () => {
+      const [themeProvider] = mountTable({ error: true });
+
+      expect(getBodyText(themeProvider)).toEqual('Data could not be loaded');
+    });
+
+    it('spans all columns', () => {
+      const [themeProvider] = mountTable({
+        columns: [{ content: 'A', key: 'a' }, { content: 'B', key: 'b' }],
+        data: [],
+        error: true
+      });
+
+      expect(
+        themeProvider
+          .find('tbody td')
+          .hostNodes()
+          .prop('colSpan')
+      ).toEqual(2);
+    });
+
+    it('keeps the header visible', () => {
+      const [themeProvider] = mountTable({
+        columns: [{ content: 'A', key: 'a' }, { content: 'B', key: 'b' }],
+        data: [],
+        loading: true
+      });
+
+      expect(themeProvider.find(TableColumnHeader).length).toEqual(2);
+    });
+
+    it('announces nothing when rows are present', () => {
+      const [themeProvider] = mountTable();
+
+      expect(getStatus(themeProvider)).toEqual('');
+    });
+  });
+
+  describe('column visibility', () => {
+    const columns = [
+      { content: 'A', key: 'a', hideable: false },
+      { content: 'B', key: 'b' },
+      { content: 'C', key: 'c' }
+    ];
+    const data = [{ a: 'a1', b: 'b1', c: 'c1' }, { a: 'a2', b: 'b2', c: 'c2' }];
+    const visibilityProps = { columns, data, hideableColumns: true };
+
+    const getHeaderKeys = (themeProvider) =>
+      themeProvider
+        .find(HeaderRow)
+        .prop('columns')
+        .map(({ key }) => key);
+
+    const toggleColumn = (themeProvider, key) => {
+      themeProvider
+        .find(TableColumnChooser)
+        .props()
+        .onToggle(key);
+      themeProvider.update();
+    };
+
+    // The choices are rendered within the Popover only while it is open
+    const mountChoices = (themeProvider) =>
+      mountInThemeProvider(
+        themeProvider
+          .find(TableColumnChooser)
+          .find(Popover)
+          .prop('content')
+      )[0];
+
+    it('does not render the chooser unless columns are hideable', () => {
+      const [themeProvider] = mountTable({ columns, data });
+
+      expect(themeProvider.find(TableColumnChooser).exists()).toEqual(false);
+    });
+
+    it('hides defaultHiddenColumns', () => {
+      const [themeProvider] = mountTable({
+        ...visibilityProps,
+        defaultHiddenColumns: ['b']
+      });
+
+      expect(getHeaderKeys(themeProvider)).toEqual(['a', 'c']);
+      expect(
+        themeProvider
+          .find(DataRow)
+          .at(0)
+          .find(TableCell)
+          .map((cell) => cell.text())
+      ).toEqual(['a1', 'c1']);
+    });
+
+    it('toggles the visibility of a column', () => {
+      const onColumnVisibilityChange = jest.fn();
+      const [themeProvider] = mountTable({
+        ...visibilityProps,
+        onColumnVisibilityChange
+      });
+
+      toggleColumn(themeProvider, 'c');
+      expect(onColumnVisibilityChange).toHaveBeenLastCalledWith(['c']);
+      expect(getHeaderKeys(themeProvider)).toEqual(['a', 'b']);
+
+      toggleColumn(themeProvider, 'c');
+      expect(onColumnVisibilityChange).toHaveBeenLastCalledWith([]);
+      expect(getHeaderKeys(themeProvider)).toEqual(['a', 'b', 'c']);
+    });
+
+    it('does not change visibility when controlled', () => {
+      const onColumnVisibilityChange = jest.fn();
+      const [themeProvider] = mountTable({
+        ...visibilityProps,
+        hiddenColumns: ['b'],
+        onColumnVisibilityChange
+      });
+
+      toggleColumn(themeProvider, 'c');
+      expect(onColumnVisibilityChange).toHaveBeenCalledWith(['b', 'c']);
+      expect(getHeaderKeys(themeProvider)).toEqual(['a', 'c']);
+    });
+
+    it('lists all columns, disabling those which cannot be hidden', () => {
+      const [themeProvider] = mountTable({
+        ...visibilityProps,
+        defaultHiddenColumns: ['b']
+      });
+      const inputs = mountChoices(themeProvider).find('input');
+
+      expect(inputs.map((input) => input.prop('value'))).toEqual([
+        'a',
+        'b',
+        'c'
+      ]);
+      expect(inputs.map((input) => input.prop('checked'))).toEqual([
+        true,
+        false,
+        true
+      ]);
+      expect(inputs.map((input) => input.prop('disabled'))).toEqual([
+        true,
+        false,
+        false
+      ]);
+    });
+
+    it('keeps at least one column visible', () => {
+      const [themeProvider] = mountTable({
+        ...visibilityProps,
+        columns: [{ content: 'A', key: 'a' }, columns[1], columns[2]],
+        defaultHiddenColumns: ['a', 'b']
+      });
+      const inputs = mountChoices(themeProvider).find('input');
+
+      expect(inputs.map((input) => input.prop('disabled'))).toEqual([
+        false,
+        false,
+        true
+      ]);
+    });
+
+    it('reorders columns among the visible columns', () => {
+      const onColumnReorder = jest.fn();
+      const [themeProvider] = mountTable({
+        ...visibilityProps,
+        defaultHiddenColumns: ['b'],
+        onColumnReorder
+      });
+
+      themeProvider
+        .find(HeaderRow)
+        .props()
+        .reorderFn('c', 0);
+      expect(onColumnReorder).toHaveBeenCalledWith(['c', 'a', 'b']);
+    });
+  });
+
+  describe('resizable', () => {
+    const getResizer = (themeProvider, index = 0) =>
+      themeProvider.find('[role="separator"]').at(index);
+
+    const mockColumnWidth = (themeProvider, width) => {
+      themeProvider.find('th').forEach((th) => {
+        const node: Object = th.getDOMNode();
+        node.getBoundingClientRect = () => ({ width });
+      });
+    };
+
+    const getColumnWidth = (themeProvider, index = 0) =>
+      themeProvider
+        .find(TableColumnHeader)
+        .at(index)
+        .props().width;
+
+    it('renders a resizer for resizable columns', () => {
+      const [themeProvider] = mountTable({
+        columns: [
+          { content: 'A', key: 'a', resizable: false },
+          { content: 'B', key: 'b' }
+        ],
+        resizable: true
+      });
+
+      expect(
+        themeProvider.find('[role="separator"]').hostNodes().length
+      ).toEqual(1);
+    });
+
+    it('resizes with the keyboard', () => {
+      const onColumnResize = jest.fn();
+      const [themeProvider] = mountTable({ onColumnResize, resizable: true });
+
+      mockColumnWidth(themeProvider, 100);
+      getResizer(themeProvider).simulate('keydown', { key: 'ArrowRight' });
+      expect(onColumnResize).toHaveBeenCalledWith('a', 110);
+      expect(getColumnWidth(themeProvider)).toEqual(110);
+
+      getResizer(themeProvider).simulate('keydown', { key: 'ArrowLeft' });
+      expect(onColumnResize).toHaveBeenLastCalledWith('a', 90);
+    });
+
+    it('resizes by dragging, within maxWidth', () => {
+      const onColumnResize = jest.fn();
+      const [themeProvider] = mountTable({
+        columns: [{ content: 'A', key: 'a', maxWidth: 130 }],
+        onColumnResize,
+        resizable: true
+      });
+
+      mockColumnWidth(themeProvider, 100);
+      getResizer(themeProvider).simulate('mousedown', {
+        button: 0,
+        clientX: 0
+      });
+      document.dispatchEvent(new MouseEvent('mousemove', { clientX: 20 }));
+      themeProvider.update();
+      expect(getColumnWidth(themeProvider)).toEqual(120);
+      expect(onColumnResize).not.toHaveBeenCalled();
+
+      document.dispatchEvent(new MouseEvent('mousemove', { clientX: 50 }));
+      document.dispatchEvent(new MouseEvent('mouseup'));
+      expect(onColumnResize).toHaveBeenCalledWith('a', 130);
+    });
+  });
+
+  describe('reorderable', () => {
+    const getRenderedHeaders = (themeProvider) =>
+      themeProvider
+        .find(TableColumnHeader)
+        .map((header) => header.props().name || header.props().label);
+
+    const getHandle = (themeProvider, index) =>
+      themeProvider
+        .find(TableColumnHeader)
+        .at(index)
+        .find('button');
+
+    it('moves a column with the keyboard', () => {
+      const onColumnReorder = jest.fn();
+      const [themeProvider] = mountTable({
+        onColumnReorder,
+        reorderable: true
+      });
+
+      getHandle(themeProvider, 0).simulate('keydown', { key: 'ArrowRight' });
+      expect(onColumnReorder).toHaveBeenCalledWith(['b', 'a']);
+      expect(getRenderedHeaders(themeProvider)).toEqual(['b', 'a']);
+      expect(getRenderedColumn(themeProvider, 'a')).toEqual(['a1', 'a2']);
+    });
+
+    it('moves a column by dragging', () => {
+      const onColumnReorder = jest.fn();
+      const [themeProvider] = mountTable({
+        onColumnReorder,
+        reorderable: true
+      });
+
+      getHandle(themeProvider, 1).simulate('dragstart');
+      themeProvider
+        .find('th')
+        .at(0)
+        .simulate('dragover');
+      expect(
+        themeProvider
+          .find(TableColumnHeader)
+          .at(0)
+          .props().dropIndicator
+      ).toEqual('start');
+
+      themeProvider
+        .find('th')
+        .at(0)
+        .simulate('drop');
+      expect(onColumnReorder).toHaveBeenCalledWith(['b', 'a']);
+      expect(getRenderedHeaders(themeProvider)).toEqual(['b', 'a']);
+    });
+
+    it('discards the order when the defined column order changes', () => {
+      const columns = ['a', 'b', 'c'].map((key) => ({ content: key, key }));
+      const [themeProvider] = mountTable({ columns, reorderable: true });
+
+      getHandle(themeProvider, 0).simulate('keydown', { key: 'ArrowRight' });
+      expect(getRenderedHeaders(themeProvider)).toEqual(['b', 'a', 'c']);
+
+      themeProvider.setProps({
+        children: (
+          <Table
+            {...defaultProps}
+            columns={columns.slice().reverse()}
+            reorderable
+          />
+        )
+      });
+      expect(getRenderedHeaders(themeProvider)).toEqual(['c', 'b', 'a']);
+    });
+  });
+
+  describe('sticky', () => {
+    const stickyColumns = [
+      { content: 'A', key: 'a', primary: true },
+      { content: 'B', key: 'b', primary: true },
+      { content: 'C', key: 'c' }
+    ];
+    const stickyData = [{ a: 'a1', b: 'b1', c: 'c1' }];
+
+    const getStickyOffsets = (themeProvider) =>
+      themeProvider
+        .find(DataRow)
+        .first()
+        .find(TableCell)
+        .map((cell) => cell.props().stickyOffset);
+
+    const mockHeaderCellWidth = (themeProvider, width) => {
+      const row = themeProvider
+        .find(TableHeader)
+        .find('tr')
+        .getDOMNode();
+      Array.from(row.children).forEach((node: Object) => {
+        node.getBoundingClientRect = () => ({ width });
+      });
+    };
+
+    it('pins the selection cell & leading primary columns', () => {
+      const [themeProvider] = mountTable({
+        columns: stickyColumns,
+        data: stickyData,
+        selectable: true,
+        stickyColumns: true
+      });
+
+      mockHeaderCellWidth(themeProvider, 100);
+      toggleCheckbox(themeProvider, 1);
+      themeProvider.update();
+
+      expect(getStickyOffsets(themeProvider)).toEqual([0, 100, 200, undefined]);
+      expect(themeProvider.find(OverflowContainer).props().stickyWidth).toEqual(
+        300
+      );
+    });
+
+    it('pins the first column when it is not primary', () => {
+      const [themeProvider] = mountTable({
+        columns: stickyColumns.map(({ content, key }) => ({ content, key })),
+        data: stickyData,
+        stickyColumns: true
+      });
+
+      expect(getStickyOffsets(themeProvider)).toEqual([
+        0,
+        undefined,
+        undefined
+      ]);
+    });
+
+    it('does not pin columns by default', () => {
+      const [themeProvider] = mountTable({
+        columns: stickyColumns,
+        data: stickyData
+      });
+
+      expect(getStickyOffsets(themeProvider)).toEqual([
+        undefined,
+        undefined,
+        undefined
+      ]);
+    });
+
+    it('pins the header', () => {
+      const [themeProvider] = mountTable({ height: 100, stickyHeader: true });
+
+      expect(themeProvider.find(TableHeader).props().sticky).toEqual(true);
+    });
+
+    it('renders a shadow at each edge beyond which content is hidden', () => {
+      const [themeProvider] = mountTable({
+        columns: stickyColumns,
+        data: stickyData
+      });
+      const getShadows = () =>
+        themeProvider
+          .find(OverflowContainer)
+          .find('[edge]')
+          .map((shadow) => shadow.props().edge);
+      const container = themeProvider
+        .find(OverflowContainer)
+        .find('div[role="group"]')
+        .hostNodes();
+      const node = container.getDOMNode();
+
+      Object.defineProperty(node, 'clientWidth', { value: 100 });
+      Object.defineProperty(node, 'scrollWidth', { value: 300 });
+      container.simulate('scroll');
+      themeProvider.update();
+      expect(getShadows()).toEqual(['end']);
+
+      Object.defineProperty(node, 'scrollLeft', { value: 200 });
+      container.simulate('scroll');
+      themeProvider.update();
+      expect(getShadows()).toEqual(['start']);
+    });
+  });
 });
@@ -0,0 +1,58 @@
+/* @flow */
+import React from 'react';
+import serializeTable from '../serializeTable';
+
+const columns = [
+  { content: 'Name', key: 'name' },
+  { content: 'Note', key: 'note', label: 'Notes' },
+  {
+    content: 'Price',
+    exportValue: (value) => value.toFixed(2),
+    key: 'price'
+  }
+];
+
+describe('serializeTable', () => {
+  it('serializes CSV', () => {
+    const rows = [
+      { name: 'Pomello', note: null, price: 3.5 },
+      { name: 'Durian', note: 'Smelly, "spiky"\nand large', price: 12 }
+    ];
+
+    expect(serializeTable(columns, rows)).toEqual(
+      'Name,Notes,Price\r\n' +
+        'Pomello,,3.50\r\n' +
+        'Durian,"Smelly, ""spiky""\nand large",12.00'
+    );
+  });
+
+  it('serializes TSV', () => {
+    const rows = [
+      { name: 'Pomello', price: 3.5 },
+      { name: 'Durian', note: 'Smelly,\t"spiky"\nand large', price: 12 }
+    ];
+
+    expect(serializeTable(columns, rows, 'tsv')).toEqual(
+      'Name\tNotes\tPrice\n' +
+        'Pomello\t\t3.50\n' +
+        'Durian\tSmelly, "spiky" and large\t12.00'
+    );
+  });
+
+  it('neutralizes formulas in CSV', () => {
+    const rows = [
+      { name: '=SUM(A1:A2)', note: '+1', price: -3 },
+      { name: '@cmd', note: 'a=b', price: 1 }
+    ];
+
+    expect(serializeTable(columns, rows)).toEqual(
+      'Name,Notes,Price\r\n' + "'=SUM(A1:A2),'+1,'-3.00\r\n" + "'@cmd,a=b,1.00"
+    );
+  });
+
+  it('uses column keys for headers without text', () => {
+    const content = <span>Name</span>;
+
+    expect(serializeTable([{ content, key: 'name' }], [])).toEqual('name');
+  });
+});
@@ -1,2 +1,3 @@
 /* @flow */
 export { default } from './Table';
+export { default as serializeTable } from './serializeTable';
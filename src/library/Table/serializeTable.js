@@ -0,0 +1,53 @@
+/* @flow */
+import type { Column, Columns, ExportFormat, Rows } from './Table';
+
+const LINE_BREAKS = {
+  csv: '\r\n',
+  tsv: '\n'
+};
+
+// Values that a spreadsheet would evaluate as a formula are prefixed with a
+// quote, to prevent formula injection
+const neutralizeFormula = (value: string) =>
+  /^[=+\-@]/.test(value) ? `'${value}` : value;
+
+// Values containing a delimiter, quote or line break are quoted, with quotes
+// escaped by doubling, as specified by RFC 4180
+const escapeCSV = (value: string) => {
+  const neutralized = neutralizeFormula(value);
+
+  return /[",\r\n]/.test(neutralized)
+    ? `"${neutralized.replace(/"/g, '""')}"`
+    : neutralized;
+};
+
+// TSV has no means of escaping, so delimiters & line breaks are replaced
+const escapeTSV = (value: string) => value.replace(/[\t\r\n]+/g, ' ');
+
+const getHeader = ({ content, key, label }: Column) =>
+  label || (typeof content === 'string' ? content : key);
+
+const getValue = ({ exportValue, key }: Column, row: Object) => {
+  const value = exportValue ? exportValue(row[key], row) : row[key];
+
+  return value === null || value === undefined ? '' : String(value);
+};
+
+/**
+ * Serializes rows of Table data to CSV or TSV, with a header row of the
+ * columns' labels. A column's `exportValue` function formats its values.
+ */
+export default function serializeTable(
+  columns: Columns,
+  rows: Rows,
+  format?: ExportFormat = 'csv'
+): string {
+  const escape = format === 'tsv' ? escapeTSV : escapeCSV;
+  const lines = [columns.map(getHeader)].concat(
+    rows.map((row) => columns.map((column) => getValue(column, row)))
+  );
+
+  return lines
+    .map((values) => values.map(escape).join(format === 'tsv' ? '\t' : ','))
+    .join(LINE_BREAKS[format]);
+}
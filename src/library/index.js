@@ -15,6 +15,7 @@ export {
   CardTitleMenu
 } from './Card';
 export { default as Checkbox, CheckboxGroup } from './Checkbox';
+export { default as ContextMenu } from './ContextMenu';
 export { default as Dropdown } from './Dropdown';
 export { default as Flex, FlexItem } from './Flex';
 export { FormField, FormFieldset, FormFieldDivider } from './Form';
@@ -22,11 +23,12 @@ export { default as Grid, GridItem } from './Grid';
 export { default as Icon } from './Icon';
 export { default as Link } from './Link';
 export { default as Menu, MenuDivider, MenuGroup, MenuItem } from './Menu';
+export { default as Pagination } from './Pagination';
 export { default as Popover } from './Popover';
 export { default as Radio, RadioGroup } from './Radio';
 export { default as Select } from './Select';
 export { default as StartEnd } from './StartEnd';
-export { default as Table } from './Table';
+export { default as Table, serializeTable } from './Table';
 export { default as Text } from './Text';
 export { default as TextArea } from './TextArea';
 export { default as TextInput } from './TextInput';
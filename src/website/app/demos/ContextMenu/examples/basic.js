@@ -0,0 +1,24 @@
+/* @flow */
+import { createStyledComponent } from '../../../../../library/styles';
+import ContextMenu from '../../../../../library/ContextMenu';
+import data from '../../Menu/components/menuData';
+
+const Region = createStyledComponent('div', ({ theme }) => ({
+  border: `1px dashed ${theme.borderColor}`,
+  padding: theme.space_inset_lg,
+  textAlign: 'center'
+}));
+
+export default {
+  id: 'basic',
+  title: 'Basic Usage',
+  description: `ContextMenu opens its menu at the pointer when its children are
+right-clicked. When focus is within them, Shift+F10 or the context menu key opens
+the menu below the focused element. Focus returns to where it was when the menu
+is closed.`,
+  scope: { ContextMenu, data, Region },
+  source: `
+    <ContextMenu data={data}>
+      <Region>Right-click here</Region>
+    </ContextMenu>`
+};
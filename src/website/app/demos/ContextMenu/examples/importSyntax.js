@@ -0,0 +1,8 @@
+/* @flow */
+export default {
+  id: 'import-syntax',
+  title: 'Import Syntax',
+  description: `\`\`\`
+import ContextMenu from 'mineral-ui/ContextMenu';
+\`\`\``
+};
@@ -0,0 +1,6 @@
+/* @flow */
+import basic from './basic';
+import importSyntax from './importSyntax';
+import targets from './targets';
+
+export default [importSyntax, basic, targets];
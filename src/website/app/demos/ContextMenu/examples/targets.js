@@ -0,0 +1,71 @@
+/* @flow */
+import { Component } from 'react';
+import { createStyledComponent } from '../../../../../library/styles';
+import ContextMenu from '../../../../../library/ContextMenu';
+
+const File = createStyledComponent('li', ({ theme }) => ({
+  borderBottom: `1px solid ${theme.borderColor}`,
+  padding: theme.space_inset_sm,
+
+  '&:focus': {
+    backgroundColor: theme.backgroundColor_focus,
+    outline: 0
+  }
+}));
+
+export default {
+  id: 'targets',
+  title: 'Menu Targets',
+  description: `One ContextMenu can serve many targets. Use \`onOpen\`, which
+receives the \`contextmenu\` or \`keydown\` event, to determine which one was
+targeted, and provide the data for its menu.`,
+  scope: { Component, ContextMenu, File },
+  source: `
+    class Files extends Component {
+      constructor(props) {
+        super(props);
+
+        this.state = {
+          files: ['budget.xlsx', 'notes.txt', 'roadmap.pdf'],
+          target: null
+        };
+
+        this.onOpen = this.onOpen.bind(this);
+      }
+
+      onOpen(event) {
+        const node = event.target.closest('[data-file]');
+        this.setState({ target: node && node.getAttribute('data-file') });
+      }
+
+      getData() {
+        const { files, target } = this.state;
+        const remove = () => {
+          this.setState({ files: files.filter(file => file !== target) });
+        };
+
+        return target
+          ? [
+              { text: 'Open ' + target },
+              { text: 'Rename' },
+              { divider: true },
+              { text: 'Delete', onClick: remove, variant: 'danger' }
+            ]
+          : [{ text: 'New file' }];
+      }
+
+      render() {
+        return (
+          <ContextMenu data={this.getData()} onOpen={this.onOpen}>
+            <ul>
+              {this.state.files.map(file => (
+                <File data-file={file} key={file} tabIndex={0}>
+                  {file}
+                </File>
+              ))}
+            </ul>
+          </ContextMenu>
+        );
+      }
+    }`
+};
@@ -0,0 +1,20 @@
+/* @flow */
+import { componentTheme } from '../../../../library/ContextMenu/ContextMenu';
+import examples from './examples';
+
+const doc = require('!!react-docgen-loader!../../../../library/ContextMenu/ContextMenu');
+
+export default {
+  componentTheme,
+  doc,
+  examples,
+  slug: 'context-menu',
+  title: 'ContextMenu',
+  whenHowToUse: `Use ContextMenu to offer actions on the content a user
+right-clicks, such as the rows of a Table or the nodes of a tree, where
+a [Dropdown](/components/dropdown) trigger for each would be too crowded.
+
+Because context menus are hidden until a user looks for them, don't make
+ContextMenu the only way to perform an action. Keyboard users can open it with
+Shift+F10 or the context menu key.`
+};
@@ -0,0 +1,32 @@
+/* @flow */
+import Button from '../../../../../library/Button';
+import Dropdown from '../../../../../library/Dropdown';
+
+import type { Items } from '../../../../../library/Menu/Menu';
+
+// Simulates a request to a server
+const loadItems = (): Promise<Items> =>
+  new Promise((resolve) => {
+    global.setTimeout(() => {
+      resolve([
+        { text: 'Recent document 1' },
+        { text: 'Recent document 2' },
+        { text: 'Recent document 3' }
+      ]);
+    }, 1000);
+  });
+
+export default {
+  id: 'async',
+  title: 'Asynchronous Data',
+  description: `Provide a \`loadItems\` function, which returns a Promise of the
+data, in place of \`data\`. It is called each time the Dropdown opens, unless
+\`cacheItems\` is set. \`loadingText\` is rendered while the request is pending
+and \`loadErrorText\` if it fails.`,
+  scope: { Button, Dropdown, loadItems },
+  source: `
+    <Dropdown loadItems={loadItems}>
+      <Button>Recent</Button>
+    </Dropdown>
+  `
+};
@@ -0,0 +1,81 @@
+/* @flow */
+import { Component } from 'react';
+import Button from '../../../../../library/Button';
+import Dropdown from '../../../../../library/Dropdown';
+
+export default {
+  id: 'checkable-items',
+  title: 'Checkable Items',
+  description: `Items with a \`role\` of \`menuitemcheckbox\` or
+\`menuitemradio\` display a checkmark when \`checked\`. Their checked state is
+kept by the application, and toggled in each item's \`onClick\`. Use
+\`keepOpenOnToggle\` to keep the Dropdown open after an item is toggled, so that
+several options can be changed at once.`,
+  scope: { Button, Component, Dropdown },
+  source: `
+    class ViewOptions extends Component {
+      constructor(props) {
+        super(props);
+
+        this.state = {
+          density: 'comfortable',
+          showDetails: true,
+          showHidden: false
+        };
+
+        this.setDensity = this.setDensity.bind(this);
+        this.toggleOption = this.toggleOption.bind(this);
+      }
+
+      setDensity(density) {
+        this.setState({ density });
+      }
+
+      toggleOption(option) {
+        this.setState((prevState) => ({ [option]: !prevState[option] }));
+      }
+
+      render() {
+        const { density, showDetails, showHidden } = this.state;
+        const densityItem = (text, value) => ({
+          text,
+          role: 'menuitemradio',
+          checked: density === value,
+          onClick: () => { this.setDensity(value); }
+        });
+
+        const data = [
+          {
+            title: 'Show',
+            items: [
+              {
+                text: 'Details',
+                role: 'menuitemcheckbox',
+                checked: showDetails,
+                onClick: () => { this.toggleOption('showDetails'); }
+              },
+              {
+                text: 'Hidden files',
+                role: 'menuitemcheckbox',
+                checked: showHidden,
+                onClick: () => { this.toggleOption('showHidden'); }
+              }
+            ]
+          },
+          {
+            title: 'Density',
+            items: [
+              densityItem('Comfortable', 'comfortable'),
+              densityItem('Compact', 'compact')
+            ]
+          }
+        ];
+
+        return (
+          <Dropdown data={data} keepOpenOnToggle>
+            <Button>View options</Button>
+          </Dropdown>
+        );
+      }
+    }`
+};
@@ -1,4 +1,6 @@
 /* @flow */
+import asyncData from './asyncData';
+import checkable from './checkable';
 import controlled from './controlled';
 import customItem from './customItem';
 import customMenu from './customMenu';
@@ -13,16 +15,24 @@ import placement from './placement';
 import portal from './portal';
 import rtl from './rtl';
 import scrolling from './scrolling';
+import submenus from './submenus';
+import typeAhead from './typeAhead';
+import virtualized from './virtualized';
 import wide from './wide';
 
 export default [
   importSyntax,
   dropdown,
   data,
+  asyncData,
+  submenus,
+  checkable,
+  typeAhead,
   wide,
   placement,
   overflow,
   scrolling,
+  virtualized,
   portal,
   onOpenClose,
   disabled,
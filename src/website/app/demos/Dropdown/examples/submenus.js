@@ -0,0 +1,53 @@
+/* @flow */
+import Button from '../../../../../library/Button';
+import Dropdown from '../../../../../library/Dropdown';
+
+export default {
+  id: 'submenus',
+  title: 'Submenus',
+  description: `An item can have its own \`items\`, which open as a submenu
+beside it when the item is hovered or clicked, or when the Right arrow key (Left
+in right-to-left languages) or Enter is pressed while it is highlighted. The
+Left arrow key or Escape closes the submenu, returning to its item. Submenus can
+be nested, and their items have the same structure as other
+[data](#data).`,
+  scope: { Button, Dropdown },
+  source: `
+    () => {
+      const log = event => { console.log(event); };
+
+      const data = [
+        { text: 'Rename', onClick: log },
+        { text: 'Duplicate', onClick: log },
+        {
+          text: 'Move to',
+          items: [
+            { text: 'Archive', onClick: log },
+            { text: 'Drafts', onClick: log },
+            {
+              text: 'Projects',
+              items: [
+                { text: 'Alpha', onClick: log },
+                { text: 'Beta', onClick: log }
+              ]
+            }
+          ]
+        },
+        {
+          text: 'Share',
+          items: [
+            { text: 'Copy link', onClick: log },
+            { text: 'Email', onClick: log }
+          ]
+        },
+        { divider: true },
+        { text: 'Delete', onClick: log, variant: 'danger' }
+      ];
+
+      return (
+        <Dropdown data={data}>
+          <Button>Menu</Button>
+        </Dropdown>
+      );
+    }`
+};
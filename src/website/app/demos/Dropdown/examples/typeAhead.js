@@ -0,0 +1,38 @@
+/* @flow */
+import Button from '../../../../../library/Button';
+import Dropdown from '../../../../../library/Dropdown';
+
+export default {
+  id: 'type-ahead',
+  title: 'Type-Ahead',
+  description: `While a Dropdown is open, typing highlights the next item whose
+text begins with the typed keys. Matching ignores case and accents, so that
+"emilie" matches "Émilie". Use \`typeAhead\` to match with a \`'substring'\` or
+\`'fuzzy'\` strategy (or a function), to also match the \`secondaryText\` of
+items, or to change the \`resetDelay\` (500 ms, by default) after which the
+typed keys are cleared. An item's \`matchText\` is matched in place of its
+\`text\`, which is useful when \`text\` is not a string.`,
+  scope: { Button, Dropdown },
+  source: `
+    () => {
+      const data = [
+        { text: 'Ángel Núñez', secondaryText: 'Design' },
+        { text: 'Émilie Bérubé', secondaryText: 'Engineering' },
+        { text: 'Jürgen Öztürk', secondaryText: 'Marketing' },
+        { text: 'Zoë Åberg', secondaryText: 'Support' },
+        { text: <strong>Everyone</strong>, matchText: 'Everyone' }
+      ];
+
+      return (
+        <Dropdown
+          data={data}
+          typeAhead={{
+            match: 'substring',
+            matchSecondaryText: true,
+            resetDelay: 1000
+          }}>
+          <Button>Assign to</Button>
+        </Dropdown>
+      );
+    }`
+};
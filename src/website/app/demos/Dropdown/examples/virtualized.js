@@ -0,0 +1,21 @@
+/* @flow */
+import Button from '../../../../../library/Button';
+import Dropdown from '../../../../../library/Dropdown';
+
+const data = Array.from({ length: 1000 }, (value, index) => ({
+  text: `Item ${index + 1}`
+}));
+
+export default {
+  id: 'virtualized',
+  title: 'Virtualized',
+  description: `Use \`virtualized\` to render only the items visible in the
+menu, for improved performance with many items. Items should have a uniform
+height.`,
+  scope: { Button, data, Dropdown },
+  source: `
+    <Dropdown data={data} virtualized>
+      <Button>1,000 items</Button>
+    </Dropdown>
+  `
+};
@@ -0,0 +1,18 @@
+/* @flow */
+import React from 'react';
+import Pagination from '../../../../library/Pagination';
+
+export default [
+  {
+    type: 'do',
+    description: `Place Pagination directly below the content it controls, so
+that the relationship between the two is clear.`,
+    example: <Pagination pageSizes={[10, 20, 50]} totalCount={95} />
+  },
+  {
+    type: 'dont',
+    description: `Don't use Pagination when all of the items fit comfortably on
+a single page.`,
+    example: <Pagination totalCount={6} />
+  }
+];
@@ -0,0 +1,13 @@
+/* @flow */
+import Pagination from '../../../../../library/Pagination';
+
+export default {
+  id: 'basic',
+  title: 'Basic Usage',
+  description: `Pagination displays the range of items on the current page and
+the buttons used to move between pages. Provide the total number of items with
+\`totalCount\`.`,
+  scope: { Pagination },
+  source: `
+    <Pagination totalCount={95} />`
+};
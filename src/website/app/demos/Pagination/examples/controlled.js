@@ -0,0 +1,58 @@
+/* @flow */
+import { Component } from 'react';
+import Pagination from '../../../../../library/Pagination';
+import Text from '../../../../../library/Text';
+
+export default {
+  id: 'controlled',
+  title: 'Controlled',
+  description: `Pagination controls its own state by default, and can
+optionally be managed by the application as a controlled component via the
+\`currentPage\` & \`pageSize\` props, along with the \`onPageChange\` &
+\`onPageSizeChange\` handlers. This is useful when the items are fetched from a
+server one page at a time.`,
+  scope: { Component, Pagination, Text },
+  source: `
+    () => {
+      class MyPagination extends Component {
+        constructor(props) {
+          super(props);
+
+          this.state = {
+            currentPage: 3,
+            pageSize: 10
+          };
+
+          this.handlePageChange = this.handlePageChange.bind(this);
+          this.handlePageSizeChange = this.handlePageSizeChange.bind(this);
+        }
+
+        handlePageChange(currentPage) {
+          this.setState({ currentPage });
+        }
+
+        handlePageSizeChange(pageSize) {
+          this.setState({ pageSize });
+        }
+
+        render() {
+          const { currentPage, pageSize } = this.state;
+
+          return (
+            <div>
+              <Text>Fetching page {currentPage} ({pageSize} items per page)</Text>
+              <Pagination
+                currentPage={currentPage}
+                onPageChange={this.handlePageChange}
+                onPageSizeChange={this.handlePageSizeChange}
+                pageSize={pageSize}
+                pageSizes={[10, 20, 50]}
+                totalCount={240} />
+            </div>
+          );
+        }
+      }
+
+      return <MyPagination />;
+    }`
+};
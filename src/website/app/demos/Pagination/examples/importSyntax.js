@@ -0,0 +1,9 @@
+/* @flow */
+export default {
+  id: 'import-syntax',
+  title: 'Import Syntax',
+  description: `\`\`\`
+import Pagination from 'mineral-ui/Pagination';
+\`\`\`
+`
+};
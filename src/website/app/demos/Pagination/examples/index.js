@@ -0,0 +1,18 @@
+/* @flow */
+import basic from './basic';
+import controlled from './controlled';
+import importSyntax from './importSyntax';
+import pageSizes from './pageSizes';
+import rtl from './rtl';
+import size from './size';
+import visibleRange from './visibleRange';
+
+export default [
+  importSyntax,
+  basic,
+  pageSizes,
+  visibleRange,
+  controlled,
+  size,
+  rtl
+];
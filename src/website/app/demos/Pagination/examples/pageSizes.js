@@ -0,0 +1,16 @@
+/* @flow */
+import Pagination from '../../../../../library/Pagination';
+
+export default {
+  id: 'page-sizes',
+  title: 'Page Sizes',
+  description: `Provide an array of \`pageSizes\` to let the user choose how
+many items are displayed on each page. When the page size changes, the current
+page is adjusted so that its first item remains visible.`,
+  scope: { Pagination },
+  source: `
+    <Pagination
+      defaultPageSize={25}
+      pageSizes={[10, 25, 50, 100]}
+      totalCount={1000} />`
+};
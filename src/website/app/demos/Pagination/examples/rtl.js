@@ -0,0 +1,30 @@
+/* @flow */
+import Pagination from '../../../../../library/Pagination';
+import { ThemeProvider } from '../../../../../library/themes';
+
+export default {
+  id: 'rtl',
+  title: 'Bidirectionality',
+  description: `Pagination supports right-to-left (RTL) languages. The layout
+and the direction of the previous & next icons are reversed when the
+\`direction\` theme variable is set to \`rtl\`.`,
+  scope: { Pagination, ThemeProvider },
+  source: `
+    <div dir="rtl">
+      <ThemeProvider theme={{ direction: 'rtl' }}>
+        <Pagination
+          messages={{
+            label: 'ترقيم الصفحات',
+            next: 'الصفحة التالية',
+            page: (page) => 'الصفحة ' + page,
+            pageSize: 'عناصر لكل صفحة',
+            pages: 'الصفحات',
+            previous: 'الصفحة السابقة',
+            status: (first, last, total) =>
+              'العناصر ' + first + '–' + last + ' من ' + total
+          }}
+          pageSizes={[10, 20]}
+          totalCount={95} />
+      </ThemeProvider>
+    </div>`
+};
@@ -0,0 +1,17 @@
+/* @flow */
+import Pagination from '../../../../../library/Pagination';
+import DemoLayout from '../../shared/DemoLayout';
+
+export default {
+  id: 'size',
+  title: 'Size',
+  description: `Pagination is available in a few sizes, which apply to its
+buttons and page size [Select](/components/select).`,
+  scope: { DemoLayout, Pagination },
+  source: `
+    <DemoLayout>
+      <Pagination pageSizes={[10, 20]} size="small" totalCount={95} />
+      <Pagination pageSizes={[10, 20]} totalCount={95} />
+      <Pagination pageSizes={[10, 20]} size="large" totalCount={95} />
+    </DemoLayout>`
+};
@@ -0,0 +1,16 @@
+/* @flow */
+import Pagination from '../../../../../library/Pagination';
+
+export default {
+  id: 'visible-range',
+  title: 'Visible Range',
+  description: `The first & last pages are always displayed. Use
+\`visibleRange\` to set how many pages are displayed on either side of the
+current page before the rest are collapsed into an ellipsis.`,
+  scope: { Pagination },
+  source: `
+    <Pagination
+      defaultCurrentPage={10}
+      totalCount={500}
+      visibleRange={2} />`
+};
@@ -0,0 +1,27 @@
+/* @flow */
+import { componentTheme } from '../../../../library/Pagination/Pagination';
+import examples from './examples';
+import bestPractices from './bestPractices';
+
+const doc = require('!!react-docgen-loader!../../../../library/Pagination/Pagination');
+
+export default {
+  bestPractices,
+  componentTheme,
+  doc,
+  examples,
+  slug: 'pagination',
+  title: 'Pagination',
+  whenHowToUse: `Pagination divides a large set of items into pages, so that
+users are not overwhelmed by the amount of content and the application only
+needs to render or fetch one page at a time. Place it below the content it
+controls.
+
+Use Pagination when users are looking for specific items in a known order, such
+as results sorted by date. For very long lists that users scan continuously,
+consider [Table](/components/table)'s \`virtualized\` prop instead.
+
+Pagination's buttons and page size [Select](/components/select) are reachable
+with the keyboard, and the range of items displayed is announced to assistive
+technologies when the page changes.`
+};
@@ -0,0 +1,40 @@
+/* @flow */
+import Select from '../../../../../library/Select';
+import { statesData } from '../components/selectData';
+
+import type { Items } from '../../../../../library/Menu/Menu';
+
+// Simulates a request to a server, which filters the states by the query
+const loadStates = (query: string): Promise<Items> =>
+  new Promise((resolve) => {
+    global.setTimeout(() => {
+      resolve(
+        statesData.filter(({ text }) =>
+          String(text)
+            .toLowerCase()
+            .startsWith(query.toLowerCase())
+        )
+      );
+    }, 1000);
+  });
+
+export default {
+  id: 'async',
+  title: 'Asynchronous Data',
+  description: `Provide a \`loadItems\` function, which returns a Promise of the
+data, in place of \`data\`. It is called when the Select opens and, when
+\`searchable\`, with the query once the user has stopped typing for
+\`loadItemsDelay\` milliseconds. The loaded data is not filtered further. Only
+the latest request's result is displayed; the \`signal\` passed to
+\`loadItems\` can be used to abort earlier requests. \`loadingText\` is
+rendered while the request is pending and \`loadErrorText\` if it fails. Use
+\`cacheItems\` to reuse the results for a query that recurs.`,
+  scope: { loadStates, Select },
+  source: `
+    <Select
+      loadItems={loadStates}
+      cacheItems
+      searchable
+      placeholder="Search states..." />
+  `
+};
@@ -0,0 +1,54 @@
+/* @flow */
+import { Component } from 'react';
+import Select from '../../../../../library/Select';
+
+export default {
+  id: 'creatable',
+  title: 'Creatable Items',
+  description: `Provide an \`onCreateItem\` function to a \`searchable\`
+Select to offer, when no items match the search query, an item with which to
+create an item from the query. \`onCreateItem\` is called with the query and
+returns the created item, which is then selected. Add the created item to
+\`data\` so that it can be found by later searches. Customize the text of the
+offered item with \`createItemText\`. Creating items combines with
+\`multiple\`.`,
+  scope: { Component, Select },
+  source: `
+    () => {
+      class Labels extends Component {
+        constructor(props) {
+          super(props);
+
+          this.state = {
+            data: [
+              { text: 'bug', value: 'bug' },
+              { text: 'documentation', value: 'documentation' },
+              { text: 'enhancement', value: 'enhancement' }
+            ]
+          };
+
+          this.createLabel = this.createLabel.bind(this);
+        }
+
+        render() {
+          return (
+            <Select
+              data={this.state.data}
+              multiple
+              searchable
+              onCreateItem={this.createLabel}
+              createItemText={(query) => 'Create label "' + query + '"'}
+              placeholder="Search or create labels..." />
+          );
+        }
+
+        createLabel(query) {
+          const label = { text: query, value: query };
+          this.setState(({ data }) => ({ data: data.concat(label) }));
+          return label;
+        }
+      }
+
+      return <Labels />;
+    }`
+};
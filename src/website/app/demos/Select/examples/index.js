@@ -1,5 +1,7 @@
 /* @flow */
+import asyncData from './asyncData';
 import controlled from './controlled';
+import creatable from './creatable';
 import customItem from './customItem';
 import customMenu from './customMenu';
 import customTrigger from './customTrigger';
@@ -8,6 +10,7 @@ import disabled from './disabled';
 import formField from './formField';
 import importSyntax from './importSyntax';
 import invalid from './invalid';
+import multiple from './multiple';
 import overflow from './overflow';
 import placeholder from './placeholder';
 import placement from './placement';
@@ -16,16 +19,22 @@ import readOnly from './readOnly';
 import required from './required';
 import rtl from './rtl';
 import scrolling from './scrolling';
+import searchable from './searchable';
 import sizes from './sizes';
 import triggerRef from './triggerRef';
 import uncontrolled from './uncontrolled';
 import variants from './variants';
+import virtualized from './virtualized';
 
 export default [
   importSyntax,
   uncontrolled,
   controlled,
   data,
+  multiple,
+  searchable,
+  creatable,
+  asyncData,
   placeholder,
   disabled,
   readOnly,
@@ -36,6 +45,7 @@ export default [
   placement,
   overflow,
   scrolling,
+  virtualized,
   portal,
   triggerRef,
   rtl,
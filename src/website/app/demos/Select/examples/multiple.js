@@ -0,0 +1,23 @@
+/* @flow */
+import Select from '../../../../../library/Select';
+import { statesData as data } from '../components/selectData';
+
+export default {
+  id: 'multiple',
+  title: 'Multiple Selection',
+  description: `Use \`multiple\` to allow the selection of any number of items.
+Selecting an item toggles its selection, leaving the menu open. Selected items
+are displayed as tags, which can be removed with their remove button, or, the
+most recent first, with the Backspace key. Each selected item is submitted as a
+value of \`name\`. Use \`defaultSelectedItems\`, or \`selectedItems\` for
+controlled components, in place of \`defaultSelectedItem\` & \`selectedItem\`.`,
+  scope: { data, Select },
+  source: `
+    <Select
+      data={data}
+      multiple
+      name="states"
+      defaultSelectedItems={[data[4], data[31]]}
+      placeholder="Select states..." />
+  `
+};
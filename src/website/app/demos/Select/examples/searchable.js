@@ -0,0 +1,23 @@
+/* @flow */
+import Select from '../../../../../library/Select';
+import { statesData as data } from '../components/selectData';
+
+export default {
+  id: 'searchable',
+  title: 'Searchable',
+  description: `Use \`searchable\` to render a text input in the trigger, which
+filters the items as the user types, following the
+[ARIA combobox pattern](https://www.w3.org/TR/wai-aria-practices-1.1/#combobox).
+By default, items whose text contains the query, ignoring case, match, and the
+matching text is marked. Provide a \`filter\` function to match items
+differently. \`noResultsText\` is rendered when no items match. Searching
+combines with \`multiple\`.`,
+  scope: { data, Select },
+  source: `
+    <Select
+      data={data}
+      searchable
+      placeholder="Search states..."
+      noResultsText="No matching states" />
+  `
+};
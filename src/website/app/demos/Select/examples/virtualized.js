@@ -0,0 +1,28 @@
+/* @flow */
+import Select from '../../../../../library/Select';
+
+// Every minute of the day, in groups by hour
+const data = Array.from({ length: 24 }, (value, hour) => ({
+  title: `${hour}:00`,
+  items: Array.from({ length: 60 }, (value, minute) => {
+    const time = `${hour}:${minute < 10 ? '0' : ''}${minute}`;
+    return { text: time, value: time };
+  })
+}));
+
+export default {
+  id: 'virtualized',
+  title: 'Virtualized',
+  description: `Use \`virtualized\` to render only the items visible in the
+menu, for improved performance with many items, here 1,440. Keyboard
+navigation, type-ahead, searching and group titles work as usual. Items should
+have a uniform height.`,
+  scope: { data, Select },
+  source: `
+    <Select
+      data={data}
+      virtualized
+      searchable
+      placeholder="Select a time..." />
+  `
+};
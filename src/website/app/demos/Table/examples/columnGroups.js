@@ -0,0 +1,47 @@
+/* @flow */
+import Table from '../../../../../library/Table';
+
+const data = [
+  { region: 'us-east-1', requests: 18204, p50: 42, p95: 118, p99: 260 },
+  { region: 'us-west-2', requests: 9876, p50: 51, p95: 134, p99: 301 },
+  { region: 'eu-west-1', requests: 12450, p50: 47, p95: 127, p99: 288 },
+  { region: 'ap-south-1', requests: 4312, p50: 88, p95: 203, p99: 415 }
+];
+
+export default {
+  id: 'column-groups',
+  title: 'Column Groups',
+  description: `Group columns beneath a shared header by nesting their
+definitions within the \`columns\` property of a column definition. Groups may
+be nested within other groups, which renders a header row for each level.
+Each cell is associated with the headers of its column and column groups, for
+assistive technologies.`,
+  scope: { data, Table },
+  source: `
+    () => {
+      const columns = [
+        { content: 'Region', key: 'region', primary: true },
+        { content: 'Requests', key: 'requests', textAlign: 'end' },
+        {
+          content: 'Latency (ms)',
+          key: 'latency',
+          textAlign: 'center',
+          columns: [
+            { content: 'p50', key: 'p50', textAlign: 'end' },
+            { content: 'p95', key: 'p95', textAlign: 'end' },
+            { content: 'p99', key: 'p99', textAlign: 'end' }
+          ]
+        }
+      ];
+
+      return (
+        <Table
+          sortable
+          columns={columns}
+          data={data}
+          rowKey="region"
+          title="Service Latency"
+          hideTitle />
+      );
+    }`
+};
@@ -0,0 +1,62 @@
+/* @flow */
+import Table from '../../../../../library/Table';
+
+const data = [
+  {
+    name: 'Pomello',
+    family: 'Rutaceae',
+    origin: 'Southeast Asia',
+    color: 'lime',
+    price: 3.5
+  },
+  {
+    name: 'Starfruit',
+    family: 'Oxalidaceae',
+    origin: 'Southeast Asia',
+    color: 'yellow',
+    price: 1.25
+  },
+  {
+    name: 'Durian',
+    family: 'Malvaceae',
+    origin: 'Borneo',
+    color: 'brown',
+    price: 12
+  },
+  {
+    name: 'Persimmon',
+    family: 'Ebenaceae',
+    origin: 'China',
+    color: 'orange',
+    price: 1.75
+  }
+];
+
+const columns = [
+  { content: 'Fruit', key: 'name', primary: true, hideable: false },
+  { content: 'Family', key: 'family' },
+  { content: 'Origin', key: 'origin' },
+  { content: 'Color', key: 'color' },
+  { content: 'Price', key: 'price', textAlign: 'end' }
+];
+
+export default {
+  id: 'column-visibility',
+  title: 'Column Visibility',
+  description: `Enable the user to show or hide columns with the
+\`hideableColumns\` prop, which renders a control listing all columns above
+Table. Individual columns may override this with their \`hideable\` property.
+Table does not persist the hidden columns; use \`hiddenColumns\` &
+\`onColumnVisibilityChange\` to store and restore them, e.g. so that narrow
+screens display fewer columns.`,
+  scope: { columns, data, Table },
+  source: `
+    <Table
+      columns={columns}
+      data={data}
+      defaultHiddenColumns={['origin']}
+      hideableColumns
+      rowKey="name"
+      title="Fruits"
+      hideTitle />`
+};
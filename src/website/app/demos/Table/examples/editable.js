@@ -0,0 +1,100 @@
+/* @flow */
+import { Component } from 'react';
+import Select from '../../../../../library/Select';
+import Table from '../../../../../library/Table';
+
+const data = [
+  { name: 'Pomello', color: 'lime', price: 3.5 },
+  { name: 'Starfruit', color: 'yellow', price: 1.25 },
+  { name: 'Durian', color: 'brown', price: 12 },
+  { name: 'Persimmon', color: 'orange', price: 1.75 },
+  { name: 'Kumquat', color: 'orange', price: 0.5 }
+];
+
+const colors = ['brown', 'lime', 'orange', 'yellow'].map((color) => ({
+  text: color,
+  value: color
+}));
+
+export default {
+  id: 'editable',
+  title: 'Editable Cells',
+  description: `Enable inline editing of a column's cells with its \`editable\`
+property. Press Enter or double-click a cell to edit it; press Enter or move
+focus away to commit the edit, or press Escape to cancel it. Table calls
+\`onCellEdit\` with the row, column key and new value of each committed edit;
+you are responsible for updating \`data\`.
+
+A column's \`validate\` function is called with the new value and the row, and
+returns an error message to prevent an invalid edit from being committed. Cells
+are edited with a [TextInput](/components/text-input), whose text is converted
+to a number if the cell's value is a number, unless a column provides an
+\`editor\` render prop, which is called with the \`props\` for the control,
+the editing \`state\` and the \`cancel\`, \`change\` & \`commit\` \`helpers\`.`,
+  scope: { colors, Component, data, Select, Table },
+  source: `
+    () => {
+      class MyTable extends Component {
+        constructor(props) {
+          super(props);
+
+          this.state = { data };
+
+          this.editCell = this.editCell.bind(this);
+        }
+
+        editCell(row, key, value) {
+          this.setState(({ data }) => ({
+            data: data.map((item) =>
+              item === row ? { ...item, [key]: value } : item
+            )
+          }));
+        }
+
+        render() {
+          const columns = [
+            { content: 'Fruit', key: 'name', primary: true },
+            {
+              content: 'Color',
+              key: 'color',
+              editable: true,
+              editor: ({ helpers, props }) => (
+                <Select
+                  aria-label={props['aria-label']}
+                  data={colors}
+                  defaultIsOpen
+                  onChange={(item) => { helpers.commit(item.value); }}
+                  onClose={() => { helpers.cancel(); }}
+                  selectedItem={colors.find(
+                    (color) => color.value === props.value
+                  )}
+                  size="small" />
+              )
+            },
+            {
+              content: 'Price',
+              key: 'price',
+              editable: true,
+              textAlign: 'end',
+              validate: (value) =>
+                isNaN(parseFloat(value)) || parseFloat(value) < 0
+                  ? 'Price must be a positive number'
+                  : undefined
+            }
+          ];
+
+          return (
+            <Table
+              columns={columns}
+              data={this.state.data}
+              onCellEdit={this.editCell}
+              rowKey="name"
+              title="Fruits"
+              hideTitle />
+          );
+        }
+      }
+
+      return <MyTable />;
+    }`
+};
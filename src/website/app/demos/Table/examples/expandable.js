@@ -0,0 +1,64 @@
+/* @flow */
+import Table from '../../../../../library/Table';
+import Text from '../../../../../library/Text';
+
+const data = [
+  {
+    Fruit: 'Pomello',
+    Family: 'Rutaceae',
+    Description:
+      'The largest citrus fruit, native to South and Southeast Asia, with a mild, sweet grapefruit flavor.'
+  },
+  {
+    Fruit: 'Starfruit',
+    Family: 'Oxalidaceae',
+    Description:
+      'A waxy, yellow-green fruit which produces star-shaped slices when cut in cross-section.'
+  },
+  {
+    Fruit: 'Durian',
+    Family: 'Malvaceae',
+    Description:
+      'Known as the "king of fruits", it is distinctive for its large size, strong odor, and thorn-covered rind.'
+  },
+  {
+    Fruit: 'Persimmon',
+    Family: 'Ebenaceae',
+    Description:
+      'A sweet, orange fruit with a texture sometimes described as similar to that of an apricot.'
+  }
+];
+
+export default {
+  id: 'expandable',
+  title: 'Expandable Rows',
+  description: `Provide an \`expandedRowContent\` render function to let users
+expand a row to reveal a detail region beneath it. The function receives the
+row's data. Use \`defaultExpandedRows\` to set the initially expanded rows.
+
+Expansion can also be controlled with the \`expandedRows\` &
+\`onToggleRowExpansion\` props.`,
+  scope: { data, Table, Text },
+  source: `
+    () => {
+      const columns = [
+        { content: 'Fruit', key: 'Fruit', primary: true },
+        { content: 'Family', key: 'Family' }
+      ];
+
+      const expandedRowContent = (row) => (
+        <Text noMargins>{row.Description}</Text>
+      );
+
+      return (
+        <Table
+          expandedRowContent={expandedRowContent}
+          defaultExpandedRows={[data[0]]}
+          columns={columns}
+          data={data}
+          rowKey="Fruit"
+          title="Fruits"
+          hideTitle />
+      );
+    }`
+};
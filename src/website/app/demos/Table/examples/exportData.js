@@ -0,0 +1,47 @@
+/* @flow */
+import Table from '../../../../../library/Table';
+
+const data = [
+  { name: 'Pomello', family: 'Rutaceae', price: 3.5 },
+  { name: 'Starfruit', family: 'Oxalidaceae', price: 1.25 },
+  { name: 'Durian', family: 'Malvaceae', price: 12 },
+  { name: 'Persimmon', family: 'Ebenaceae', price: 1.75 },
+  { name: 'Kumquat', family: 'Rutaceae', price: 0.5 }
+];
+
+const columns = [
+  { content: 'Fruit', key: 'name', primary: true },
+  { content: 'Family', key: 'family', filterable: true, filterType: 'select' },
+  {
+    content: 'Price',
+    key: 'price',
+    textAlign: 'end',
+    exportValue: (value: number) => value.toFixed(2)
+  }
+];
+
+export default {
+  id: 'export',
+  title: 'Export',
+  description: `Enable the user to export Table's data with the \`exportable\`
+prop, which renders a menu above Table. The visible columns & rows, after
+sorting & filtering, are downloaded as CSV or TSV, with the columns' \`label\`
+or \`content\` as headers. A column's \`exportValue\` function formats its
+values. When Table is \`selectable\`, the selected rows may be copied to the
+clipboard as TSV, which pastes well into both spreadsheets and plain text.
+
+Provide an \`onExport\` handler to receive the serialized data in place of
+downloading it, or use the \`serializeTable\` utility, which is exported
+alongside Table, to serialize any columns & rows.`,
+  scope: { columns, data, Table },
+  source: `
+    <Table
+      columns={columns}
+      data={data}
+      exportable
+      rowKey="name"
+      selectable
+      sortable
+      title="Fruits"
+      hideTitle />`
+};
@@ -0,0 +1,67 @@
+/* @flow */
+import Table from '../../../../../library/Table';
+
+const data = [
+  { name: 'Pomello', family: 'Rutaceae', color: 'lime', price: 3.5 },
+  { name: 'Starfruit', family: 'Oxalidaceae', color: 'yellow', price: 1.25 },
+  { name: 'Durian', family: 'Malvaceae', color: 'brown', price: 12 },
+  { name: 'Persimmon', family: 'Ebenaceae', color: 'orange', price: 1.75 },
+  { name: 'Kumquat', family: 'Rutaceae', color: 'orange', price: 0.5 },
+  { name: 'Mangosteen', family: 'Clusiaceae', color: 'purple', price: 4 },
+  { name: 'Rambutan', family: 'Sapindaceae', color: 'red', price: 0.75 },
+  { name: 'Lychee', family: 'Sapindaceae', color: 'red', price: 0.6 },
+  { name: 'Yuzu', family: 'Rutaceae', color: 'yellow', price: 2.5 },
+  { name: 'Jackfruit', family: 'Moraceae', color: 'green', price: 9 },
+  { name: 'Cherimoya', family: 'Annonaceae', color: 'green', price: 5.5 },
+  { name: 'Feijoa', family: 'Myrtaceae', color: 'green', price: 1 }
+];
+
+export default {
+  id: 'filterable',
+  title: 'Filterable Columns',
+  description: `Enable filtering of a column with its \`filterable\` property,
+which renders a button in the column header that opens a
+[Popover](/components/popover) containing the filter. The \`filterType\`
+property determines the type of filter: \`'text'\` (the default) matches rows
+containing the text, \`'select'\` matches rows with any of the chosen values,
+and \`'range'\` matches rows with a number between a minimum and maximum.
+
+Filtering is applied before sorting & pagination; changing a filter shows the
+first page. The filters can also be controlled with the \`filters\` prop,
+mapping column keys to filter values, along with the \`onFilterChange\`
+handler.`,
+  scope: { data, Table },
+  source: `
+    () => {
+      const columns = [
+        { content: 'Fruit', key: 'name', filterable: true, primary: true },
+        {
+          content: 'Family',
+          key: 'family',
+          filterable: true,
+          filterType: 'select'
+        },
+        { content: 'Color', key: 'color' },
+        {
+          content: 'Price',
+          key: 'price',
+          filterable: true,
+          filterType: 'range',
+          textAlign: 'end'
+        }
+      ];
+
+      return (
+        <Table
+          sortable
+          paginated
+          defaultPageSize={5}
+          defaultFilters={{ family: ['Rutaceae', 'Sapindaceae'] }}
+          columns={columns}
+          data={data}
+          rowKey="name"
+          title="Fruits"
+          hideTitle />
+      );
+    }`
+};
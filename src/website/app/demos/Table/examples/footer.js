@@ -0,0 +1,45 @@
+/* @flow */
+import Table from '../../../../../library/Table';
+
+const data = [
+  { name: 'Pomello', quantity: 12, price: 3.5 },
+  { name: 'Starfruit', quantity: 30, price: 1.25 },
+  { name: 'Durian', quantity: 2, price: 12 },
+  { name: 'Persimmon', quantity: 18, price: 1.75 },
+  { name: 'Kumquat', quantity: 40, price: 0.5 }
+];
+
+const formatPrice = (value: number) => `$${value.toFixed(2)}`;
+
+const columns = [
+  { content: 'Fruit', key: 'name', primary: true, footer: 'Total' },
+  { content: 'Quantity', key: 'quantity', textAlign: 'end', aggregate: 'sum' },
+  {
+    content: 'Price',
+    key: 'price',
+    textAlign: 'end',
+    aggregate: 'average',
+    footer: ({ value }: { value: number }) => `Avg. ${formatPrice(value)}`
+  }
+];
+
+export default {
+  id: 'footer',
+  title: 'Footer',
+  description: `Display a summary of each column in Table's footer with the
+column's \`footer\` property. A column's \`aggregate\` property summarizes its
+values, of all rows matching the filters, as their \`'sum'\`, \`'average'\`,
+\`'min'\`, \`'max'\` or \`'count'\`, or by calling a function with the values and
+rows. The aggregate value is displayed in the footer, unless \`footer\` is a
+render prop, which is called with the \`value\` and the \`rows\`. Footer cells
+share the \`textAlign\` of their column.`,
+  scope: { columns, data, Table },
+  source: `
+    <Table
+      columns={columns}
+      data={data}
+      rowKey="name"
+      sortable
+      title="Fruit orders"
+      hideTitle />`
+};
@@ -2,15 +2,34 @@
 import basic from './basic';
 import columnAlign from './columnAlign';
 import columnDef from './columnDef';
+import columnGroups from './columnGroups';
+import columnVisibility from './columnVisibility';
 import density from './density';
+import editable from './editable';
+import expandable from './expandable';
+import exportData from './exportData';
+import filterable from './filterable';
+import footer from './footer';
 import highContrast from './highContrast';
 import importSyntax from './importSyntax';
+import interactive from './interactive';
 import largeDataSets from './largeDataSets';
+import paginated from './paginated';
+import paginatedServerSide from './paginatedServerSide';
 import primaryColumn from './primaryColumn';
+import resizableReorderable from './resizableReorderable';
 import rtl from './rtl';
 import scrollable from './scrollable';
+import selectable from './selectable';
+import selectableControlled from './selectableControlled';
+import sortComparator from './sortComparator';
+import sortable from './sortable';
+import states from './states';
+import sticky from './sticky';
 import striped from './striped';
 import title from './title';
+import treeData from './treeData';
+import virtualized from './virtualized';
 
 export default [
   importSyntax,
@@ -19,10 +38,29 @@ export default [
   title,
   primaryColumn,
   columnAlign,
+  columnGroups,
+  sortable,
+  sortComparator,
+  filterable,
+  footer,
+  editable,
+  resizableReorderable,
+  columnVisibility,
+  exportData,
+  selectable,
+  selectableControlled,
+  expandable,
+  treeData,
+  interactive,
   density,
   striped,
   highContrast,
   scrollable,
+  sticky,
   rtl,
+  paginated,
+  paginatedServerSide,
+  states,
+  virtualized,
   largeDataSets
 ];
@@ -0,0 +1,29 @@
+/* @flow */
+import Table from '../../../../../library/Table';
+import data from '../shared/data';
+
+export default {
+  id: 'interactive',
+  title: 'Keyboard Navigation',
+  description: `Tables with many interactive cells, or many rows, can be
+tedious to navigate with a keyboard, as each control is in the tab sequence.
+An \`interactive\` Table follows the
+[ARIA grid pattern](https://www.w3.org/TR/wai-aria-practices-1.1/#grid):
+only a single cell is in the tab sequence, and the arrow keys move focus
+between cells. Home & End move to the first & last cell of a row (or, with the
+Ctrl key, of the Table), and PageUp & PageDown move by multiple rows.
+
+Press Enter (or F2) to act upon the control within a cell, e.g. to sort a
+column or select a row. When a cell contains multiple controls, or a text
+input, focus moves to its first control, and Escape returns focus to the cell.`,
+  scope: { data, Table },
+  source: `
+    <Table
+      interactive
+      sortable
+      selectable
+      data={data}
+      rowKey="Fruits"
+      title="Foods of the World"
+      hideTitle />`
+};
@@ -31,7 +31,7 @@ before clicking those buttons. 😬`,
 
           this.state = {
             columns: [
-              { content: 'AA', key: 'aa', enableSort: true },
+              { content: 'AA', key: 'aa', sortable: true },
               { content: 'AB', key: 'ab' }
             ],
             data: [
@@ -73,7 +73,7 @@ before clicking those buttons. 😬`,
                 columns={this.state.columns}
                 data={this.state.data}
                 rowKey="aa"
-                enableRowSelection
+                selectable
                 title="Example data"
                 hideTitle />
             </div>
@@ -0,0 +1,46 @@
+/* @flow */
+import Table from '../../../../../library/Table';
+
+const data = Array.from({ length: 42 }, (value, index) => ({
+  id: index + 1,
+  name: `Item ${index + 1}`,
+  quantity: (index * 7) % 100 + 1,
+  price: ((index * 13) % 1000 + 1) / 10
+}));
+
+export default {
+  id: 'paginated',
+  title: 'Paginated',
+  description: `Display rows one page at a time with the \`paginated\` prop,
+which renders a [Pagination](/components/pagination) below Table. Use
+\`defaultPageSize\` to set the number of rows per page, and \`pageSizes\` to let
+the user choose it. Pagination is applied after sorting, so sorting a column
+sorts all rows, not only those on the current page.
+
+The current page & page size can also be controlled with the \`currentPage\` &
+\`pageSize\` props, along with the \`onPageChange\` & \`onPageSizeChange\`
+handlers.`,
+  scope: { data, Table },
+  source: `
+    () => {
+      const columns = [
+        { content: 'ID', key: 'id', primary: true },
+        { content: 'Name', key: 'name' },
+        { content: 'Quantity', key: 'quantity', textAlign: 'end' },
+        { content: 'Price', key: 'price', textAlign: 'end' }
+      ];
+
+      return (
+        <Table
+          paginated
+          defaultPageSize={5}
+          pageSizes={[5, 10, 20]}
+          sortable
+          columns={columns}
+          data={data}
+          rowKey="id"
+          title="Inventory"
+          hideTitle />
+      );
+    }`
+};
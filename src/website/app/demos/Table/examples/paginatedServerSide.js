@@ -0,0 +1,88 @@
+/* @flow */
+import { Component } from 'react';
+import Table from '../../../../../library/Table';
+
+const serverData = Array.from({ length: 250 }, (value, index) => ({
+  id: index + 1,
+  name: `Item ${index + 1}`,
+  quantity: (index * 7) % 100 + 1,
+  price: ((index * 13) % 1000 + 1) / 10
+}));
+
+// Stands in for a request to a server for a single page of rows
+const fetchPage = (page: number, pageSize: number) => ({
+  rows: serverData.slice((page - 1) * pageSize, page * pageSize),
+  totalCount: serverData.length
+});
+
+export default {
+  id: 'paginated-server-side',
+  title: 'Server-side Pagination',
+  description: `When rows are fetched one page at a time, provide only the rows
+of the current page as \`data\`, along with the \`totalCount\` of all rows.
+Table will not paginate \`data\` itself, and instead reports page changes with
+\`onPageChange\` & \`onPageSizeChange\`, so that you can fetch the requested
+page.`,
+  scope: { Component, fetchPage, Table },
+  source: `
+    () => {
+      class MyTable extends Component {
+        constructor(props) {
+          super(props);
+
+          const { rows, totalCount } = fetchPage(1, 10);
+
+          this.state = {
+            currentPage: 1,
+            data: rows,
+            pageSize: 10,
+            totalCount
+          };
+
+          this.handlePageChange = this.handlePageChange.bind(this);
+          this.handlePageSizeChange = this.handlePageSizeChange.bind(this);
+        }
+
+        fetch(currentPage, pageSize) {
+          const { rows, totalCount } = fetchPage(currentPage, pageSize);
+
+          this.setState({ currentPage, data: rows, pageSize, totalCount });
+        }
+
+        handlePageChange(currentPage) {
+          this.fetch(currentPage, this.state.pageSize);
+        }
+
+        handlePageSizeChange(pageSize) {
+          this.fetch(this.state.currentPage, pageSize);
+        }
+
+        render() {
+          const columns = [
+            { content: 'ID', key: 'id', primary: true },
+            { content: 'Name', key: 'name' },
+            { content: 'Quantity', key: 'quantity', textAlign: 'end' },
+            { content: 'Price', key: 'price', textAlign: 'end' }
+          ];
+
+          return (
+            <Table
+              paginated
+              currentPage={this.state.currentPage}
+              onPageChange={this.handlePageChange}
+              pageSize={this.state.pageSize}
+              onPageSizeChange={this.handlePageSizeChange}
+              pageSizes={[10, 25, 50]}
+              totalCount={this.state.totalCount}
+              columns={columns}
+              data={this.state.data}
+              rowKey="id"
+              title="Inventory"
+              hideTitle />
+          );
+        }
+      }
+
+      return <MyTable />;
+    }`
+};
@@ -0,0 +1,81 @@
+/* @flow */
+import { Component } from 'react';
+import Table from '../../../../../library/Table';
+import Text from '../../../../../library/Text';
+import data from '../shared/data';
+
+export default {
+  id: 'resizable-reorderable',
+  title: 'Resizable & Reorderable Columns',
+  description: `Enable resizing for all columns with the \`resizable\` prop, or
+for individual columns with the \`resizable\` column definition property (which
+takes precedence). Columns are resized by dragging the end edge of their header,
+or by pressing the left & right arrow keys while it has focus, within the
+column's \`minWidth\` & \`maxWidth\` (in px).
+
+Enable reordering with the \`reorderable\` prop. Columns are reordered by
+dragging the handle in their header onto another column header, or by pressing
+the left & right arrow keys while the handle has focus.
+
+Use \`onColumnResize\` & \`onColumnReorder\` to store the user's layout, and
+provide the stored widths & order in your column definitions to restore it.`,
+  scope: { Component, data, Table, Text },
+  source: `
+    () => {
+      class MyTable extends Component {
+        constructor(props) {
+          super(props);
+
+          this.state = {
+            order: [],
+            widths: {}
+          };
+
+          this.handleColumnReorder = this.handleColumnReorder.bind(this);
+          this.handleColumnResize = this.handleColumnResize.bind(this);
+        }
+
+        handleColumnReorder(order) {
+          this.setState({ order });
+        }
+
+        handleColumnResize(key, width) {
+          this.setState((prevState) => ({
+            widths: { ...prevState.widths, [key]: width }
+          }));
+        }
+
+        render() {
+          const { order, widths } = this.state;
+          const columns = [
+            { content: 'Fruits', key: 'Fruits', minWidth: 80 },
+            { content: 'Vegetables', key: 'Vegetables', maxWidth: 240 },
+            { content: 'Grains', key: 'Grains' },
+            { content: 'Dairy', key: 'Dairy', resizable: false },
+            { content: 'Protein', key: 'Protein' }
+          ]
+            .map((column) => ({ ...column, width: widths[column.key] }))
+            .sort((a, b) => order.indexOf(a.key) - order.indexOf(b.key));
+          const layout = JSON.stringify({ order, widths });
+
+          return (
+            <div>
+              <Table
+                resizable
+                reorderable
+                onColumnReorder={this.handleColumnReorder}
+                onColumnResize={this.handleColumnResize}
+                columns={columns}
+                data={data}
+                rowKey="Fruits"
+                title="Delicious Foods"
+                hideTitle />
+              <Text>Saved layout: {layout}</Text>
+            </div>
+          );
+        }
+      }
+
+      return <MyTable />;
+    }`
+};
@@ -0,0 +1,37 @@
+/* @flow */
+import Table from '../../../../../library/Table';
+import data from '../shared/data';
+
+export default {
+  id: 'selectable',
+  title: 'Selectable Rows',
+  description: `Enable row selection with the \`selectable\` prop, which
+renders a checkbox at the start of each row, and a checkbox in the header row to
+select or deselect all rows. Use \`defaultSelectedRows\` to set the initially
+selected rows.
+
+Selection can also be controlled with the \`selectedRows\`, \`onToggleRow\` &
+\`onToggleAllRows\` props, e.g. to perform an action on the selected rows.`,
+  scope: { data, Table },
+  source: `
+    () => {
+      const columns = [
+        { content: 'Fruits', key: 'Fruits', primary: true },
+        { content: 'Vegetables', key: 'Vegetables' },
+        { content: 'Grains', key: 'Grains' },
+        { content: 'Dairy', key: 'Dairy' },
+        { content: 'Protein', key: 'Protein' }
+      ];
+
+      return (
+        <Table
+          selectable
+          defaultSelectedRows={[data[1]]}
+          columns={columns}
+          data={data}
+          rowKey="Fruits"
+          title="Delicious Foods"
+          hideTitle />
+      );
+    }`
+};
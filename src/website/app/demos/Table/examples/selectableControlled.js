@@ -0,0 +1,78 @@
+/* @flow */
+import { Component } from 'react';
+import Button from '../../../../../library/Button';
+import Table from '../../../../../library/Table';
+import data from '../shared/data';
+
+export default {
+  id: 'selectable-controlled',
+  title: 'Controlled Selectable Rows',
+  description: `When selection is controlled, Table calls \`onToggleRow\` with
+the toggled row, and \`onToggleAllRows\` with all rows, along with their new
+selected state. You are responsible for updating \`selectedRows\`.`,
+  scope: { Button, Component, data, Table },
+  source: `
+    () => {
+      class MyTable extends Component {
+        constructor(props) {
+          super(props);
+
+          this.state = {
+            data,
+            selectedRows: []
+          };
+
+          this.deleteSelected = this.deleteSelected.bind(this);
+          this.toggleRow = this.toggleRow.bind(this);
+          this.toggleAllRows = this.toggleAllRows.bind(this);
+        }
+
+        deleteSelected() {
+          this.setState((prevState) => ({
+            data: prevState.data.filter(
+              (row) => prevState.selectedRows.indexOf(row) === -1
+            ),
+            selectedRows: []
+          }));
+        }
+
+        toggleRow(row, selected) {
+          this.setState((prevState) => ({
+            selectedRows: selected
+              ? prevState.selectedRows.concat(row)
+              : prevState.selectedRows.filter((selectedRow) => selectedRow !== row)
+          }));
+        }
+
+        toggleAllRows(rows, selected) {
+          this.setState({ selectedRows: selected ? rows : [] });
+        }
+
+        render() {
+          const { data, selectedRows } = this.state;
+
+          return (
+            <div>
+              <Button
+                disabled={selectedRows.length === 0}
+                onClick={this.deleteSelected}
+                size="medium">
+                Delete {selectedRows.length} selected
+              </Button>
+              <Table
+                selectable
+                selectedRows={selectedRows}
+                onToggleRow={this.toggleRow}
+                onToggleAllRows={this.toggleAllRows}
+                data={data}
+                rowKey="Fruits"
+                title="Delicious Foods"
+                hideTitle />
+            </div>
+          );
+        }
+      }
+
+      return <MyTable />;
+    }`
+};
@@ -0,0 +1,50 @@
+/* @flow */
+import Table from '../../../../../library/Table';
+
+const data = [
+  { Fruit: 'Pomello', Weight: '1.5 kg' },
+  { Fruit: 'Starfruit', Weight: '90 g' },
+  { Fruit: 'Durian', Weight: '3 kg' },
+  { Fruit: 'Persimmon', Weight: '200 g' }
+];
+
+export default {
+  id: 'sort-comparator',
+  title: 'Custom Sort Comparator',
+  description: `By default, sortable columns are sorted with a case-insensitive
+comparison of their values. Provide your own comparison function with the
+\`sortComparator\` column definition property, or with the \`sortComparator\`
+prop to apply it to every column. The function receives two rows and the key of
+the sorted column, and should return a negative number, zero, or a positive
+number, like the comparator of
+[Array.prototype.sort](https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Array/sort).`,
+  scope: { data, Table },
+  source: `
+    () => {
+      const toGrams = (weight) => {
+        const [value, unit] = weight.split(' ');
+        return parseFloat(value) * (unit === 'kg' ? 1000 : 1);
+      };
+
+      const columns = [
+        { content: 'Fruit', key: 'Fruit', primary: true },
+        {
+          content: 'Weight',
+          key: 'Weight',
+          textAlign: 'end',
+          sortComparator: (a, b, key) => toGrams(a[key]) - toGrams(b[key])
+        }
+      ];
+
+      return (
+        <Table
+          sortable
+          defaultSort={{ key: 'Weight', descending: true }}
+          columns={columns}
+          data={data}
+          rowKey="Fruit"
+          title="Fruit Weights"
+          hideTitle />
+      );
+    }`
+};
@@ -0,0 +1,38 @@
+/* @flow */
+import Table from '../../../../../library/Table';
+import data from '../shared/data';
+
+export default {
+  id: 'sortable',
+  title: 'Sortable',
+  description: `Enable sorting for all columns with the \`sortable\` prop, or
+for individual columns with the \`sortable\` column definition property (which
+takes precedence). Clicking a sortable column header sorts by that column in
+ascending order, and clicking it again reverses the order. Use \`defaultSort\`
+to set the initially sorted column and direction.
+
+Sorting can also be controlled with the \`sort\` & \`onSort\` props, which is
+useful when your data is sorted elsewhere (e.g. by a server).`,
+  scope: { data, Table },
+  source: `
+    () => {
+      const columns = [
+        { content: 'Fruits', key: 'Fruits' },
+        { content: 'Vegetables', key: 'Vegetables' },
+        { content: 'Grains', key: 'Grains', sortable: false },
+        { content: 'Dairy', key: 'Dairy' },
+        { content: 'Protein', key: 'Protein' }
+      ];
+
+      return (
+        <Table
+          sortable
+          defaultSort={{ key: 'Fruits' }}
+          columns={columns}
+          data={data}
+          rowKey="Fruits"
+          title="Delicious Foods"
+          hideTitle />
+      );
+    }`
+};
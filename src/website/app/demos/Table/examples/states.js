@@ -0,0 +1,97 @@
+/* @flow */
+import { Component } from 'react';
+import Button from '../../../../../library/Button';
+import Flex, { FlexItem } from '../../../../../library/Flex';
+import Table from '../../../../../library/Table';
+
+const data = [
+  { name: 'Pomello', quantity: 12, price: '$3.50' },
+  { name: 'Starfruit', quantity: 30, price: '$1.25' },
+  { name: 'Durian', quantity: 2, price: '$12.00' },
+  { name: 'Persimmon', quantity: 18, price: '$1.75' }
+];
+
+const columns = [
+  { content: 'Fruit', key: 'name', primary: true },
+  { content: 'Quantity', key: 'quantity', textAlign: 'end' },
+  { content: 'Price', key: 'price', textAlign: 'end' }
+];
+
+export default {
+  id: 'states',
+  title: 'Loading, Empty & Error States',
+  description: `While \`loading\`, Table renders placeholder rows in place of
+absent data, or dims the rows of present data. When \`data\` is empty, the
+\`emptyContent\` is rendered, and \`error\` content is rendered in place of any
+rows. In each state, the column headers remain visible, and the state is
+announced to assistive technologies. Pass \`error={true}\` to render a default
+message.`,
+  scope: { Button, columns, Component, data, Flex, FlexItem, Table },
+  source: `
+    () => {
+      class MyTable extends Component {
+        constructor(props) {
+          super(props);
+
+          this.state = { data: [], error: false, loading: true };
+        }
+
+        render() {
+          const { data: rows, error, loading } = this.state;
+
+          return (
+            <div>
+              <Flex marginBottom="md">
+                <FlexItem>
+                  <Button
+                    onClick={() => this.setState({ data: [], error: false, loading: true })}
+                    size="medium">
+                    Loading
+                  </Button>
+                </FlexItem>
+                <FlexItem>
+                  <Button
+                    onClick={() => this.setState({ data, error: false, loading: true })}
+                    size="medium">
+                    Reloading
+                  </Button>
+                </FlexItem>
+                <FlexItem>
+                  <Button
+                    onClick={() => this.setState({ data, error: false, loading: false })}
+                    size="medium">
+                    Loaded
+                  </Button>
+                </FlexItem>
+                <FlexItem>
+                  <Button
+                    onClick={() => this.setState({ data: [], error: false, loading: false })}
+                    size="medium">
+                    Empty
+                  </Button>
+                </FlexItem>
+                <FlexItem>
+                  <Button
+                    onClick={() => this.setState({ error: true, loading: false })}
+                    size="medium">
+                    Error
+                  </Button>
+                </FlexItem>
+              </Flex>
+              <Table
+                columns={columns}
+                data={rows}
+                emptyContent="No fruit has been ordered"
+                error={error}
+                loading={loading}
+                rowKey="name"
+                title="Fruit orders"
+                hideTitle />
+            </div>
+          );
+        }
+      }
+
+      return <MyTable />;
+    }`
+};
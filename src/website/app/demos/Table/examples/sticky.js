@@ -0,0 +1,51 @@
+/* @flow */
+import Box from '../../../../../library/Box';
+import Table from '../../../../../library/Table';
+
+const data = Array.from({ length: 20 }, (value, index) => ({
+  id: `SKU-${1001 + index}`,
+  name: `Item ${index + 1}`,
+  category: ['Fruits', 'Vegetables', 'Grains', 'Dairy'][index % 4],
+  supplier: `Supplier ${index % 5 + 1}`,
+  warehouse: `Warehouse ${index % 3 + 1}`,
+  quantity: (index * 7) % 100 + 1,
+  price: ((index * 13) % 1000 + 1) / 10
+}));
+
+export default {
+  id: 'sticky',
+  title: 'Sticky Header & Columns',
+  description: `Use \`stickyHeader\` to keep the header in view while Table
+scrolls vertically within its \`height\`, and \`stickyColumns\` to keep the
+leading columns marked as \`primary\`, along with any selection & expansion
+cells, in view while it scrolls horizontally. A shadow indicates that content
+is hidden beyond an edge.`,
+  scope: { Box, data, Table },
+  source: `
+    () => {
+      const columns = [
+        { content: 'SKU', key: 'id', primary: true },
+        { content: 'Name', key: 'name', primary: true },
+        { content: 'Category', key: 'category' },
+        { content: 'Supplier', key: 'supplier' },
+        { content: 'Warehouse', key: 'warehouse' },
+        { content: 'Quantity', key: 'quantity', textAlign: 'end' },
+        { content: 'Price', key: 'price', textAlign: 'end' }
+      ];
+
+      return (
+        <Box width="50%">
+          <Table
+            stickyHeader
+            stickyColumns
+            height={300}
+            selectable
+            columns={columns}
+            data={data}
+            rowKey="id"
+            title="Inventory"
+            hideTitle />
+        </Box>
+      );
+    }`
+};
@@ -0,0 +1,68 @@
+/* @flow */
+import Table from '../../../../../library/Table';
+
+const data = [
+  {
+    name: 'Rutaceae',
+    count: 3,
+    children: [
+      {
+        name: 'Citrus',
+        count: 3,
+        children: [
+          { name: 'Pomello', count: 1 },
+          { name: 'Kumquat', count: 1 },
+          { name: 'Yuzu', count: 1 }
+        ]
+      }
+    ]
+  },
+  {
+    name: 'Oxalidaceae',
+    count: 1,
+    children: [{ name: 'Starfruit', count: 1 }]
+  },
+  {
+    name: 'Malvaceae',
+    count: 2,
+    // The children of this row are loaded when it is first expanded
+    hasChildren: true
+  },
+  { name: 'Ebenaceae', count: 1 }
+];
+
+const loadChildren = (): Promise<Array<Object>> =>
+  new Promise((resolve) => {
+    setTimeout(() => {
+      resolve([{ name: 'Durian', count: 1 }, { name: 'Cacao', count: 1 }]);
+    }, 1000);
+  });
+
+const columns = [
+  { content: 'Family', key: 'name', primary: true },
+  { content: 'Fruits', key: 'count', textAlign: 'end' }
+];
+
+export default {
+  id: 'tree-data',
+  title: 'Tree Data',
+  description: `Rows with a \`children\` array are displayed as hierarchical
+data, with the first cell of each row indented by its level and a button to
+expand or collapse its children. The button in the first column header expands
+or collapses all rows. Children are sorted along with their parents, and Table
+follows the [ARIA treegrid pattern](https://www.w3.org/TR/wai-aria-practices-1.1/#treegrid).
+
+A row with \`hasChildren = true\`, but no \`children\`, loads its children when
+it is first expanded, by calling \`loadChildren\` with the row. \`loadChildren\`
+returns a Promise which resolves to the row's children.`,
+  scope: { columns, data, loadChildren, Table },
+  source: `
+    <Table
+      columns={columns}
+      data={data}
+      loadChildren={loadChildren}
+      rowKey="name"
+      sortable
+      title="Fruit families"
+      hideTitle />`
+};
@@ -0,0 +1,43 @@
+/* @flow */
+import Table from '../../../../../library/Table';
+
+const data = Array.from({ length: 10000 }, (value, index) => ({
+  id: index + 1,
+  name: `Item ${index + 1}`,
+  quantity: (index * 7) % 100 + 1,
+  price: ((index * 13) % 1000 + 1) / 10
+}));
+
+export default {
+  id: 'virtualized',
+  title: 'Virtualized',
+  description: `For large data sets, render only the rows visible in Table's
+scrollable container with the \`virtualized\` prop. Table's header remains fixed
+while the rows scroll vertically, within the container's \`height\` (which
+defaults to 400px).
+
+Rows should have a uniform height, which is measured from the rendered rows, or
+can be provided with the \`rowHeight\` prop.`,
+  scope: { data, Table },
+  source: `
+    () => {
+      const columns = [
+        { content: 'ID', key: 'id', primary: true },
+        { content: 'Name', key: 'name' },
+        { content: 'Quantity', key: 'quantity', textAlign: 'end' },
+        { content: 'Price', key: 'price', textAlign: 'end' }
+      ];
+
+      return (
+        <Table
+          virtualized
+          height={300}
+          sortable
+          columns={columns}
+          data={data}
+          rowKey="id"
+          title="10,000 Items"
+          hideTitle />
+      );
+    }`
+};
@@ -1,10 +1,20 @@
 /* @flow */
 import { componentTheme as tableComponentTheme } from '../../../../library/Table/Table';
+import { componentTheme as tableBodyComponentTheme } from '../../../../library/Table/TableBody';
 import { componentTheme as tableCellComponentTheme } from '../../../../library/Table/TableCell';
+import { componentTheme as tableColumnChooserComponentTheme } from '../../../../library/Table/TableColumnChooser';
+import { componentTheme as tableColumnFilterComponentTheme } from '../../../../library/Table/TableColumnFilter';
 import { componentTheme as tableColumnHeaderComponentTheme } from '../../../../library/Table/TableColumnHeader';
+import { componentTheme as tableColumnResizerComponentTheme } from '../../../../library/Table/TableColumnResizer';
+import { componentTheme as tableEditableCellComponentTheme } from '../../../../library/Table/TableEditableCell';
+import { componentTheme as tableFooterComponentTheme } from '../../../../library/Table/TableFooter';
 import { componentTheme as tableHeaderComponentTheme } from '../../../../library/Table/TableHeader';
 import { componentTheme as tableRowComponentTheme } from '../../../../library/Table/TableRow';
+import { componentTheme as tableSkeletonCellComponentTheme } from '../../../../library/Table/TableSkeletonCell';
+import { componentTheme as tableSortableColumnHeaderComponentTheme } from '../../../../library/Table/TableSortableColumnHeader';
 import { componentTheme as tableTitleComponentTheme } from '../../../../library/Table/TableTitle';
+import { componentTheme as tableToolbarComponentTheme } from '../../../../library/Table/TableToolbar';
+import { componentTheme as tableTreeCellComponentTheme } from '../../../../library/Table/TableTreeCell';
 
 import examples from './examples';
 
@@ -16,11 +26,21 @@ export default {
   bestPractices,
   componentTheme: [
     tableComponentTheme,
+    tableBodyComponentTheme,
     tableCellComponentTheme,
+    tableColumnChooserComponentTheme,
+    tableColumnFilterComponentTheme,
     tableColumnHeaderComponentTheme,
+    tableColumnResizerComponentTheme,
+    tableEditableCellComponentTheme,
+    tableFooterComponentTheme,
     tableHeaderComponentTheme,
     tableRowComponentTheme,
-    tableTitleComponentTheme
+    tableSkeletonCellComponentTheme,
+    tableSortableColumnHeaderComponentTheme,
+    tableTitleComponentTheme,
+    tableToolbarComponentTheme,
+    tableTreeCellComponentTheme
   ],
   doc,
   additionalTypes: [
@@ -29,6 +49,21 @@ export default {
       description:
         'Definition for each column in Table. [See example](#column-def).',
       content: {
+        aggregate: {
+          flowType: {
+            name:
+              "'average' | 'count' | 'max' | 'min' | 'sum' | (values: Array<any>, rows: Rows) => any"
+          },
+          required: false,
+          description:
+            "Aggregates the column's values, of all rows matching the filters, for display in Table's footer ([see example](#footer))"
+        },
+        columns: {
+          flowType: { name: 'Array<Column>' },
+          required: false,
+          description:
+            'Nested column definitions, beneath which this column is rendered as the header of a column group ([see example](#column-groups))'
+        },
         content: {
           flowType: { name: 'React$Node' },
           required: true,
@@ -45,6 +80,50 @@ export default {
           required: true,
           description: 'Used to look up the value for a column in your row data'
         },
+        editable: {
+          flowType: { name: 'boolean' },
+          required: false,
+          description:
+            "Enable inline editing of the column's cells, committed via Table's `onCellEdit` handler ([see example](#editable))"
+        },
+        editor: {
+          flowType: { name: '({ helpers, props, state }) => React$Node' },
+          required: false,
+          description:
+            'Render prop for the control used to edit a cell of an editable column, in place of the default [TextInput](/components/text-input) ([see example](#editable))'
+        },
+        exportValue: {
+          flowType: { name: '(value: any, row: Row) => string' },
+          required: false,
+          description:
+            "Formats the column's values when Table's data is exported ([see example](#export))"
+        },
+        filterable: {
+          flowType: { name: 'boolean' },
+          required: false,
+          description:
+            'Enable filtering of the column ([see example](#filterable))'
+        },
+        filterType: {
+          flowType: { name: "'text' | 'select' | 'range'" },
+          required: false,
+          description:
+            "Type of filter used for a filterable column: `'text'` (the default) matches values containing the text, `'select'` matches any of the chosen values and `'range'` matches numbers between a minimum and maximum"
+        },
+        footer: {
+          flowType: {
+            name: 'React$Node | ({ rows, value }) => React$Node'
+          },
+          required: false,
+          description:
+            "Rendered content of the column's cell in Table's footer, or a render prop called with the rows matching the filters and the `aggregate` value ([see example](#footer))"
+        },
+        hideable: {
+          flowType: { name: 'boolean' },
+          required: false,
+          description:
+            "Enable or disable hiding the column, overriding Table's `hideableColumns` prop ([see example](#column-visibility))"
+        },
         maxWidth: {
           flowType: { name: 'number, string' },
           required: false,
@@ -63,12 +142,36 @@ export default {
           description:
             'Render cells in the column as `<th scope="row" />` ([see example](#primary-column))'
         },
+        resizable: {
+          flowType: { name: 'boolean' },
+          required: false,
+          description:
+            "Enable or disable resizing for the column, overriding Table's `resizable` prop ([see example](#resizable-reorderable))"
+        },
+        sortable: {
+          flowType: { name: 'boolean' },
+          required: false,
+          description:
+            "Enable or disable sorting for the column, overriding Table's `sortable` prop ([see example](#sortable))"
+        },
+        sortComparator: {
+          flowType: { name: '(a: Row, b: Row, key: string) => number' },
+          required: false,
+          description:
+            "Comparator function used to sort the column, overriding Table's `sortComparator` prop ([see example](#sort-comparator))"
+        },
         textAlign: {
           flowType: { name: 'boolean' },
           required: false,
           description:
             'Align the text of both the column header and the cells ([see example](#column-align))'
         },
+        validate: {
+          flowType: { name: '(value: any, row: Row) => ?string' },
+          required: false,
+          description:
+            'Validates the edited value of a cell in an editable column, returning an error message if it is invalid ([see example](#editable))'
+        },
         width: {
           flowType: { name: 'number, string' },
           required: false,
@@ -86,11 +189,13 @@ data points or investigate relationships. For simpler data, consider a list
 structure; for more complex data or user needs, consider data visualization,
 possibly in addition to Table.
 
-For Tables with many columns, [striped](#striped) rows can enhance readability.
+For Tables with many columns, [striped](#striped) rows can enhance readability,
+and [sticky columns](#sticky) can keep the primary data in view.
 Tables that do not have enough columns to fill the width can be hard to read and
 should be displayed at a more appropriate width (perhaps using
 [Box](/components/box) or other layout components).
 
 Table is designed to optimize performance and minimize excess operations, but
-rendering more than 100 rows is still not recommended.`
+rendering more than 100 rows is still not recommended, unless Table is
+[virtualized](#virtualized) or [paginated](#paginated).`
 };
@@ -7,6 +7,7 @@ import buttonGroup from './ButtonGroup';
 import box from './Box';
 import card from './Card';
 import checkbox from './Checkbox';
+import contextMenu from './ContextMenu';
 import dropdown from './Dropdown';
 import form from './Form';
 import icon from './Icon';
@@ -14,6 +15,7 @@ import flex from './Flex';
 import grid from './Grid';
 import link from './Link';
 import menu from './Menu';
+import pagination from './Pagination';
 import popover from './Popover';
 import radio from './Radio';
 import select from './Select';
@@ -32,6 +34,7 @@ const demos = flatten([
   box,
   card,
   checkbox,
+  contextMenu,
   dropdown,
   flex,
   form,
@@ -39,6 +42,7 @@ const demos = flatten([
   icon,
   link,
   menu,
+  pagination,
   popover,
   radio,
   select,
@@ -81,6 +81,12 @@ export default [
       title: 'CheckboxGroup'
     }
   ],
+  {
+    description:
+      'ContextMenus display a Menu of actions at the pointer when a user right-clicks within a region. Use ContextMenus for actions on specific content.',
+    slug: 'context-menu',
+    title: 'ContextMenu'
+  },
   {
     description:
       'Dropdowns display a hidden Menu, available upon user interaction. Use Dropdowns for non-primary actions only.',
@@ -187,6 +193,12 @@ export default [
       title: 'MenuItem'
     }
   ],
+  {
+    description:
+      'Pagination lets users move through a large set of items one page at a time.',
+    slug: 'pagination',
+    title: 'Pagination'
+  },
   {
     description:
       'Popovers display supporting content when your user interacts with an associated trigger. Use Popovers to implement other custom behaviors or widgets.',
@@ -4,7 +4,14 @@ const { LiveProvider, LivePreview } = require('react-live');
 const { ThemeProvider } = require('../src/library/themes');
 const demos = require('../src/website/app/demos').default;
 
-const excludedComponents = ['Dropdown', 'Form', 'Popover', 'Select', 'Tooltip'];
+const excludedComponents = [
+  'ContextMenu',
+  'Dropdown',
+  'Form',
+  'Popover',
+  'Select',
+  'Tooltip'
+];
 
 module.exports = Object.values(demos)
   // $FlowFixMe